@@ -0,0 +1,37 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+// Connection settings shared by the server and the maintenance scripts
+const dbConfig = {
+  host: process.env.DB_HOST || 'mysql',
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD || 'rootpassword',
+  database: process.env.DB_NAME || 'homehub',
+};
+
+// Create the database itself if needed (the pool connects to it, so this uses a separate connection)
+async function createDatabaseIfMissing() {
+  const connection = await mysql.createConnection({
+    host: dbConfig.host,
+    user: dbConfig.user,
+    password: dbConfig.password,
+  });
+
+  try {
+    await connection.query(`CREATE DATABASE IF NOT EXISTS ${dbConfig.database}`);
+  } finally {
+    await connection.end();
+  }
+}
+
+// MySQL Connection Pool
+const pool = mysql.createPool({
+  ...dbConfig,
+  waitForConnections: true,
+  connectionLimit: 10,
+  queueLimit: 0,
+  // Return DECIMAL columns (item amounts) as numbers instead of strings
+  decimalNumbers: true,
+});
+
+module.exports = { pool, dbConfig, createDatabaseIfMissing };
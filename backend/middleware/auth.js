@@ -1,8 +1,11 @@
 const jwt = require('jsonwebtoken');
+const { pool } = require('../db');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
 // Authentication middleware
+// Access tokens are short-lived JWTs bound to a session; the session is checked
+// on every request so logout and revocation take effect immediately
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -11,14 +14,37 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    // 401 tells clients to refresh the access token and retry
+    if (err || !user.sid) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
     }
-    req.user = user;
+
+    try {
+      const [sessions] = await pool.query(
+        'SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+        [user.sid, user.userId]
+      );
+      if (sessions.length === 0) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+    } catch (error) {
+      console.error('Error checking session:', error);
+      return res.status(500).json({ error: 'Failed to authenticate' });
+    }
+
+    req.user = { ...user, sessionId: user.sid };
     next();
   });
 };
 
-module.exports = { authenticateToken, JWT_SECRET };
+// EventSource cannot set headers, so event streams send the access token as ?access_token=.
+// Only mounted on those routes - query strings end up in logs more often than headers do.
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
 
+module.exports = { authenticateToken, acceptQueryToken, JWT_SECRET };
@@ -0,0 +1,131 @@
+const { pool } = require('../db');
+
+// Roles inside a home, most privileged first. The owner is homes.user_id,
+// everyone else has a role on their accepted home_members row.
+const HOME_ROLES = ['owner', 'admin', 'member', 'viewer'];
+const MEMBER_ROLES = ['admin', 'member', 'viewer'];
+
+// Permission matrix: which roles may perform an action on a resource
+const PERMISSIONS = {
+  home: {
+    read: HOME_ROLES,
+    update: ['owner', 'admin'],
+    delete: ['owner'],
+    transfer: ['owner'],
+  },
+  members: {
+    read: HOME_ROLES,
+    manage: ['owner', 'admin'],
+  },
+  items: {
+    read: HOME_ROLES,
+    write: ['owner', 'admin', 'member'],
+  },
+  lists: {
+    read: HOME_ROLES,
+    write: ['owner', 'admin', 'member'],
+  },
+  finances: {
+    read: HOME_ROLES,
+    write: ['owner', 'admin'],
+  },
+};
+
+const hasHomePermission = (role, resource, action) => {
+  const allowed = PERMISSIONS[resource] && PERMISSIONS[resource][action];
+  if (!allowed) {
+    throw new Error(`Unknown permission ${resource}.${action}`);
+  }
+  return allowed.includes(role);
+};
+
+// Everything a role may do, as { resource: [actions] } - sent to clients so they can hide controls
+const getHomePermissions = (role) => {
+  const permissions = {};
+  for (const [resource, actions] of Object.entries(PERMISSIONS)) {
+    permissions[resource] = Object.keys(actions).filter(action => actions[action].includes(role));
+  }
+  return permissions;
+};
+
+// Roles an actor may hand out: only the owner makes admins, admins manage members and viewers
+const canAssignRole = (actorRole, role) => {
+  if (actorRole === 'owner') {
+    return MEMBER_ROLES.includes(role);
+  }
+  return actorRole === 'admin' && ['member', 'viewer'].includes(role);
+};
+
+/**
+ * Role of a user in a home
+ * @param {number} homeId - Home ID
+ * @param {number} userId - User ID
+ * @returns {Promise<string|null>} - The role, or null if the user has no access
+ */
+const getHomeRole = async (homeId, userId) => {
+  const [rows] = await pool.query(
+    `SELECT CASE WHEN h.user_id = ? THEN 'owner' ELSE hm.role END AS role
+     FROM homes h
+     LEFT JOIN home_members hm ON h.id = hm.home_id AND hm.user_id = ? AND hm.status = 'accepted'
+     WHERE h.id = ? AND (h.user_id = ? OR hm.user_id IS NOT NULL)`,
+    [userId, userId, homeId, userId]
+  );
+  return rows.length > 0 ? rows[0].role : null;
+};
+
+/**
+ * Checks a permission and returns the user's role. Throws an error with .status = 403 if denied.
+ */
+const assertHomePermission = async (homeId, userId, resource, action) => {
+  const role = await getHomeRole(homeId, userId);
+  if (!role) {
+    const error = new Error('Access denied');
+    error.status = 403;
+    throw error;
+  }
+  if (!hasHomePermission(role, resource, action)) {
+    const error = new Error(`Your role (${role}) does not allow this action`);
+    error.status = 403;
+    throw error;
+  }
+  return role;
+};
+
+/**
+ * Middleware: requires a permission in the home of the request, and sets req.home = { id, role }.
+ * @param {string} resource - home, members, items, lists or finances
+ * @param {string} action - An action from the permission matrix
+ * @param {Function} [getHomeId] - (req) => home ID; defaults to the :id route parameter.
+ *   May throw an error with .status (e.g. 404 when a nested resource does not exist).
+ */
+const requireHomePermission = (resource, action, getHomeId = (req) => req.params.id) => {
+  return async (req, res, next) => {
+    try {
+      const homeId = parseInt(await getHomeId(req), 10);
+      if (isNaN(homeId)) {
+        return res.status(400).json({ error: 'Invalid home ID' });
+      }
+
+      const role = await assertHomePermission(homeId, req.user.userId, resource, action);
+      req.home = { id: homeId, role };
+      next();
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error checking home permissions:', error);
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+};
+
+module.exports = {
+  HOME_ROLES,
+  MEMBER_ROLES,
+  hasHomePermission,
+  getHomePermissions,
+  canAssignRole,
+  getHomeRole,
+  assertHomePermission,
+  requireHomePermission,
+};
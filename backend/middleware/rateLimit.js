@@ -0,0 +1,151 @@
+const { pool } = require('../db');
+
+// Rate limit counters live in a store. Every store implements:
+//   increment(key, windowMs) -> { count, resetAt }  (starts a new window when the old one ended)
+//   get(key)                 -> { count, resetAt } | null
+//   reset(key)
+// The memory store is per process; the MySQL store is shared by every backend instance.
+
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  // Drop finished windows now and then so the map does not grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = entries.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count++;
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = entries.get(key);
+      return entry && entry.resetAt > Date.now() ? { ...entry } : null;
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+const createMysqlStore = () => ({
+  async increment(key, windowMs) {
+    // Single statement, so concurrent requests on several instances count correctly
+    await pool.query(
+      `INSERT INTO rate_limits (rate_key, count, reset_at)
+       VALUES (?, 1, NOW(3) + INTERVAL ? MICROSECOND)
+       ON DUPLICATE KEY UPDATE
+         count = IF(reset_at <= NOW(3), 1, count + 1),
+         reset_at = IF(reset_at <= NOW(3), NOW(3) + INTERVAL ? MICROSECOND, reset_at)`,
+      [key, windowMs * 1000, windowMs * 1000]
+    );
+    return this.get(key);
+  },
+
+  async get(key) {
+    const [rows] = await pool.query(
+      'SELECT count, reset_at FROM rate_limits WHERE rate_key = ? AND reset_at > NOW(3)',
+      [key]
+    );
+    return rows.length > 0
+      ? { count: rows[0].count, resetAt: new Date(rows[0].reset_at).getTime() }
+      : null;
+  },
+
+  async reset(key) {
+    await pool.query('DELETE FROM rate_limits WHERE rate_key = ?', [key]);
+  },
+});
+
+let store = null;
+
+// RATE_LIMIT_STORE selects the store: 'memory' (default) or 'mysql'
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (name === 'memory') {
+      store = createMemoryStore();
+    } else if (name === 'mysql') {
+      store = createMysqlStore();
+    } else {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}" - expected memory or mysql`);
+    }
+  }
+  return store;
+};
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+// Answer 429 with the standard Retry-After header
+const sendTooManyRequests = (res, resetAt, message) => {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  return res.status(429).json({ error: message });
+};
+
+/**
+ * Rate limiting middleware. Each limiter has its own budget.
+ * @param {object} options
+ * @param {string} options.name - Budget name, part of the store key
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per window and key
+ * @param {Function} options.keyGenerator - (req) => key, or null to skip limiting the request
+ * @param {string} [options.message] - Error message for blocked requests
+ */
+const rateLimit = ({ name, windowMs, max, keyGenerator, message = 'Too many requests, please try again later' }) => {
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) {
+      return next();
+    }
+
+    let entry;
+    try {
+      entry = await getRateLimitStore().increment(`${name}:${key}`, windowMs);
+    } catch (error) {
+      // A broken store must not take the API down with it
+      console.error('Error updating rate limit:', error);
+      return next();
+    }
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.set('RateLimit-Reset', String(secondsUntil(entry.resetAt)));
+
+    if (entry.count > max) {
+      return sendTooManyRequests(res, entry.resetAt, message);
+    }
+    next();
+  };
+};
+
+// Key generators
+const byIp = (req) => req.ip;
+const byUser = (req) => (req.user ? `user:${req.user.userId}` : null);
+const byBodyEmail = (req) => {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email ? `email:${email.trim().toLowerCase()}` : null;
+};
+
+module.exports = {
+  rateLimit,
+  getRateLimitStore,
+  sendTooManyRequests,
+  byIp,
+  byUser,
+  byBodyEmail,
+};
@@ -0,0 +1,178 @@
+// Initial schema. Uses IF NOT EXISTS so databases created before the
+// migration framework existed are adopted as they are.
+
+module.exports = {
+  async up(db) {
+    // Create users table
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        first_name VARCHAR(100) NOT NULL,
+        last_name VARCHAR(100) NOT NULL,
+        phone_number VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create homes table
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS homes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        address TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Older homes tables allowed a NULL address
+    await db.query(`UPDATE homes SET address = '' WHERE address IS NULL`);
+    await db.query(`ALTER TABLE homes MODIFY address TEXT NOT NULL`);
+
+    // Create home_members table
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS home_members (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        home_id INT NOT NULL,
+        user_id INT NOT NULL,
+        status ENUM('pending', 'accepted') DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_home_member (home_id, user_id)
+      )
+    `);
+
+    // Create families table
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS families (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        requester_id INT NOT NULL,
+        recipient_id INT NOT NULL,
+        status ENUM('pending', 'accepted') DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (requester_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_family (requester_id, recipient_id)
+      )
+    `);
+
+    // Create notifications table (home_id is added by 002)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        message TEXT NOT NULL,
+        related_id INT,
+        is_read BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create shopping_lists table
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS shopping_lists (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        home_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        status ENUM('active', 'completed') DEFAULT 'active',
+        created_by INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create shopping_list_items table
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS shopping_list_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        list_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        quantity VARCHAR(100),
+        completed BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (list_id) REFERENCES shopping_lists(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create home_items table (inventory)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS home_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        home_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        category ENUM('fridge', 'pantry', 'storage') NOT NULL,
+        quantity VARCHAR(100),
+        location VARCHAR(255),
+        expiry_date DATE,
+        notes TEXT,
+        created_by INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create home_finances table (income & expenses)
+    // Note: amount starts out as the old obfuscated DECIMAL, 004 switches it to encrypted TEXT
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS home_finances (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        home_id INT NOT NULL,
+        type ENUM('income', 'expense') NOT NULL,
+        category VARCHAR(100) NOT NULL,
+        amount DECIMAL(15, 2) NOT NULL,
+        description TEXT,
+        transaction_date DATE NOT NULL,
+        is_recurring BOOLEAN DEFAULT FALSE,
+        created_by INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create home_finance_visibility table (controls which members can see each finance entry)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS home_finance_visibility (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        finance_id INT NOT NULL,
+        user_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (finance_id) REFERENCES home_finances(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_finance_user (finance_id, user_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    // Drop in reverse dependency order
+    await db.query('DROP TABLE IF EXISTS home_finance_visibility');
+    await db.query('DROP TABLE IF EXISTS home_finances');
+    await db.query('DROP TABLE IF EXISTS home_items');
+    await db.query('DROP TABLE IF EXISTS shopping_list_items');
+    await db.query('DROP TABLE IF EXISTS shopping_lists');
+    await db.query('DROP TABLE IF EXISTS notifications');
+    await db.query('DROP TABLE IF EXISTS families');
+    await db.query('DROP TABLE IF EXISTS home_members');
+    await db.query('DROP TABLE IF EXISTS homes');
+    await db.query('DROP TABLE IF EXISTS users');
+  },
+};
@@ -0,0 +1,23 @@
+// Links notifications to a home (home invitations, home activity)
+
+const { columnExists, dropForeignKeys } = require('../utils/migrator');
+
+module.exports = {
+  async up(db) {
+    // Databases created by older code may already have the column
+    if (await columnExists(db, 'notifications', 'home_id')) {
+      return;
+    }
+
+    await db.query(`
+      ALTER TABLE notifications
+      ADD COLUMN home_id INT,
+      ADD CONSTRAINT fk_notifications_home FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE
+    `);
+  },
+
+  async down(db) {
+    await dropForeignKeys(db, 'notifications', 'home_id');
+    await db.query('ALTER TABLE notifications DROP COLUMN home_id');
+  },
+};
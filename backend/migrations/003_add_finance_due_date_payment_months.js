@@ -0,0 +1,19 @@
+// Adds due-date ranges and payment plans to finance entries
+
+const { columnExists } = require('../utils/migrator');
+
+module.exports = {
+  async up(db) {
+    // Databases created by older code may already have the columns
+    if (!(await columnExists(db, 'home_finances', 'due_date'))) {
+      await db.query('ALTER TABLE home_finances ADD COLUMN due_date DATE NULL');
+    }
+    if (!(await columnExists(db, 'home_finances', 'payment_months'))) {
+      await db.query('ALTER TABLE home_finances ADD COLUMN payment_months INT NULL');
+    }
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE home_finances DROP COLUMN payment_months, DROP COLUMN due_date');
+  },
+};
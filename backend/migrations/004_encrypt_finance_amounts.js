@@ -0,0 +1,52 @@
+// Converts home_finances.amount from the old obfuscated DECIMAL values
+// (amount * 1009) to AES-256-GCM encrypted strings (see utils/encryption.js)
+
+const { encryptAmount, decryptAmount, isEncryptedAmount } = require('../utils/encryption');
+const { getColumnType } = require('../utils/migrator');
+
+// Factor the old code multiplied amounts by before storing them
+const LEGACY_OBFUSCATION_FACTOR = 1009;
+
+module.exports = {
+  async up(db) {
+    // Widen the column first so it can hold ciphertext; DECIMAL values are kept as their string form
+    if ((await getColumnType(db, 'home_finances', 'amount')) !== 'text') {
+      await db.query('ALTER TABLE home_finances MODIFY COLUMN amount TEXT NOT NULL');
+    }
+
+    const [rows] = await db.query('SELECT id, amount FROM home_finances');
+    for (const row of rows) {
+      if (isEncryptedAmount(row.amount)) {
+        continue;
+      }
+
+      const obfuscatedAmount = parseFloat(row.amount);
+      if (isNaN(obfuscatedAmount)) {
+        throw new Error(`Finance ${row.id} has an amount that is neither encrypted nor numeric`);
+      }
+
+      const amount = Math.round((obfuscatedAmount / LEGACY_OBFUSCATION_FACTOR) * 100) / 100;
+      await db.query(
+        'UPDATE home_finances SET amount = ? WHERE id = ?',
+        [encryptAmount(amount), row.id]
+      );
+    }
+  },
+
+  async down(db) {
+    const [rows] = await db.query('SELECT id, amount FROM home_finances');
+    for (const row of rows) {
+      if (!isEncryptedAmount(row.amount)) {
+        continue;
+      }
+
+      const obfuscatedAmount = Math.round(decryptAmount(row.amount) * LEGACY_OBFUSCATION_FACTOR * 100) / 100;
+      await db.query(
+        'UPDATE home_finances SET amount = ? WHERE id = ?',
+        [obfuscatedAmount, row.id]
+      );
+    }
+
+    await db.query('ALTER TABLE home_finances MODIFY COLUMN amount DECIMAL(15, 2) NOT NULL');
+  },
+};
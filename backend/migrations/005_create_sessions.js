@@ -0,0 +1,28 @@
+// Server-side sessions backing the rotating refresh tokens
+
+module.exports = {
+  async up(db) {
+    // Only hashes of refresh tokens are stored; previous_token_hash detects reuse of a rotated token
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        refresh_token_hash CHAR(64) NOT NULL,
+        previous_token_hash CHAR(64),
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_refresh_token (refresh_token_hash),
+        KEY idx_previous_token (previous_token_hash)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS sessions');
+  },
+};
@@ -0,0 +1,31 @@
+// Email verification state and one-time tokens for verification and password reset
+
+const { columnExists } = require('../utils/migrator');
+
+module.exports = {
+  async up(db) {
+    if (!(await columnExists(db, 'users', 'email_verified_at'))) {
+      await db.query('ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL AFTER email');
+    }
+
+    // Only hashes of tokens are stored; used_at makes each token single-use
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS account_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        type ENUM('email_verification', 'password_reset') NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_account_token (token_hash)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS account_tokens');
+    await db.query('ALTER TABLE users DROP COLUMN email_verified_at');
+  },
+};
@@ -0,0 +1,18 @@
+// Shared rate limit counters, used when RATE_LIMIT_STORE=mysql
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        rate_key VARCHAR(255) PRIMARY KEY,
+        count INT NOT NULL DEFAULT 0,
+        reset_at DATETIME(3) NOT NULL,
+        KEY idx_reset_at (reset_at)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS rate_limits');
+  },
+};
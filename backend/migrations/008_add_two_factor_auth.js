@@ -0,0 +1,42 @@
+// Optional TOTP two-factor authentication and its recovery codes
+
+const { columnExists } = require('../utils/migrator');
+
+module.exports = {
+  async up(db) {
+    // The secret is encrypted like finance amounts; it stays pending (enabled_at NULL)
+    // until the user proves their authenticator app works.
+    // last_step holds the last accepted time step, so a code cannot be replayed.
+    if (!(await columnExists(db, 'users', 'two_factor_secret'))) {
+      await db.query(`
+        ALTER TABLE users
+          ADD COLUMN two_factor_secret TEXT NULL AFTER email_verified_at,
+          ADD COLUMN two_factor_enabled_at DATETIME NULL AFTER two_factor_secret,
+          ADD COLUMN two_factor_last_step BIGINT NULL AFTER two_factor_enabled_at
+      `);
+    }
+
+    // Only hashes of recovery codes are stored; used_at makes each code single-use
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_recovery_code (user_id, code_hash)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS user_recovery_codes');
+    await db.query(`
+      ALTER TABLE users
+        DROP COLUMN two_factor_last_step,
+        DROP COLUMN two_factor_enabled_at,
+        DROP COLUMN two_factor_secret
+    `);
+  },
+};
@@ -0,0 +1,32 @@
+// Deleting an account must not wipe what its owner added to shared homes:
+// created_by becomes NULL instead of cascading the delete
+
+const { dropForeignKeys } = require('../utils/migrator');
+
+const TABLES = ['shopping_lists', 'home_items', 'home_finances'];
+
+module.exports = {
+  async up(db) {
+    for (const table of TABLES) {
+      await dropForeignKeys(db, table, 'created_by');
+      await db.query(`
+        ALTER TABLE ${table}
+        MODIFY created_by INT NULL,
+        ADD CONSTRAINT fk_${table}_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      `);
+    }
+  },
+
+  async down(db) {
+    for (const table of TABLES) {
+      await dropForeignKeys(db, table, 'created_by');
+      // Rows of deleted users have no creator to restore - the old schema would have deleted them
+      await db.query(`DELETE FROM ${table} WHERE created_by IS NULL`);
+      await db.query(`
+        ALTER TABLE ${table}
+        MODIFY created_by INT NOT NULL,
+        ADD CONSTRAINT fk_${table}_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+      `);
+    }
+  },
+};
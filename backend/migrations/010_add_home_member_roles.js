@@ -0,0 +1,20 @@
+// Roles inside a home. The owner stays homes.user_id; every other member gets
+// one of admin (co-owner), member or viewer (read-only).
+
+const { columnExists } = require('../utils/migrator');
+
+module.exports = {
+  async up(db) {
+    if (!(await columnExists(db, 'home_members', 'role'))) {
+      // Existing members keep what they could do before: edit items and lists
+      await db.query(`
+        ALTER TABLE home_members
+        ADD COLUMN role ENUM('admin', 'member', 'viewer') NOT NULL DEFAULT 'member' AFTER user_id
+      `);
+    }
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE home_members DROP COLUMN role');
+  },
+};
@@ -0,0 +1,14 @@
+// Indexes for paging through a user's notifications, unread counts and the retention job
+
+module.exports = {
+  async up(db) {
+    // Pages are read newest first by id, optionally only unread ones
+    await db.query('CREATE INDEX idx_notifications_user_read ON notifications (user_id, is_read, id)');
+    await db.query('CREATE INDEX idx_notifications_read_created ON notifications (is_read, created_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX idx_notifications_read_created ON notifications');
+    await db.query('DROP INDEX idx_notifications_user_read ON notifications');
+  },
+};
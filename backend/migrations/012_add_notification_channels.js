@@ -0,0 +1,51 @@
+// Per-user notification preferences, Web Push subscriptions and the email digest queue
+
+const { columnExists } = require('../utils/migrator');
+
+module.exports = {
+  async up(db) {
+    // One row per user and notification type the user changed; missing rows use the type's defaults
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INT NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        email BOOLEAN NOT NULL,
+        push BOOLEAN NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, type),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Push endpoints are long URLs, so uniqueness is enforced on their hash
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS push_subscriptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        endpoint TEXT NOT NULL,
+        endpoint_hash CHAR(64) NOT NULL,
+        p256dh VARCHAR(255) NOT NULL,
+        auth VARCHAR(255) NOT NULL,
+        user_agent VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_push_endpoint (endpoint_hash)
+      )
+    `);
+
+    // Set when the notification still has to go out with the recipient's next email digest
+    if (!(await columnExists(db, 'notifications', 'email_pending'))) {
+      await db.query(`
+        ALTER TABLE notifications
+          ADD COLUMN email_pending BOOLEAN NOT NULL DEFAULT FALSE AFTER is_read,
+          ADD INDEX idx_notifications_email_pending (email_pending, user_id)
+      `);
+    }
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE notifications DROP INDEX idx_notifications_email_pending, DROP COLUMN email_pending');
+    await db.query('DROP TABLE IF EXISTS push_subscriptions');
+    await db.query('DROP TABLE IF EXISTS notification_preferences');
+  },
+};
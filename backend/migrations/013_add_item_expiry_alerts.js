@@ -0,0 +1,29 @@
+// Expiry alerts for inventory items: a per-home alert window and, per item,
+// the last alert sent so every item is announced once as expiring and once as expired
+
+const { columnExists } = require('../utils/migrator');
+
+module.exports = {
+  async up(db) {
+    if (!(await columnExists(db, 'homes', 'expiry_alert_days'))) {
+      await db.query(`
+        ALTER TABLE homes
+        ADD COLUMN expiry_alert_days INT NOT NULL DEFAULT 3 AFTER address
+      `);
+    }
+
+    // Cleared whenever expiry_date changes, so a new date gets its own alerts
+    if (!(await columnExists(db, 'home_items', 'expiry_alert'))) {
+      await db.query(`
+        ALTER TABLE home_items
+          ADD COLUMN expiry_alert ENUM('expiring', 'expired') NULL AFTER expiry_date,
+          ADD INDEX idx_home_items_expiry (expiry_date, expiry_alert)
+      `);
+    }
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE home_items DROP INDEX idx_home_items_expiry, DROP COLUMN expiry_alert');
+    await db.query('ALTER TABLE homes DROP COLUMN expiry_alert_days');
+  },
+};
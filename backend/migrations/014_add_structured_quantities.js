@@ -0,0 +1,63 @@
+// Numeric amount and unit next to the free-text quantity of inventory and shopping
+// list items, filled from the existing text where it can be parsed, plus a log of
+// what was consumed from the inventory
+
+const { columnExists } = require('../utils/migrator');
+const { parseQuantity } = require('../utils/quantities');
+
+const TABLES = ['home_items', 'shopping_list_items'];
+
+module.exports = {
+  async up(db) {
+    for (const table of TABLES) {
+      if (!(await columnExists(db, table, 'amount'))) {
+        await db.query(`
+          ALTER TABLE ${table}
+            ADD COLUMN amount DECIMAL(12, 3) NULL AFTER quantity,
+            ADD COLUMN unit ENUM('g', 'kg', 'ml', 'l', 'pcs') NULL AFTER amount
+        `);
+      }
+
+      // Values that do not parse ("a few", "12 eggs") stay text-only
+      const [rows] = await db.query(
+        `SELECT id, quantity FROM ${table} WHERE quantity IS NOT NULL AND amount IS NULL`
+      );
+      for (const row of rows) {
+        const parsed = parseQuantity(row.quantity);
+        if (parsed) {
+          await db.query(
+            `UPDATE ${table} SET amount = ?, unit = ? WHERE id = ?`,
+            [parsed.amount, parsed.unit, row.id]
+          );
+        }
+      }
+    }
+
+    // Amounts are in the item's unit at the time; home_id survives the item being deleted
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS home_item_consumptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        home_id INT NOT NULL,
+        item_id INT NULL,
+        item_name VARCHAR(255) NOT NULL,
+        user_id INT NULL,
+        amount DECIMAL(12, 3) NOT NULL,
+        unit ENUM('g', 'kg', 'ml', 'l', 'pcs') NOT NULL,
+        note VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
+        FOREIGN KEY (item_id) REFERENCES home_items(id) ON DELETE SET NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_consumptions_item (item_id, created_at),
+        INDEX idx_consumptions_home (home_id, created_at)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS home_item_consumptions');
+    for (const table of TABLES) {
+      await db.query(`ALTER TABLE ${table} DROP COLUMN unit, DROP COLUMN amount`);
+    }
+  },
+};
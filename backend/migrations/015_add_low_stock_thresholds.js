@@ -0,0 +1,28 @@
+// Low-stock thresholds on inventory items, and a link from shopping list items
+// to the inventory item they restock so the same item is not added twice
+
+const { columnExists, dropForeignKeys } = require('../utils/migrator');
+
+module.exports = {
+  async up(db) {
+    // In the item's unit; NULL means no threshold
+    if (!(await columnExists(db, 'home_items', 'min_amount'))) {
+      await db.query('ALTER TABLE home_items ADD COLUMN min_amount DECIMAL(12, 3) NULL AFTER unit');
+    }
+
+    if (!(await columnExists(db, 'shopping_list_items', 'home_item_id'))) {
+      await db.query(`
+        ALTER TABLE shopping_list_items
+          ADD COLUMN home_item_id INT NULL AFTER list_id,
+          ADD CONSTRAINT fk_shopping_list_items_home_item
+            FOREIGN KEY (home_item_id) REFERENCES home_items(id) ON DELETE SET NULL
+      `);
+    }
+  },
+
+  async down(db) {
+    await dropForeignKeys(db, 'shopping_list_items', 'home_item_id');
+    await db.query('ALTER TABLE shopping_list_items DROP COLUMN home_item_id');
+    await db.query('ALTER TABLE home_items DROP COLUMN min_amount');
+  },
+};
@@ -0,0 +1,114 @@
+// Per-home inventory categories and storage locations replace the fixed
+// category ENUM and the free-text location of home_items. Every existing home
+// gets the three old categories, and each distinct location text becomes a location.
+
+const { columnExists, dropForeignKeys } = require('../utils/migrator');
+
+const ENUM_CATEGORIES = [
+  { value: 'fridge', name: 'Fridge', icon: '🧊' },
+  { value: 'pantry', name: 'Pantry', icon: '🥫' },
+  { value: 'storage', name: 'Storage', icon: '📦' },
+];
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS home_categories (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        home_id INT NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        icon VARCHAR(16) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_home_categories_name (home_id, name),
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS home_locations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        home_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_home_locations_name (home_id, name),
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE
+      )
+    `);
+
+    if (!(await columnExists(db, 'home_items', 'category_id'))) {
+      // SET NULL rather than RESTRICT: deleting a home cascades to categories and items
+      // in no particular order. The API refuses to delete categories that are in use.
+      await db.query(`
+        ALTER TABLE home_items
+          ADD COLUMN category_id INT NULL AFTER name,
+          ADD COLUMN location_id INT NULL AFTER min_amount,
+          ADD CONSTRAINT fk_home_items_category
+            FOREIGN KEY (category_id) REFERENCES home_categories(id) ON DELETE SET NULL,
+          ADD CONSTRAINT fk_home_items_location
+            FOREIGN KEY (location_id) REFERENCES home_locations(id) ON DELETE SET NULL
+      `);
+    }
+
+    if (await columnExists(db, 'home_items', 'category')) {
+      for (const category of ENUM_CATEGORIES) {
+        await db.query(
+          'INSERT IGNORE INTO home_categories (home_id, name, icon) SELECT id, ?, ? FROM homes',
+          [category.name, category.icon]
+        );
+        await db.query(
+          `UPDATE home_items hi
+           JOIN home_categories hc ON hc.home_id = hi.home_id AND hc.name = ?
+           SET hi.category_id = hc.id
+           WHERE hi.category = ?`,
+          [category.name, category.value]
+        );
+      }
+      await db.query('ALTER TABLE home_items DROP COLUMN category');
+    }
+
+    if (await columnExists(db, 'home_items', 'location')) {
+      await db.query(`
+        INSERT IGNORE INTO home_locations (home_id, name)
+        SELECT DISTINCT home_id, LEFT(TRIM(location), 100)
+        FROM home_items
+        WHERE location IS NOT NULL AND TRIM(location) <> ''
+      `);
+      await db.query(`
+        UPDATE home_items hi
+        JOIN home_locations hl ON hl.home_id = hi.home_id AND hl.name = LEFT(TRIM(hi.location), 100)
+        SET hi.location_id = hl.id
+      `);
+      await db.query('ALTER TABLE home_items DROP COLUMN location');
+    }
+  },
+
+  async down(db) {
+    // Categories without an ENUM counterpart fall back to storage
+    await db.query(`
+      ALTER TABLE home_items
+        ADD COLUMN category ENUM('fridge', 'pantry', 'storage') NOT NULL DEFAULT 'storage' AFTER name,
+        ADD COLUMN location VARCHAR(255) NULL AFTER min_amount
+    `);
+    for (const category of ENUM_CATEGORIES) {
+      await db.query(
+        `UPDATE home_items hi
+         JOIN home_categories hc ON hc.id = hi.category_id
+         SET hi.category = ?
+         WHERE hc.name = ?`,
+        [category.value, category.name]
+      );
+    }
+    await db.query(`
+      UPDATE home_items hi
+      JOIN home_locations hl ON hl.id = hi.location_id
+      SET hi.location = hl.name
+    `);
+    await db.query('ALTER TABLE home_items ALTER COLUMN category DROP DEFAULT');
+
+    await dropForeignKeys(db, 'home_items', 'category_id');
+    await dropForeignKeys(db, 'home_items', 'location_id');
+    await db.query('ALTER TABLE home_items DROP COLUMN category_id, DROP COLUMN location_id');
+    await db.query('DROP TABLE IF EXISTS home_locations');
+    await db.query('DROP TABLE IF EXISTS home_categories');
+  },
+};
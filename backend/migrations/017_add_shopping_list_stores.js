@@ -0,0 +1,31 @@
+// Several active shopping lists per home: a store tag on each list,
+// and an archived status for lists set aside without being completed
+
+const { columnExists } = require('../utils/migrator');
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE shopping_lists
+      MODIFY COLUMN status ENUM('active', 'completed', 'archived') DEFAULT 'active'
+    `);
+
+    if (!(await columnExists(db, 'shopping_lists', 'store'))) {
+      await db.query(`
+        ALTER TABLE shopping_lists
+          ADD COLUMN store VARCHAR(100) NULL AFTER name,
+          ADD INDEX idx_shopping_lists_home_status (home_id, status)
+      `);
+    }
+  },
+
+  async down(db) {
+    await db.query(`UPDATE shopping_lists SET status = 'completed' WHERE status = 'archived'`);
+    await db.query(`
+      ALTER TABLE shopping_lists
+        MODIFY COLUMN status ENUM('active', 'completed') DEFAULT 'active',
+        DROP INDEX idx_shopping_lists_home_status,
+        DROP COLUMN store
+    `);
+  },
+};
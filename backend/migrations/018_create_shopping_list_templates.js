@@ -0,0 +1,40 @@
+// Saved shopping list templates per home. A template with a schedule_weekday
+// (0 = Sunday ... 6 = Saturday) creates a list from itself once on that day.
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS shopping_list_templates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        home_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        store VARCHAR(100) NULL,
+        schedule_weekday TINYINT NULL,
+        last_generated_on DATE NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_list_templates_schedule (schedule_weekday, last_generated_on)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS shopping_list_template_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        template_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        quantity VARCHAR(100),
+        amount DECIMAL(12, 3) NULL,
+        unit ENUM('g', 'kg', 'ml', 'l', 'pcs') NULL,
+        FOREIGN KEY (template_id) REFERENCES shopping_list_templates(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS shopping_list_template_items');
+    await db.query('DROP TABLE IF EXISTS shopping_list_templates');
+  },
+};
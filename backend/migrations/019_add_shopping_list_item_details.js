@@ -0,0 +1,55 @@
+// Shopping list items can be assigned to a member, sorted into a store aisle,
+// priced, and remember who bought them. Aisles are per home and ordered by
+// position, the way the household walks through the store.
+
+const { columnExists, dropForeignKeys } = require('../utils/migrator');
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS shopping_aisles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        home_id INT NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_shopping_aisles_name (home_id, name),
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE
+      )
+    `);
+
+    if (!(await columnExists(db, 'shopping_list_items', 'aisle_id'))) {
+      await db.query(`
+        ALTER TABLE shopping_list_items
+          ADD COLUMN aisle_id INT NULL AFTER home_item_id,
+          ADD COLUMN assigned_to INT NULL AFTER aisle_id,
+          ADD COLUMN estimated_price DECIMAL(10, 2) NULL AFTER unit,
+          ADD COLUMN actual_price DECIMAL(10, 2) NULL AFTER estimated_price,
+          ADD COLUMN bought_by INT NULL AFTER completed,
+          ADD COLUMN bought_at TIMESTAMP NULL AFTER bought_by,
+          ADD CONSTRAINT fk_shopping_list_items_aisle
+            FOREIGN KEY (aisle_id) REFERENCES shopping_aisles(id) ON DELETE SET NULL,
+          ADD CONSTRAINT fk_shopping_list_items_assigned_to
+            FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+          ADD CONSTRAINT fk_shopping_list_items_bought_by
+            FOREIGN KEY (bought_by) REFERENCES users(id) ON DELETE SET NULL
+      `);
+    }
+  },
+
+  async down(db) {
+    for (const column of ['aisle_id', 'assigned_to', 'bought_by']) {
+      await dropForeignKeys(db, 'shopping_list_items', column);
+    }
+    await db.query(`
+      ALTER TABLE shopping_list_items
+        DROP COLUMN aisle_id,
+        DROP COLUMN assigned_to,
+        DROP COLUMN estimated_price,
+        DROP COLUMN actual_price,
+        DROP COLUMN bought_by,
+        DROP COLUMN bought_at
+    `);
+    await db.query('DROP TABLE IF EXISTS shopping_aisles');
+  },
+};
@@ -0,0 +1,24 @@
+// A finance expense can be recorded when a shopping list is completed. It links
+// back to its list, and a list has at most one such expense.
+
+const { columnExists, dropForeignKeys } = require('../utils/migrator');
+
+module.exports = {
+  async up(db) {
+    if (!(await columnExists(db, 'home_finances', 'shopping_list_id'))) {
+      await db.query(`
+        ALTER TABLE home_finances
+          ADD COLUMN shopping_list_id INT NULL,
+          ADD UNIQUE KEY uq_home_finances_shopping_list (shopping_list_id),
+          ADD CONSTRAINT fk_home_finances_shopping_list
+            FOREIGN KEY (shopping_list_id) REFERENCES shopping_lists(id) ON DELETE SET NULL
+      `);
+    }
+  },
+
+  async down(db) {
+    await dropForeignKeys(db, 'home_finances', 'shopping_list_id');
+    await db.query('ALTER TABLE home_finances DROP INDEX uq_home_finances_shopping_list');
+    await db.query('ALTER TABLE home_finances DROP COLUMN shopping_list_id');
+  },
+};
@@ -0,0 +1,29 @@
+// Monthly or yearly spending budgets per finance category. The home owner is
+// notified once per period when expenses reach alert_percent of the amount;
+// alerted_period ('2025-03' or '2025') records the period already alerted.
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS home_finance_budgets (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        home_id INT NOT NULL,
+        category VARCHAR(100) NOT NULL,
+        period ENUM('monthly', 'yearly') NOT NULL DEFAULT 'monthly',
+        amount DECIMAL(15, 2) NOT NULL,
+        alert_percent TINYINT UNSIGNED NOT NULL DEFAULT 80,
+        alerted_period VARCHAR(7) NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE KEY uq_finance_budgets_category (home_id, category, period)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS home_finance_budgets');
+  },
+};
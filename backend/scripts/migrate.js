@@ -0,0 +1,52 @@
+// Schema migration CLI
+//
+// Usage:
+//   npm run migrate                          apply all pending migrations
+//   npm run migrate:rollback -- [--steps=N]  revert the last N migrations (default 1)
+//   npm run migrate:status                   list migrations and whether they are applied
+
+const { pool, createDatabaseIfMissing } = require('../db');
+const { migrate, rollback, status } = require('../utils/migrator');
+
+async function run(command, args) {
+  switch (command) {
+    case 'up': {
+      await createDatabaseIfMissing();
+      const applied = await migrate(pool);
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Schema is up to date');
+      break;
+    }
+    case 'down': {
+      const stepsArg = args.find(arg => arg.startsWith('--steps='));
+      const steps = stepsArg ? parseInt(stepsArg.split('=')[1], 10) : 1;
+      if (isNaN(steps) || steps < 1) {
+        throw new Error('--steps must be a positive integer');
+      }
+      const reverted = await rollback(pool, steps);
+      console.log(reverted.length > 0 ? `Rolled back ${reverted.length} migration(s)` : 'Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      const migrations = await status(pool);
+      for (const migration of migrations) {
+        const state = migration.applied_at
+          ? `applied ${new Date(migration.applied_at).toISOString()}`
+          : 'pending';
+        console.log(`${migration.name.padEnd(50)} ${state}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" - expected up, down or status`);
+  }
+}
+
+const [command = 'up', ...args] = process.argv.slice(2);
+
+run(command, args)
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error(error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,26 @@
+// Admin command: deletes read notifications older than the retention period.
+// The server already does this once a day; use this for a one-off cleanup or
+// from cron when several backend instances share the database.
+//
+// Usage: npm run prune:notifications -- [--days=90]
+
+const { pool } = require('../db');
+const { pruneReadNotifications } = require('../utils/notifications');
+
+const daysArg = process.argv.find(arg => arg.startsWith('--days='));
+const days = daysArg ? parseInt(daysArg.split('=')[1], 10) : undefined;
+if (days !== undefined && (isNaN(days) || days < 1)) {
+  console.error('--days must be a positive integer');
+  process.exit(1);
+}
+
+pruneReadNotifications(pool, days)
+  .then(async (deleted) => {
+    console.log(`Deleted ${deleted} read notification(s)`);
+    await pool.end();
+  })
+  .catch(async (error) => {
+    console.error('Pruning notifications failed:', error);
+    await pool.end();
+    process.exit(1);
+  });
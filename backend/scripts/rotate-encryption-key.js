@@ -0,0 +1,114 @@
+// Admin command: re-encrypts every encrypted column (finance amounts and
+// two-factor secrets) with the newest configured encryption key (the highest
+// id in ENCRYPTION_KEYS).
+// Rows are processed in batches, each batch in its own transaction, so the
+// command can be interrupted and run again. Remove an old key from
+// ENCRYPTION_KEYS only after this has finished without errors.
+//
+// Usage: npm run rotate:encryption-key -- [--batch-size=500]
+
+const {
+  initializeEncryption,
+  encryptText,
+  decryptText,
+  needsReencryption
+} = require('../utils/encryption');
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// Every column that holds ciphertexts
+const ENCRYPTED_COLUMNS = [
+  { table: 'home_finances', column: 'amount' },
+  { table: 'users', column: 'two_factor_secret' },
+];
+
+async function reencryptColumn(pool, { table, column }, batchSize) {
+  let lastId = 0;
+  let reencrypted = 0;
+  let failed = 0;
+
+  while (true) {
+    const [rows] = await pool.query(
+      `SELECT id, ${column} AS value FROM ${table} WHERE id > ? AND ${column} IS NOT NULL ORDER BY id LIMIT ?`,
+      [lastId, batchSize]
+    );
+    if (rows.length === 0) {
+      break;
+    }
+    lastId = rows[rows.length - 1].id;
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      for (const row of rows) {
+        if (!needsReencryption(row.value)) {
+          continue;
+        }
+
+        let plainText;
+        try {
+          plainText = decryptText(row.value);
+        } catch (error) {
+          console.error(`Skipping ${table} ${row.id}: ${error.message}`);
+          failed++;
+          continue;
+        }
+
+        // Compare against the old ciphertext so a concurrent write is never overwritten
+        const [result] = await connection.query(
+          `UPDATE ${table} SET ${column} = ? WHERE id = ? AND ${column} = ?`,
+          [encryptText(plainText), row.id, row.value]
+        );
+        reencrypted += result.affectedRows;
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    console.log(`Processed ${table} rows up to id ${lastId} (${reencrypted} re-encrypted so far)`);
+  }
+
+  return { reencrypted, failed };
+}
+
+async function reencryptAll(pool, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  const currentKeyId = initializeEncryption();
+  console.log(`Re-encrypting data with key ${currentKeyId} (batch size ${batchSize})...`);
+
+  const totals = { reencrypted: 0, failed: 0 };
+  for (const target of ENCRYPTED_COLUMNS) {
+    const { reencrypted, failed } = await reencryptColumn(pool, target, batchSize);
+    totals.reencrypted += reencrypted;
+    totals.failed += failed;
+  }
+  return totals;
+}
+
+module.exports = { reencryptAll };
+
+if (require.main === module) {
+  const { pool } = require('../db');
+
+  const batchArg = process.argv.find(arg => arg.startsWith('--batch-size='));
+  const batchSize = batchArg ? parseInt(batchArg.split('=')[1], 10) : DEFAULT_BATCH_SIZE;
+  if (isNaN(batchSize) || batchSize < 1) {
+    console.error('--batch-size must be a positive integer');
+    process.exit(1);
+  }
+
+  reencryptAll(pool, { batchSize })
+    .then(async ({ reencrypted, failed }) => {
+      console.log(`Key rotation finished: ${reencrypted} row(s) re-encrypted, ${failed} failed`);
+      await pool.end();
+      process.exit(failed > 0 ? 1 : 0);
+    })
+    .catch(async (error) => {
+      console.error('Key rotation failed:', error);
+      await pool.end();
+      process.exit(1);
+    });
+}
@@ -1,295 +1,189 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const mysql = require('mysql2/promise');
-const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
-const { authenticateToken, JWT_SECRET } = require('./middleware/auth');
+const { pool, createDatabaseIfMissing } = require('./db');
+const { authenticateToken, acceptQueryToken } = require('./middleware/auth');
+const { rateLimit, sendTooManyRequests, byIp, byUser, byBodyEmail } = require('./middleware/rateLimit');
 const { hashPassword, comparePassword, generateUsername } = require('./utils/auth');
-
-// Amount obfuscation constant - multiply before storing, divide when reading
-// Using prime number 1009 for obfuscation
-const AMOUNT_OBFUSCATION_FACTOR = 1009;
+const {
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+} = require('./utils/sessions');
+const { createAccountToken, consumeAccountToken } = require('./utils/accountTokens');
+const { sendMail } = require('./utils/mailer');
+const { getLoginLockout, recordFailedLogin, clearFailedLogins } = require('./utils/loginLockout');
+const { getOwnedHomes, deleteAccount } = require('./utils/accountDeletion');
+const { removeMembership, transferOwnership, notifyHome } = require('./utils/homeMembership');
+const {
+  getPreferences,
+  updatePreferences,
+  createNotification,
+  publishNotifications,
+  notify,
+  scheduleNotificationRetention,
+} = require('./utils/notifications');
+const { scheduleNotificationDigest } = require('./utils/notificationDigest');
+const { MAX_ALERT_DAYS, getExpiringItems, scheduleExpiryAlerts } = require('./utils/expiryAlerts');
+const { readAmount, readQuantity } = require('./utils/quantities');
+const {
+  consumeItem,
+  addToShoppingListIfLow,
+  publishShoppingListAddition,
+  restockIfLow,
+  previewRestock,
+  restockFromList,
+} = require('./utils/inventory');
+const {
+  MAX_CATEGORY_NAME_LENGTH,
+  MAX_LOCATION_NAME_LENGTH,
+  ITEM_SELECT,
+  getItem,
+  seedDefaultCategories,
+  readName,
+  readIcon,
+  resolveCategory,
+  resolveLocation,
+} = require('./utils/itemCatalog');
+const {
+  MAX_AISLE_NAME_LENGTH,
+  getListItems,
+  getListItem,
+  findShoppingList,
+  readStore,
+  readPrice,
+  readAssignee,
+  resolveAisle,
+  recordShoppingExpense,
+  readListName,
+  readWeekday,
+  readTemplateItems,
+  getTemplates,
+  getTemplate,
+  setTemplateItems,
+  getListItemsForTemplate,
+  createListFromTemplate,
+  duplicateList,
+  scheduleListTemplates,
+} = require('./utils/shoppingLists');
+const webPush = require('./utils/webPush');
+const realtime = require('./utils/realtime');
+const {
+  MEMBER_ROLES,
+  hasHomePermission,
+  getHomePermissions,
+  canAssignRole,
+  requireHomePermission,
+} = require('./middleware/homePermissions');
+const {
+  startTwoFactorSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  replaceRecoveryCodes,
+  countUnusedRecoveryCodes,
+  createLoginChallenge,
+  verifyLoginChallenge,
+} = require('./utils/twoFactor');
+const { initializeEncryption, encryptAmount, decryptAmount } = require('./utils/encryption');
+const {
+  checkVisibleUsers,
+  createFinance,
+  findVisibleFinance,
+  deleteFinance,
+  getFinance,
+  getScheduledFinances,
+  readMonth,
+  readReportRange,
+  getFinanceReport,
+} = require('./utils/finances');
+const { formatMonth, getOccurrences, sumOccurrences, getScheduleFilter } = require('./utils/financeSchedule');
+const {
+  readBudget,
+  getBudgets,
+  getBudget,
+  getBudgetReport,
+  checkBudgetAlerts,
+  scheduleBudgetAlerts,
+} = require('./utils/budgets');
+const { migrate } = require('./utils/migrator');
+
+// Refuse to start without a usable encryption key - finance data would be unreadable
+try {
+  const currentKeyId = initializeEncryption();
+  console.log(`Finance encryption ready (current key id ${currentKeyId})`);
+} catch (error) {
+  console.error('Invalid encryption configuration:', error.message);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Proxies in front of the backend whose X-Forwarded-For is trusted, so that req.ip
+// (and the per-IP rate limits) see the client rather than the proxy. 'true' or
+// 'false', a hop count, or addresses/subnets such as 'loopback, 10.0.0.0/8'.
+// Unset, no proxy is trusted.
+const readTrustProxy = (value) => {
+  if (value === undefined || value.trim() === '') {
+    return false;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10);
+  }
+  return value;
+};
+app.set('trust proxy', readTrustProxy(process.env.TRUST_PROXY));
+
+// Web UI base URL, used for links in emails
+const APP_URL = process.env.APP_URL || 'http://localhost:8080';
+const MIN_PASSWORD_LENGTH = 6;
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// MySQL Connection Pool
-const pool = mysql.createPool({
-  host: process.env.DB_HOST || 'mysql',
-  user: process.env.DB_USER || 'root',
-  password: process.env.DB_PASSWORD || 'rootpassword',
-  database: process.env.DB_NAME || 'homehub',
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
-});
-
-// Initialize database
+// Rate limiters - every limiter has its own budget, per IP and per account
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const loginIpLimiter = rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 30, keyGenerator: byIp });
+const loginAccountLimiter = rateLimit({ name: 'login-account', windowMs: 15 * MINUTE, max: 10, keyGenerator: byBodyEmail });
+const twoFactorLoginIpLimiter = rateLimit({ name: 'two-factor-login-ip', windowMs: 15 * MINUTE, max: 30, keyGenerator: byIp });
+const twoFactorUserLimiter = rateLimit({ name: 'two-factor-user', windowMs: 15 * MINUTE, max: 10, keyGenerator: byUser });
+const signupIpLimiter = rateLimit({ name: 'signup-ip', windowMs: HOUR, max: 10, keyGenerator: byIp });
+const passwordResetIpLimiter = rateLimit({ name: 'password-reset-ip', windowMs: HOUR, max: 10, keyGenerator: byIp });
+const passwordResetAccountLimiter = rateLimit({ name: 'password-reset-account', windowMs: HOUR, max: 3, keyGenerator: byBodyEmail });
+const verificationEmailLimiter = rateLimit({ name: 'verification-email', windowMs: HOUR, max: 5, keyGenerator: byUser });
+const familyRequestIpLimiter = rateLimit({ name: 'family-request-ip', windowMs: HOUR, max: 60, keyGenerator: byIp });
+const passwordCheckLimiter = rateLimit({ name: 'password-check', windowMs: 15 * MINUTE, max: 10, keyGenerator: byUser });
+const familyRequestUserLimiter = rateLimit({ name: 'family-request-user', windowMs: HOUR, max: 20, keyGenerator: byUser });
+
+// Initialize database: create it if needed and apply pending schema migrations
 async function initializeDatabase() {
-  try {
-    // Create database if it doesn't exist
-    const connection = await mysql.createConnection({
-      host: process.env.DB_HOST || 'mysql',
-      user: process.env.DB_USER || 'root',
-      password: process.env.DB_PASSWORD || 'rootpassword',
-    });
-
-    await connection.query(`CREATE DATABASE IF NOT EXISTS ${process.env.DB_NAME || 'homehub'}`);
-    await connection.end();
-
-    // Create users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        username VARCHAR(50) UNIQUE NOT NULL,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        first_name VARCHAR(100) NOT NULL,
-        last_name VARCHAR(100) NOT NULL,
-        phone_number VARCHAR(20),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create homes table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS homes (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        user_id INT NOT NULL,
-        name VARCHAR(255) NOT NULL,
-        address TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Update existing homes table to make address NOT NULL if it exists
-    try {
-      await pool.query(`ALTER TABLE homes MODIFY address TEXT NOT NULL`);
-    } catch (error) {
-      // Table might not exist or already updated, ignore
-    }
-
-    // Create home_members table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS home_members (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        home_id INT NOT NULL,
-        user_id INT NOT NULL,
-        status ENUM('pending', 'accepted') DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        UNIQUE KEY unique_home_member (home_id, user_id)
-      )
-    `);
-
-    // Create families table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS families (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        requester_id INT NOT NULL,
-        recipient_id INT NOT NULL,
-        status ENUM('pending', 'accepted') DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (requester_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE CASCADE,
-        UNIQUE KEY unique_family (requester_id, recipient_id)
-      )
-    `);
-
-    // Create notifications table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS notifications (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        user_id INT NOT NULL,
-        type VARCHAR(50) NOT NULL,
-        title VARCHAR(255) NOT NULL,
-        message TEXT NOT NULL,
-        related_id INT,
-        home_id INT,
-        is_read BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Add home_id column if it doesn't exist (for existing tables)
-    try {
-      await pool.query(`ALTER TABLE notifications ADD COLUMN home_id INT, ADD FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE`);
-    } catch (error) {
-      // Column might already exist, ignore
-    }
-
-    // Create shopping_lists table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS shopping_lists (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        home_id INT NOT NULL,
-        name VARCHAR(255) NOT NULL,
-        status ENUM('active', 'completed') DEFAULT 'active',
-        created_by INT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
-        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create shopping_list_items table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS shopping_list_items (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        list_id INT NOT NULL,
-        name VARCHAR(255) NOT NULL,
-        quantity VARCHAR(100),
-        completed BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (list_id) REFERENCES shopping_lists(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create home_items table (inventory)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS home_items (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        home_id INT NOT NULL,
-        name VARCHAR(255) NOT NULL,
-        category ENUM('fridge', 'pantry', 'storage') NOT NULL,
-        quantity VARCHAR(100),
-        location VARCHAR(255),
-        expiry_date DATE,
-        notes TEXT,
-        created_by INT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
-        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create home_finances table (income & expenses)
-    // Note: amount is stored as DECIMAL but obfuscated (multiplied by AMOUNT_OBFUSCATION_FACTOR)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS home_finances (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        home_id INT NOT NULL,
-        type ENUM('income', 'expense') NOT NULL,
-        category VARCHAR(100) NOT NULL,
-        amount DECIMAL(15, 2) NOT NULL,
-        description TEXT,
-        transaction_date DATE NOT NULL,
-        is_recurring BOOLEAN DEFAULT FALSE,
-        created_by INT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
-        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Migrate existing amount column from DECIMAL to TEXT if needed
+  // MySQL may still be starting up, so keep retrying until it accepts connections
+  while (true) {
     try {
-      const [columns] = await pool.query(`
-        SELECT DATA_TYPE 
-        FROM INFORMATION_SCHEMA.COLUMNS 
-        WHERE TABLE_SCHEMA = DATABASE() 
-        AND TABLE_NAME = 'home_finances' 
-        AND COLUMN_NAME = 'amount'
-      `);
-      
-      if (columns.length > 0 && columns[0].DATA_TYPE === 'text') {
-        console.log('Migrating amount column from TEXT to DECIMAL for obfuscation...');
-        // For existing encrypted values, we'll need to handle them
-        // For now, set default to 0 and let users re-enter if needed
-        await pool.query(`
-          ALTER TABLE home_finances 
-          MODIFY COLUMN amount DECIMAL(15, 2) NOT NULL DEFAULT 0
-        `);
-        console.log('Amount column migrated successfully');
-      }
-    } catch (error) {
-      // Column might not exist yet or already migrated, ignore error
-      console.log('Amount column migration check:', error.message);
-    }
-
-    // Create home_finance_visibility table (controls which members can see each finance entry)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS home_finance_visibility (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        finance_id INT NOT NULL,
-        user_id INT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (finance_id) REFERENCES home_finances(id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        UNIQUE KEY unique_finance_user (finance_id, user_id)
-      )
-    `);
-
-    // Add due_date and payment_months columns to home_finances table if they don't exist
-    try {
-      const [dueDateColumn] = await pool.query(`
-        SELECT COLUMN_NAME 
-        FROM INFORMATION_SCHEMA.COLUMNS 
-        WHERE TABLE_SCHEMA = DATABASE() 
-        AND TABLE_NAME = 'home_finances' 
-        AND COLUMN_NAME = 'due_date'
-      `);
-      
-      if (dueDateColumn.length === 0) {
-        await pool.query(`
-          ALTER TABLE home_finances 
-          ADD COLUMN due_date DATE NULL
-        `);
-        console.log('Added due_date column to home_finances table');
-      }
-    } catch (error) {
-      console.log('Due date column migration check:', error.message);
-    }
-
-    try {
-      const [paymentMonthsColumn] = await pool.query(`
-        SELECT COLUMN_NAME 
-        FROM INFORMATION_SCHEMA.COLUMNS 
-        WHERE TABLE_SCHEMA = DATABASE() 
-        AND TABLE_NAME = 'home_finances' 
-        AND COLUMN_NAME = 'payment_months'
-      `);
-      
-      if (paymentMonthsColumn.length === 0) {
-        await pool.query(`
-          ALTER TABLE home_finances 
-          ADD COLUMN payment_months INT NULL
-        `);
-        console.log('Added payment_months column to home_finances table');
-      }
+      await createDatabaseIfMissing();
+      break;
     } catch (error) {
-      console.log('Payment months column migration check:', error.message);
+      console.error('Database not reachable, retrying in 5 seconds:', error.message);
+      await new Promise(resolve => setTimeout(resolve, 5000));
     }
-
-    console.log('Database initialized successfully');
-  } catch (error) {
-    console.error('Error initializing database:', error);
-    // Retry after 5 seconds
-    setTimeout(initializeDatabase, 5000);
   }
-}
 
-// Initialize database on startup
-initializeDatabase();
+  const applied = await migrate(pool);
+  console.log(`Database initialized successfully (${applied.length} migration(s) applied)`);
+}
 
 // Routes
 
@@ -301,7 +195,7 @@ app.get('/health', (req, res) => {
 // Authentication Routes
 
 // Signup
-app.post('/api/auth/signup', async (req, res) => {
+app.post('/api/auth/signup', signupIpLimiter, async (req, res) => {
   try {
     const { firstName, lastName, email, password, phoneNumber } = req.body;
 
@@ -350,22 +244,26 @@ app.post('/api/auth/signup', async (req, res) => {
       [username, email, hashedPassword, firstName, lastName, phoneNumber || null]
     );
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: result.insertId, email, username },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
     // Get user data (without password)
     const [userRows] = await pool.query(
-      'SELECT id, username, email, first_name, last_name, phone_number, created_at FROM users WHERE id = ?',
+      'SELECT id, username, email, email_verified_at, first_name, last_name, phone_number, created_at FROM users WHERE id = ?',
       [result.insertId]
     );
 
+    // A failed email must not fail the signup - the user can request a new link
+    try {
+      await sendVerificationEmail(userRows[0]);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
+
+    // Start a session (short-lived access token + refresh token)
+    const { token, refreshToken } = await createSession(userRows[0], req);
+
     res.status(201).json({
       message: 'User created successfully',
       token,
+      refreshToken,
       user: userRows[0],
     });
   } catch (error) {
@@ -375,7 +273,7 @@ app.post('/api/auth/signup', async (req, res) => {
 });
 
 // Login
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', loginIpLimiter, loginAccountLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -384,9 +282,16 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
+    // Temporarily locked after too many failed attempts
+    const lockedUntil = await getLoginLockout(email);
+    if (lockedUntil) {
+      return sendTooManyRequests(res, lockedUntil, 'Too many failed login attempts. Please try again later.');
+    }
+
     // Find user by email
     const [users] = await pool.query('SELECT * FROM users WHERE email = ?', [email]);
     if (users.length === 0) {
+      await recordFailedLogin(email);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
@@ -395,22 +300,36 @@ app.post('/api/auth/login', async (req, res) => {
     // Verify password
     const isPasswordValid = await comparePassword(password, user.password);
     if (!isPasswordValid) {
+      await recordFailedLogin(email);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, username: user.username },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // With 2FA on, the password only earns a challenge for the second step
+    if (user.two_factor_enabled_at) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user.id),
+      });
+    }
 
-    // Return user data (without password)
-    const { password: _, ...userWithoutPassword } = user;
+    await clearFailedLogins(email);
+
+    // Start a session (short-lived access token + refresh token)
+    const { token, refreshToken } = await createSession(user, req);
+
+    // Return user data (without password and 2FA secrets)
+    const {
+      password: _,
+      two_factor_secret: __,
+      two_factor_last_step: ___,
+      ...userWithoutPassword
+    } = user;
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: userWithoutPassword,
     });
   } catch (error) {
@@ -419,847 +338,2422 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
-// Get current user profile
-app.get('/api/auth/me', authenticateToken, async (req, res) => {
+// Second login step for accounts with 2FA: exchange the challenge and a code for a session
+app.post('/api/auth/login/2fa', twoFactorLoginIpLimiter, async (req, res) => {
   try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
+
+    const userId = verifyLoginChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please sign in again.' });
+    }
+
     const [users] = await pool.query(
-      'SELECT id, username, email, first_name, last_name, phone_number, created_at FROM users WHERE id = ?',
-      [req.user.userId]
+      'SELECT id, username, email, email_verified_at, two_factor_enabled_at, first_name, last_name, phone_number, created_at FROM users WHERE id = ?',
+      [userId]
     );
-
     if (users.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please sign in again.' });
     }
+    const user = users[0];
 
-    res.json(users[0]);
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockedUntil = await getLoginLockout(user.email);
+    if (lockedUntil) {
+      return sendTooManyRequests(res, lockedUntil, 'Too many failed login attempts. Please try again later.');
+    }
+
+    const method = await verifySecondFactor(user.id, code);
+    if (!method) {
+      await recordFailedLogin(user.email);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await clearFailedLogins(user.email);
+
+    // Start a session (short-lived access token + refresh token)
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user,
+      recoveryCodesRemaining: method === 'recovery_code' ? await countUnusedRecoveryCodes(user.id) : undefined,
+    });
   } catch (error) {
-    console.error('Error fetching user profile:', error);
-    res.status(500).json({ error: 'Failed to fetch user profile' });
+    console.error('Error during two-factor login:', error);
+    res.status(500).json({ error: 'Failed to login' });
   }
 });
 
-// Homes Routes (Protected)
-
-// Get all homes for authenticated user (owned or member)
-app.get('/api/homes', authenticateToken, async (req, res) => {
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const [rows] = await pool.query(
-      `SELECT DISTINCT h.* 
-       FROM homes h
-       LEFT JOIN home_members hm ON h.id = hm.home_id AND hm.user_id = ? AND hm.status = 'accepted'
-       WHERE h.user_id = ? OR (hm.user_id = ? AND hm.status = 'accepted')
-       ORDER BY h.created_at DESC`,
-      [req.user.userId, req.user.userId, req.user.userId]
-    );
-    res.json(rows);
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await rotateSession(refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(tokens);
   } catch (error) {
-    console.error('Error fetching homes:', error);
-    res.status(500).json({ error: 'Failed to fetch homes' });
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
   }
 });
 
-// Create a new home
-app.post('/api/homes', authenticateToken, async (req, res) => {
+// Logout (revokes the session the refresh token belongs to)
+app.post('/api/auth/logout', async (req, res) => {
   try {
-    const { name, address } = req.body;
-    if (!name) {
-      return res.status(400).json({ error: 'Home name is required' });
-    }
-    if (!address) {
-      return res.status(400).json({ error: 'Address is required' });
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
     }
 
-    const [result] = await pool.query(
-      'INSERT INTO homes (user_id, name, address) VALUES (?, ?, ?)',
-      [req.user.userId, name, address]
-    );
+    // Unknown or already revoked tokens are fine - the client is logged out either way
+    await revokeSessionByRefreshToken(refreshToken);
 
-    const [rows] = await pool.query('SELECT * FROM homes WHERE id = ?', [result.insertId]);
-    res.status(201).json(rows[0]);
+    res.json({ message: 'Logged out successfully' });
   } catch (error) {
-    console.error('Error creating home:', error);
-    res.status(500).json({ error: 'Failed to create home' });
+    console.error('Error during logout:', error);
+    res.status(500).json({ error: 'Failed to logout' });
   }
 });
 
-// Update a home
-app.put('/api/homes/:id', authenticateToken, async (req, res) => {
+// Get active sessions of the current user
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
   try {
-    const { name, address } = req.body;
-    const updates = [];
-    const values = [];
+    const sessions = await listSessions(req.user.userId);
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.user.sessionId,
+    })));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
 
-    if (name !== undefined) {
-      updates.push('name = ?');
-      values.push(name);
-    }
-    if (address !== undefined) {
-      updates.push('address = ?');
-      values.push(address);
-    }
+// Revoke all sessions of the current user ("sign out everywhere")
+app.delete('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.userId);
+    res.json({ message: 'All sessions revoked', revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
 
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
+// Revoke one session of the current user
+app.delete('/api/auth/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.sessionId, req.user.userId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
-    values.push(req.params.id, req.user.userId);
-    const query = `UPDATE homes SET ${updates.join(', ')} WHERE id = ? AND user_id = ?`;
-
-    await pool.query(query, values);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
 
-    const [rows] = await pool.query(
-      'SELECT * FROM homes WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.userId]
+// Request a new email verification link for the current user
+app.post('/api/auth/verify-email/request', authenticateToken, verificationEmailLimiter, async (req, res) => {
+  try {
+    const [users] = await pool.query(
+      'SELECT id, email, first_name, email_verified_at FROM users WHERE id = ?',
+      [req.user.userId]
     );
-    if (rows.length === 0) {
-      return res.status(404).json({ error: 'Home not found' });
+
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (users[0].email_verified_at) {
+      return res.status(400).json({ error: 'Email is already verified' });
     }
 
-    res.json(rows[0]);
+    await sendVerificationEmail(users[0]);
+
+    res.json({ message: 'Verification email sent' });
   } catch (error) {
-    console.error('Error updating home:', error);
-    res.status(500).json({ error: 'Failed to update home' });
+    console.error('Error sending verification email:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
   }
 });
 
-// Delete a home
-app.delete('/api/homes/:id', authenticateToken, async (req, res) => {
+// Verify email with the token from the verification link
+app.post('/api/auth/verify-email', async (req, res) => {
   try {
-    // Check if user is owner
-    const [homeCheck] = await pool.query(
-      'SELECT user_id FROM homes WHERE id = ?',
-      [req.params.id]
-    );
-    if (homeCheck.length === 0) {
-      return res.status(404).json({ error: 'Home not found' });
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
     }
-    if (homeCheck[0].user_id !== req.user.userId) {
-      return res.status(403).json({ error: 'Only the owner can delete this home' });
+
+    const userId = await consumeAccountToken(token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
     }
 
-    const [result] = await pool.query(
-      'DELETE FROM homes WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.userId]
+    await pool.query(
+      'UPDATE users SET email_verified_at = NOW() WHERE id = ? AND email_verified_at IS NULL',
+      [userId]
     );
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Home not found' });
-    }
-    res.json({ message: 'Home deleted successfully' });
+
+    res.json({ message: 'Email verified successfully' });
   } catch (error) {
-    console.error('Error deleting home:', error);
-    res.status(500).json({ error: 'Failed to delete home' });
+    console.error('Error verifying email:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
   }
 });
 
-// Home Members Routes
-
-// Get all members of a home
-app.get('/api/homes/:id/members', authenticateToken, async (req, res) => {
+// Request a password reset link
+app.post('/api/auth/password-reset/request', passwordResetIpLimiter, passwordResetAccountLimiter, async (req, res) => {
   try {
-    // Check if user is owner or member
-    const [homeCheck] = await pool.query(
-      `SELECT h.user_id, hm.status as member_status
-       FROM homes h
-       LEFT JOIN home_members hm ON h.id = hm.home_id AND hm.user_id = ?
-       WHERE h.id = ? AND (h.user_id = ? OR (hm.user_id = ? AND hm.status = 'accepted'))`,
-      [req.user.userId, req.params.id, req.user.userId, req.user.userId]
-    );
-    if (homeCheck.length === 0) {
-      return res.status(404).json({ error: 'Home not found or access denied' });
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
     }
 
-    // Get members (accepted home members)
-    const [members] = await pool.query(
-      `SELECT hm.*, u.username, u.first_name, u.last_name, u.email, 'member' as role
-       FROM home_members hm
-       JOIN users u ON hm.user_id = u.id
-       WHERE hm.home_id = ? AND hm.status = 'accepted'
-       ORDER BY hm.created_at DESC`,
-      [req.params.id]
-    );
-
-    // Get owner information
-    const [owner] = await pool.query(
-      `SELECT u.id as user_id, u.username, u.first_name, u.last_name, u.email, 'owner' as role
-       FROM homes h
-       JOIN users u ON h.user_id = u.id
-       WHERE h.id = ?`,
-      [req.params.id]
-    );
-
-    // Combine owner and members, with owner first
-    const allMembers = owner.length > 0 ? [owner[0], ...members] : members;
+    const [users] = await pool.query('SELECT id, email, first_name FROM users WHERE email = ?', [email]);
+    if (users.length > 0) {
+      // Not awaited: neither a failed email nor the time it takes to send may
+      // tell registered emails from unknown ones
+      sendPasswordResetEmail(users[0])
+        .catch(error => console.error('Error sending password reset email:', error));
+    }
 
-    res.json(allMembers);
+    // Same answer whether or not the email is registered, so accounts cannot be discovered
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
   } catch (error) {
-    console.error('Error fetching home members:', error);
-    res.status(500).json({ error: 'Failed to fetch home members' });
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
   }
 });
 
-// Add a family member to a home
-app.post('/api/homes/:id/members', authenticateToken, async (req, res) => {
+// Set a new password with the token from the reset link
+app.post('/api/auth/password-reset', async (req, res) => {
   try {
-    const { userId } = req.body;
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
     }
-
-    // Check if user is owner of the home
-    const [homeCheck] = await pool.query(
-      'SELECT user_id FROM homes WHERE id = ?',
-      [req.params.id]
-    );
-    if (homeCheck.length === 0) {
-      return res.status(404).json({ error: 'Home not found' });
+    if (typeof token !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Token and password must be strings' });
     }
-    if (homeCheck[0].user_id !== req.user.userId) {
-      return res.status(403).json({ error: 'Only the owner can add members' });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
     }
 
-    if (userId === req.user.userId) {
-      return res.status(400).json({ error: 'Cannot add yourself as a member' });
+    const userId = await consumeAccountToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired password reset link' });
     }
 
-    // Check if they are family
-    const [familyCheck] = await pool.query(
-      `SELECT * FROM families 
-       WHERE ((requester_id = ? AND recipient_id = ?) OR (requester_id = ? AND recipient_id = ?))
-       AND status = 'accepted'`,
-      [req.user.userId, userId, userId, req.user.userId]
+    const hashedPassword = await hashPassword(password);
+    // The reset link arrived by email, which also proves ownership of the address
+    await pool.query(
+      'UPDATE users SET password = ?, email_verified_at = IFNULL(email_verified_at, NOW()) WHERE id = ?',
+      [hashedPassword, userId]
     );
-    if (familyCheck.length === 0) {
-      return res.status(400).json({ error: 'User must be a family member' });
+
+    // Sign out every existing session - whoever knew the old password is locked out
+    await revokeAllSessions(userId);
+
+    res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Get the 2FA state of the current user
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+  try {
+    const [users] = await pool.query('SELECT two_factor_enabled_at FROM users WHERE id = ?', [req.user.userId]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    // Check if already a member or pending
-    const [existing] = await pool.query(
-      'SELECT * FROM home_members WHERE home_id = ? AND user_id = ?',
-      [req.params.id, userId]
-    );
-    if (existing.length > 0) {
-      return res.status(400).json({ error: 'User is already a member or has a pending request' });
+    const enabledAt = users[0].two_factor_enabled_at;
+    res.json({
+      enabled: !!enabledAt,
+      enabledAt,
+      recoveryCodesRemaining: enabledAt ? await countUnusedRecoveryCodes(req.user.userId) : 0,
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start 2FA enrollment - returns the secret for the authenticator app
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const setup = await startTwoFactorSetup(req.user.userId);
+    if (!setup) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
     }
 
-    // Get home name for notification
-    const [home] = await pool.query('SELECT name FROM homes WHERE id = ?', [req.params.id]);
-    const homeName = home[0].name;
+    res.json(setup);
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
 
-    // Create home member request
-    const [result] = await pool.query(
-      'INSERT INTO home_members (home_id, user_id, status) VALUES (?, ?, ?)',
-      [req.params.id, userId, 'pending']
-    );
+// Finish 2FA enrollment with a code from the authenticator app
+app.post('/api/auth/2fa/enable', authenticateToken, twoFactorUserLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
 
-    // Create notification for the user
-    await pool.query(
-      'INSERT INTO notifications (user_id, type, title, message, related_id, home_id) VALUES (?, ?, ?, ?, ?, ?)',
-      [userId, 'home_member_request', 'Home Member Request', `${req.user.username} invited you to join "${homeName}"`, result.insertId, req.params.id]
-    );
+    const recoveryCodes = await enableTwoFactor(req.user.userId, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid code, or two-factor setup was not started' });
+    }
 
-    res.status(201).json({ message: 'Home member request sent successfully' });
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+    });
   } catch (error) {
-    console.error('Error adding home member:', error);
-    res.status(500).json({ error: 'Failed to add home member' });
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
   }
 });
 
-// Accept home member request
-app.put('/api/homes/:id/members/:memberId/accept', authenticateToken, async (req, res) => {
+// Turn 2FA off - needs the password and a current code (or a recovery code)
+app.post('/api/auth/2fa/disable', authenticateToken, twoFactorUserLimiter, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (!password || !code) {
+      return res.status(400).json({ error: 'Password and code are required' });
+    }
+
+    const [users] = await pool.query('SELECT password FROM users WHERE id = ?', [req.user.userId]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isPasswordValid = await comparePassword(password, users[0].password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    if (!(await verifySecondFactor(req.user.userId, code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await disableTwoFactor(req.user.userId);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes (the old ones stop working)
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, twoFactorUserLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    if (!(await verifySecondFactor(req.user.userId, code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.userId);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// Get current user profile
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+  try {
+    const [users] = await pool.query(
+      'SELECT id, username, email, email_verified_at, two_factor_enabled_at, first_name, last_name, phone_number, created_at FROM users WHERE id = ?',
+      [req.user.userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(users[0]);
+  } catch (error) {
+    console.error('Error fetching user profile:', error);
+    res.status(500).json({ error: 'Failed to fetch user profile' });
+  }
+});
+
+// Update the current user's name and phone number.
+// PUT replaces the whole profile, PATCH only changes the fields that are sent.
+const updateProfile = (partial) => async (req, res) => {
+  try {
+    const fields = {
+      first_name: req.body.firstName,
+      last_name: req.body.lastName,
+      phone_number: req.body.phoneNumber,
+    };
+
+    if (!partial) {
+      if (!fields.first_name || !fields.last_name) {
+        return res.status(400).json({ error: 'First name and last name are required' });
+      }
+      fields.phone_number = fields.phone_number || null;
+    }
+
+    const updates = {};
+    for (const [column, value] of Object.entries(fields)) {
+      if (value === undefined) {
+        continue;
+      }
+      if (value !== null && typeof value !== 'string') {
+        return res.status(400).json({ error: 'Profile fields must be strings' });
+      }
+      updates[column] = value === null ? null : value.trim();
+    }
+
+    if (updates.first_name === '' || updates.last_name === '') {
+      return res.status(400).json({ error: 'First name and last name cannot be empty' });
+    }
+    if (updates.first_name === null || updates.last_name === null) {
+      return res.status(400).json({ error: 'First name and last name cannot be removed' });
+    }
+    if ((updates.first_name && updates.first_name.length > 100) || (updates.last_name && updates.last_name.length > 100)) {
+      return res.status(400).json({ error: 'Names must be at most 100 characters' });
+    }
+    if (updates.phone_number !== undefined) {
+      updates.phone_number = updates.phone_number || null;
+      if (updates.phone_number && updates.phone_number.length > 20) {
+        return res.status(400).json({ error: 'Phone number must be at most 20 characters' });
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No profile fields to update' });
+    }
+
+    await pool.query('UPDATE users SET ? WHERE id = ?', [updates, req.user.userId]);
+
+    const [users] = await pool.query(
+      'SELECT id, username, email, email_verified_at, two_factor_enabled_at, first_name, last_name, phone_number, created_at FROM users WHERE id = ?',
+      [req.user.userId]
+    );
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(users[0]);
+  } catch (error) {
+    console.error('Error updating user profile:', error);
+    res.status(500).json({ error: 'Failed to update user profile' });
+  }
+};
+
+app.put('/api/auth/me', authenticateToken, updateProfile(false));
+app.patch('/api/auth/me', authenticateToken, updateProfile(true));
+
+// Change the password - requires the current one; other sessions are signed out
+app.put('/api/auth/password', authenticateToken, passwordCheckLimiter, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current password and new password are required' });
+    }
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+      return res.status(400).json({ error: 'Passwords must be strings' });
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const [users] = await pool.query('SELECT password FROM users WHERE id = ?', [req.user.userId]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isPasswordValid = await comparePassword(currentPassword, users[0].password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+    await pool.query('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, req.user.userId]);
+
+    // Keep this device signed in, sign out everywhere else
+    await revokeAllSessions(req.user.userId, req.user.sessionId);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Homes the current user owns, with the members they can be transferred to
+app.get('/api/auth/me/owned-homes', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getOwnedHomes(req.user.userId));
+  } catch (error) {
+    console.error('Error fetching owned homes:', error);
+    res.status(500).json({ error: 'Failed to fetch owned homes' });
+  }
+});
+
+// Delete the current user's account.
+// Body: { password, code (with 2FA), homes: [{ homeId, action: 'transfer' | 'delete', newOwnerId }] }
+// Every owned home needs a decision, otherwise 409 lists the homes that still need one.
+app.delete('/api/auth/me', authenticateToken, passwordCheckLimiter, async (req, res) => {
+  try {
+    const { password, code, homes } = req.body;
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Password is required' });
+    }
+
+    const [users] = await pool.query('SELECT password, two_factor_enabled_at FROM users WHERE id = ?', [req.user.userId]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isPasswordValid = await comparePassword(password, users[0].password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    if (users[0].two_factor_enabled_at && !(await verifySecondFactor(req.user.userId, code))) {
+      return res.status(400).json({ error: 'A valid authentication code is required' });
+    }
+
+    await deleteAccount(req.user.userId, req.user.username, homes);
+
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ownedHomes: error.ownedHomes });
+    }
+    console.error('Error deleting account:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// Homes Routes (Protected)
+
+// Get all homes for authenticated user (owned or member)
+app.get('/api/homes', authenticateToken, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT DISTINCT h.*, CASE WHEN h.user_id = ? THEN 'owner' ELSE hm.role END AS user_role
+       FROM homes h
+       LEFT JOIN home_members hm ON h.id = hm.home_id AND hm.user_id = ? AND hm.status = 'accepted'
+       WHERE h.user_id = ? OR (hm.user_id = ? AND hm.status = 'accepted')
+       ORDER BY h.created_at DESC`,
+      [req.user.userId, req.user.userId, req.user.userId, req.user.userId]
+    );
+    res.json(rows.map(home => ({ ...home, permissions: getHomePermissions(home.user_role) })));
+  } catch (error) {
+    console.error('Error fetching homes:', error);
+    res.status(500).json({ error: 'Failed to fetch homes' });
+  }
+});
+
+// Create a new home
+app.post('/api/homes', authenticateToken, async (req, res) => {
+  try {
+    const { name, address } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'Home name is required' });
+    }
+    if (!address) {
+      return res.status(400).json({ error: 'Address is required' });
+    }
+
+    const [result] = await pool.query(
+      'INSERT INTO homes (user_id, name, address) VALUES (?, ?, ?)',
+      [req.user.userId, name, address]
+    );
+    await seedDefaultCategories(pool, result.insertId);
+
+    realtime.joinHome(req.user.userId, result.insertId);
+
+    const [rows] = await pool.query('SELECT * FROM homes WHERE id = ?', [result.insertId]);
+    res.status(201).json(rows[0]);
+  } catch (error) {
+    console.error('Error creating home:', error);
+    res.status(500).json({ error: 'Failed to create home' });
+  }
+});
+
+// Update a home
+app.put('/api/homes/:id', authenticateToken, requireHomePermission('home', 'update'), async (req, res) => {
+  try {
+    const { name, address, expiry_alert_days } = req.body;
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      values.push(name);
+    }
+    if (address !== undefined) {
+      updates.push('address = ?');
+      values.push(address);
+    }
+    if (expiry_alert_days !== undefined) {
+      if (!Number.isInteger(expiry_alert_days) || expiry_alert_days < 0 || expiry_alert_days > MAX_ALERT_DAYS) {
+        return res.status(400).json({ error: `expiry_alert_days must be a whole number from 0 to ${MAX_ALERT_DAYS}` });
+      }
+      updates.push('expiry_alert_days = ?');
+      values.push(expiry_alert_days);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    values.push(req.home.id);
+    const query = `UPDATE homes SET ${updates.join(', ')} WHERE id = ?`;
+
+    await pool.query(query, values);
+
+    const [rows] = await pool.query('SELECT * FROM homes WHERE id = ?', [req.home.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Home not found' });
+    }
+
+    realtime.publishToHome(req.home.id, 'home', { action: 'updated', home: rows[0] });
+    res.json(rows[0]);
+  } catch (error) {
+    console.error('Error updating home:', error);
+    res.status(500).json({ error: 'Failed to update home' });
+  }
+});
+
+// Delete a home
+app.delete('/api/homes/:id', authenticateToken, requireHomePermission('home', 'delete'), async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM homes WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.userId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Home not found' });
+    }
+    realtime.closeHome(req.home.id);
+    res.json({ message: 'Home deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting home:', error);
+    res.status(500).json({ error: 'Failed to delete home' });
+  }
+});
+
+// Home Members Routes
+
+// Get all members of a home
+app.get('/api/homes/:id/members', authenticateToken, requireHomePermission('members', 'read'), async (req, res) => {
+  try {
+    // Get members (accepted home members)
+    const [members] = await pool.query(
+      `SELECT hm.*, u.username, u.first_name, u.last_name, u.email
+       FROM home_members hm
+       JOIN users u ON hm.user_id = u.id
+       WHERE hm.home_id = ? AND hm.status = 'accepted'
+       ORDER BY hm.created_at DESC`,
+      [req.params.id]
+    );
+
+    // Get owner information
+    const [owner] = await pool.query(
+      `SELECT u.id as user_id, u.username, u.first_name, u.last_name, u.email, 'owner' as role
+       FROM homes h
+       JOIN users u ON h.user_id = u.id
+       WHERE h.id = ?`,
+      [req.params.id]
+    );
+
+    // Combine owner and members, with owner first
+    const allMembers = owner.length > 0 ? [owner[0], ...members] : members;
+
+    res.json(allMembers);
+  } catch (error) {
+    console.error('Error fetching home members:', error);
+    res.status(500).json({ error: 'Failed to fetch home members' });
+  }
+});
+
+// Add a family member to a home
+app.post('/api/homes/:id/members', authenticateToken, requireHomePermission('members', 'manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.body.userId, 10);
+    const role = req.body.role || 'member';
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${MEMBER_ROLES.join(', ')}` });
+    }
+    if (!canAssignRole(req.home.role, role)) {
+      return res.status(403).json({ error: `Your role (${req.home.role}) cannot invite members as ${role}` });
+    }
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({ error: 'Cannot add yourself as a member' });
+    }
+
+    // Check if they are family
+    const [familyCheck] = await pool.query(
+      `SELECT * FROM families 
+       WHERE ((requester_id = ? AND recipient_id = ?) OR (requester_id = ? AND recipient_id = ?))
+       AND status = 'accepted'`,
+      [req.user.userId, userId, userId, req.user.userId]
+    );
+    if (familyCheck.length === 0) {
+      return res.status(400).json({ error: 'User must be a family member' });
+    }
+
+    // Check if already a member or pending
+    const [existing] = await pool.query(
+      'SELECT * FROM home_members WHERE home_id = ? AND user_id = ?',
+      [req.params.id, userId]
+    );
+    if (existing.length > 0) {
+      return res.status(400).json({ error: 'User is already a member or has a pending request' });
+    }
+
+    // Get home name for notification
+    const [home] = await pool.query('SELECT name FROM homes WHERE id = ?', [req.params.id]);
+    const homeName = home[0].name;
+
+    // Create home member request
+    const [result] = await pool.query(
+      'INSERT INTO home_members (home_id, user_id, role, status) VALUES (?, ?, ?, ?)',
+      [req.params.id, userId, role, 'pending']
+    );
+
+    // Create notification for the user
+    await notify({
+      userId,
+      type: 'home_member_request',
+      title: 'Home Member Request',
+      message: `${req.user.username} invited you to join "${homeName}"`,
+      relatedId: result.insertId,
+      homeId: req.home.id,
+    });
+
+    res.status(201).json({ message: 'Home member request sent successfully' });
+  } catch (error) {
+    console.error('Error adding home member:', error);
+    res.status(500).json({ error: 'Failed to add home member' });
+  }
+});
+
+// Change the role of a member (pending invitations included)
+app.put('/api/homes/:id/members/:userId/role', authenticateToken, requireHomePermission('members', 'manage'), async (req, res) => {
+  try {
+    const memberUserId = parseInt(req.params.userId, 10);
+    const { role } = req.body;
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${MEMBER_ROLES.join(', ')}` });
+    }
+
+    // The owner is not a home member, so the owner's role cannot be changed here
+    const [members] = await pool.query(
+      'SELECT id, role, status FROM home_members WHERE home_id = ? AND user_id = ?',
+      [req.home.id, memberUserId]
+    );
+    if (members.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Admins manage members and viewers, only the owner promotes or demotes admins
+    if (!canAssignRole(req.home.role, role) || !canAssignRole(req.home.role, members[0].role)) {
+      return res.status(403).json({ error: `Your role (${req.home.role}) cannot make this change` });
+    }
+
+    if (members[0].role !== role) {
+      await pool.query('UPDATE home_members SET role = ? WHERE id = ?', [role, members[0].id]);
+      realtime.publishToHome(req.home.id, 'home-members', { action: 'role_changed', userId: memberUserId, role });
+
+      if (members[0].status === 'accepted') {
+        const [home] = await pool.query('SELECT name FROM homes WHERE id = ?', [req.home.id]);
+        await notify({
+          userId: memberUserId,
+          type: 'home_role_changed',
+          title: 'Home Role Changed',
+          message: `${req.user.username} changed your role in "${home[0].name}" to ${role}`,
+          relatedId: members[0].id,
+          homeId: req.home.id,
+        });
+      }
+    }
+
+    res.json({ message: 'Member role updated', role });
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    res.status(500).json({ error: 'Failed to update member role' });
+  }
+});
+
+// Remove a member from a home (also withdraws a pending invitation)
+app.delete('/api/homes/:id/members/:userId', authenticateToken, requireHomePermission('members', 'manage'), async (req, res) => {
+  try {
+    const memberUserId = parseInt(req.params.userId, 10);
+
+    const [members] = await pool.query(
+      'SELECT id, role, status FROM home_members WHERE home_id = ? AND user_id = ?',
+      [req.home.id, memberUserId]
+    );
+    if (members.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Same rule as role changes: admins cannot remove other admins
+    if (!canAssignRole(req.home.role, members[0].role)) {
+      return res.status(403).json({ error: `Your role (${req.home.role}) cannot remove this member` });
+    }
+
+    await removeMembership(pool, req.home.id, memberUserId);
+    realtime.leaveHome(memberUserId, req.home.id);
+    realtime.publishToHome(req.home.id, 'home-members', { action: 'removed', userId: memberUserId });
+
+    if (members[0].status === 'accepted') {
+      const [home] = await pool.query('SELECT name FROM homes WHERE id = ?', [req.home.id]);
+      await notify({
+        userId: memberUserId,
+        type: 'home_member_removed',
+        title: 'Removed From Home',
+        message: `${req.user.username} removed you from "${home[0].name}"`,
+        relatedId: req.home.id,
+        homeId: req.home.id,
+      });
+    }
+
+    res.json({ message: members[0].status === 'accepted' ? 'Member removed' : 'Invitation withdrawn' });
+  } catch (error) {
+    console.error('Error removing home member:', error);
+    res.status(500).json({ error: 'Failed to remove home member' });
+  }
+});
+
+// Leave a home
+app.post('/api/homes/:id/leave', authenticateToken, requireHomePermission('home', 'read'), async (req, res) => {
+  try {
+    if (req.home.role === 'owner') {
+      return res.status(400).json({ error: 'Transfer ownership to another member before leaving this home' });
+    }
+
+    await removeMembership(pool, req.home.id, req.user.userId);
+    realtime.leaveHome(req.user.userId, req.home.id);
+    realtime.publishToHome(req.home.id, 'home-members', { action: 'left', userId: req.user.userId });
+
+    const [home] = await pool.query('SELECT name FROM homes WHERE id = ?', [req.home.id]);
+    publishNotifications(await notifyHome(pool, req.home.id, [req.user.userId], {
+      type: 'home_member_left',
+      title: 'Member Left Home',
+      message: `${req.user.username} left "${home[0].name}"`,
+      relatedId: req.home.id,
+    }));
+
+    res.json({ message: 'You left the home' });
+  } catch (error) {
+    console.error('Error leaving home:', error);
+    res.status(500).json({ error: 'Failed to leave home' });
+  }
+});
+
+// Transfer ownership of a home to an accepted member; the former owner stays as an admin
+app.post('/api/homes/:id/transfer-ownership', authenticateToken, requireHomePermission('home', 'transfer'), async (req, res) => {
+  const newOwnerId = parseInt(req.body.newOwnerId, 10);
+  if (!newOwnerId) {
+    return res.status(400).json({ error: 'New owner ID is required' });
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const transferred = await transferOwnership(connection, req.home.id, req.user.userId, newOwnerId);
+    if (!transferred) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'The new owner must be an accepted member of this home' });
+    }
+
+    const [home] = await connection.query('SELECT name FROM homes WHERE id = ?', [req.home.id]);
+    const [newOwner] = await connection.query('SELECT username FROM users WHERE id = ?', [newOwnerId]);
+
+    const notifications = await notifyHome(connection, req.home.id, [req.user.userId, newOwnerId], {
+      type: 'home_ownership_transferred',
+      title: 'Home Has a New Owner',
+      message: `${req.user.username} handed "${home[0].name}" over to ${newOwner[0].username}`,
+      relatedId: req.home.id,
+    });
+    notifications.push(await createNotification(connection, {
+      userId: newOwnerId,
+      type: 'home_ownership_transferred',
+      title: 'Home Ownership Transferred',
+      message: `${req.user.username} made you the owner of "${home[0].name}"`,
+      relatedId: req.home.id,
+      homeId: req.home.id,
+    }));
+
+    await connection.commit();
+    publishNotifications(notifications);
+    realtime.publishToHome(req.home.id, 'home-members', { action: 'ownership_transferred', userId: newOwnerId });
+    res.json({ message: 'Ownership transferred', user_role: 'admin', permissions: getHomePermissions('admin') });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Error transferring home ownership:', error);
+    res.status(500).json({ error: 'Failed to transfer home ownership' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Accept home member request
+app.put('/api/homes/:id/members/:memberId/accept', authenticateToken, async (req, res) => {
+  try {
+    const memberId = req.params.memberId;
+    const homeId = req.params.id;
+
+    // Check if user is the recipient
+    const [memberCheck] = await pool.query(
+      'SELECT * FROM home_members WHERE id = ? AND home_id = ? AND user_id = ? AND status = ?',
+      [memberId, homeId, req.user.userId, 'pending']
+    );
+    if (memberCheck.length === 0) {
+      return res.status(404).json({ error: 'Member request not found' });
+    }
+
+    // Update status to accepted
+    await pool.query(
+      'UPDATE home_members SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      ['accepted', memberId]
+    );
+
+    // Get home and requester info for notification
+    const [home] = await pool.query('SELECT name, user_id FROM homes WHERE id = ?', [homeId]);
+    const [requester] = await pool.query('SELECT username FROM users WHERE id = ?', [home[0].user_id]);
+
+    realtime.joinHome(req.user.userId, homeId);
+    realtime.publishToHome(homeId, 'home-members', { action: 'joined', userId: req.user.userId });
+
+    // Create notification for home owner
+    await notify({
+      userId: home[0].user_id,
+      type: 'home_member_accepted',
+      title: 'Home Member Accepted',
+      message: `${req.user.username} accepted your invitation to join "${home[0].name}"`,
+      relatedId: parseInt(memberId, 10),
+      homeId: parseInt(homeId, 10),
+    });
+
+    res.json({ message: 'Home member request accepted' });
+  } catch (error) {
+    console.error('Error accepting home member request:', error);
+    res.status(500).json({ error: 'Failed to accept home member request' });
+  }
+});
+
+// Reject home member request
+app.put('/api/homes/:id/members/:memberId/reject', authenticateToken, async (req, res) => {
   try {
     const memberId = req.params.memberId;
     const homeId = req.params.id;
 
-    // Check if user is the recipient
-    const [memberCheck] = await pool.query(
-      'SELECT * FROM home_members WHERE id = ? AND home_id = ? AND user_id = ? AND status = ?',
-      [memberId, homeId, req.user.userId, 'pending']
+    const [result] = await pool.query(
+      'DELETE FROM home_members WHERE id = ? AND home_id = ? AND user_id = ? AND status = ?',
+      [memberId, homeId, req.user.userId, 'pending']
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Member request not found' });
+    }
+
+    res.json({ message: 'Home member request rejected' });
+  } catch (error) {
+    console.error('Error rejecting home member request:', error);
+    res.status(500).json({ error: 'Failed to reject home member request' });
+  }
+});
+
+// Families Routes (Protected)
+
+// Get all families for authenticated user
+app.get('/api/families', authenticateToken, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT f.*, 
+        u1.username as requester_username, u1.first_name as requester_first_name, u1.last_name as requester_last_name,
+        u2.username as recipient_username, u2.first_name as recipient_first_name, u2.last_name as recipient_last_name
+      FROM families f
+      LEFT JOIN users u1 ON f.requester_id = u1.id
+      LEFT JOIN users u2 ON f.recipient_id = u2.id
+      WHERE (f.requester_id = ? OR f.recipient_id = ?) AND f.status = 'accepted'
+      ORDER BY f.updated_at DESC`,
+      [req.user.userId, req.user.userId]
+    );
+    res.json(rows);
+  } catch (error) {
+    console.error('Error fetching families:', error);
+    res.status(500).json({ error: 'Failed to fetch families' });
+  }
+});
+
+// Get pending family requests for authenticated user
+app.get('/api/families/pending', authenticateToken, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT f.*, 
+        u1.username as requester_username, u1.first_name as requester_first_name, u1.last_name as requester_last_name,
+        u2.username as recipient_username, u2.first_name as recipient_first_name, u2.last_name as recipient_last_name
+      FROM families f
+      LEFT JOIN users u1 ON f.requester_id = u1.id
+      LEFT JOIN users u2 ON f.recipient_id = u2.id
+      WHERE f.recipient_id = ? AND f.status = 'pending'
+      ORDER BY f.created_at DESC`,
+      [req.user.userId]
+    );
+    res.json(rows);
+  } catch (error) {
+    console.error('Error fetching pending family requests:', error);
+    res.status(500).json({ error: 'Failed to fetch pending family requests' });
+  }
+});
+
+// Send family request
+app.post('/api/families/request', authenticateToken, familyRequestIpLimiter, familyRequestUserLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Unknown emails get the same answer as a sent request, so accounts cannot be discovered
+    const sentMessage = 'If this email belongs to a HomeHub user, a family request has been sent';
+
+    // Find user by email
+    const [users] = await pool.query('SELECT id, username FROM users WHERE email = ?', [email]);
+    if (users.length === 0) {
+      return res.status(201).json({ message: sentMessage });
+    }
+
+    const recipientId = users[0].id;
+    const recipientUsername = users[0].username;
+
+    if (recipientId === req.user.userId) {
+      return res.status(400).json({ error: 'Cannot add yourself as family' });
+    }
+
+    // Check if already family or pending request
+    const [existing] = await pool.query(
+      `SELECT * FROM families 
+       WHERE (requester_id = ? AND recipient_id = ?) OR (requester_id = ? AND recipient_id = ?)`,
+      [req.user.userId, recipientId, recipientId, req.user.userId]
+    );
+
+    if (existing.length > 0) {
+      return res.status(400).json({ error: 'Family request already exists or already family' });
+    }
+
+    // Create family request
+    const [result] = await pool.query(
+      'INSERT INTO families (requester_id, recipient_id, status) VALUES (?, ?, ?)',
+      [req.user.userId, recipientId, 'pending']
+    );
+
+    // Create notification for recipient
+    await notify({
+      userId: recipientId,
+      type: 'family_request',
+      title: 'Family Request',
+      message: `You have a new family request from ${req.user.username}`,
+      relatedId: result.insertId,
+    });
+
+    res.status(201).json({ message: sentMessage });
+  } catch (error) {
+    console.error('Error sending family request:', error);
+    res.status(500).json({ error: 'Failed to send family request' });
+  }
+});
+
+// Accept family request
+app.put('/api/families/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const familyId = req.params.id;
+
+    // Check if user is the recipient
+    const [families] = await pool.query(
+      'SELECT * FROM families WHERE id = ? AND recipient_id = ? AND status = ?',
+      [familyId, req.user.userId, 'pending']
+    );
+
+    if (families.length === 0) {
+      return res.status(404).json({ error: 'Family request not found' });
+    }
+
+    // Update status to accepted
+    await pool.query(
+      'UPDATE families SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      ['accepted', familyId]
+    );
+
+    // Create notification for requester
+    const family = families[0];
+    const [requester] = await pool.query('SELECT username FROM users WHERE id = ?', [family.requester_id]);
+    await notify({
+      userId: family.requester_id,
+      type: 'family_accepted',
+      title: 'Family Request Accepted',
+      message: `${req.user.username} accepted your family request`,
+      relatedId: parseInt(familyId, 10),
+    });
+
+    res.json({ message: 'Family request accepted' });
+  } catch (error) {
+    console.error('Error accepting family request:', error);
+    res.status(500).json({ error: 'Failed to accept family request' });
+  }
+});
+
+// Reject family request
+app.put('/api/families/:id/reject', authenticateToken, async (req, res) => {
+  try {
+    const familyId = req.params.id;
+
+    const [result] = await pool.query(
+      'DELETE FROM families WHERE id = ? AND recipient_id = ? AND status = ?',
+      [familyId, req.user.userId, 'pending']
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Family request not found' });
+    }
+
+    res.json({ message: 'Family request rejected' });
+  } catch (error) {
+    console.error('Error rejecting family request:', error);
+    res.status(500).json({ error: 'Failed to reject family request' });
+  }
+});
+
+// Real-time Events (Server-Sent Events)
+
+// Stream of changes in the user's homes and of new notifications
+app.get('/api/events', acceptQueryToken, authenticateToken, async (req, res) => {
+  try {
+    await realtime.openStream(req, res);
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open event stream' });
+    }
+  }
+});
+
+// Notifications Routes (Protected)
+
+const NOTIFICATIONS_PAGE_SIZE = 20;
+const NOTIFICATIONS_MAX_PAGE_SIZE = 100;
+
+// Get notifications for authenticated user, newest first.
+// Query: limit, cursor (next_cursor of the previous page), type (comma-separated), read (true|false)
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+  try {
+    const { cursor, type, read } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || NOTIFICATIONS_PAGE_SIZE, NOTIFICATIONS_MAX_PAGE_SIZE);
+    if (limit < 1) {
+      return res.status(400).json({ error: 'limit must be a positive number' });
+    }
+
+    const conditions = ['user_id = ?'];
+    const params = [req.user.userId];
+
+    // Ids only grow, so the last id of a page is a stable cursor even while new notifications arrive
+    if (cursor !== undefined) {
+      const beforeId = parseInt(cursor, 10);
+      if (isNaN(beforeId)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      conditions.push('id < ?');
+      params.push(beforeId);
+    }
+    if (type) {
+      conditions.push('type IN (?)');
+      params.push(String(type).split(','));
+    }
+    if (read !== undefined) {
+      if (read !== 'true' && read !== 'false') {
+        return res.status(400).json({ error: 'read must be true or false' });
+      }
+      conditions.push('is_read = ?');
+      params.push(read === 'true');
+    }
+
+    const [rows] = await pool.query(
+      `SELECT * FROM notifications WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    const notifications = rows.slice(0, limit);
+    res.json({
+      notifications,
+      next_cursor: rows.length > limit ? String(notifications[notifications.length - 1].id) : null,
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Number of unread notifications, for the navigation badge
+app.get('/api/notifications/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      'SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND is_read = FALSE',
+      [req.user.userId]
+    );
+    res.json({ count: rows[0].count });
+  } catch (error) {
+    console.error('Error counting unread notifications:', error);
+    res.status(500).json({ error: 'Failed to count unread notifications' });
+  }
+});
+
+// Delivery channels (email digest, push) per notification type
+app.get('/api/notifications/preferences', authenticateToken, async (req, res) => {
+  try {
+    res.json({ preferences: await getPreferences(req.user.userId) });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Body: { preferences: [{ type, email, push }] }
+app.put('/api/notifications/preferences', authenticateToken, async (req, res) => {
+  try {
+    await updatePreferences(req.user.userId, req.body.preferences);
+    res.json({ preferences: await getPreferences(req.user.userId) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// VAPID public key the browser needs to subscribe; null when push is not configured
+app.get('/api/notifications/push/public-key', authenticateToken, (req, res) => {
+  res.json({ publicKey: webPush.getVapidPublicKey() });
+});
+
+// Register this browser for push messages. Body: the PushSubscription as JSON
+app.post('/api/notifications/push/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    if (!webPush.isPushConfigured()) {
+      return res.status(503).json({ error: 'Push notifications are not configured on this server' });
+    }
+    await webPush.saveSubscription(req.user.userId, req.body, req.headers['user-agent']);
+    res.status(201).json({ message: 'Push subscription saved' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({ error: 'Failed to save push subscription' });
+  }
+});
+
+// Body: { endpoint }
+app.delete('/api/notifications/push/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+    if (!endpoint) {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+    await webPush.removeSubscription(req.user.userId, endpoint);
+    res.json({ message: 'Push subscription removed' });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ error: 'Failed to remove push subscription' });
+  }
+});
+
+// Mark all notifications as read
+app.put('/api/notifications/read-all', authenticateToken, async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'UPDATE notifications SET is_read = TRUE WHERE user_id = ? AND is_read = FALSE',
+      [req.user.userId]
+    );
+    realtime.publishToUser(req.user.userId, 'notifications', { action: 'read_all' });
+    res.json({ message: 'All notifications marked as read', updated: result.affectedRows });
+  } catch (error) {
+    console.error('Error marking all notifications as read:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark notification as read
+app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    await pool.query(
+      'UPDATE notifications SET is_read = true WHERE id = ? AND user_id = ?',
+      [id, req.user.userId]
+    );
+    realtime.publishToUser(req.user.userId, 'notifications', { action: 'read', ids: [id] });
+    res.json({ message: 'Notification marked as read' });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+// Delete all read notifications
+app.delete('/api/notifications/read', authenticateToken, async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM notifications WHERE user_id = ? AND is_read = TRUE',
+      [req.user.userId]
+    );
+    realtime.publishToUser(req.user.userId, 'notifications', { action: 'deleted_read' });
+    res.json({ message: 'Read notifications deleted', deleted: result.affectedRows });
+  } catch (error) {
+    console.error('Error deleting read notifications:', error);
+    res.status(500).json({ error: 'Failed to delete notifications' });
+  }
+});
+
+// Delete a notification
+app.delete('/api/notifications/:id', authenticateToken, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const [result] = await pool.query(
+      'DELETE FROM notifications WHERE id = ? AND user_id = ?',
+      [id, req.user.userId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    realtime.publishToUser(req.user.userId, 'notifications', { action: 'deleted', ids: [id] });
+    res.json({ message: 'Notification deleted' });
+  } catch (error) {
+    console.error('Error deleting notification:', error);
+    res.status(500).json({ error: 'Failed to delete notification' });
+  }
+});
+
+// Home Detail Routes
+
+// Get home details (with members check)
+app.get('/api/homes/:id', authenticateToken, requireHomePermission('home', 'read'), async (req, res) => {
+  try {
+    const homeId = req.home.id;
+
+    const [homeRows] = await pool.query('SELECT * FROM homes WHERE id = ?', [homeId]);
+    const home = {
+      ...homeRows[0],
+      user_role: req.home.role,
+      permissions: getHomePermissions(req.home.role),
+    };
+
+    // Get members (accepted home members)
+    const [members] = await pool.query(
+      `SELECT hm.*, u.username, u.first_name, u.last_name, u.email
+       FROM home_members hm
+       JOIN users u ON hm.user_id = u.id
+       WHERE hm.home_id = ? AND hm.status = 'accepted'`,
+      [homeId]
+    );
+
+    // Get owner information
+    const [owner] = await pool.query(
+      `SELECT u.id as user_id, u.username, u.first_name, u.last_name, u.email, 'owner' as role
+       FROM homes h
+       JOIN users u ON h.user_id = u.id
+       WHERE h.id = ?`,
+      [homeId]
+    );
+
+    // Combine owner and members, with owner first
+    const allMembers = owner.length > 0 ? [owner[0], ...members] : members;
+
+    res.json({
+      ...home,
+      members: allMembers
+    });
+  } catch (error) {
+    console.error('Error fetching home details:', error);
+    res.status(500).json({ error: 'Failed to fetch home details' });
+  }
+});
+
+// Shopping Lists Routes
+
+// Home of the shopping list in :listId, for routes that are not nested under the home
+async function homeIdOfList(req) {
+  const [lists] = await pool.query('SELECT home_id FROM shopping_lists WHERE id = ?', [req.params.listId]);
+  if (lists.length === 0) {
+    const error = new Error('Shopping list not found');
+    error.status = 404;
+    throw error;
+  }
+  return lists[0].home_id;
+}
+
+const SHOPPING_LIST_STATUSES = ['active', 'completed', 'archived'];
+
+// Get the shopping lists of a home, newest first, with item counts and price totals. Query: status, store
+app.get('/api/homes/:id/shopping-lists', authenticateToken, requireHomePermission('lists', 'read'), async (req, res) => {
+  try {
+    const homeId = req.params.id;
+    const { status, store } = req.query;
+    const conditions = ['sl.home_id = ?'];
+    const params = [homeId];
+
+    if (status !== undefined) {
+      if (!SHOPPING_LIST_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'status must be active, completed or archived' });
+      }
+      conditions.push('sl.status = ?');
+      params.push(status);
+    }
+    if (store) {
+      conditions.push('sl.store = ?');
+      params.push(store);
+    }
+
+    const [lists] = await pool.query(
+      `SELECT sl.*, u.username as created_by_username,
+              (SELECT COUNT(*) FROM shopping_list_items WHERE list_id = sl.id) AS item_count,
+              (SELECT COUNT(*) FROM shopping_list_items WHERE list_id = sl.id AND completed = TRUE) AS completed_item_count,
+              (SELECT SUM(estimated_price) FROM shopping_list_items WHERE list_id = sl.id) AS estimated_total,
+              (SELECT SUM(actual_price) FROM shopping_list_items WHERE list_id = sl.id AND completed = TRUE) AS actual_total
+       FROM shopping_lists sl
+       LEFT JOIN users u ON sl.created_by = u.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY sl.created_at DESC`,
+      params
     );
-    if (memberCheck.length === 0) {
-      return res.status(404).json({ error: 'Member request not found' });
+
+    res.json(lists);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Error fetching shopping lists:', error);
+    res.status(500).json({ error: 'Failed to fetch shopping lists' });
+  }
+});
 
-    // Update status to accepted
-    await pool.query(
-      'UPDATE home_members SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      ['accepted', memberId]
+// Get the newest active shopping list of a home, with its items. Query: sort=aisle for store-walk order
+app.get('/api/homes/:id/shopping-lists/active', authenticateToken, requireHomePermission('lists', 'read'), async (req, res) => {
+  try {
+    const homeId = req.params.id;
+
+    const [lists] = await pool.query(
+      `SELECT sl.*, u.username as created_by_username
+       FROM shopping_lists sl
+       LEFT JOIN users u ON sl.created_by = u.id
+       WHERE sl.home_id = ? AND sl.status = 'active'
+       ORDER BY sl.created_at DESC
+       LIMIT 1`,
+      [homeId]
     );
 
-    // Get home and requester info for notification
-    const [home] = await pool.query('SELECT name, user_id FROM homes WHERE id = ?', [homeId]);
-    const [requester] = await pool.query('SELECT username FROM users WHERE id = ?', [home[0].user_id]);
+    if (lists.length === 0) {
+      return res.json(null);
+    }
 
-    // Create notification for home owner
-    await pool.query(
-      'INSERT INTO notifications (user_id, type, title, message, related_id, home_id) VALUES (?, ?, ?, ?, ?, ?)',
-      [home[0].user_id, 'home_member_accepted', 'Home Member Accepted', `${req.user.username} accepted your invitation to join "${home[0].name}"`, memberId, homeId]
-    );
+    const list = lists[0];
 
-    res.json({ message: 'Home member request accepted' });
+    // Get items
+    const items = await getListItems(pool, list.id, req.query.sort === 'aisle');
+
+    res.json({
+      ...list,
+      items: items
+    });
   } catch (error) {
-    console.error('Error accepting home member request:', error);
-    res.status(500).json({ error: 'Failed to accept home member request' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching active shopping list:', error);
+    res.status(500).json({ error: 'Failed to fetch active shopping list' });
   }
 });
 
-// Reject home member request
-app.put('/api/homes/:id/members/:memberId/reject', authenticateToken, async (req, res) => {
+// Get any shopping list of a home, with its items. Query: sort=aisle for store-walk order
+app.get('/api/homes/:id/shopping-lists/:listId', authenticateToken, requireHomePermission('lists', 'read'), async (req, res) => {
+  try {
+    const list = await findShoppingList(pool, req.home.id, req.params.listId);
+    if (!list) {
+      return res.status(404).json({ error: 'Shopping list not found' });
+    }
+
+    const items = await getListItems(pool, list.id, req.query.sort === 'aisle');
+
+    res.json({ ...list, items });
+  } catch (error) {
+    console.error('Error fetching shopping list:', error);
+    res.status(500).json({ error: 'Failed to fetch shopping list' });
+  }
+});
+
+// Create shopping list
+app.post('/api/homes/:id/shopping-lists', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
   try {
-    const memberId = req.params.memberId;
     const homeId = req.params.id;
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'List name is required' });
+    }
 
     const [result] = await pool.query(
-      'DELETE FROM home_members WHERE id = ? AND home_id = ? AND user_id = ? AND status = ?',
-      [memberId, homeId, req.user.userId, 'pending']
+      'INSERT INTO shopping_lists (home_id, name, store, created_by) VALUES (?, ?, ?, ?)',
+      [homeId, name, readStore(req.body.store), req.user.userId]
     );
 
+    const list = await findShoppingList(pool, req.home.id, result.insertId);
+    realtime.publishToHome(req.home.id, 'shopping-list', { action: 'created', list: { ...list, items: [] } });
+    res.status(201).json(list);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating shopping list:', error);
+    res.status(500).json({ error: 'Failed to create shopping list' });
+  }
+});
+
+// Rename a shopping list or change its store
+app.put('/api/homes/:id/shopping-lists/:listId', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
+  try {
+    const { name, store } = req.body;
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) {
+      if (!name) {
+        return res.status(400).json({ error: 'List name is required' });
+      }
+      updates.push('name = ?');
+      values.push(name);
+    }
+    if (store !== undefined) {
+      updates.push('store = ?');
+      values.push(readStore(store));
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    values.push(req.params.listId, req.home.id);
+    const [result] = await pool.query(
+      `UPDATE shopping_lists SET ${updates.join(', ')} WHERE id = ? AND home_id = ?`,
+      values
+    );
     if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Member request not found' });
+      return res.status(404).json({ error: 'Shopping list not found' });
     }
 
-    res.json({ message: 'Home member request rejected' });
+    const list = await findShoppingList(pool, req.home.id, req.params.listId);
+    realtime.publishToHome(req.home.id, 'shopping-list', { action: 'updated', list });
+    res.json(list);
   } catch (error) {
-    console.error('Error rejecting home member request:', error);
-    res.status(500).json({ error: 'Failed to reject home member request' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating shopping list:', error);
+    res.status(500).json({ error: 'Failed to update shopping list' });
   }
 });
 
-// Families Routes (Protected)
-
-// Get all families for authenticated user
-app.get('/api/families', authenticateToken, async (req, res) => {
+// Set a list aside without completing it; archived lists can be reopened
+app.put('/api/homes/:id/shopping-lists/:listId/archive', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
   try {
-    const [rows] = await pool.query(
-      `SELECT f.*, 
-        u1.username as requester_username, u1.first_name as requester_first_name, u1.last_name as requester_last_name,
-        u2.username as recipient_username, u2.first_name as recipient_first_name, u2.last_name as recipient_last_name
-      FROM families f
-      LEFT JOIN users u1 ON f.requester_id = u1.id
-      LEFT JOIN users u2 ON f.recipient_id = u2.id
-      WHERE (f.requester_id = ? OR f.recipient_id = ?) AND f.status = 'accepted'
-      ORDER BY f.updated_at DESC`,
-      [req.user.userId, req.user.userId]
+    const [result] = await pool.query(
+      `UPDATE shopping_lists SET status = 'archived' WHERE id = ? AND home_id = ?`,
+      [req.params.listId, req.home.id]
     );
-    res.json(rows);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Shopping list not found' });
+    }
+
+    const list = await findShoppingList(pool, req.home.id, req.params.listId);
+    realtime.publishToHome(req.home.id, 'shopping-list', { action: 'updated', list });
+    res.json(list);
   } catch (error) {
-    console.error('Error fetching families:', error);
-    res.status(500).json({ error: 'Failed to fetch families' });
+    console.error('Error archiving shopping list:', error);
+    res.status(500).json({ error: 'Failed to archive shopping list' });
   }
 });
 
-// Get pending family requests for authenticated user
-app.get('/api/families/pending', authenticateToken, async (req, res) => {
+// Make a completed or archived list active again
+app.put('/api/homes/:id/shopping-lists/:listId/reopen', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
   try {
-    const [rows] = await pool.query(
-      `SELECT f.*, 
-        u1.username as requester_username, u1.first_name as requester_first_name, u1.last_name as requester_last_name,
-        u2.username as recipient_username, u2.first_name as recipient_first_name, u2.last_name as recipient_last_name
-      FROM families f
-      LEFT JOIN users u1 ON f.requester_id = u1.id
-      LEFT JOIN users u2 ON f.recipient_id = u2.id
-      WHERE f.recipient_id = ? AND f.status = 'pending'
-      ORDER BY f.created_at DESC`,
-      [req.user.userId]
+    const [result] = await pool.query(
+      `UPDATE shopping_lists SET status = 'active' WHERE id = ? AND home_id = ?`,
+      [req.params.listId, req.home.id]
     );
-    res.json(rows);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Shopping list not found' });
+    }
+
+    const list = await findShoppingList(pool, req.home.id, req.params.listId);
+    const items = await getListItems(pool, list.id);
+    realtime.publishToHome(req.home.id, 'shopping-list', { action: 'updated', list });
+    res.json({ ...list, items });
   } catch (error) {
-    console.error('Error fetching pending family requests:', error);
-    res.status(500).json({ error: 'Failed to fetch pending family requests' });
+    console.error('Error reopening shopping list:', error);
+    res.status(500).json({ error: 'Failed to reopen shopping list' });
   }
 });
 
-// Send family request
-app.post('/api/families/request', authenticateToken, async (req, res) => {
+// Copy any list of a home, e.g. last week's completed one, into a new active list
+app.post('/api/homes/:id/shopping-lists/:listId/duplicate', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
+  let connection;
   try {
-    const { email } = req.body;
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    const list = await duplicateList(connection, req.home.id, req.params.listId, req.user.userId, req.body.name);
+    await connection.commit();
+
+    realtime.publishToHome(req.home.id, 'shopping-list', { action: 'created', list });
+    res.status(201).json(list);
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error duplicating shopping list:', error);
+    res.status(500).json({ error: 'Failed to duplicate shopping list' });
+  } finally {
+    if (connection) {
+      connection.release();
     }
+  }
+});
 
-    // Find user by email
-    const [users] = await pool.query('SELECT id, username FROM users WHERE email = ?', [email]);
-    if (users.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+// Suggest how the checked items of a list would restock the inventory
+app.get('/api/homes/:id/shopping-lists/:listId/restock-preview', authenticateToken, requireHomePermission('lists', 'read'), async (req, res) => {
+  try {
+    const [lists] = await pool.query(
+      'SELECT id FROM shopping_lists WHERE id = ? AND home_id = ?',
+      [req.params.listId, req.home.id]
+    );
+    if (lists.length === 0) {
+      return res.status(404).json({ error: 'Shopping list not found' });
     }
 
-    const recipientId = users[0].id;
-    const recipientUsername = users[0].username;
+    res.json({ items: await previewRestock(pool, req.home.id, lists[0].id) });
+  } catch (error) {
+    console.error('Error previewing restock:', error);
+    res.status(500).json({ error: 'Failed to preview restock' });
+  }
+});
 
-    if (recipientId === req.user.userId) {
-      return res.status(400).json({ error: 'Cannot add yourself as family' });
-    }
+// Complete shopping list, optionally restocking the inventory with its checked items
+// and recording what they cost as an expense
+app.put('/api/homes/:id/shopping-lists/:listId/complete', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
+  const { restock, expense } = req.body || {};
+  if (restock !== undefined && !Array.isArray(restock)) {
+    return res.status(400).json({ error: 'restock must be an array' });
+  }
+  if (expense !== undefined && expense !== null && (typeof expense !== 'object' || Array.isArray(expense))) {
+    return res.status(400).json({ error: 'expense must be an object' });
+  }
+  if (restock && restock.length > 0 && !hasHomePermission(req.home.role, 'items', 'write')) {
+    return res.status(403).json({ error: `Your role (${req.home.role}) does not allow this action` });
+  }
+  if (expense && !hasHomePermission(req.home.role, 'finances', 'write')) {
+    return res.status(403).json({ error: `Your role (${req.home.role}) does not allow this action` });
+  }
 
-    // Check if already family or pending request
-    const [existing] = await pool.query(
-      `SELECT * FROM families 
-       WHERE (requester_id = ? AND recipient_id = ?) OR (requester_id = ? AND recipient_id = ?)`,
-      [req.user.userId, recipientId, recipientId, req.user.userId]
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [lists] = await connection.query(
+      'SELECT id, name, status FROM shopping_lists WHERE id = ? AND home_id = ? FOR UPDATE',
+      [req.params.listId, req.home.id]
     );
+    if (lists.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Shopping list not found' });
+    }
+    const listId = lists[0].id;
 
-    if (existing.length > 0) {
-      return res.status(400).json({ error: 'Family request already exists or already family' });
+    let restocked = { created: [], updated: [] };
+    if (restock && restock.length > 0) {
+      // Restocking twice would count the purchase twice
+      if (lists[0].status !== 'active') {
+        await connection.rollback();
+        return res.status(400).json({ error: 'Shopping list is already completed' });
+      }
+      restocked = await restockFromList(connection, req.home.id, listId, req.user.userId, restock);
     }
 
-    // Create family request
-    const [result] = await pool.query(
-      'INSERT INTO families (requester_id, recipient_id, status) VALUES (?, ?, ?)',
-      [req.user.userId, recipientId, 'pending']
+    // Items checked before buyers were recorded count as bought by whoever completes the list
+    await connection.query(
+      `UPDATE shopping_list_items SET bought_by = COALESCE(bought_by, ?), bought_at = COALESCE(bought_at, NOW())
+       WHERE list_id = ? AND completed = TRUE`,
+      [req.user.userId, listId]
     );
+    await connection.query('UPDATE shopping_lists SET status = ? WHERE id = ?', ['completed', listId]);
 
-    // Create notification for recipient
-    await pool.query(
-      'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-      [recipientId, 'family_request', 'Family Request', `You have a new family request from ${req.user.username}`, result.insertId]
-    );
+    let financeId = null;
+    if (expense) {
+      financeId = await recordShoppingExpense(connection, req.home.id, req.user.userId, lists[0], expense);
+    }
+    await connection.commit();
 
-    res.status(201).json({ message: 'Family request sent successfully' });
+    const finance = financeId ? await getFinance(pool, financeId) : null;
+    if (finance) {
+      realtime.publishToHome(req.home.id, 'finance', { action: 'created', financeId });
+      checkBudgetAlerts(req.home.id);
+    }
+    restocked.created.forEach(item => realtime.publishToHome(req.home.id, 'home-item', { action: 'created', item }));
+    restocked.updated.forEach(item => realtime.publishToHome(req.home.id, 'home-item', { action: 'updated', item }));
+    realtime.publishToHome(req.home.id, 'shopping-list', { action: 'completed', listId });
+    res.json({ message: 'Shopping list completed', restocked, expense: finance });
   } catch (error) {
-    console.error('Error sending family request:', error);
-    res.status(500).json({ error: 'Failed to send family request' });
+    if (connection) {
+      await connection.rollback();
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error completing shopping list:', error);
+    res.status(500).json({ error: 'Failed to complete shopping list' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
   }
 });
 
-// Accept family request
-app.put('/api/families/:id/accept', authenticateToken, async (req, res) => {
+// Add item to shopping list
+app.post('/api/shopping-lists/:listId/items', authenticateToken, requireHomePermission('lists', 'write', homeIdOfList), async (req, res) => {
   try {
-    const familyId = req.params.id;
+    const listId = req.params.listId;
+    const { name } = req.body;
 
-    // Check if user is the recipient
-    const [families] = await pool.query(
-      'SELECT * FROM families WHERE id = ? AND recipient_id = ? AND status = ?',
-      [familyId, req.user.userId, 'pending']
+    if (!name) {
+      return res.status(400).json({ error: 'Item name is required' });
+    }
+
+    const { quantity, amount, unit } = readQuantity(req.body) || {};
+    const { aisle_id: aisleId, assigned_to: assignedTo, estimated_price: estimatedPrice } = req.body;
+    const [result] = await pool.query(
+      `INSERT INTO shopping_list_items (list_id, aisle_id, assigned_to, name, quantity, amount, unit, estimated_price)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        listId,
+        aisleId === undefined ? null : await resolveAisle(pool, req.home.id, aisleId),
+        assignedTo === undefined ? null : await readAssignee(pool, req.home.id, assignedTo),
+        name,
+        quantity || null,
+        amount ?? null,
+        unit || null,
+        estimatedPrice === undefined ? null : readPrice(estimatedPrice, 'estimated_price'),
+      ]
     );
 
-    if (families.length === 0) {
-      return res.status(404).json({ error: 'Family request not found' });
+    const item = await getListItem(pool, result.insertId);
+    realtime.publishToHome(req.home.id, 'shopping-list-item', { action: 'created', item });
+    res.status(201).json(item);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error adding item to shopping list:', error);
+    res.status(500).json({ error: 'Failed to add item to shopping list' });
+  }
+});
+
+// Update shopping list item
+app.put('/api/shopping-lists/:listId/items/:itemId', authenticateToken, requireHomePermission('lists', 'write', homeIdOfList), async (req, res) => {
+  try {
+    const listId = req.params.listId;
+    const itemId = req.params.itemId;
+    const { name, completed } = req.body;
+    const quantity = readQuantity(req.body);
+
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      values.push(name);
+    }
+    if (quantity !== undefined) {
+      updates.push('quantity = ?', 'amount = ?', 'unit = ?');
+      values.push(quantity.quantity, quantity.amount, quantity.unit);
+    }
+    if (req.body.aisle_id !== undefined) {
+      updates.push('aisle_id = ?');
+      values.push(await resolveAisle(pool, req.home.id, req.body.aisle_id));
+    }
+    if (req.body.assigned_to !== undefined) {
+      updates.push('assigned_to = ?');
+      values.push(await readAssignee(pool, req.home.id, req.body.assigned_to));
+    }
+    for (const field of ['estimated_price', 'actual_price']) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        values.push(readPrice(req.body[field], field));
+      }
+    }
+    if (completed !== undefined) {
+      // Checking an item records who bought it; assignments run in order, so this reads the old completed
+      if (completed) {
+        updates.push('bought_by = IF(completed, bought_by, ?)', 'bought_at = IF(completed, bought_at, NOW())');
+        values.push(req.user.userId);
+      } else {
+        updates.push('bought_by = NULL', 'bought_at = NULL');
+      }
+      updates.push('completed = ?');
+      values.push(completed);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
     }
 
-    // Update status to accepted
-    await pool.query(
-      'UPDATE families SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      ['accepted', familyId]
-    );
+    values.push(itemId, listId);
+    const query = `UPDATE shopping_list_items SET ${updates.join(', ')} WHERE id = ? AND list_id = ?`;
 
-    // Create notification for requester
-    const family = families[0];
-    const [requester] = await pool.query('SELECT username FROM users WHERE id = ?', [family.requester_id]);
-    await pool.query(
-      'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-      [family.requester_id, 'family_accepted', 'Family Request Accepted', `${req.user.username} accepted your family request`, familyId]
-    );
+    await pool.query(query, values);
 
-    res.json({ message: 'Family request accepted' });
+    const item = await getListItem(pool, itemId);
+    if (!item || item.list_id !== parseInt(listId, 10)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    realtime.publishToHome(req.home.id, 'shopping-list-item', { action: 'updated', item });
+    res.json(item);
   } catch (error) {
-    console.error('Error accepting family request:', error);
-    res.status(500).json({ error: 'Failed to accept family request' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating shopping list item:', error);
+    res.status(500).json({ error: 'Failed to update shopping list item' });
   }
 });
 
-// Reject family request
-app.put('/api/families/:id/reject', authenticateToken, async (req, res) => {
+// Delete shopping list item
+app.delete('/api/shopping-lists/:listId/items/:itemId', authenticateToken, requireHomePermission('lists', 'write', homeIdOfList), async (req, res) => {
   try {
-    const familyId = req.params.id;
+    const listId = req.params.listId;
+    const itemId = req.params.itemId;
 
     const [result] = await pool.query(
-      'DELETE FROM families WHERE id = ? AND recipient_id = ? AND status = ?',
-      [familyId, req.user.userId, 'pending']
+      'DELETE FROM shopping_list_items WHERE id = ? AND list_id = ?',
+      [itemId, listId]
     );
 
     if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Family request not found' });
+      return res.status(404).json({ error: 'Item not found' });
     }
 
-    res.json({ message: 'Family request rejected' });
+    realtime.publishToHome(req.home.id, 'shopping-list-item', {
+      action: 'deleted',
+      listId: parseInt(listId, 10),
+      itemId: parseInt(itemId, 10),
+    });
+    res.json({ message: 'Item deleted successfully' });
   } catch (error) {
-    console.error('Error rejecting family request:', error);
-    res.status(500).json({ error: 'Failed to reject family request' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting shopping list item:', error);
+    res.status(500).json({ error: 'Failed to delete shopping list item' });
   }
 });
 
-// Notifications Routes (Protected)
+// Shopping List Templates Routes
 
-// Get all notifications for authenticated user
-app.get('/api/notifications', authenticateToken, async (req, res) => {
+// Get the saved list templates of a home, with their items
+app.get('/api/homes/:id/list-templates', authenticateToken, requireHomePermission('lists', 'read'), async (req, res) => {
   try {
-    const [rows] = await pool.query(
-      'SELECT * FROM notifications WHERE user_id = ? ORDER BY created_at DESC',
-      [req.user.userId]
-    );
-    res.json(rows);
+    res.json(await getTemplates(pool, req.home.id));
   } catch (error) {
-    console.error('Error fetching notifications:', error);
-    res.status(500).json({ error: 'Failed to fetch notifications' });
+    console.error('Error fetching list templates:', error);
+    res.status(500).json({ error: 'Failed to fetch list templates' });
   }
 });
 
-// Mark notification as read
-app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+// Save a list template, with the given items or the items of an existing list (list_id)
+app.post('/api/homes/:id/list-templates', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
+  const { list_id: listId, items } = req.body;
+  let connection;
   try {
-    await pool.query(
-      'UPDATE notifications SET is_read = true WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.userId]
+    connection = await pool.getConnection();
+    const name = readListName(req.body.name);
+    const store = readStore(req.body.store);
+    const weekday = readWeekday(req.body.schedule_weekday);
+    const templateItems = listId !== undefined
+      ? await getListItemsForTemplate(pool, req.home.id, listId)
+      : readTemplateItems(items ?? []);
+
+    await connection.beginTransaction();
+    const [result] = await connection.query(
+      'INSERT INTO shopping_list_templates (home_id, name, store, schedule_weekday, created_by) VALUES (?, ?, ?, ?, ?)',
+      [req.home.id, name, store, weekday, req.user.userId]
     );
-    res.json({ message: 'Notification marked as read' });
+    await setTemplateItems(connection, result.insertId, templateItems);
+    await connection.commit();
+
+    res.status(201).json(await getTemplate(pool, req.home.id, result.insertId));
   } catch (error) {
-    console.error('Error marking notification as read:', error);
-    res.status(500).json({ error: 'Failed to mark notification as read' });
+    if (connection) {
+      await connection.rollback();
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating list template:', error);
+    res.status(500).json({ error: 'Failed to create list template' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
   }
 });
 
-// Home Detail Routes
-
-// Get home details (with members check)
-app.get('/api/homes/:id', authenticateToken, async (req, res) => {
+// Update a list template; items, when given, replace all of its items
+app.put('/api/homes/:id/list-templates/:templateId', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
+  const { name, store, schedule_weekday: weekday, items } = req.body;
+  let connection;
   try {
-    const homeId = req.params.id;
-
-    // Check if user is owner or member
-    const [homeCheck] = await pool.query(
-      `SELECT h.*, 
-        CASE WHEN h.user_id = ? THEN 'owner' 
-             WHEN hm.user_id = ? AND hm.status = 'accepted' THEN 'member' 
-             ELSE 'none' END as user_role
-       FROM homes h
-       LEFT JOIN home_members hm ON h.id = hm.home_id AND hm.user_id = ?
-       WHERE h.id = ? AND (h.user_id = ? OR (hm.user_id = ? AND hm.status = 'accepted'))`,
-      [req.user.userId, req.user.userId, req.user.userId, homeId, req.user.userId, req.user.userId]
-    );
-
-    if (homeCheck.length === 0) {
-      return res.status(404).json({ error: 'Home not found or access denied' });
+    connection = await pool.getConnection();
+    const updates = [];
+    const values = [];
+    if (name !== undefined) {
+      updates.push('name = ?');
+      values.push(readListName(name));
     }
+    if (store !== undefined) {
+      updates.push('store = ?');
+      values.push(readStore(store));
+    }
+    if (weekday !== undefined) {
+      updates.push('schedule_weekday = ?');
+      values.push(readWeekday(weekday));
+    }
+    const templateItems = items !== undefined ? readTemplateItems(items) : undefined;
 
-    const home = homeCheck[0];
-
-    // Get members (accepted home members)
-    const [members] = await pool.query(
-      `SELECT hm.*, u.username, u.first_name, u.last_name, u.email, 'member' as role
-       FROM home_members hm
-       JOIN users u ON hm.user_id = u.id
-       WHERE hm.home_id = ? AND hm.status = 'accepted'`,
-      [homeId]
-    );
+    if (updates.length === 0 && !templateItems) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
 
-    // Get owner information
-    const [owner] = await pool.query(
-      `SELECT u.id as user_id, u.username, u.first_name, u.last_name, u.email, 'owner' as role
-       FROM homes h
-       JOIN users u ON h.user_id = u.id
-       WHERE h.id = ?`,
-      [homeId]
+    await connection.beginTransaction();
+    const [templates] = await connection.query(
+      'SELECT id FROM shopping_list_templates WHERE id = ? AND home_id = ? FOR UPDATE',
+      [req.params.templateId, req.home.id]
     );
+    if (templates.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Template not found' });
+    }
 
-    // Combine owner and members, with owner first
-    const allMembers = owner.length > 0 ? [owner[0], ...members] : members;
+    if (updates.length > 0) {
+      await connection.query(
+        `UPDATE shopping_list_templates SET ${updates.join(', ')} WHERE id = ?`,
+        [...values, templates[0].id]
+      );
+    }
+    if (templateItems) {
+      await setTemplateItems(connection, templates[0].id, templateItems);
+    }
+    await connection.commit();
 
-    res.json({
-      ...home,
-      members: allMembers
-    });
+    res.json(await getTemplate(pool, req.home.id, templates[0].id));
   } catch (error) {
-    console.error('Error fetching home details:', error);
-    res.status(500).json({ error: 'Failed to fetch home details' });
+    if (connection) {
+      await connection.rollback();
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating list template:', error);
+    res.status(500).json({ error: 'Failed to update list template' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
   }
 });
 
-// Shopping Lists Routes
-
-// Get all shopping lists for a home
-app.get('/api/homes/:id/shopping-lists', authenticateToken, async (req, res) => {
+// Delete a list template; lists created from it stay
+app.delete('/api/homes/:id/list-templates/:templateId', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
   try {
-    const homeId = req.params.id;
+    const [result] = await pool.query(
+      'DELETE FROM shopping_list_templates WHERE id = ? AND home_id = ?',
+      [req.params.templateId, req.home.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
 
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting list template:', error);
+    res.status(500).json({ error: 'Failed to delete list template' });
+  }
+});
 
-    const [lists] = await pool.query(
-      `SELECT sl.*, u.username as created_by_username
-       FROM shopping_lists sl
-       LEFT JOIN users u ON sl.created_by = u.id
-       WHERE sl.home_id = ?
-       ORDER BY sl.created_at DESC`,
-      [homeId]
-    );
+// Create a new active list from a template. Body: optional name, defaults to the template's
+app.post('/api/homes/:id/list-templates/:templateId/lists', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    const list = await createListFromTemplate(connection, req.home.id, req.params.templateId, req.user.userId, req.body.name);
+    await connection.commit();
 
-    res.json(lists);
+    realtime.publishToHome(req.home.id, 'shopping-list', { action: 'created', list });
+    res.status(201).json(list);
   } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
     if (error.status) {
       return res.status(error.status).json({ error: error.message });
     }
-    console.error('Error fetching shopping lists:', error);
-    res.status(500).json({ error: 'Failed to fetch shopping lists' });
+    console.error('Error creating list from template:', error);
+    res.status(500).json({ error: 'Failed to create list from template' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
   }
 });
 
-// Get active shopping list for a home
-app.get('/api/homes/:id/shopping-lists/active', authenticateToken, async (req, res) => {
-  try {
-    const homeId = req.params.id;
-
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
+// Store Aisles Routes
 
-    const [lists] = await pool.query(
-      `SELECT sl.*, u.username as created_by_username
-       FROM shopping_lists sl
-       LEFT JOIN users u ON sl.created_by = u.id
-       WHERE sl.home_id = ? AND sl.status = 'active'
-       ORDER BY sl.created_at DESC
-       LIMIT 1`,
-      [homeId]
+// Get a home's store aisles in store-walk order
+app.get('/api/homes/:id/aisles', authenticateToken, requireHomePermission('lists', 'read'), async (req, res) => {
+  try {
+    const [aisles] = await pool.query(
+      'SELECT * FROM shopping_aisles WHERE home_id = ? ORDER BY position, name',
+      [req.home.id]
     );
+    res.json(aisles);
+  } catch (error) {
+    console.error('Error fetching aisles:', error);
+    res.status(500).json({ error: 'Failed to fetch aisles' });
+  }
+});
 
-    if (lists.length === 0) {
-      return res.json(null);
-    }
-
-    const list = lists[0];
+// Create a store aisle at the end of the walk. Body: { name }
+app.post('/api/homes/:id/aisles', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
+  try {
+    const name = readName(req.body.name, 'name', MAX_AISLE_NAME_LENGTH);
 
-    // Get items
-    const [items] = await pool.query(
-      'SELECT * FROM shopping_list_items WHERE list_id = ? ORDER BY created_at ASC',
-      [list.id]
+    const [result] = await pool.query(
+      `INSERT INTO shopping_aisles (home_id, name, position)
+       SELECT ?, ?, COALESCE(MAX(position), -1) + 1 FROM shopping_aisles WHERE home_id = ?`,
+      [req.home.id, name, req.home.id]
     );
 
-    res.json({
-      ...list,
-      items: items
-    });
+    const [rows] = await pool.query('SELECT * FROM shopping_aisles WHERE id = ?', [result.insertId]);
+    res.status(201).json(rows[0]);
   } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'This home already has an aisle with that name' });
+    }
     if (error.status) {
       return res.status(error.status).json({ error: error.message });
     }
-    console.error('Error fetching active shopping list:', error);
-    res.status(500).json({ error: 'Failed to fetch active shopping list' });
+    console.error('Error creating aisle:', error);
+    res.status(500).json({ error: 'Failed to create aisle' });
   }
 });
 
-// Create shopping list
-app.post('/api/homes/:id/shopping-lists', authenticateToken, async (req, res) => {
-  try {
-    const homeId = req.params.id;
-    const { name } = req.body;
-
-    if (!name) {
-      return res.status(400).json({ error: 'List name is required' });
-    }
+// Put a home's aisles in store-walk order. Body: { ids: [aisleId, ...] }, first aisle first
+app.put('/api/homes/:id/aisles/order', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
+  const { ids } = req.body;
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of aisle IDs' });
+  }
 
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-    // Check if there's already an active list
-    const [activeLists] = await pool.query(
-      'SELECT id FROM shopping_lists WHERE home_id = ? AND status = ?',
-      [homeId, 'active']
+    const [aisles] = await connection.query(
+      'SELECT id FROM shopping_aisles WHERE home_id = ? FOR UPDATE',
+      [req.home.id]
     );
-
-    if (activeLists.length > 0) {
-      return res.status(400).json({ error: 'There is already an active shopping list. Please complete it first.' });
+    const known = new Set(aisles.map(aisle => aisle.id));
+    const order = ids.map(id => parseInt(id, 10));
+    if (new Set(order).size !== order.length || order.some(id => !known.has(id))) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'ids must list aisles of this home, each once' });
     }
 
-    const [result] = await pool.query(
-      'INSERT INTO shopping_lists (home_id, name, created_by) VALUES (?, ?, ?)',
-      [homeId, name, req.user.userId]
+    // Aisles left out keep their relative order after the listed ones
+    for (const [position, id] of order.entries()) {
+      await connection.query('UPDATE shopping_aisles SET position = ? WHERE id = ?', [position, id]);
+    }
+    await connection.query(
+      'UPDATE shopping_aisles SET position = position + ? WHERE home_id = ? AND id NOT IN (?)',
+      [order.length, req.home.id, order]
     );
+    await connection.commit();
 
-    const [rows] = await pool.query('SELECT * FROM shopping_lists WHERE id = ?', [result.insertId]);
-    res.status(201).json(rows[0]);
+    const [rows] = await pool.query(
+      'SELECT * FROM shopping_aisles WHERE home_id = ? ORDER BY position, name',
+      [req.home.id]
+    );
+    res.json(rows);
   } catch (error) {
-    if (error.status) {
-      return res.status(error.status).json({ error: error.message });
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Error ordering aisles:', error);
+    res.status(500).json({ error: 'Failed to order aisles' });
+  } finally {
+    if (connection) {
+      connection.release();
     }
-    console.error('Error creating shopping list:', error);
-    res.status(500).json({ error: 'Failed to create shopping list' });
   }
 });
 
-// Complete shopping list
-app.put('/api/homes/:id/shopping-lists/:listId/complete', authenticateToken, async (req, res) => {
+// Rename a store aisle
+app.put('/api/homes/:id/aisles/:aisleId', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
   try {
-    const homeId = req.params.id;
-    const listId = req.params.listId;
-
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
+    const name = readName(req.body.name, 'name', MAX_AISLE_NAME_LENGTH);
 
     const [result] = await pool.query(
-      'UPDATE shopping_lists SET status = ? WHERE id = ? AND home_id = ?',
-      ['completed', listId, homeId]
+      'UPDATE shopping_aisles SET name = ? WHERE id = ? AND home_id = ?',
+      [name, req.params.aisleId, req.home.id]
     );
-
     if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Shopping list not found' });
+      return res.status(404).json({ error: 'Aisle not found' });
     }
 
-    res.json({ message: 'Shopping list completed' });
+    const [rows] = await pool.query('SELECT * FROM shopping_aisles WHERE id = ?', [req.params.aisleId]);
+    res.json(rows[0]);
   } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'This home already has an aisle with that name' });
+    }
     if (error.status) {
       return res.status(error.status).json({ error: error.message });
     }
-    console.error('Error completing shopping list:', error);
-    res.status(500).json({ error: 'Failed to complete shopping list' });
+    console.error('Error updating aisle:', error);
+    res.status(500).json({ error: 'Failed to update aisle' });
   }
 });
 
-// Add item to shopping list
-app.post('/api/shopping-lists/:listId/items', authenticateToken, async (req, res) => {
+// Delete a store aisle; its list items keep no aisle
+app.delete('/api/homes/:id/aisles/:aisleId', authenticateToken, requireHomePermission('lists', 'write'), async (req, res) => {
   try {
-    const listId = req.params.listId;
-    const { name, quantity } = req.body;
-
-    if (!name) {
-      return res.status(400).json({ error: 'Item name is required' });
-    }
-
-    // Check if user has access to this list's home
-    const [listCheck] = await pool.query(
-      `SELECT sl.home_id 
-       FROM shopping_lists sl
-       WHERE sl.id = ?`,
-      [listId]
+    const [result] = await pool.query(
+      'DELETE FROM shopping_aisles WHERE id = ? AND home_id = ?',
+      [req.params.aisleId, req.home.id]
     );
-
-    if (listCheck.length === 0) {
-      return res.status(404).json({ error: 'Shopping list not found' });
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Aisle not found' });
     }
 
-    await checkHomeAccess(listCheck[0].home_id, req.user.userId);
+    res.json({ message: 'Aisle deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting aisle:', error);
+    res.status(500).json({ error: 'Failed to delete aisle' });
+  }
+});
+
+// Inventory Categories and Locations Routes
 
-    const [result] = await pool.query(
-      'INSERT INTO shopping_list_items (list_id, name, quantity) VALUES (?, ?, ?)',
-      [listId, name, quantity || null]
+// Get a home's inventory categories with the number of items in each
+app.get('/api/homes/:id/categories', authenticateToken, requireHomePermission('items', 'read'), async (req, res) => {
+  try {
+    const [categories] = await pool.query(
+      `SELECT hc.*, COUNT(hi.id) AS item_count
+       FROM home_categories hc
+       LEFT JOIN home_items hi ON hi.category_id = hc.id
+       WHERE hc.home_id = ?
+       GROUP BY hc.id
+       ORDER BY hc.name`,
+      [req.home.id]
     );
-
-    const [rows] = await pool.query('SELECT * FROM shopping_list_items WHERE id = ?', [result.insertId]);
-    res.status(201).json(rows[0]);
+    res.json(categories);
   } catch (error) {
-    if (error.status) {
-      return res.status(error.status).json({ error: error.message });
-    }
-    console.error('Error adding item to shopping list:', error);
-    res.status(500).json({ error: 'Failed to add item to shopping list' });
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
   }
 });
 
-// Update shopping list item
-app.put('/api/shopping-lists/:listId/items/:itemId', authenticateToken, async (req, res) => {
+// Create an inventory category. Body: { name, icon? }
+app.post('/api/homes/:id/categories', authenticateToken, requireHomePermission('items', 'write'), async (req, res) => {
   try {
-    const listId = req.params.listId;
-    const itemId = req.params.itemId;
-    const { name, quantity, completed } = req.body;
+    const name = readName(req.body.name, 'name', MAX_CATEGORY_NAME_LENGTH);
+    const icon = readIcon(req.body.icon);
 
-    // Check access
-    const [listCheck] = await pool.query(
-      `SELECT sl.home_id 
-       FROM shopping_lists sl
-       WHERE sl.id = ?`,
-      [listId]
+    const [result] = await pool.query(
+      'INSERT INTO home_categories (home_id, name, icon) VALUES (?, ?, ?)',
+      [req.home.id, name, icon]
     );
 
-    if (listCheck.length === 0) {
-      return res.status(404).json({ error: 'Shopping list not found' });
+    const [rows] = await pool.query('SELECT *, 0 AS item_count FROM home_categories WHERE id = ?', [result.insertId]);
+    res.status(201).json(rows[0]);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'This home already has a category with that name' });
     }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
 
-    await checkHomeAccess(listCheck[0].home_id, req.user.userId);
-
+// Rename an inventory category or change its icon
+app.put('/api/homes/:id/categories/:categoryId', authenticateToken, requireHomePermission('items', 'write'), async (req, res) => {
+  try {
     const updates = [];
     const values = [];
 
-    if (name !== undefined) {
+    if (req.body.name !== undefined) {
       updates.push('name = ?');
-      values.push(name);
-    }
-    if (quantity !== undefined) {
-      updates.push('quantity = ?');
-      values.push(quantity);
+      values.push(readName(req.body.name, 'name', MAX_CATEGORY_NAME_LENGTH));
     }
-    if (completed !== undefined) {
-      updates.push('completed = ?');
-      values.push(completed);
+    if (req.body.icon !== undefined) {
+      updates.push('icon = ?');
+      values.push(readIcon(req.body.icon));
     }
 
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
-    values.push(itemId, listId);
-    const query = `UPDATE shopping_list_items SET ${updates.join(', ')} WHERE id = ? AND list_id = ?`;
-
-    await pool.query(query, values);
-
-    const [rows] = await pool.query('SELECT * FROM shopping_list_items WHERE id = ? AND list_id = ?', [itemId, listId]);
-    if (rows.length === 0) {
-      return res.status(404).json({ error: 'Item not found' });
+    values.push(req.params.categoryId, req.home.id);
+    const [result] = await pool.query(
+      `UPDATE home_categories SET ${updates.join(', ')} WHERE id = ? AND home_id = ?`,
+      values
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Category not found' });
     }
 
+    const [rows] = await pool.query(
+      `SELECT hc.*, (SELECT COUNT(*) FROM home_items WHERE category_id = hc.id) AS item_count
+       FROM home_categories hc WHERE hc.id = ?`,
+      [req.params.categoryId]
+    );
     res.json(rows[0]);
   } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'This home already has a category with that name' });
+    }
     if (error.status) {
       return res.status(error.status).json({ error: error.message });
     }
-    console.error('Error updating shopping list item:', error);
-    res.status(500).json({ error: 'Failed to update shopping list item' });
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'Failed to update category' });
   }
 });
 
-// Delete shopping list item
-app.delete('/api/shopping-lists/:listId/items/:itemId', authenticateToken, async (req, res) => {
+// Delete an inventory category. Categories with items need ?moveTo=<categoryId> for them.
+app.delete('/api/homes/:id/categories/:categoryId', authenticateToken, requireHomePermission('items', 'write'), async (req, res) => {
+  let connection;
   try {
-    const listId = req.params.listId;
-    const itemId = req.params.itemId;
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-    // Check access
-    const [listCheck] = await pool.query(
-      `SELECT sl.home_id 
-       FROM shopping_lists sl
-       WHERE sl.id = ?`,
-      [listId]
+    const [categories] = await connection.query(
+      'SELECT id FROM home_categories WHERE id = ? AND home_id = ? FOR UPDATE',
+      [req.params.categoryId, req.home.id]
     );
+    if (categories.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    const categoryId = categories[0].id;
 
-    if (listCheck.length === 0) {
-      return res.status(404).json({ error: 'Shopping list not found' });
+    const [[{ count }]] = await connection.query(
+      'SELECT COUNT(*) AS count FROM home_items WHERE category_id = ?',
+      [categoryId]
+    );
+    if (count > 0) {
+      const moveTo = req.query.moveTo;
+      if (!moveTo) {
+        await connection.rollback();
+        return res.status(400).json({ error: `Move the ${count} item(s) in this category to another one first` });
+      }
+      const [targets] = await connection.query(
+        'SELECT id FROM home_categories WHERE id = ? AND home_id = ?',
+        [moveTo, req.home.id]
+      );
+      if (targets.length === 0 || targets[0].id === categoryId) {
+        await connection.rollback();
+        return res.status(400).json({ error: 'moveTo must be another category of this home' });
+      }
+      await connection.query('UPDATE home_items SET category_id = ? WHERE category_id = ?', [targets[0].id, categoryId]);
+    }
+
+    await connection.query('DELETE FROM home_categories WHERE id = ?', [categoryId]);
+    await connection.commit();
+    res.json({ message: 'Category deleted', moved: count });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
     }
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Get a home's storage locations with the number of items in each
+app.get('/api/homes/:id/locations', authenticateToken, requireHomePermission('items', 'read'), async (req, res) => {
+  try {
+    const [locations] = await pool.query(
+      `SELECT hl.*, COUNT(hi.id) AS item_count
+       FROM home_locations hl
+       LEFT JOIN home_items hi ON hi.location_id = hl.id
+       WHERE hl.home_id = ?
+       GROUP BY hl.id
+       ORDER BY hl.name`,
+      [req.home.id]
+    );
+    res.json(locations);
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({ error: 'Failed to fetch locations' });
+  }
+});
 
-    await checkHomeAccess(listCheck[0].home_id, req.user.userId);
+// Create a storage location. Body: { name }
+app.post('/api/homes/:id/locations', authenticateToken, requireHomePermission('items', 'write'), async (req, res) => {
+  try {
+    const name = readName(req.body.name, 'name', MAX_LOCATION_NAME_LENGTH);
 
     const [result] = await pool.query(
-      'DELETE FROM shopping_list_items WHERE id = ? AND list_id = ?',
-      [itemId, listId]
+      'INSERT INTO home_locations (home_id, name) VALUES (?, ?)',
+      [req.home.id, name]
     );
 
+    const [rows] = await pool.query('SELECT *, 0 AS item_count FROM home_locations WHERE id = ?', [result.insertId]);
+    res.status(201).json(rows[0]);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'This home already has a location with that name' });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating location:', error);
+    res.status(500).json({ error: 'Failed to create location' });
+  }
+});
+
+// Rename a storage location
+app.put('/api/homes/:id/locations/:locationId', authenticateToken, requireHomePermission('items', 'write'), async (req, res) => {
+  try {
+    const name = readName(req.body.name, 'name', MAX_LOCATION_NAME_LENGTH);
+
+    const [result] = await pool.query(
+      'UPDATE home_locations SET name = ? WHERE id = ? AND home_id = ?',
+      [name, req.params.locationId, req.home.id]
+    );
     if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Item not found' });
+      return res.status(404).json({ error: 'Location not found' });
     }
 
-    res.json({ message: 'Item deleted successfully' });
+    const [rows] = await pool.query(
+      `SELECT hl.*, (SELECT COUNT(*) FROM home_items WHERE location_id = hl.id) AS item_count
+       FROM home_locations hl WHERE hl.id = ?`,
+      [req.params.locationId]
+    );
+    res.json(rows[0]);
   } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'This home already has a location with that name' });
+    }
     if (error.status) {
       return res.status(error.status).json({ error: error.message });
     }
-    console.error('Error deleting shopping list item:', error);
-    res.status(500).json({ error: 'Failed to delete shopping list item' });
+    console.error('Error updating location:', error);
+    res.status(500).json({ error: 'Failed to update location' });
+  }
+});
+
+// Delete a storage location; its items keep their category and lose the location
+app.delete('/api/homes/:id/locations/:locationId', authenticateToken, requireHomePermission('items', 'write'), async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM home_locations WHERE id = ? AND home_id = ?',
+      [req.params.locationId, req.home.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    res.json({ message: 'Location deleted' });
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    res.status(500).json({ error: 'Failed to delete location' });
   }
 });
 
 // Home Items (Inventory) Routes
 
 // Get all home items
-app.get('/api/homes/:id/items', authenticateToken, async (req, res) => {
+app.get('/api/homes/:id/items', authenticateToken, requireHomePermission('items', 'read'), async (req, res) => {
   try {
     const homeId = req.params.id;
-    const { category } = req.query;
-
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
+    const { category, categoryId } = req.query;
 
-    let query = `SELECT hi.*, u.username as created_by_username
-                 FROM home_items hi
-                 LEFT JOIN users u ON hi.created_by = u.id
-                 WHERE hi.home_id = ?`;
+    let query = `${ITEM_SELECT} WHERE hi.home_id = ?`;
     const params = [homeId];
 
-    if (category) {
-      query += ' AND hi.category = ?';
+    if (categoryId) {
+      query += ' AND hi.category_id = ?';
+      params.push(categoryId);
+    } else if (category) {
+      query += ' AND hc.name = ?';
       params.push(category);
     }
 
@@ -1276,30 +2770,53 @@ app.get('/api/homes/:id/items', authenticateToken, async (req, res) => {
   }
 });
 
+// Items expiring within the alert window (or ?days=) and items already expired, soonest first
+app.get('/api/homes/:id/items/expiring', authenticateToken, requireHomePermission('items', 'read'), async (req, res) => {
+  try {
+    let days;
+    if (req.query.days !== undefined) {
+      days = parseInt(req.query.days, 10);
+      if (isNaN(days) || days < 0 || days > MAX_ALERT_DAYS) {
+        return res.status(400).json({ error: `days must be a whole number from 0 to ${MAX_ALERT_DAYS}` });
+      }
+    } else {
+      const [homes] = await pool.query('SELECT expiry_alert_days FROM homes WHERE id = ?', [req.home.id]);
+      days = homes[0].expiry_alert_days;
+    }
+
+    const items = await getExpiringItems(pool, req.home.id, days);
+    res.json({ days, items });
+  } catch (error) {
+    console.error('Error fetching expiring items:', error);
+    res.status(500).json({ error: 'Failed to fetch expiring items' });
+  }
+});
+
 // Create home item
-app.post('/api/homes/:id/items', authenticateToken, async (req, res) => {
+app.post('/api/homes/:id/items', authenticateToken, requireHomePermission('items', 'write'), async (req, res) => {
   try {
     const homeId = req.params.id;
-    const { name, category, quantity, location, expiry_date, notes } = req.body;
+    const { name, expiry_date, notes } = req.body;
 
-    if (!name || !category) {
+    // category_id, or the category's name as older clients send it
+    const categoryId = await resolveCategory(pool, homeId, req.body);
+    if (!name || categoryId === undefined) {
       return res.status(400).json({ error: 'Name and category are required' });
     }
 
-    if (!['fridge', 'pantry', 'storage'].includes(category)) {
-      return res.status(400).json({ error: 'Invalid category. Must be fridge, pantry, or storage' });
-    }
-
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
-
+    const { quantity, amount, unit } = readQuantity(req.body) || {};
+    const minAmount = req.body.min_amount !== undefined ? readAmount(req.body.min_amount, 'min_amount') : null;
+    const locationId = await resolveLocation(pool, homeId, req.body);
     const [result] = await pool.query(
-      'INSERT INTO home_items (home_id, name, category, quantity, location, expiry_date, notes, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [homeId, name, category, quantity || null, location || null, expiry_date || null, notes || null, req.user.userId]
+      `INSERT INTO home_items (home_id, name, category_id, quantity, amount, unit, min_amount, location_id, expiry_date, notes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [homeId, name, categoryId, quantity || null, amount ?? null, unit || null, minAmount, locationId ?? null, expiry_date || null, notes || null, req.user.userId]
     );
 
-    const [rows] = await pool.query('SELECT * FROM home_items WHERE id = ?', [result.insertId]);
-    res.status(201).json(rows[0]);
+    const item = await getItem(pool, result.insertId);
+    realtime.publishToHome(req.home.id, 'home-item', { action: 'created', item });
+    await restockIfLow(req.home.id, result.insertId, req.user.userId);
+    res.status(201).json(item);
   } catch (error) {
     if (error.status) {
       return res.status(error.status).json({ error: error.message });
@@ -1310,14 +2827,14 @@ app.post('/api/homes/:id/items', authenticateToken, async (req, res) => {
 });
 
 // Update home item
-app.put('/api/homes/:id/items/:itemId', authenticateToken, async (req, res) => {
+app.put('/api/homes/:id/items/:itemId', authenticateToken, requireHomePermission('items', 'write'), async (req, res) => {
   try {
     const homeId = req.params.id;
     const itemId = req.params.itemId;
-    const { name, category, quantity, location, expiry_date, notes } = req.body;
-
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
+    const { name, expiry_date, notes, min_amount } = req.body;
+    const quantity = readQuantity(req.body);
+    const categoryId = await resolveCategory(pool, homeId, req.body);
+    const locationId = await resolveLocation(pool, homeId, req.body);
 
     const updates = [];
     const values = [];
@@ -1326,24 +2843,31 @@ app.put('/api/homes/:id/items/:itemId', authenticateToken, async (req, res) => {
       updates.push('name = ?');
       values.push(name);
     }
-    if (category !== undefined) {
-      if (!['fridge', 'pantry', 'storage'].includes(category)) {
-        return res.status(400).json({ error: 'Invalid category' });
-      }
-      updates.push('category = ?');
-      values.push(category);
+    if (categoryId !== undefined) {
+      updates.push('category_id = ?');
+      values.push(categoryId);
+    }
+    // The threshold is in the item's unit: a new unit without a new threshold drops it.
+    // Assignments run left to right, so this has to compare against the unit before it changes.
+    if (min_amount !== undefined) {
+      updates.push('min_amount = ?');
+      values.push(readAmount(min_amount, 'min_amount'));
+    } else if (quantity !== undefined) {
+      updates.push('min_amount = IF(unit <=> ?, min_amount, NULL)');
+      values.push(quantity.unit);
     }
     if (quantity !== undefined) {
-      updates.push('quantity = ?');
-      values.push(quantity);
+      updates.push('quantity = ?', 'amount = ?', 'unit = ?');
+      values.push(quantity.quantity, quantity.amount, quantity.unit);
     }
-    if (location !== undefined) {
-      updates.push('location = ?');
-      values.push(location);
+    if (locationId !== undefined) {
+      updates.push('location_id = ?');
+      values.push(locationId);
     }
     if (expiry_date !== undefined) {
-      updates.push('expiry_date = ?');
-      values.push(expiry_date);
+      // A new date gets its own alerts; the NULL-safe comparison keeps them when the date is unchanged
+      updates.push('expiry_alert = IF(expiry_date <=> ?, expiry_alert, NULL)', 'expiry_date = ?');
+      values.push(expiry_date || null, expiry_date || null);
     }
     if (notes !== undefined) {
       updates.push('notes = ?');
@@ -1359,11 +2883,13 @@ app.put('/api/homes/:id/items/:itemId', authenticateToken, async (req, res) => {
 
     await pool.query(query, values);
 
-    const [rows] = await pool.query('SELECT * FROM home_items WHERE id = ? AND home_id = ?', [itemId, homeId]);
+    const [rows] = await pool.query(`${ITEM_SELECT} WHERE hi.id = ? AND hi.home_id = ?`, [itemId, homeId]);
     if (rows.length === 0) {
       return res.status(404).json({ error: 'Item not found' });
     }
 
+    realtime.publishToHome(req.home.id, 'home-item', { action: 'updated', item: rows[0] });
+    await restockIfLow(req.home.id, rows[0].id, req.user.userId);
     res.json(rows[0]);
   } catch (error) {
     if (error.status) {
@@ -1374,15 +2900,70 @@ app.put('/api/homes/:id/items/:itemId', authenticateToken, async (req, res) => {
   }
 });
 
+// Take an amount out of an item's stock. Body: { amount, unit?, note? } - unit defaults to the item's.
+// An item that drops below its minimum goes on the active shopping list (shopping_list_item in the response).
+app.post('/api/homes/:id/items/:itemId/consume', authenticateToken, requireHomePermission('items', 'write'), async (req, res) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    const result = await consumeItem(connection, req.home.id, req.params.itemId, req.user.userId, req.body);
+    const addition = await addToShoppingListIfLow(connection, req.home.id, result.item.id, req.user.userId);
+    await connection.commit();
+
+    realtime.publishToHome(req.home.id, 'home-item', { action: 'updated', item: result.item });
+    publishShoppingListAddition(req.home.id, addition);
+    res.json({ ...result, shopping_list_item: addition ? addition.item : null });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error consuming home item:', error);
+    res.status(500).json({ error: 'Failed to consume item' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Consumption history of a home, newest first. Query: itemId, limit
+app.get('/api/homes/:id/consumptions', authenticateToken, requireHomePermission('items', 'read'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const conditions = ['c.home_id = ?'];
+    const params = [req.home.id];
+
+    if (req.query.itemId !== undefined) {
+      conditions.push('c.item_id = ?');
+      params.push(parseInt(req.query.itemId, 10) || 0);
+    }
+
+    const [consumptions] = await pool.query(
+      `SELECT c.*, u.username
+       FROM home_item_consumptions c
+       LEFT JOIN users u ON c.user_id = u.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY c.created_at DESC, c.id DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    res.json(consumptions);
+  } catch (error) {
+    console.error('Error fetching consumption history:', error);
+    res.status(500).json({ error: 'Failed to fetch consumption history' });
+  }
+});
+
 // Delete home item
-app.delete('/api/homes/:id/items/:itemId', authenticateToken, async (req, res) => {
+app.delete('/api/homes/:id/items/:itemId', authenticateToken, requireHomePermission('items', 'write'), async (req, res) => {
   try {
     const homeId = req.params.id;
     const itemId = req.params.itemId;
 
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
-
     const [result] = await pool.query(
       'DELETE FROM home_items WHERE id = ? AND home_id = ?',
       [itemId, homeId]
@@ -1392,6 +2973,7 @@ app.delete('/api/homes/:id/items/:itemId', authenticateToken, async (req, res) =
       return res.status(404).json({ error: 'Item not found' });
     }
 
+    realtime.publishToHome(req.home.id, 'home-item', { action: 'deleted', itemId: parseInt(itemId, 10) });
     res.json({ message: 'Item deleted successfully' });
   } catch (error) {
     if (error.status) {
@@ -1405,14 +2987,11 @@ app.delete('/api/homes/:id/items/:itemId', authenticateToken, async (req, res) =
 // Home Finances (Income & Expenses) Routes
 
 // Get all finances for a home
-app.get('/api/homes/:id/finances', authenticateToken, async (req, res) => {
+app.get('/api/homes/:id/finances', authenticateToken, requireHomePermission('finances', 'read'), async (req, res) => {
   try {
     const homeId = req.params.id;
     const { type, month, year } = req.query;
 
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
-
     // Get finances that are visible to the current user (either created by them, or in visibility table)
     // Include recurring finances for the selected month/year
     let query = `SELECT DISTINCT hf.*, u.username as created_by_username
@@ -1428,61 +3007,43 @@ app.get('/api/homes/:id/finances', authenticateToken, async (req, res) => {
       params.push(type);
     }
 
-    if (month && year) {
-      // Include:
-      // - transactions in the selected month
-      // - recurring entries (every month)
-      // - payment plans (payment_months)
-      // - due-date ranges (transaction_date..due_date)
-      query += ` AND (
-        (MONTH(hf.transaction_date) = ? AND YEAR(hf.transaction_date) = ?) 
-        OR 
-        (hf.is_recurring = 1)
-        OR
-        (hf.payment_months IS NOT NULL AND hf.payment_months > 1)
-        OR
-        (
-          hf.due_date IS NOT NULL 
-          AND DATE_FORMAT(IFNULL(NULLIF(hf.due_date, '0000-00-00'), hf.transaction_date), '%Y-%m-01') >= ?
-          AND DATE_FORMAT(hf.transaction_date, '%Y-%m-01') <= ?
-        )
-      )`;
-      const paddedMonth = month.toString().padStart(2, '0');
-      const targetMonthStr = `${year}-${paddedMonth}-01`;
-      params.push(month, year, targetMonthStr, targetMonthStr);
+    // Entries that may occur in the selected month; getOccurrences below decides
+    const selectedMonthIndex = month !== undefined || year !== undefined ? readMonth(year, month) : null;
+    if (selectedMonthIndex !== null) {
+      const targetMonthStr = `${formatMonth(selectedMonthIndex)}-01`;
+      const schedule = getScheduleFilter(targetMonthStr, targetMonthStr);
+      query += ` AND ${schedule.sql}`;
+      params.push(...schedule.params);
     }
 
     query += ' ORDER BY hf.transaction_date DESC, hf.created_at DESC';
 
     const [finances] = await pool.query(query, params);
 
-    // Get visibility info for each finance and deobfuscate amounts
-    // For recurring finances, we need to show them for the selected month/year
+    // Get visibility info for each finance and decrypt amounts
     const processedFinances = [];
     for (let finance of finances) {
-      // Deobfuscate the amount (divide by obfuscation factor)
       try {
-        const obfuscatedAmount = parseFloat(finance.amount);
-        finance.amount = obfuscatedAmount / AMOUNT_OBFUSCATION_FACTOR;
+        finance.amount = decryptAmount(finance.amount);
       } catch (error) {
-        console.error(`Error deobfuscating amount for finance ${finance.id}:`, error);
-        finance.amount = 0; // Fallback to 0 if deobfuscation fails
+        console.error(`Error decrypting amount for finance ${finance.id}:`, error);
+        finance.amount = 0; // Fallback to 0 if decryption fails
+      }
+
+      // For a month, each entry comes with the date and share it has in that month
+      if (selectedMonthIndex !== null) {
+        finance.occurrence = getOccurrences(finance, selectedMonthIndex, selectedMonthIndex)[0] || null;
+        if (!finance.occurrence) {
+          continue;
+        }
       }
-      
+
       const [visibility] = await pool.query(
         'SELECT user_id FROM home_finance_visibility WHERE finance_id = ?',
         [finance.id]
       );
       finance.visible_to_user_ids = visibility.map(v => v.user_id);
 
-      // If recurring and month/year is specified, update transaction_date to show in selected month
-      if (finance.is_recurring && month && year) {
-        const originalDate = new Date(finance.transaction_date);
-        const displayDate = new Date(parseInt(year), parseInt(month) - 1, originalDate.getDate());
-        finance.transaction_date = displayDate.toISOString().split('T')[0];
-        finance.is_recurring_display = true; // Flag to indicate this is a recurring entry shown for this month
-      }
-
       processedFinances.push(finance);
     }
 
@@ -1497,150 +3058,21 @@ app.get('/api/homes/:id/finances', authenticateToken, async (req, res) => {
 });
 
 // Get monthly balance summary
-app.get('/api/homes/:id/finances/balance', authenticateToken, async (req, res) => {
+app.get('/api/homes/:id/finances/balance', authenticateToken, requireHomePermission('finances', 'read'), async (req, res) => {
   try {
     const homeId = req.params.id;
     const { month, year } = req.query;
+    const selectedMonthIndex = readMonth(year, month);
+    const targetMonthStr = `${formatMonth(selectedMonthIndex)}-01`;
 
-    if (!month || !year) {
-      return res.status(400).json({ error: 'Month and year are required' });
-    }
-
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
-
-    const paddedMonth = month.toString().padStart(2, '0');
-    const targetMonthStr = `${year}-${paddedMonth}-01`;
-
-    // Get all finances visible to the current user (we need to decrypt amounts)
-    // Include recurring finances, payment plans, and due date ranges for the selected month/year
-    const [incomeRecords] = await pool.query(
-      `SELECT hf.amount, hf.transaction_date, hf.payment_months, hf.is_recurring, hf.due_date
-       FROM home_finances hf
-       LEFT JOIN home_finance_visibility hfv ON hf.id = hfv.finance_id AND hfv.user_id = ?
-       WHERE hf.home_id = ? 
-       AND hf.type = 'income' 
-       AND (
-         (MONTH(hf.transaction_date) = ? AND YEAR(hf.transaction_date) = ?) 
-         OR 
-         (hf.is_recurring = 1)
-         OR
-         (hf.payment_months IS NOT NULL AND hf.payment_months > 1)
-         OR
-         (
-           hf.due_date IS NOT NULL 
-           AND DATE_FORMAT(IFNULL(NULLIF(hf.due_date, '0000-00-00'), hf.transaction_date), '%Y-%m-01') >= ?
-           AND DATE_FORMAT(hf.transaction_date, '%Y-%m-01') <= ?
-         )
-       )
-       AND (hf.created_by = ? OR hfv.user_id = ?)`,
-      [req.user.userId, homeId, month, year, targetMonthStr, targetMonthStr, req.user.userId, req.user.userId]
-    );
-
-    const [expenseRecords] = await pool.query(
-      `SELECT hf.amount, hf.transaction_date, hf.payment_months, hf.is_recurring, hf.due_date
-       FROM home_finances hf
-       LEFT JOIN home_finance_visibility hfv ON hf.id = hfv.finance_id AND hfv.user_id = ?
-       WHERE hf.home_id = ? 
-       AND hf.type = 'expense' 
-       AND (
-         (MONTH(hf.transaction_date) = ? AND YEAR(hf.transaction_date) = ?) 
-         OR 
-         (hf.is_recurring = 1)
-         OR
-         (hf.payment_months IS NOT NULL AND hf.payment_months > 1)
-         OR
-         (
-           hf.due_date IS NOT NULL 
-           AND DATE_FORMAT(IFNULL(NULLIF(hf.due_date, '0000-00-00'), hf.transaction_date), '%Y-%m-01') >= ?
-           AND DATE_FORMAT(hf.transaction_date, '%Y-%m-01') <= ?
-         )
-       )
-       AND (hf.created_by = ? OR hfv.user_id = ?)`,
-      [req.user.userId, homeId, month, year, targetMonthStr, targetMonthStr, req.user.userId, req.user.userId]
-    );
-
-    // Helpers for month-based calculations
-    const selectedMonthIndex = parseInt(year) * 12 + (parseInt(month) - 1);
-
-    const parseDateParts = (dateValue) => {
-      if (!dateValue) return null;
-      
-      // Handle both Date objects and strings
-      let dateString;
-      if (dateValue instanceof Date) {
-        dateString = dateValue.toISOString();
-      } else if (typeof dateValue === 'string') {
-        dateString = dateValue;
-      } else {
-        return null;
-      }
-      
-      const [datePart] = dateString.split('T');
-      const [y, m] = datePart.split('-');
-      const yearNum = parseInt(y, 10);
-      const monthNum = parseInt(m, 10);
-      if (isNaN(yearNum) || isNaN(monthNum)) {
-        return null;
-      }
-      return { year: yearNum, month: monthNum };
-    };
-
-    const getMonthIndex = (parts) => parts.year * 12 + (parts.month - 1);
-
-    const calculateMonthlyContribution = (record, decodedAmount) => {
-      const transactionParts = parseDateParts(record.transaction_date);
-      if (!transactionParts) {
-        return 0;
-      }
-      const transactionIndex = getMonthIndex(transactionParts);
-
-      const paymentMonths = record.payment_months ? parseInt(record.payment_months, 10) : 0;
-      if (paymentMonths && paymentMonths > 1) {
-        const monthsDiff = selectedMonthIndex - transactionIndex;
-        if (monthsDiff >= 0 && monthsDiff < paymentMonths) {
-          return decodedAmount / paymentMonths;
-        }
-        return 0;
-      }
-
-      const dueParts = parseDateParts(record.due_date);
-      if (dueParts) {
-        const dueIndex = getMonthIndex(dueParts);
-        if (selectedMonthIndex >= transactionIndex && selectedMonthIndex <= dueIndex) {
-          return decodedAmount;
-        }
-      }
-
-      if (record.is_recurring) {
-        return decodedAmount;
-      }
-
-      return selectedMonthIndex === transactionIndex ? decodedAmount : 0;
-    };
-
-    // Deobfuscate and sum amounts
-    let totalIncome = 0;
-    for (const record of incomeRecords) {
-      try {
-        const obfuscatedAmount = parseFloat(record.amount);
-        const decodedAmount = obfuscatedAmount / AMOUNT_OBFUSCATION_FACTOR;
-        totalIncome += calculateMonthlyContribution(record, decodedAmount);
-      } catch (error) {
-        console.error('Error deobfuscating income amount:', error);
-      }
-    }
+    // Get all finances visible to the current user that count in the selected month:
+    // entries of that month, recurring finances, payment plans, and due date ranges
+    const incomeRecords = await getScheduledFinances(pool, homeId, req.user.userId, 'income', targetMonthStr, targetMonthStr);
+    const expenseRecords = await getScheduledFinances(pool, homeId, req.user.userId, 'expense', targetMonthStr, targetMonthStr);
 
-    let totalExpenses = 0;
-    for (const record of expenseRecords) {
-      try {
-        const obfuscatedAmount = parseFloat(record.amount);
-        const decodedAmount = obfuscatedAmount / AMOUNT_OBFUSCATION_FACTOR;
-        totalExpenses += calculateMonthlyContribution(record, decodedAmount);
-      } catch (error) {
-        console.error('Error deobfuscating expense amount:', error);
-      }
-    }
+    // Sum the decrypted amounts (amounts are encrypted, so they cannot be summed in SQL)
+    const totalIncome = sumOccurrences(incomeRecords, selectedMonthIndex, selectedMonthIndex);
+    const totalExpenses = sumOccurrences(expenseRecords, selectedMonthIndex, selectedMonthIndex);
 
     const balance = totalIncome - totalExpenses;
 
@@ -1660,8 +3092,25 @@ app.get('/api/homes/:id/finances/balance', authenticateToken, async (req, res) =
   }
 });
 
+// Income, expenses and balance over a range of months. Query: from, to (YYYY-MM), groupBy (month|category)
+app.get('/api/homes/:id/finances/report', authenticateToken, requireHomePermission('finances', 'read'), async (req, res) => {
+  try {
+    const { firstMonth, lastMonth } = readReportRange(req.query.from, req.query.to);
+    const report = await getFinanceReport(
+      pool, req.home.id, req.user.userId, firstMonth, lastMonth, req.query.groupBy || 'month'
+    );
+    res.json(report);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching finance report:', error);
+    res.status(500).json({ error: 'Failed to fetch finance report' });
+  }
+});
+
 // Create finance entry
-app.post('/api/homes/:id/finances', authenticateToken, async (req, res) => {
+app.post('/api/homes/:id/finances', authenticateToken, requireHomePermission('finances', 'write'), async (req, res) => {
   try {
     const homeId = req.params.id;
     const { type, category, amount, description, transaction_date, is_recurring, visible_to_user_ids, due_date, payment_months } = req.body;
@@ -1674,26 +3123,12 @@ app.post('/api/homes/:id/finances', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Type must be income or expense' });
     }
 
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
-
-    // Only home owner can create finance entries
-    await checkHomeOwner(homeId, req.user.userId);
+    if (isNaN(parseFloat(amount))) {
+      return res.status(400).json({ error: 'Amount must be a number' });
+    }
 
     // Verify that all visible_to_user_ids are home members
-    if (visible_to_user_ids && Array.isArray(visible_to_user_ids) && visible_to_user_ids.length > 0) {
-      const [members] = await pool.query(
-        `SELECT user_id FROM home_members WHERE home_id = ? AND user_id IN (?) AND status = 'accepted'
-         UNION
-         SELECT user_id FROM homes WHERE id = ? AND user_id IN (?)`,
-        [homeId, visible_to_user_ids, homeId, visible_to_user_ids]
-      );
-      const validUserIds = members.map(m => m.user_id);
-      const invalidIds = visible_to_user_ids.filter(id => !validUserIds.includes(id));
-      if (invalidIds.length > 0) {
-        return res.status(400).json({ error: 'Some selected users are not home members' });
-      }
-    }
+    await checkVisibleUsers(pool, homeId, visible_to_user_ids);
 
     // Validate payment_months if provided (should be positive integer)
     if (payment_months !== undefined && payment_months !== null) {
@@ -1703,45 +3138,14 @@ app.post('/api/homes/:id/finances', authenticateToken, async (req, res) => {
       }
     }
 
-    // Obfuscate the amount before storing (multiply by obfuscation factor)
-    const obfuscatedAmount = parseFloat(amount) * AMOUNT_OBFUSCATION_FACTOR;
-
-    const [result] = await pool.query(
-      'INSERT INTO home_finances (home_id, type, category, amount, description, transaction_date, is_recurring, created_by, due_date, payment_months) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [homeId, type, category, obfuscatedAmount, description || null, transaction_date, is_recurring || false, req.user.userId, due_date || null, payment_months ? parseInt(payment_months) : null]
-    );
-
-    const financeId = result.insertId;
-
-    // Create visibility entries
-    if (visible_to_user_ids && Array.isArray(visible_to_user_ids) && visible_to_user_ids.length > 0) {
-      for (const userId of visible_to_user_ids) {
-        await pool.query(
-          'INSERT INTO home_finance_visibility (finance_id, user_id) VALUES (?, ?)',
-          [financeId, userId]
-        );
-      }
-    }
-
-    const [rows] = await pool.query('SELECT hf.*, u.username as created_by_username FROM home_finances hf LEFT JOIN users u ON hf.created_by = u.id WHERE hf.id = ?', [financeId]);
-    const finance = rows[0];
-
-    // Deobfuscate the amount for response (divide by obfuscation factor)
-    try {
-      const obfuscatedAmount = parseFloat(finance.amount);
-      finance.amount = obfuscatedAmount / AMOUNT_OBFUSCATION_FACTOR;
-    } catch (error) {
-      console.error('Error deobfuscating amount:', error);
-      finance.amount = parseFloat(amount); // Fallback to original amount
-    }
-
-    // Get visibility info
-    const [visibility] = await pool.query(
-      'SELECT user_id FROM home_finance_visibility WHERE finance_id = ?',
-      [financeId]
-    );
-    finance.visible_to_user_ids = visibility.map(v => v.user_id);
+    const financeId = await createFinance(pool, homeId, req.user.userId, {
+      type, category, amount, description, transaction_date, is_recurring, due_date, payment_months,
+      visible_to_user_ids: Array.isArray(visible_to_user_ids) ? visible_to_user_ids : [],
+    });
+    const finance = await getFinance(pool, financeId, parseFloat(amount));
 
+    realtime.publishToHome(req.home.id, 'finance', { action: 'created', financeId: finance.id });
+    checkBudgetAlerts(req.home.id);
     res.status(201).json(finance);
   } catch (error) {
     if (error.status) {
@@ -1753,26 +3157,14 @@ app.post('/api/homes/:id/finances', authenticateToken, async (req, res) => {
 });
 
 // Update finance entry
-app.put('/api/homes/:id/finances/:financeId', authenticateToken, async (req, res) => {
+app.put('/api/homes/:id/finances/:financeId', authenticateToken, requireHomePermission('finances', 'write'), async (req, res) => {
   try {
     const homeId = req.params.id;
     const financeId = req.params.financeId;
     const { type, category, amount, description, transaction_date, is_recurring, visible_to_user_ids, due_date, payment_months } = req.body;
 
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
-
-    // Only home owner can update finance entries
-    await checkHomeOwner(homeId, req.user.userId);
-
-    // Verify that the finance entry exists
-    const [existing] = await pool.query(
-      'SELECT created_by FROM home_finances WHERE id = ? AND home_id = ?',
-      [financeId, homeId]
-    );
-    if (existing.length === 0) {
-      return res.status(404).json({ error: 'Finance entry not found' });
-    }
+    // Verify that the finance entry exists and is visible to the current user
+    await findVisibleFinance(pool, homeId, financeId, req.user.userId);
 
     // Validate payment_months if provided (should be positive integer)
     if (payment_months !== undefined && payment_months !== null) {
@@ -1797,10 +3189,12 @@ app.put('/api/homes/:id/finances/:financeId', authenticateToken, async (req, res
       values.push(category);
     }
     if (amount !== undefined) {
-      // Obfuscate the amount before updating (multiply by obfuscation factor)
-      const obfuscatedAmount = parseFloat(amount) * AMOUNT_OBFUSCATION_FACTOR;
+      if (isNaN(parseFloat(amount))) {
+        return res.status(400).json({ error: 'Amount must be a number' });
+      }
+      // Encrypt the amount before updating
       updates.push('amount = ?');
-      values.push(obfuscatedAmount);
+      values.push(encryptAmount(parseFloat(amount)));
     }
     if (description !== undefined) {
       updates.push('description = ?');
@@ -1832,19 +3226,7 @@ app.put('/api/homes/:id/finances/:financeId', authenticateToken, async (req, res
     // Update visibility if provided
     if (visible_to_user_ids !== undefined) {
       // Verify that all visible_to_user_ids are home members
-      if (Array.isArray(visible_to_user_ids) && visible_to_user_ids.length > 0) {
-        const [members] = await pool.query(
-          `SELECT user_id FROM home_members WHERE home_id = ? AND user_id IN (?) AND status = 'accepted'
-           UNION
-           SELECT user_id FROM homes WHERE id = ? AND user_id IN (?)`,
-          [homeId, visible_to_user_ids, homeId, visible_to_user_ids]
-        );
-        const validUserIds = members.map(m => m.user_id);
-        const invalidIds = visible_to_user_ids.filter(id => !validUserIds.includes(id));
-        if (invalidIds.length > 0) {
-          return res.status(400).json({ error: 'Some selected users are not home members' });
-        }
-      }
+      await checkVisibleUsers(pool, homeId, visible_to_user_ids);
 
       // Delete existing visibility entries
       await pool.query('DELETE FROM home_finance_visibility WHERE finance_id = ?', [financeId]);
@@ -1870,16 +3252,13 @@ app.put('/api/homes/:id/finances/:financeId', authenticateToken, async (req, res
 
     const finance = rows[0];
 
-    // Deobfuscate the amount for response (divide by obfuscation factor)
+    // Decrypt the amount for response
     try {
-      const obfuscatedAmount = parseFloat(finance.amount);
-      finance.amount = obfuscatedAmount / AMOUNT_OBFUSCATION_FACTOR;
+      finance.amount = decryptAmount(finance.amount);
     } catch (error) {
-      console.error('Error deobfuscating amount:', error);
-      // If amount was provided in update, use that, otherwise keep obfuscated value
-      if (amount !== undefined) {
-        finance.amount = parseFloat(amount);
-      }
+      console.error('Error decrypting amount:', error);
+      // If amount was provided in update, use that, otherwise hide the stored value
+      finance.amount = amount !== undefined ? parseFloat(amount) : 0;
     }
 
     // Get visibility info
@@ -1889,6 +3268,8 @@ app.put('/api/homes/:id/finances/:financeId', authenticateToken, async (req, res
     );
     finance.visible_to_user_ids = visibility.map(v => v.user_id);
 
+    realtime.publishToHome(req.home.id, 'finance', { action: 'updated', financeId: finance.id });
+    checkBudgetAlerts(req.home.id);
     res.json(finance);
   } catch (error) {
     if (error.status) {
@@ -1900,68 +3281,171 @@ app.put('/api/homes/:id/finances/:financeId', authenticateToken, async (req, res
 });
 
 // Delete finance entry
-app.delete('/api/homes/:id/finances/:financeId', authenticateToken, async (req, res) => {
+app.delete('/api/homes/:id/finances/:financeId', authenticateToken, requireHomePermission('finances', 'write'), async (req, res) => {
   try {
     const homeId = req.params.id;
     const financeId = req.params.financeId;
 
-    // Check access
-    await checkHomeAccess(homeId, req.user.userId);
+    // Entries hidden from the current user are reported as missing
+    await deleteFinance(pool, homeId, financeId, req.user.userId);
+
+    realtime.publishToHome(req.home.id, 'finance', { action: 'deleted', financeId: parseInt(financeId, 10) });
+    res.json({ message: 'Finance entry deleted successfully' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting finance entry:', error);
+    res.status(500).json({ error: 'Failed to delete finance entry' });
+  }
+});
+
+// Finance Budgets Routes
 
-    // Only home owner can delete finance entries
-    await checkHomeOwner(homeId, req.user.userId);
+// Get a home's budgets
+app.get('/api/homes/:id/finances/budgets', authenticateToken, requireHomePermission('finances', 'read'), async (req, res) => {
+  try {
+    res.json(await getBudgets(pool, req.home.id));
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    res.status(500).json({ error: 'Failed to fetch budgets' });
+  }
+});
+
+// Budget vs. actual for the month or year of ?month=&year=, from the expenses the user can see
+app.get('/api/homes/:id/finances/budgets/report', authenticateToken, requireHomePermission('finances', 'read'), async (req, res) => {
+  try {
+    // Throws 400 unless month is 1-12 and year has four digits
+    readMonth(req.query.year, req.query.month);
+    const month = parseInt(req.query.month, 10);
+    const year = parseInt(req.query.year, 10);
+
+    const budgets = await getBudgetReport(pool, req.home.id, req.user.userId, year, month);
+    res.json({ month, year, budgets });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching budget report:', error);
+    res.status(500).json({ error: 'Failed to fetch budget report' });
+  }
+});
+
+// Create a budget. Body: { category, amount, period?, alert_percent? }
+app.post('/api/homes/:id/finances/budgets', authenticateToken, requireHomePermission('finances', 'write'), async (req, res) => {
+  try {
+    const budget = readBudget(req.body);
 
     const [result] = await pool.query(
-      'DELETE FROM home_finances WHERE id = ? AND home_id = ?',
-      [financeId, homeId]
+      'INSERT INTO home_finance_budgets SET ?',
+      [{ ...budget, home_id: req.home.id, created_by: req.user.userId }]
     );
 
+    const created = await getBudget(pool, req.home.id, result.insertId);
+    realtime.publishToHome(req.home.id, 'finance-budget', { action: 'created', budget: created });
+    checkBudgetAlerts(req.home.id);
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'This home already has a budget for that category and period' });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating budget:', error);
+    res.status(500).json({ error: 'Failed to create budget' });
+  }
+});
+
+// Update a budget. Changing it lets it alert again in the current period
+app.put('/api/homes/:id/finances/budgets/:budgetId', authenticateToken, requireHomePermission('finances', 'write'), async (req, res) => {
+  try {
+    const budget = readBudget(req.body, true);
+    if (Object.keys(budget).length === 0) {
+      return res.status(400).json({ error: 'No budget fields to update' });
+    }
+
+    const [result] = await pool.query(
+      'UPDATE home_finance_budgets SET ?, alerted_period = NULL WHERE id = ? AND home_id = ?',
+      [budget, req.params.budgetId, req.home.id]
+    );
     if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Finance entry not found' });
+      return res.status(404).json({ error: 'Budget not found' });
     }
 
-    res.json({ message: 'Finance entry deleted successfully' });
+    const updated = await getBudget(pool, req.home.id, req.params.budgetId);
+    realtime.publishToHome(req.home.id, 'finance-budget', { action: 'updated', budget: updated });
+    checkBudgetAlerts(req.home.id);
+    res.json(updated);
   } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'This home already has a budget for that category and period' });
+    }
     if (error.status) {
       return res.status(error.status).json({ error: error.message });
     }
-    console.error('Error deleting finance entry:', error);
-    res.status(500).json({ error: 'Failed to delete finance entry' });
+    console.error('Error updating budget:', error);
+    res.status(500).json({ error: 'Failed to update budget' });
   }
 });
 
-// Helper function to check home access
-async function checkHomeAccess(homeId, userId) {
-  const [access] = await pool.query(
-    `SELECT 1 
-     FROM homes h
-     LEFT JOIN home_members hm ON h.id = hm.home_id AND hm.user_id = ? AND hm.status = 'accepted'
-     WHERE h.id = ? AND (h.user_id = ? OR (hm.user_id = ? AND hm.status = 'accepted'))`,
-    [userId, homeId, userId, userId]
-  );
+// Delete a budget
+app.delete('/api/homes/:id/finances/budgets/:budgetId', authenticateToken, requireHomePermission('finances', 'write'), async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM home_finance_budgets WHERE id = ? AND home_id = ?',
+      [req.params.budgetId, req.home.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
 
-  if (access.length === 0) {
-    const error = new Error('Access denied');
-    error.status = 403;
-    throw error;
+    realtime.publishToHome(req.home.id, 'finance-budget', { action: 'deleted', budgetId: parseInt(req.params.budgetId, 10) });
+    res.json({ message: 'Budget deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({ error: 'Failed to delete budget' });
   }
-}
+});
 
-// Helper function to check if user is owner of a home
-async function checkHomeOwner(homeId, userId) {
-  const [owner] = await pool.query(
-    'SELECT id FROM homes WHERE id = ? AND user_id = ?',
-    [homeId, userId]
-  );
+// Helper function to email a verification link
+async function sendVerificationEmail(user) {
+  const token = await createAccountToken(user.id, 'email_verification');
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your HomeHub email address',
+    text: `Hi ${user.first_name},\n\n`
+      + `Please confirm your email address by opening this link:\n${APP_URL}/verify-email?token=${token}\n\n`
+      + 'The link is valid for 24 hours.',
+  });
+}
 
-  if (owner.length === 0) {
-    const error = new Error('Only home owner can perform this action');
-    error.status = 403;
-    throw error;
-  }
+// Helper function to email a password reset link
+async function sendPasswordResetEmail(user) {
+  const token = await createAccountToken(user.id, 'password_reset');
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your HomeHub password',
+    text: `Hi ${user.first_name},\n\n`
+      + `Someone asked to reset the password of your HomeHub account. To choose a new password, open this link:\n${APP_URL}/reset-password?token=${token}\n\n`
+      + 'The link is valid for 1 hour. If you did not ask for this, you can ignore this email.',
+  });
 }
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server is running on port ${PORT}`);
-});
+// Start server once the schema is up to date
+initializeDatabase()
+  .then(() => {
+    scheduleNotificationRetention();
+    scheduleNotificationDigest();
+    scheduleExpiryAlerts();
+    scheduleListTemplates();
+    scheduleBudgetAlerts();
+    app.listen(PORT, '0.0.0.0', () => {
+      console.log(`Server is running on port ${PORT}`);
+    });
+  })
+  .catch((error) => {
+    // Never serve requests on a half-upgraded schema
+    console.error('Database migration failed, refusing to start:', error);
+    process.exit(1);
+  });
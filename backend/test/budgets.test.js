@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ENCRYPTION_SALT = process.env.ENCRYPTION_SALT || 'budgets-test-salt';
+process.env.ENCRYPTION_KEYS = process.env.ENCRYPTION_KEYS || '1:budgets-test-secret-with-at-least-32-chars';
+
+const { encryptAmount } = require('../utils/encryption');
+const { getBudgetReport } = require('../utils/budgets');
+const { fakeDb } = require('./helpers/fakeDb');
+
+const budget = (fields) => ({ id: 1, home_id: 1, category: 'groceries', period: 'monthly', ...fields });
+
+// The report of one budget in March 2025, with the given groceries expenses stored encrypted
+const report = async (budgetFields, amounts) => {
+  const expenses = amounts.map(amount => ({
+    category: 'groceries', amount: encryptAmount(amount), transaction_date: '2025-03-10',
+  }));
+  const db = fakeDb([[[budget(budgetFields)]], [expenses]]);
+  const [result] = await getBudgetReport(db, 1, 1, 2025, 3);
+  return result;
+};
+
+describe('getBudgetReport', () => {
+  it('does not count a share just below alert_percent as reached', async () => {
+    const result = await report({ amount: 1000, alert_percent: 80 }, [796]);
+    assert.equal(result.percent_used, 80);
+    assert.equal(result.reached, false);
+  });
+
+  it('counts a share at or above alert_percent as reached', async () => {
+    const result = await report({ amount: 1000, alert_percent: 80 }, [500, 300]);
+    assert.deepEqual(
+      [result.spent, result.remaining, result.percent_used, result.reached],
+      [800, 200, 80, true]
+    );
+  });
+});
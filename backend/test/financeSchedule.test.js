@@ -0,0 +1,201 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseDate,
+  toMonthIndex,
+  formatMonth,
+  getOccurrences,
+  sumOccurrences,
+  getScheduleFilter,
+} = require('../utils/financeSchedule');
+
+const month = (value) => {
+  const [year, monthNumber] = value.split('-');
+  return toMonthIndex(year, monthNumber);
+};
+
+// Occurrences of an entry from one 'YYYY-MM' to another
+const occurrences = (entry, from, to = from) => getOccurrences(entry, month(from), month(to));
+
+describe('parseDate', () => {
+  it('reads date strings and ISO timestamps', () => {
+    assert.deepEqual(parseDate('2024-02-29'), { year: 2024, month: 2, day: 29 });
+    assert.deepEqual(parseDate('2025-03-01T00:00:00.000Z'), { year: 2025, month: 3, day: 1 });
+  });
+
+  it('reads Date objects in local time, as mysql2 returns DATE columns', () => {
+    assert.deepEqual(parseDate(new Date(2025, 0, 31)), { year: 2025, month: 1, day: 31 });
+  });
+
+  it('returns null for missing, zero and invalid dates', () => {
+    assert.equal(parseDate(null), null);
+    assert.equal(parseDate(undefined), null);
+    assert.equal(parseDate('0000-00-00'), null);
+    assert.equal(parseDate('2025-13-01'), null);
+    assert.equal(parseDate('not a date'), null);
+    assert.equal(parseDate(new Date('invalid')), null);
+  });
+});
+
+describe('month indexes', () => {
+  it('round-trip through formatMonth', () => {
+    assert.equal(formatMonth(toMonthIndex(2025, 1)), '2025-01');
+    assert.equal(formatMonth(toMonthIndex('2024', '12')), '2024-12');
+    assert.equal(toMonthIndex(2025, 1) - toMonthIndex(2024, 12), 1);
+  });
+});
+
+describe('getOccurrences', () => {
+  it('counts a one-off entry once, in its own month', () => {
+    const entry = { amount: 120, transaction_date: '2025-03-14' };
+    assert.deepEqual(occurrences(entry, '2025-03'), [
+      { month: '2025-03', date: '2025-03-14', amount: 120, index: 1, count: 1 },
+    ]);
+    assert.deepEqual(occurrences(entry, '2025-02'), []);
+    assert.deepEqual(occurrences(entry, '2025-04'), []);
+  });
+
+  it('counts a recurring entry every month from its start, but not before', () => {
+    const entry = { amount: 900, transaction_date: '2025-01-05', is_recurring: 1 };
+    assert.deepEqual(occurrences(entry, '2024-11', '2024-12'), []);
+    assert.deepEqual(
+      occurrences(entry, '2024-12', '2025-03').map(o => [o.date, o.amount, o.index, o.count]),
+      [
+        ['2025-01-05', 900, 1, 1],
+        ['2025-02-05', 900, null, null],
+        ['2025-03-05', 900, null, null],
+      ]
+    );
+  });
+
+  it('moves month-end dates to the last day of shorter months', () => {
+    const entry = { amount: 50, transaction_date: '2025-01-31', is_recurring: true };
+    assert.deepEqual(
+      occurrences(entry, '2025-01', '2025-05').map(o => o.date),
+      ['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31']
+    );
+  });
+
+  it('uses February 29 in leap years', () => {
+    const entry = { amount: 50, transaction_date: '2023-12-30', is_recurring: true };
+    assert.equal(occurrences(entry, '2024-02')[0].date, '2024-02-29');
+    assert.equal(occurrences(entry, '2025-02')[0].date, '2025-02-28');
+  });
+
+  it('follows the century rules for leap years', () => {
+    const entry = { amount: 50, transaction_date: '1999-01-31', is_recurring: true };
+    assert.equal(occurrences(entry, '2000-02')[0].date, '2000-02-29');
+    assert.equal(occurrences(entry, '2100-02')[0].date, '2100-02-28');
+  });
+
+  it('keeps a leap day entry on the 29th where February has one', () => {
+    const entry = { amount: 10, transaction_date: '2024-02-29', is_recurring: true };
+    assert.deepEqual(
+      occurrences(entry, '2024-02', '2024-03').map(o => o.date),
+      ['2024-02-29', '2024-03-29']
+    );
+    assert.equal(occurrences(entry, '2025-02')[0].date, '2025-02-28');
+  });
+
+  it('splits a payment plan over its months in whole cents', () => {
+    const entry = { amount: 100, transaction_date: '2025-11-15', payment_months: 3 };
+    const plan = occurrences(entry, '2025-10', '2026-03');
+    assert.deepEqual(
+      plan.map(o => [o.month, o.amount, o.index, o.count]),
+      [
+        ['2025-11', 33.33, 1, 3],
+        ['2025-12', 33.33, 2, 3],
+        ['2026-01', 33.34, 3, 3],
+      ]
+    );
+    assert.equal(Math.round(plan.reduce((sum, o) => sum + o.amount, 0) * 100), 10000);
+  });
+
+  it('ends a payment plan even when the entry is marked recurring', () => {
+    const entry = { amount: 600, transaction_date: '2025-01-10', payment_months: 6, is_recurring: 1 };
+    assert.equal(occurrences(entry, '2025-06').length, 1);
+    assert.deepEqual(occurrences(entry, '2025-07'), []);
+  });
+
+  it('treats payment_months of 1 as a one-off entry', () => {
+    const entry = { amount: 75, transaction_date: '2025-05-02', payment_months: 1 };
+    assert.deepEqual(occurrences(entry, '2025-05', '2025-07').map(o => o.amount), [75]);
+  });
+
+  it('counts an entry in full every month up to its due date, dated on the due day', () => {
+    const entry = { amount: 40, transaction_date: '2025-01-03', due_date: '2025-03-31' };
+    assert.deepEqual(
+      occurrences(entry, '2024-12', '2025-05').map(o => [o.date, o.amount, o.index, o.count]),
+      [
+        ['2025-01-31', 40, 1, 3],
+        ['2025-02-28', 40, 2, 3],
+        ['2025-03-31', 40, 3, 3],
+      ]
+    );
+  });
+
+  it('keeps a recurring entry going after its due date', () => {
+    const entry = { amount: 40, transaction_date: '2025-01-03', due_date: '2025-02-10', is_recurring: 1 };
+    assert.deepEqual(
+      occurrences(entry, '2025-01', '2025-04').map(o => [o.month, o.index]),
+      [['2025-01', 1], ['2025-02', 2], ['2025-03', null], ['2025-04', null]]
+    );
+  });
+
+  it('counts an entry whose due date lies before it once', () => {
+    const entry = { amount: 20, transaction_date: '2025-06-15', due_date: '2025-04-01' };
+    assert.deepEqual(occurrences(entry, '2025-01', '2025-12').map(o => o.month), ['2025-06']);
+  });
+
+  it('ignores a zero due date', () => {
+    const entry = { amount: 20, transaction_date: '2025-06-15', due_date: '0000-00-00' };
+    assert.deepEqual(occurrences(entry, '2025-06', '2025-08').map(o => o.date), ['2025-06-15']);
+  });
+
+  it('prefers a payment plan over a due date', () => {
+    const entry = { amount: 90, transaction_date: '2025-01-01', due_date: '2025-12-01', payment_months: 3 };
+    assert.deepEqual(occurrences(entry, '2025-01', '2025-12').map(o => o.amount), [30, 30, 30]);
+  });
+
+  it('spans year boundaries', () => {
+    const entry = { amount: 1200, transaction_date: '2024-12-31', payment_months: 12 };
+    const plan = occurrences(entry, '2024-01', '2026-12');
+    assert.equal(plan.length, 12);
+    assert.equal(plan[0].date, '2024-12-31');
+    assert.equal(plan[2].date, '2025-02-28');
+    assert.equal(plan[11].month, '2025-11');
+  });
+
+  it('accepts Date objects and amounts as strings', () => {
+    const entry = { amount: '19.99', transaction_date: new Date(2025, 6, 31), is_recurring: 1 };
+    assert.deepEqual(occurrences(entry, '2025-09')[0], {
+      month: '2025-09', date: '2025-09-30', amount: 19.99, index: null, count: null,
+    });
+  });
+
+  it('returns nothing for an entry without a valid transaction date', () => {
+    assert.deepEqual(occurrences({ amount: 5, transaction_date: null, is_recurring: 1 }, '2025-01'), []);
+  });
+});
+
+describe('sumOccurrences', () => {
+  it('adds up what entries count in a range', () => {
+    const entries = [
+      { amount: 1000, transaction_date: '2025-01-01', is_recurring: 1 },
+      { amount: 300, transaction_date: '2025-03-05', payment_months: 3 },
+      { amount: 50.5, transaction_date: '2025-02-10' },
+    ];
+    assert.equal(sumOccurrences(entries, month('2025-02'), month('2025-02')), 1050.5);
+    assert.equal(sumOccurrences(entries, month('2025-01'), month('2025-04')), 4250.5);
+    assert.equal(sumOccurrences([], month('2025-01'), month('2025-12')), 0);
+  });
+});
+
+describe('getScheduleFilter', () => {
+  it('binds the range once per placeholder', () => {
+    const filter = getScheduleFilter('2025-01-01', '2025-12-01');
+    assert.equal(filter.sql.split('?').length - 1, filter.params.length);
+    assert.deepEqual(filter.params, ['2025-12-01', '2025-01-01', '2025-01-01', '2025-01-01']);
+  });
+});
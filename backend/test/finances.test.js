@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findVisibleFinance, deleteFinance, readMonth } = require('../utils/finances');
+const { formatMonth } = require('../utils/financeSchedule');
+
+const { fakeDb } = require('./helpers/fakeDb');
+
+const OWNER = 1;
+const ADMIN = 2;
+
+const VISIBILITY_JOIN = 'LEFT JOIN home_finance_visibility hfv ON hf.id = hfv.finance_id AND hfv.user_id = ?';
+const VISIBILITY_CONDITION = 'AND (hf.created_by = ? OR hfv.user_id = ?)';
+
+describe('finance visibility for edits and deletes', () => {
+  it('looks the entry up with the visibility condition of the list', async () => {
+    const db = fakeDb([[[{ id: 10, created_by: OWNER }]]]);
+    assert.deepEqual(await findVisibleFinance(db, 1, 10, ADMIN), { id: 10, created_by: OWNER });
+
+    const [{ sql, params }] = db.queries;
+    assert.ok(sql.includes(VISIBILITY_JOIN), sql);
+    assert.ok(sql.endsWith(VISIBILITY_CONDITION), sql);
+    assert.ok(sql.includes('WHERE hf.id = ? AND hf.home_id = ?'), sql);
+    assert.deepEqual(params, [ADMIN, 10, 1, ADMIN, ADMIN]);
+  });
+
+  it('reports an entry the user cannot see as missing', async () => {
+    const db = fakeDb([[[]]]);
+    await assert.rejects(findVisibleFinance(db, 1, 10, ADMIN), { status: 404 });
+  });
+
+  it('does not delete an entry the user cannot see', async () => {
+    const db = fakeDb([[[]]]);
+    await assert.rejects(deleteFinance(db, 1, '10', ADMIN), { status: 404 });
+    assert.equal(db.queries.length, 1);
+    assert.ok(db.queries[0].sql.endsWith(VISIBILITY_CONDITION));
+    assert.deepEqual(db.queries[0].params, [ADMIN, '10', 1, ADMIN, ADMIN]);
+  });
+
+  it('deletes a visible entry of the home', async () => {
+    const db = fakeDb([[[{ id: 11, created_by: OWNER }]], [{ affectedRows: 1 }]]);
+    await deleteFinance(db, 1, 11, ADMIN);
+    assert.deepEqual(db.queries[1], {
+      sql: 'DELETE FROM home_finances WHERE id = ? AND home_id = ?',
+      params: [11, 1],
+    });
+  });
+});
+
+describe('readMonth', () => {
+  it('reads a month and year from the query', () => {
+    assert.equal(formatMonth(readMonth('2025', '3')), '2025-03');
+    assert.equal(formatMonth(readMonth('2025', '03')), '2025-03');
+    assert.equal(formatMonth(readMonth('1999', '12')), '1999-12');
+  });
+
+  it('rejects missing and invalid values', () => {
+    for (const [year, month] of [
+      ['2025', undefined], [undefined, '3'], ['2025', 'abc'], ['abc', '3'],
+      ['2025', '0'], ['2025', '13'], ['2025', '1.5'], ['25', '3'], ['20250', '3'],
+    ]) {
+      assert.throws(() => readMonth(year, month), { status: 400 }, `${year}-${month}`);
+    }
+  });
+});
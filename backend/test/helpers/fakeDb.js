@@ -0,0 +1,51 @@
+// A stand-in for a mysql2 pool in unit tests. It knows no SQL: every query is
+// recorded with its params and answered with the next canned result, so tests
+// check what a function sends and decide what it gets back.
+
+/**
+ * @param {Array} results - Answers to the queries in order, as mysql2 returns them
+ *   ([rows] or [result]); an Error is thrown instead of returned
+ * @param {object} [options]
+ * @param {Array<Error>} [options.connectionErrors] - getConnection rejects with these first
+ * @returns {object} - query and getConnection, plus `queries` ({sql, params} with the
+ *   whitespace of sql collapsed) and `events` (getConnection, begin, commit, rollback, release)
+ */
+const fakeDb = (results = [], { connectionErrors = [] } = {}) => {
+  const queries = [];
+  const events = [];
+
+  const query = async (sql, params = []) => {
+    queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+    if (results.length === 0) {
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+    const result = results.shift();
+    if (result instanceof Error) {
+      throw result;
+    }
+    return result;
+  };
+
+  const connection = {
+    query,
+    beginTransaction: async () => events.push('begin'),
+    commit: async () => events.push('commit'),
+    rollback: async () => events.push('rollback'),
+    release: () => events.push('release'),
+  };
+
+  return {
+    queries,
+    events,
+    query,
+    getConnection: async () => {
+      events.push('getConnection');
+      if (connectionErrors.length > 0) {
+        throw connectionErrors.shift();
+      }
+      return connection;
+    },
+  };
+};
+
+module.exports = { fakeDb };
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateScheduledLists } = require('../utils/shoppingLists');
+const { fakeDb } = require('./helpers/fakeDb');
+
+const dueTemplates = [[{ id: 1, home_id: 10, user_id: 5 }, { id: 2, home_id: 20, user_id: 6 }]];
+const claimed = [{ affectedRows: 1 }];
+
+// What creating the list of template 2 reads and writes after claiming it
+const listFromTemplate2 = [
+  [[{ id: 2, home_id: 20, name: 'Weekly', store: null }]],
+  [[{ id: 7, template_id: 2, name: 'Milk', quantity: '2 l', amount: 2, unit: 'l' }]],
+  [{ insertId: 30 }],
+  [{ affectedRows: 1 }],
+  [[{ id: 30, home_id: 20, name: 'Weekly' }]],
+  [[{ id: 300, list_id: 30, name: 'Milk' }]],
+];
+
+describe('generateScheduledLists', () => {
+  it('creates the list of a claimed template', async () => {
+    const db = fakeDb([[[{ id: 2, home_id: 20, user_id: 6 }]], claimed, ...listFromTemplate2]);
+
+    assert.equal(await generateScheduledLists(db), 1);
+    assert.deepEqual(db.events, ['getConnection', 'begin', 'commit', 'release']);
+    assert.ok(db.queries[1].sql.startsWith('UPDATE shopping_list_templates SET last_generated_on = CURDATE()'));
+    assert.deepEqual(db.queries[1].params, [2]);
+    const insert = db.queries.find(query => query.sql.startsWith('INSERT INTO shopping_lists '));
+    assert.deepEqual(insert.params, [20, 'Weekly', null, 6]);
+  });
+
+  it('goes on with the other templates when one fails', async (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const db = fakeDb([dueTemplates, new Error('Lock wait timeout exceeded'), claimed, ...listFromTemplate2]);
+
+    assert.equal(await generateScheduledLists(db), 1);
+    assert.deepEqual(db.events, [
+      'getConnection', 'begin', 'rollback', 'release',
+      'getConnection', 'begin', 'commit', 'release',
+    ]);
+    assert.equal(logged.mock.callCount(), 1);
+  });
+
+  it('goes on with the other templates when no connection can be had', async (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const db = fakeDb([dueTemplates, claimed, ...listFromTemplate2], {
+      connectionErrors: [new Error('Pool is closed')],
+    });
+
+    assert.equal(await generateScheduledLists(db), 1);
+    assert.deepEqual(db.events, ['getConnection', 'getConnection', 'begin', 'commit', 'release']);
+    assert.equal(logged.mock.callCount(), 1);
+  });
+
+  it('skips a template another instance claimed first', async () => {
+    const db = fakeDb([[[{ id: 2, home_id: 20, user_id: 6 }]], [{ affectedRows: 0 }]]);
+
+    assert.equal(await generateScheduledLists(db), 0);
+    assert.deepEqual(db.events, ['getConnection', 'begin', 'rollback', 'release']);
+  });
+});
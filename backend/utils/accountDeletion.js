@@ -0,0 +1,139 @@
+const { pool } = require('../db');
+const { transferOwnership } = require('./homeMembership');
+const { createNotification, publishNotifications } = require('./notifications');
+const { closeHome } = require('./realtime');
+
+const httpError = (status, message, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * Homes owned by a user, each with the accepted members ownership can go to
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<{id: number, name: string, members: Array<{user_id: number, username: string}>}>>}
+ */
+const getOwnedHomes = async (userId) => {
+  const [homes] = await pool.query('SELECT id, name FROM homes WHERE user_id = ? ORDER BY name', [userId]);
+  if (homes.length === 0) {
+    return [];
+  }
+
+  const [members] = await pool.query(
+    `SELECT hm.home_id, hm.user_id, u.username, u.first_name, u.last_name
+     FROM home_members hm
+     JOIN users u ON hm.user_id = u.id
+     WHERE hm.home_id IN (?) AND hm.status = 'accepted'
+     ORDER BY u.username`,
+    [homes.map(home => home.id)]
+  );
+
+  return homes.map(home => ({
+    ...home,
+    members: members
+      .filter(member => member.home_id === home.id)
+      .map(({ home_id, ...member }) => member),
+  }));
+};
+
+/**
+ * Deletes a user account. Every owned home needs an explicit decision, so no
+ * household disappears by accident:
+ *   { homeId, action: 'transfer', newOwnerId } - an accepted member becomes the owner
+ *   { homeId, action: 'delete' }               - the home and all its data are deleted
+ * Lists, items and finance entries the user added to other homes stay (without a creator);
+ * finance entries nobody else can see are deleted with the account.
+ * Throws an error with .status (and .ownedHomes for 409) if the decisions are incomplete or invalid.
+ * @param {number} userId - User ID
+ * @param {string} username - Username, for notifications
+ * @param {Array<{homeId: number, action: string, newOwnerId?: number}>} homeActions
+ */
+const deleteAccount = async (userId, username, homeActions = []) => {
+  const ownedHomes = await getOwnedHomes(userId);
+  const actions = new Map((Array.isArray(homeActions) ? homeActions : [])
+    .map(action => [parseInt(action.homeId, 10), action]));
+
+  const undecided = ownedHomes.filter(home => !actions.has(home.id));
+  if (undecided.length > 0) {
+    throw httpError(409, 'Decide what happens to every home you own before deleting your account', { ownedHomes });
+  }
+
+  for (const home of ownedHomes) {
+    const action = actions.get(home.id);
+    if (action.action === 'transfer') {
+      const newOwnerId = parseInt(action.newOwnerId, 10);
+      if (!home.members.some(member => member.user_id === newOwnerId)) {
+        throw httpError(400, `The new owner of "${home.name}" must be an accepted member of it`);
+      }
+    } else if (action.action !== 'delete') {
+      throw httpError(400, `Action for "${home.name}" must be "transfer" or "delete"`);
+    }
+  }
+
+  const notifications = [];
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    for (const home of ownedHomes) {
+      const action = actions.get(home.id);
+      if (action.action === 'delete') {
+        await connection.query('DELETE FROM homes WHERE id = ? AND user_id = ?', [home.id, userId]);
+        continue;
+      }
+
+      const newOwnerId = parseInt(action.newOwnerId, 10);
+      const transferred = await transferOwnership(connection, home.id, userId, newOwnerId, { keepFormerOwner: false });
+      if (!transferred) {
+        throw httpError(409, `"${home.name}" changed meanwhile, please try again`);
+      }
+      notifications.push(await createNotification(connection, {
+        userId: newOwnerId,
+        type: 'home_ownership_transferred',
+        title: 'Home Ownership Transferred',
+        message: `${username} deleted their account and made you the owner of "${home.name}"`,
+        relatedId: home.id,
+        homeId: home.id,
+      }));
+    }
+
+    // A home created meanwhile would otherwise be deleted by the cascade without a decision
+    const [remaining] = await connection.query('SELECT id FROM homes WHERE user_id = ? FOR UPDATE', [userId]);
+    if (remaining.length > 0) {
+      throw httpError(409, 'Decide what happens to every home you own before deleting your account', {
+        ownedHomes: await getOwnedHomes(userId),
+      });
+    }
+
+    // Private finance entries would be visible to nobody once their creator is gone
+    await connection.query(
+      `DELETE hf FROM home_finances hf
+       WHERE hf.created_by = ?
+       AND NOT EXISTS (
+         SELECT 1 FROM home_finance_visibility hfv WHERE hfv.finance_id = hf.id AND hfv.user_id <> ?
+       )`,
+      [userId, userId]
+    );
+
+    // Sessions, memberships, family links, notifications and tokens cascade
+    await connection.query('DELETE FROM users WHERE id = ?', [userId]);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  publishNotifications(notifications);
+  for (const home of ownedHomes) {
+    if (actions.get(home.id).action === 'delete') {
+      closeHome(home.id);
+    }
+  }
+};
+
+module.exports = { getOwnedHomes, deleteAccount };
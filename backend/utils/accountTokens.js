@@ -0,0 +1,49 @@
+const { pool } = require('../db');
+const { generateSecureToken, hashToken } = require('./auth');
+
+// Lifetime of the one-time tokens sent by email, in minutes
+const TOKEN_TTL_MINUTES = {
+  email_verification: 24 * 60,
+  password_reset: 60,
+};
+
+// Create a one-time token; earlier unused tokens of the same type stop working
+const createAccountToken = async (userId, type) => {
+  const token = generateSecureToken();
+
+  await pool.query(
+    'DELETE FROM account_tokens WHERE user_id = ? AND type = ? AND used_at IS NULL',
+    [userId, type]
+  );
+
+  await pool.query(
+    `INSERT INTO account_tokens (user_id, type, token_hash, expires_at)
+     VALUES (?, ?, ?, NOW() + INTERVAL ? MINUTE)`,
+    [userId, type, hashToken(token), TOKEN_TTL_MINUTES[type]]
+  );
+
+  return token;
+};
+
+// Use up a token. Returns the user ID, or null if the token is unknown, expired or already used.
+const consumeAccountToken = async (token, type) => {
+  const [tokens] = await pool.query(
+    `SELECT id, user_id FROM account_tokens
+     WHERE token_hash = ? AND type = ? AND used_at IS NULL AND expires_at > NOW()`,
+    [hashToken(token), type]
+  );
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  // Guard on used_at so a token can only be redeemed once, even by concurrent requests
+  const [result] = await pool.query(
+    'UPDATE account_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [tokens[0].id]
+  );
+
+  return result.affectedRows > 0 ? tokens[0].user_id : null;
+};
+
+module.exports = { createAccountToken, consumeAccountToken };
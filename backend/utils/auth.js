@@ -1,4 +1,5 @@
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 // Hash password
 const hashPassword = async (password) => {
@@ -19,9 +20,21 @@ const generateUsername = (firstName, lastName) => {
   return `${firstPart}${lastPart}${randomNum}`;
 };
 
+// Generate an unguessable token (refresh tokens, verification links, ...)
+const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+// Hash a token for storage - tokens are never stored in plain text
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 module.exports = {
   hashPassword,
   comparePassword,
   generateUsername,
+  generateSecureToken,
+  hashToken,
 };
 
@@ -0,0 +1,275 @@
+const { pool } = require('../db');
+const { createNotification, publishNotifications } = require('./notifications');
+const { getScheduledFinances } = require('./finances');
+const { toMonthIndex, sumOccurrences } = require('./financeSchedule');
+
+// How often every home's budgets are checked in this process; 0 turns the periodic
+// check off (expense changes still check their home's budgets right away)
+const CHECK_INTERVAL_HOURS = process.env.BUDGET_ALERT_INTERVAL_HOURS !== undefined
+  ? parseInt(process.env.BUDGET_ALERT_INTERVAL_HOURS, 10) || 0
+  : 6;
+const BUDGET_PERIODS = ['monthly', 'yearly'];
+const MAX_CATEGORY_LENGTH = 100;
+const MAX_ALERT_PERCENT = 200;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+};
+
+/**
+ * Validated budget fields from a request body. When creating, category and
+ * amount are required and period defaults to monthly; when updating, only the
+ * given fields are returned.
+ * @param {object} body - Request body
+ * @param {boolean} [partial] - true for updates
+ * @returns {object} - category, period, amount and/or alert_percent
+ * @throws {Error} - status 400 for invalid values
+ */
+const readBudget = (body, partial = false) => {
+  const { category, period, amount, alert_percent } = body || {};
+  const budget = {};
+
+  if (category !== undefined || !partial) {
+    if (typeof category !== 'string' || !category.trim()) {
+      throw badRequest('Category is required');
+    }
+    if (category.trim().length > MAX_CATEGORY_LENGTH) {
+      throw badRequest(`Category must be at most ${MAX_CATEGORY_LENGTH} characters`);
+    }
+    budget.category = category.trim();
+  }
+
+  if (period !== undefined) {
+    if (!BUDGET_PERIODS.includes(period)) {
+      throw badRequest('Period must be monthly or yearly');
+    }
+    budget.period = period;
+  } else if (!partial) {
+    budget.period = 'monthly';
+  }
+
+  if (amount !== undefined || !partial) {
+    const value = parseFloat(amount);
+    if (isNaN(value) || value <= 0) {
+      throw badRequest('Amount must be a positive number');
+    }
+    budget.amount = value;
+  }
+
+  if (alert_percent !== undefined) {
+    const percent = Number(alert_percent);
+    if (!Number.isInteger(percent) || percent < 1 || percent > MAX_ALERT_PERCENT) {
+      throw badRequest(`Alert percent must be a whole number from 1 to ${MAX_ALERT_PERCENT}`);
+    }
+    budget.alert_percent = percent;
+  }
+
+  return budget;
+};
+
+/**
+ * Budgets of a home by category
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} homeId - Home ID
+ * @returns {Promise<Array>}
+ */
+const getBudgets = async (db, homeId) => {
+  const [budgets] = await db.query(
+    `SELECT b.id, b.home_id, b.category, b.period, b.amount, b.alert_percent, b.created_by,
+            u.username AS created_by_username, b.created_at, b.updated_at
+     FROM home_finance_budgets b
+     LEFT JOIN users u ON b.created_by = u.id
+     WHERE b.home_id = ?
+     ORDER BY b.category, b.period`,
+    [homeId]
+  );
+  return budgets;
+};
+
+/**
+ * One budget of a home
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} homeId - Home ID
+ * @param {number} budgetId - Budget ID
+ * @returns {Promise<object>}
+ * @throws {Error} - status 404 if the home has no such budget
+ */
+const getBudget = async (db, homeId, budgetId) => {
+  const budgets = await getBudgets(db, homeId);
+  const budget = budgets.find(b => b.id === parseInt(budgetId, 10));
+  if (!budget) {
+    throw notFound('Budget not found');
+  }
+  return budget;
+};
+
+// The month or year a budget is measured over for a given month
+const getPeriod = (period, year, month) => {
+  if (period === 'yearly') {
+    return { key: `${year}`, firstMonth: toMonthIndex(year, 1), lastMonth: toMonthIndex(year, 12) };
+  }
+  const monthIndex = toMonthIndex(year, month);
+  return { key: `${year}-${String(month).padStart(2, '0')}`, firstMonth: monthIndex, lastMonth: monthIndex };
+};
+
+/**
+ * Budgets of a home with what was spent in their category during the month
+ * (monthly budgets) or the year (yearly budgets) of the given month. Spending
+ * counts the expenses the user can see, split into months like the balance.
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} homeId - Home ID
+ * @param {number} userId - The user whose visibility applies
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12
+ * @returns {Promise<Array>} - Budgets with period_key, spent, remaining, percent_used and reached
+ */
+const getBudgetReport = async (db, homeId, userId, year, month) => {
+  const budgets = await getBudgets(db, homeId);
+  if (budgets.length === 0) {
+    return [];
+  }
+
+  const expenses = await getScheduledFinances(db, homeId, userId, 'expense', `${year}-01-01`, `${year}-12-01`);
+
+  return budgets.map(budget => {
+    const period = getPeriod(budget.period, year, month);
+    const total = sumOccurrences(
+      expenses.filter(expense => expense.category === budget.category),
+      period.firstMonth,
+      period.lastMonth
+    );
+    const spent = Math.round(total * 100) / 100;
+    // Only the shown values are rounded: 79.6% must not count as reaching 80%
+    const ratio = total / budget.amount;
+
+    return {
+      ...budget,
+      period_key: period.key,
+      spent,
+      remaining: Math.round((budget.amount - spent) * 100) / 100,
+      percent_used: Math.round(ratio * 100),
+      reached: ratio * 100 >= budget.alert_percent,
+    };
+  });
+};
+
+// 'other_expense' -> 'Other expense'
+const describeCategory = (category) => {
+  const words = category.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Notifies home owners about budgets whose spending reached their alert_percent
+ * in the current month or year. Spending is what the owner can see. Each budget
+ * alerts once per period: it is claimed by setting alerted_period inside the
+ * transaction that stores the notification, so a second backend instance
+ * running the same check finds nothing left to send.
+ * @param {Pool} db - MySQL pool
+ * @param {number} [homeId] - Only check this home
+ * @returns {Promise<number>} - Number of budgets alerted about
+ */
+const sendBudgetAlerts = async (db = pool, homeId = null) => {
+  const [homes] = await db.query(
+    `SELECT DISTINCT h.id, h.name, h.user_id
+     FROM homes h
+     JOIN home_finance_budgets b ON b.home_id = h.id
+     ${homeId ? 'WHERE h.id = ?' : ''}`,
+    homeId ? [homeId] : []
+  );
+
+  const today = new Date();
+  const year = today.getFullYear();
+  const month = today.getMonth() + 1;
+
+  let alerted = 0;
+  for (const home of homes) {
+    const report = await getBudgetReport(db, home.id, home.user_id, year, month);
+
+    for (const budget of report.filter(b => b.reached)) {
+      const connection = await db.getConnection();
+      let notification;
+      try {
+        await connection.beginTransaction();
+
+        const [claimed] = await connection.query(
+          `UPDATE home_finance_budgets SET alerted_period = ?
+           WHERE id = ? AND (alerted_period IS NULL OR alerted_period <> ?)`,
+          [budget.period_key, budget.id, budget.period_key]
+        );
+        if (claimed.affectedRows === 0) {
+          // Already alerted for this period
+          await connection.rollback();
+          continue;
+        }
+
+        notification = await createNotification(connection, {
+          userId: home.user_id,
+          type: 'budget_alert',
+          title: `Budget alert in ${home.name}`,
+          message: `${describeCategory(budget.category)} spending reached ${budget.percent_used}% of the `
+            + `${budget.period} budget (${budget.spent.toFixed(2)} of ${budget.amount.toFixed(2)}).`,
+          relatedId: budget.id,
+          homeId: home.id,
+        });
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      publishNotifications([notification]);
+      alerted++;
+    }
+  }
+
+  return alerted;
+};
+
+// Checks one home's budgets after its expenses or budgets changed, without holding up the response
+const checkBudgetAlerts = (homeId) => {
+  sendBudgetAlerts(pool, homeId).catch(error => console.error('Error sending budget alerts:', error));
+};
+
+// Runs the budget check now and then every BUDGET_ALERT_INTERVAL_HOURS in this process,
+// so that recurring expenses starting a new month are noticed too
+const scheduleBudgetAlerts = () => {
+  if (CHECK_INTERVAL_HOURS <= 0) {
+    return;
+  }
+
+  const run = async () => {
+    try {
+      const alerted = await sendBudgetAlerts();
+      if (alerted > 0) {
+        console.log(`Sent alerts for ${alerted} budget(s)`);
+      }
+    } catch (error) {
+      console.error('Error sending budget alerts:', error);
+    }
+  };
+
+  run();
+  setInterval(run, CHECK_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  readBudget,
+  getBudgets,
+  getBudget,
+  getBudgetReport,
+  sendBudgetAlerts,
+  checkBudgetAlerts,
+  scheduleBudgetAlerts,
+};
@@ -1,107 +1,226 @@
 const crypto = require('crypto');
 
-// Encryption key - should be stored in environment variable in production
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex');
 const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16;
-const SALT_LENGTH = 64;
-const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const MIN_SECRET_LENGTH = 32;
+
+// Current ciphertext format: v1:<keyId>:<iv>:<tag>:<data>
+// Older, unversioned ciphertexts (<iv>:<tag>:<data>) were always written with key 1
+const CIPHERTEXT_VERSION = 'v1';
+const LEGACY_KEY_ID = 1;
+
+const VERSIONED_FORMAT = /^v1:(\d+):([0-9a-f]+):([0-9a-f]+):([0-9a-f]+)$/i;
+const LEGACY_FORMAT = /^([0-9a-f]+):([0-9a-f]+):([0-9a-f]+)$/i;
+
+// Derived keys by key ID, loaded once on first use
+let keyring = null;
 
 /**
- * Encrypts a numeric value (amount) to a secure string
- * @param {number} amount - The amount to encrypt
+ * Parses the configured encryption keys.
+ * ENCRYPTION_KEYS holds a comma-separated list of "<id>:<secret>" pairs; a plain
+ * ENCRYPTION_KEY is accepted as key 1. ENCRYPTION_SALT is the per-deployment KDF salt.
+ * @returns {{secrets: Map<number, string>, salt: string}} - Secrets by key ID and the KDF salt
+ */
+function parseKeyConfig() {
+  const salt = process.env.ENCRYPTION_SALT;
+  if (!salt) {
+    throw new Error('ENCRYPTION_SALT is not set');
+  }
+
+  const secrets = new Map();
+  if (process.env.ENCRYPTION_KEYS) {
+    for (const entry of process.env.ENCRYPTION_KEYS.split(',')) {
+      const separator = entry.indexOf(':');
+      const id = parseInt(entry.slice(0, separator).trim(), 10);
+      const secret = entry.slice(separator + 1).trim();
+      if (separator === -1 || isNaN(id) || id < 1) {
+        throw new Error(`Invalid ENCRYPTION_KEYS entry "${entry.trim()}" - expected <id>:<secret> with a positive integer id`);
+      }
+      if (secrets.has(id)) {
+        throw new Error(`Duplicate encryption key id ${id}`);
+      }
+      secrets.set(id, secret);
+    }
+  } else if (process.env.ENCRYPTION_KEY) {
+    secrets.set(LEGACY_KEY_ID, process.env.ENCRYPTION_KEY);
+  }
+
+  if (secrets.size === 0) {
+    throw new Error('No encryption key configured - set ENCRYPTION_KEYS (or ENCRYPTION_KEY)');
+  }
+
+  for (const [id, secret] of secrets) {
+    if (secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`Encryption key ${id} must be at least ${MIN_SECRET_LENGTH} characters long`);
+    }
+  }
+
+  return { secrets, salt };
+}
+
+function getKeyring() {
+  if (!keyring) {
+    const { secrets, salt } = parseKeyConfig();
+    const keys = new Map();
+    // scrypt is deliberately slow, so every key is derived once and cached
+    for (const [id, secret] of secrets) {
+      keys.set(id, crypto.scryptSync(secret, salt, KEY_LENGTH));
+    }
+    keyring = {
+      keys,
+      currentKeyId: Math.max(...keys.keys()),
+    };
+  }
+  return keyring;
+}
+
+/**
+ * Validates the encryption configuration and derives the keys.
+ * Called on startup so the server refuses to run without a usable key.
+ * @returns {number} - ID of the key new ciphertexts are written with
+ */
+function initializeEncryption() {
+  return getKeyring().currentKeyId;
+}
+
+/**
+ * Splits a stored value into its parts
+ * @param {*} value - The stored value
+ * @returns {{keyId: number, iv: string, tag: string, data: string} | null}
+ */
+function parseCiphertext(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const versioned = value.match(VERSIONED_FORMAT);
+  if (versioned) {
+    const [, keyId, iv, tag, data] = versioned;
+    return { keyId: parseInt(keyId, 10), iv, tag, data };
+  }
+
+  const legacy = value.match(LEGACY_FORMAT);
+  if (legacy) {
+    const [, iv, tag, data] = legacy;
+    return { keyId: LEGACY_KEY_ID, iv, tag, data };
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a stored value has an encrypted amount format
+ * @param {*} value - The stored value
+ * @returns {boolean}
+ */
+function isEncryptedAmount(value) {
+  return parseCiphertext(value) !== null;
+}
+
+/**
+ * Checks whether a ciphertext should be re-encrypted with the newest key
+ * @param {string} encryptedAmount - The encrypted string
+ * @returns {boolean}
+ */
+function needsReencryption(encryptedAmount) {
+  return !encryptedAmount.startsWith(`${CIPHERTEXT_VERSION}:${getKeyring().currentKeyId}:`);
+}
+
+/**
+ * Encrypts a string with the newest key
+ * @param {string} text - The plain text
  * @returns {string} - Encrypted string
  */
-function encryptAmount(amount) {
+function encryptText(text) {
+  const { keys, currentKeyId } = getKeyring();
+
   try {
-    // Convert amount to string for encryption
-    const text = amount.toString();
-    
     // Generate a random IV (Initialization Vector)
     const iv = crypto.randomBytes(IV_LENGTH);
-    
-    // Derive key from ENCRYPTION_KEY
-    const key = crypto.scryptSync(ENCRYPTION_KEY, 'salt', 32);
-    
+
     // Create cipher
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-    
+    const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+
     // Encrypt the text
     let encrypted = cipher.update(text, 'utf8', 'hex');
     encrypted += cipher.final('hex');
-    
+
     // Get authentication tag
     const tag = cipher.getAuthTag();
-    
-    // Combine IV + tag + encrypted data
-    const result = iv.toString('hex') + ':' + tag.toString('hex') + ':' + encrypted;
-    
-    return result;
+
+    // Combine version + key ID + IV + tag + encrypted data
+    return [CIPHERTEXT_VERSION, currentKeyId, iv.toString('hex'), tag.toString('hex'), encrypted].join(':');
   } catch (error) {
-    console.error('Error encrypting amount:', error);
-    throw new Error('Failed to encrypt amount');
+    console.error('Error encrypting value:', error);
+    throw new Error('Failed to encrypt value');
   }
 }
 
 /**
- * Decrypts an encrypted amount string back to a number
- * @param {string} encryptedAmount - The encrypted string
- * @returns {number} - Decrypted amount
+ * Decrypts a string encrypted by encryptText
+ * @param {string} ciphertext - The encrypted string
+ * @returns {string} - The plain text
  */
-function decryptAmount(encryptedAmount) {
+function decryptText(ciphertext) {
+  const parts = parseCiphertext(ciphertext);
+  if (!parts) {
+    throw new Error('Invalid encrypted value format');
+  }
+
+  const key = getKeyring().keys.get(parts.keyId);
+  if (!key) {
+    throw new Error(`Encryption key ${parts.keyId} is not configured`);
+  }
+
   try {
-    if (!encryptedAmount || typeof encryptedAmount !== 'string') {
-      // If it's not encrypted (old data or invalid), try to parse as number
-      const parsed = parseFloat(encryptedAmount);
-      if (!isNaN(parsed)) {
-        return parsed;
-      }
-      throw new Error('Invalid encrypted amount format');
-    }
-    
-    // Split the encrypted string
-    const parts = encryptedAmount.split(':');
-    if (parts.length !== 3) {
-      // Try to parse as plain number (for backward compatibility)
-      const parsed = parseFloat(encryptedAmount);
-      if (!isNaN(parsed)) {
-        return parsed;
-      }
-      throw new Error('Invalid encrypted amount format');
-    }
-    
-    const [ivHex, tagHex, encrypted] = parts;
-    
     // Convert hex strings back to buffers
-    const iv = Buffer.from(ivHex, 'hex');
-    const tag = Buffer.from(tagHex, 'hex');
-    
-    // Derive key from ENCRYPTION_KEY
-    const key = crypto.scryptSync(ENCRYPTION_KEY, 'salt', 32);
-    
+    const iv = Buffer.from(parts.iv, 'hex');
+    const tag = Buffer.from(parts.tag, 'hex');
+
     // Create decipher
     const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
     decipher.setAuthTag(tag);
-    
+
     // Decrypt
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    let decrypted = decipher.update(parts.data, 'hex', 'utf8');
     decrypted += decipher.final('utf8');
-    
-    // Convert back to number
-    return parseFloat(decrypted);
+    return decrypted;
   } catch (error) {
-    console.error('Error decrypting amount:', error);
-    // Try to parse as plain number for backward compatibility
-    const parsed = parseFloat(encryptedAmount);
-    if (!isNaN(parsed)) {
-      return parsed;
-    }
-    throw new Error('Failed to decrypt amount');
+    console.error('Error decrypting value:', error);
+    throw new Error('Failed to decrypt value');
   }
 }
 
+/**
+ * Encrypts a numeric value (amount) to a secure string with the newest key
+ * @param {number} amount - The amount to encrypt
+ * @returns {string} - Encrypted string
+ */
+function encryptAmount(amount) {
+  return encryptText(amount.toString());
+}
+
+/**
+ * Decrypts an encrypted amount string back to a number
+ * @param {string} encryptedAmount - The encrypted string
+ * @returns {number} - Decrypted amount
+ */
+function decryptAmount(encryptedAmount) {
+  // Plain numbers are not accepted here: legacy rows hold obfuscated values
+  // and are converted by migrations/004_encrypt_finance_amounts.js
+  if (!isEncryptedAmount(encryptedAmount)) {
+    throw new Error('Invalid encrypted amount format');
+  }
+  return parseFloat(decryptText(encryptedAmount));
+}
+
 module.exports = {
+  initializeEncryption,
+  encryptText,
+  decryptText,
   encryptAmount,
-  decryptAmount
+  decryptAmount,
+  isEncryptedAmount,
+  needsReencryption
 };
-
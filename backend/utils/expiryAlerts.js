@@ -0,0 +1,152 @@
+const { pool } = require('../db');
+const { notifyHome } = require('./homeMembership');
+const { publishNotifications } = require('./notifications');
+const { ITEM_COLUMNS, ITEM_TABLES } = require('./itemCatalog');
+
+// How often the expiry check runs in this process; 0 turns expiry alerts off
+const CHECK_INTERVAL_HOURS = process.env.EXPIRY_ALERT_INTERVAL_HOURS !== undefined
+  ? parseInt(process.env.EXPIRY_ALERT_INTERVAL_HOURS, 10) || 0
+  : 6;
+const MAX_ALERT_DAYS = 60;
+// Items named in one notification; the rest are counted
+const MAX_NAMED_ITEMS = 5;
+
+/**
+ * Items of a home that expire within the given number of days or already expired,
+ * soonest first. days_left is negative for expired items.
+ * @param {Pool} db - MySQL pool
+ * @param {number} homeId - Home ID
+ * @param {number} days - Window in days
+ * @returns {Promise<Array>}
+ */
+const getExpiringItems = async (db, homeId, days) => {
+  const [items] = await db.query(
+    `SELECT ${ITEM_COLUMNS}, DATEDIFF(hi.expiry_date, CURDATE()) AS days_left
+     FROM ${ITEM_TABLES}
+     WHERE hi.home_id = ? AND hi.expiry_date IS NOT NULL AND hi.expiry_date <= CURDATE() + INTERVAL ? DAY
+     ORDER BY hi.expiry_date, hi.name`,
+    [homeId, days]
+  );
+  return items;
+};
+
+const describeItem = (item) => {
+  const days = item.days_left;
+  if (days < -1) {
+    return `${item.name} expired ${-days} days ago`;
+  }
+  if (days === -1) {
+    return `${item.name} expired yesterday`;
+  }
+  if (days === 0) {
+    return `${item.name} expires today`;
+  }
+  if (days === 1) {
+    return `${item.name} expires tomorrow`;
+  }
+  return `${item.name} expires in ${days} days`;
+};
+
+const describeItems = (items) => {
+  const named = items.slice(0, MAX_NAMED_ITEMS).map(describeItem);
+  if (items.length > MAX_NAMED_ITEMS) {
+    named.push(`${items.length - MAX_NAMED_ITEMS} more`);
+  }
+  return `${named.join(', ')}.`;
+};
+
+/**
+ * Notifies the members of every home about items that entered the home's alert
+ * window or expired since the last check. Each item is claimed by updating its
+ * expiry_alert inside the transaction that stores the notifications, so a
+ * second backend instance running the same check finds nothing left to send.
+ * @param {Pool} db - MySQL pool
+ * @returns {Promise<number>} - Number of items alerted about
+ */
+const sendExpiryAlerts = async (db = pool) => {
+  const [due] = await db.query(
+    `SELECT hi.id, hi.home_id, hi.name, DATEDIFF(hi.expiry_date, CURDATE()) AS days_left, h.name AS home_name
+     FROM home_items hi
+     JOIN homes h ON hi.home_id = h.id
+     WHERE hi.expiry_date IS NOT NULL
+       AND hi.expiry_date <= CURDATE() + INTERVAL h.expiry_alert_days DAY
+       AND (hi.expiry_alert IS NULL OR (hi.expiry_alert = 'expiring' AND hi.expiry_date < CURDATE()))
+     ORDER BY hi.home_id, hi.expiry_date, hi.name`
+  );
+
+  const byHome = new Map();
+  for (const item of due) {
+    if (!byHome.has(item.home_id)) {
+      byHome.set(item.home_id, []);
+    }
+    byHome.get(item.home_id).push(item);
+  }
+
+  let alerted = 0;
+  for (const [homeId, items] of byHome) {
+    const connection = await db.getConnection();
+    let notifications;
+    try {
+      await connection.beginTransaction();
+
+      const [claimed] = await connection.query(
+        `UPDATE home_items
+         SET expiry_alert = IF(expiry_date < CURDATE(), 'expired', 'expiring')
+         WHERE id IN (?) AND (expiry_alert IS NULL OR (expiry_alert = 'expiring' AND expiry_date < CURDATE()))`,
+        [items.map(item => item.id)]
+      );
+      if (claimed.affectedRows < items.length) {
+        // Changed or alerted meanwhile; the next check picks up what is still due
+        await connection.rollback();
+        continue;
+      }
+
+      const expired = items.some(item => item.days_left < 0);
+      notifications = await notifyHome(connection, homeId, [], {
+        type: 'items_expiring',
+        title: expired ? `Expired items in ${items[0].home_name}` : `Use soon in ${items[0].home_name}`,
+        message: describeItems(items),
+      });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    publishNotifications(notifications);
+    alerted += items.length;
+  }
+
+  return alerted;
+};
+
+// Runs the expiry check now and then every EXPIRY_ALERT_INTERVAL_HOURS in this process
+const scheduleExpiryAlerts = () => {
+  if (CHECK_INTERVAL_HOURS <= 0) {
+    return;
+  }
+
+  const run = async () => {
+    try {
+      const alerted = await sendExpiryAlerts();
+      if (alerted > 0) {
+        console.log(`Sent expiry alerts for ${alerted} item(s)`);
+      }
+    } catch (error) {
+      console.error('Error sending expiry alerts:', error);
+    }
+  };
+
+  run();
+  setInterval(run, CHECK_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  MAX_ALERT_DAYS,
+  getExpiringItems,
+  sendExpiryAlerts,
+  scheduleExpiryAlerts,
+};
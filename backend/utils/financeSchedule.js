@@ -0,0 +1,152 @@
+// When a finance entry counts. An entry is expanded into monthly occurrences:
+// - a payment plan (payment_months > 1) splits its amount over that many months
+// - an entry with a due date counts in full every month up to the due date
+// - a recurring entry counts every month from its transaction date on
+// - anything else counts once, in the month of its transaction date
+// The list, the balance, budgets and reports all use this; SQL only narrows
+// down the rows with getScheduleFilter.
+
+/**
+ * Year, month and day of a DATE value. mysql2 returns DATE columns as Date
+ * objects at local midnight, so those are read in local time.
+ * @param {Date|string|null} value - Date, or a string starting with YYYY-MM-DD
+ * @returns {{year: number, month: number, day: number}|null} - null for missing, invalid and zero dates
+ */
+const parseDate = (value) => {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) {
+      return null;
+    }
+    return { year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate() };
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  if (year === 0 || month < 1 || month > 12 || day < 1 || day > 31) {
+    return null;
+  }
+  return { year, month, day };
+};
+
+// Months since year 0, so that month ranges can be compared; month is 1-12
+const toMonthIndex = (year, month) => parseInt(year, 10) * 12 + (parseInt(month, 10) - 1);
+
+// Inverse of toMonthIndex, as 'YYYY-MM'
+const formatMonth = (monthIndex) => `${Math.floor(monthIndex / 12)}-${String((monthIndex % 12) + 1).padStart(2, '0')}`;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Installment number `position` (0-based) of an amount split into `count`
+// parts, in whole cents; the last installment takes the rounding difference
+const splitAmount = (amount, count, position) => {
+  const cents = Math.round(amount * 100);
+  const installment = Math.trunc(cents / count);
+  return (position === count - 1 ? cents - installment * (count - 1) : installment) / 100;
+};
+
+/**
+ * The months from firstMonth to lastMonth in which an entry counts. Each
+ * occurrence is dated on the day of the due date (or of the transaction date
+ * without one), moved to the month's last day in shorter months.
+ * @param {object} entry - Row with amount (decrypted), transaction_date, payment_months, is_recurring, due_date
+ * @param {number} firstMonth - toMonthIndex of the first month
+ * @param {number} lastMonth - toMonthIndex of the last month
+ * @returns {Array<{month: string, date: string, amount: number, index: number|null, count: number|null}>}
+ *   index and count number the months of a payment plan or due date range (1 of 1 for
+ *   a one-off entry); both are null for the months a recurring entry adds after that
+ */
+const getOccurrences = (entry, firstMonth, lastMonth) => {
+  const start = parseDate(entry.transaction_date);
+  if (!start) {
+    return [];
+  }
+  const startMonth = toMonthIndex(start.year, start.month);
+  const due = parseDate(entry.due_date);
+  const amount = Number(entry.amount) || 0;
+  const paymentMonths = parseInt(entry.payment_months, 10) || 0;
+
+  // Months of a payment plan, or of a due date range (at least the starting month)
+  let planMonths = 1;
+  if (paymentMonths > 1) {
+    planMonths = paymentMonths;
+  } else if (due) {
+    planMonths = Math.max(1, toMonthIndex(due.year, due.month) - startMonth + 1);
+  }
+  const day = (due || start).day;
+
+  const occurrences = [];
+  for (let monthIndex = Math.max(firstMonth, startMonth); monthIndex <= lastMonth; monthIndex++) {
+    const offset = monthIndex - startMonth;
+    let occurrence;
+    if (offset < planMonths) {
+      occurrence = {
+        amount: paymentMonths > 1 ? splitAmount(amount, planMonths, offset) : amount,
+        index: offset + 1,
+        count: planMonths,
+      };
+    } else if (entry.is_recurring && paymentMonths <= 1) {
+      occurrence = { amount, index: null, count: null };
+    } else {
+      break;
+    }
+
+    const month = formatMonth(monthIndex);
+    const lastDay = daysInMonth(Math.floor(monthIndex / 12), (monthIndex % 12) + 1);
+    occurrences.push({ month, date: `${month}-${String(Math.min(day, lastDay)).padStart(2, '0')}`, ...occurrence });
+  }
+  return occurrences;
+};
+
+/**
+ * Total of what entries count in the months from firstMonth to lastMonth
+ * @param {Array} entries - Rows as getOccurrences takes them
+ * @param {number} firstMonth - toMonthIndex of the first month
+ * @param {number} lastMonth - toMonthIndex of the last month
+ * @returns {number}
+ */
+const sumOccurrences = (entries, firstMonth, lastMonth) => {
+  let total = 0;
+  for (const entry of entries) {
+    for (const occurrence of getOccurrences(entry, firstMonth, lastMonth)) {
+      total += occurrence.amount;
+    }
+  }
+  return total;
+};
+
+/**
+ * SQL condition on home_finances (aliased hf) that keeps every entry that may
+ * occur in the months from one first-of-month date to another. It lets some
+ * rows through that do not; getOccurrences has the last word.
+ * @param {string} fromMonth - First month, 'YYYY-MM-01'
+ * @param {string} toMonth - Last month, 'YYYY-MM-01'
+ * @returns {{sql: string, params: Array}}
+ */
+const getScheduleFilter = (fromMonth, toMonth) => ({
+  sql: `DATE_FORMAT(hf.transaction_date, '%Y-%m-01') <= ?
+     AND (
+       DATE_FORMAT(hf.transaction_date, '%Y-%m-01') >= ?
+       OR hf.is_recurring = 1
+       OR (
+         hf.payment_months > 1
+         AND DATE_FORMAT(hf.transaction_date + INTERVAL (hf.payment_months - 1) MONTH, '%Y-%m-01') >= ?
+       )
+       OR DATE_FORMAT(NULLIF(hf.due_date, '0000-00-00'), '%Y-%m-01') >= ?
+     )`,
+  params: [toMonth, fromMonth, fromMonth, fromMonth],
+});
+
+module.exports = {
+  parseDate,
+  toMonthIndex,
+  formatMonth,
+  getOccurrences,
+  sumOccurrences,
+  getScheduleFilter,
+};
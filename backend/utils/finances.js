@@ -0,0 +1,322 @@
+// Finance entries of a home. Amounts are stored encrypted; an entry is visible to
+// its creator and to the members listed in home_finance_visibility.
+
+const { encryptAmount, decryptAmount } = require('./encryption');
+const { toMonthIndex, formatMonth, sumOccurrences, getScheduleFilter } = require('./financeSchedule');
+
+const REPORT_GROUPS = ['month', 'category'];
+// Longest range GET /finances/report covers
+const MAX_REPORT_MONTHS = 60;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+};
+
+/**
+ * Checks that everyone an entry is shared with is the home's owner or an accepted member
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} homeId - Home ID
+ * @param {number[]} [userIds] - visible_to_user_ids from a request body
+ * @throws {Error} - status 400 if someone is not
+ */
+const checkVisibleUsers = async (db, homeId, userIds) => {
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    return;
+  }
+  const [members] = await db.query(
+    `SELECT user_id FROM home_members WHERE home_id = ? AND user_id IN (?) AND status = 'accepted'
+     UNION
+     SELECT user_id FROM homes WHERE id = ? AND user_id IN (?)`,
+    [homeId, userIds, homeId, userIds]
+  );
+  const validUserIds = members.map(m => m.user_id);
+  if (userIds.some(id => !validUserIds.includes(id))) {
+    throw badRequest('Some selected users are not home members');
+  }
+};
+
+/**
+ * Stores a finance entry and who it is shared with. The caller validates the fields.
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} homeId - Home ID
+ * @param {number} userId - Creator
+ * @param {object} entry - type, category, amount, description, transaction_date, is_recurring,
+ *   due_date, payment_months, visible_to_user_ids, shopping_list_id
+ * @returns {Promise<number>} - Finance ID
+ */
+const createFinance = async (db, homeId, userId, entry) => {
+  const [result] = await db.query(
+    `INSERT INTO home_finances
+       (home_id, type, category, amount, description, transaction_date, is_recurring, created_by,
+        due_date, payment_months, shopping_list_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      homeId,
+      entry.type,
+      entry.category,
+      encryptAmount(parseFloat(entry.amount)),
+      entry.description || null,
+      entry.transaction_date,
+      entry.is_recurring || false,
+      userId,
+      entry.due_date || null,
+      entry.payment_months ? parseInt(entry.payment_months) : null,
+      entry.shopping_list_id || null,
+    ]
+  );
+  const financeId = result.insertId;
+
+  for (const visibleTo of entry.visible_to_user_ids || []) {
+    await db.query(
+      'INSERT INTO home_finance_visibility (finance_id, user_id) VALUES (?, ?)',
+      [financeId, visibleTo]
+    );
+  }
+  return financeId;
+};
+
+/**
+ * A finance entry of a home that the user can see: one they created or one
+ * shared with them. Entries hidden from the user are reported as missing.
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} homeId - Home ID
+ * @param {number} financeId - Finance ID
+ * @param {number} userId - The user whose visibility applies
+ * @returns {Promise<{id: number, created_by: number}>}
+ * @throws {Error} - status 404 if the home has no such entry or the user cannot see it
+ */
+const findVisibleFinance = async (db, homeId, financeId, userId) => {
+  const [rows] = await db.query(
+    `SELECT hf.id, hf.created_by
+     FROM home_finances hf
+     LEFT JOIN home_finance_visibility hfv ON hf.id = hfv.finance_id AND hfv.user_id = ?
+     WHERE hf.id = ? AND hf.home_id = ?
+     AND (hf.created_by = ? OR hfv.user_id = ?)`,
+    [userId, financeId, homeId, userId, userId]
+  );
+  if (rows.length === 0) {
+    throw notFound('Finance entry not found');
+  }
+  return rows[0];
+};
+
+/**
+ * Deletes a finance entry the user can see
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} homeId - Home ID
+ * @param {number} financeId - Finance ID
+ * @param {number} userId - The user whose visibility applies
+ * @throws {Error} - status 404 if the home has no such entry or the user cannot see it
+ */
+const deleteFinance = async (db, homeId, financeId, userId) => {
+  await findVisibleFinance(db, homeId, financeId, userId);
+  const [result] = await db.query(
+    'DELETE FROM home_finances WHERE id = ? AND home_id = ?',
+    [financeId, homeId]
+  );
+  if (result.affectedRows === 0) {
+    throw notFound('Finance entry not found');
+  }
+};
+
+/**
+ * A finance entry with its decrypted amount and visible_to_user_ids
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} financeId - Finance ID
+ * @param {number} [fallbackAmount] - Returned as the amount if it cannot be decrypted
+ * @returns {Promise<object|null>}
+ */
+const getFinance = async (db, financeId, fallbackAmount = 0) => {
+  const [rows] = await db.query(
+    'SELECT hf.*, u.username as created_by_username FROM home_finances hf LEFT JOIN users u ON hf.created_by = u.id WHERE hf.id = ?',
+    [financeId]
+  );
+  const finance = rows[0];
+  if (!finance) {
+    return null;
+  }
+
+  try {
+    finance.amount = decryptAmount(finance.amount);
+  } catch (error) {
+    console.error('Error decrypting amount:', error);
+    finance.amount = fallbackAmount;
+  }
+
+  const [visibility] = await db.query(
+    'SELECT user_id FROM home_finance_visibility WHERE finance_id = ?',
+    [financeId]
+  );
+  finance.visible_to_user_ids = visibility.map(v => v.user_id);
+  return finance;
+};
+
+/**
+ * Entries of one type a user can see that may count in the months from one
+ * first-of-month date to another, with their amounts decrypted. Entries whose
+ * amount cannot be decrypted are logged and left out.
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} homeId - Home ID
+ * @param {number} userId - The user whose visibility applies
+ * @param {string} type - 'income' or 'expense'
+ * @param {string} fromMonth - First month, 'YYYY-MM-01'
+ * @param {string} toMonth - Last month, 'YYYY-MM-01'
+ * @returns {Promise<Array>} - Rows with category, amount and the scheduling columns
+ */
+const getScheduledFinances = async (db, homeId, userId, type, fromMonth, toMonth) => {
+  const schedule = getScheduleFilter(fromMonth, toMonth);
+  const [records] = await db.query(
+    `SELECT hf.category, hf.amount, hf.transaction_date, hf.payment_months, hf.is_recurring, hf.due_date
+     FROM home_finances hf
+     LEFT JOIN home_finance_visibility hfv ON hf.id = hfv.finance_id AND hfv.user_id = ?
+     WHERE hf.home_id = ?
+     AND hf.type = ?
+     AND ${schedule.sql}
+     AND (hf.created_by = ? OR hfv.user_id = ?)`,
+    [userId, homeId, type, ...schedule.params, userId, userId]
+  );
+
+  const decrypted = [];
+  for (const record of records) {
+    try {
+      decrypted.push({ ...record, amount: decryptAmount(record.amount) });
+    } catch (error) {
+      console.error(`Error decrypting ${type} amount:`, error);
+    }
+  }
+  return decrypted;
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validated month of a month and year query
+ * @param {string} year - Year, YYYY
+ * @param {string} month - Month, 1-12
+ * @returns {number} - Month index as returned by toMonthIndex
+ * @throws {Error} - status 400 for a missing or invalid month or year
+ */
+const readMonth = (year, month) => {
+  const monthNumber = Number(month);
+  if (!/^\d{4}$/.test(String(year ?? '')) || !Number.isInteger(monthNumber) || monthNumber < 1 || monthNumber > 12) {
+    throw badRequest('month (1-12) and year (YYYY) are required together');
+  }
+  return toMonthIndex(year, monthNumber);
+};
+
+/**
+ * Validated month range of a report
+ * @param {string} from - First month, 'YYYY-MM'
+ * @param {string} to - Last month, 'YYYY-MM'
+ * @returns {{firstMonth: number, lastMonth: number}} - Month indexes as returned by toMonthIndex
+ * @throws {Error} - status 400 for a missing, reversed or too long range
+ */
+const readReportRange = (from, to) => {
+  const pattern = /^(\d{4})-(0[1-9]|1[0-2])$/;
+  const fromMatch = pattern.exec(from || '');
+  const toMatch = pattern.exec(to || '');
+  if (!fromMatch || !toMatch) {
+    throw badRequest('from and to are required as YYYY-MM');
+  }
+
+  const firstMonth = toMonthIndex(fromMatch[1], fromMatch[2]);
+  const lastMonth = toMonthIndex(toMatch[1], toMatch[2]);
+  if (firstMonth > lastMonth) {
+    throw badRequest('from must not be after to');
+  }
+  if (lastMonth - firstMonth + 1 > MAX_REPORT_MONTHS) {
+    throw badRequest(`A report covers at most ${MAX_REPORT_MONTHS} months`);
+  }
+  return { firstMonth, lastMonth };
+};
+
+/**
+ * Income, expenses and balance of a home over a range of months, from the
+ * entries a user can see, split into months like the monthly balance.
+ * groupBy 'month' returns one group per month; 'category' one per type and
+ * category, largest first.
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} homeId - Home ID
+ * @param {number} userId - The user whose visibility applies
+ * @param {number} firstMonth - toMonthIndex of the first month
+ * @param {number} lastMonth - toMonthIndex of the last month
+ * @param {string} [groupBy] - 'month' or 'category'
+ * @returns {Promise<object>} - { from, to, group_by, totals, groups }
+ */
+const getFinanceReport = async (db, homeId, userId, firstMonth, lastMonth, groupBy = 'month') => {
+  if (!REPORT_GROUPS.includes(groupBy)) {
+    throw badRequest('groupBy must be month or category');
+  }
+
+  const fromMonth = `${formatMonth(firstMonth)}-01`;
+  const toMonth = `${formatMonth(lastMonth)}-01`;
+  const records = {
+    income: await getScheduledFinances(db, homeId, userId, 'income', fromMonth, toMonth),
+    expense: await getScheduledFinances(db, homeId, userId, 'expense', fromMonth, toMonth),
+  };
+  const totalIncome = sumOccurrences(records.income, firstMonth, lastMonth);
+  const totalExpenses = sumOccurrences(records.expense, firstMonth, lastMonth);
+
+  let groups;
+  if (groupBy === 'month') {
+    groups = [];
+    for (let monthIndex = firstMonth; monthIndex <= lastMonth; monthIndex++) {
+      const income = sumOccurrences(records.income, monthIndex, monthIndex);
+      const expenses = sumOccurrences(records.expense, monthIndex, monthIndex);
+      groups.push({
+        month: formatMonth(monthIndex),
+        income: roundCents(income),
+        expenses: roundCents(expenses),
+        balance: roundCents(income - expenses),
+      });
+    }
+  } else {
+    groups = [];
+    for (const type of ['income', 'expense']) {
+      const categories = new Set(records[type].map(record => record.category));
+      for (const category of categories) {
+        const total = sumOccurrences(
+          records[type].filter(record => record.category === category),
+          firstMonth,
+          lastMonth
+        );
+        if (total !== 0) {
+          groups.push({ type, category, total: roundCents(total) });
+        }
+      }
+    }
+    groups.sort((a, b) => a.type.localeCompare(b.type) || b.total - a.total);
+  }
+
+  return {
+    from: formatMonth(firstMonth),
+    to: formatMonth(lastMonth),
+    group_by: groupBy,
+    totals: {
+      income: roundCents(totalIncome),
+      expenses: roundCents(totalExpenses),
+      balance: roundCents(totalIncome - totalExpenses),
+    },
+    groups,
+  };
+};
+
+module.exports = {
+  checkVisibleUsers,
+  createFinance,
+  findVisibleFinance,
+  deleteFinance,
+  getFinance,
+  getScheduledFinances,
+  readMonth,
+  readReportRange,
+  getFinanceReport,
+};
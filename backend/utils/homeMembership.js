@@ -0,0 +1,89 @@
+const { createNotification } = require('./notifications');
+
+// Membership changes shared by the member routes and account deletion.
+// Every function takes a connection (or the pool) so callers can run them in a transaction.
+
+/**
+ * Removes a user's membership (pending or accepted) from a home, together with
+ * the finance visibility they were given there - a former member keeps no access
+ * @param {Connection|Pool} db - MySQL connection or pool
+ * @param {number} homeId - Home ID
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} - Whether there was a membership to remove
+ */
+const removeMembership = async (db, homeId, userId) => {
+  const [result] = await db.query('DELETE FROM home_members WHERE home_id = ? AND user_id = ?', [homeId, userId]);
+
+  await db.query(
+    `DELETE hfv FROM home_finance_visibility hfv
+     JOIN home_finances hf ON hfv.finance_id = hf.id
+     WHERE hf.home_id = ? AND hfv.user_id = ?`,
+    [homeId, userId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Makes an accepted member the owner of a home. The owner is not a home member,
+ * so the new owner's membership row goes away; the former owner stays as an
+ * admin unless keepFormerOwner is false.
+ * @param {Connection|Pool} db - MySQL connection or pool
+ * @param {number} homeId - Home ID
+ * @param {number} currentOwnerId - User ID of the current owner
+ * @param {number} newOwnerId - User ID of the new owner
+ * @param {object} [options]
+ * @param {boolean} [options.keepFormerOwner=true] - Add the former owner as an admin
+ * @returns {Promise<boolean>} - False if the home or the accepted member was not found
+ */
+const transferOwnership = async (db, homeId, currentOwnerId, newOwnerId, { keepFormerOwner = true } = {}) => {
+  const [members] = await db.query(
+    `SELECT hm.id FROM home_members hm
+     JOIN homes h ON hm.home_id = h.id
+     WHERE hm.home_id = ? AND hm.user_id = ? AND hm.status = 'accepted' AND h.user_id = ?
+     FOR UPDATE`,
+    [homeId, newOwnerId, currentOwnerId]
+  );
+  if (members.length === 0) {
+    return false;
+  }
+
+  await db.query('UPDATE homes SET user_id = ? WHERE id = ? AND user_id = ?', [newOwnerId, homeId, currentOwnerId]);
+  await db.query('DELETE FROM home_members WHERE id = ?', [members[0].id]);
+
+  if (keepFormerOwner) {
+    await db.query(
+      "INSERT INTO home_members (home_id, user_id, role, status) VALUES (?, ?, 'admin', 'accepted')",
+      [homeId, currentOwnerId]
+    );
+  }
+  return true;
+};
+
+/**
+ * Stores a notification for every accepted member of a home and its owner
+ * @param {Connection|Pool} db - MySQL connection or pool
+ * @param {number} homeId - Home ID
+ * @param {number[]} excludeUserIds - Users who are told some other way (or not at all)
+ * @param {{type: string, title: string, message: string, relatedId: number}} notification
+ * @returns {Promise<object[]>} - The stored notifications, for publishNotifications()
+ */
+const notifyHome = async (db, homeId, excludeUserIds, { type, title, message, relatedId }) => {
+  const [recipients] = await db.query(
+    `SELECT user_id FROM homes WHERE id = ?
+     UNION
+     SELECT user_id FROM home_members WHERE home_id = ? AND status = 'accepted'`,
+    [homeId, homeId]
+  );
+
+  const notifications = [];
+  for (const { user_id: userId } of recipients) {
+    if (excludeUserIds.includes(userId)) {
+      continue;
+    }
+    notifications.push(await createNotification(db, { userId, type, title, message, relatedId, homeId }));
+  }
+  return notifications;
+};
+
+module.exports = { removeMembership, transferOwnership, notifyHome };
@@ -0,0 +1,328 @@
+const { pool } = require('../db');
+const { publishToHome } = require('./realtime');
+const { roundAmount, canConvert, convertAmount, formatQuantity, normalizeUnit } = require('./quantities');
+const { ITEM_SELECT, getItem, getItems, resolveCategory, resolveLocation } = require('./itemCatalog');
+const { getListItem } = require('./shoppingLists');
+
+// Name of the list created when a low-stock item needs one and the home has no active list
+const AUTO_LIST_NAME = 'Shopping list';
+// Category suggested for bought items that match nothing in the inventory, if the home has it
+const DEFAULT_RESTOCK_CATEGORY = 'Pantry';
+const RESTOCK_ACTIONS = ['create', 'increase', 'skip'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Takes an amount out of an inventory item and logs it. Runs on the caller's
+ * connection inside its transaction; the item row is locked while it changes.
+ * @param {Connection} connection - MySQL connection in a transaction
+ * @param {number} homeId - Home ID
+ * @param {number} itemId - Item ID
+ * @param {number} userId - User consuming the item
+ * @param {object} consumption
+ * @param {number} consumption.amount - Amount taken, > 0
+ * @param {string} [consumption.unit] - Unit of amount, defaults to the item's; must convert to it
+ * @param {string} [consumption.note]
+ * @returns {Promise<{item: object, consumption: object}>} - Updated item and the log entry
+ */
+const consumeItem = async (connection, homeId, itemId, userId, { amount, unit, note = null }) => {
+  // Lock the home first: the consumption row's foreign key would otherwise take a shared
+  // lock on it, and two consumptions upgrading that lock in addToShoppingListIfLow deadlock
+  await connection.query('SELECT id FROM homes WHERE id = ? FOR UPDATE', [homeId]);
+
+  const [items] = await connection.query(
+    'SELECT * FROM home_items WHERE id = ? AND home_id = ? FOR UPDATE',
+    [itemId, homeId]
+  );
+  if (items.length === 0) {
+    const error = new Error('Item not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const item = items[0];
+  if (item.amount === null || !item.unit) {
+    throw badRequest('Set a numeric amount and unit on this item before consuming it');
+  }
+
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw badRequest('amount must be a positive number');
+  }
+  const fromUnit = unit === undefined || unit === null ? item.unit : normalizeUnit(unit);
+  if (!fromUnit) {
+    throw badRequest(`Unknown unit "${unit}"`);
+  }
+
+  const taken = convertAmount(value, fromUnit, item.unit);
+  if (taken > item.amount) {
+    throw badRequest(`Only ${formatQuantity(item.amount, item.unit)} left`);
+  }
+
+  const remaining = roundAmount(item.amount - taken);
+  await connection.query(
+    'UPDATE home_items SET amount = ?, quantity = ? WHERE id = ?',
+    [remaining, formatQuantity(remaining, item.unit), itemId]
+  );
+
+  const [result] = await connection.query(
+    `INSERT INTO home_item_consumptions (home_id, item_id, item_name, user_id, amount, unit, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [homeId, itemId, item.name, userId, taken, item.unit, note ? String(note).substring(0, 255) : null]
+  );
+
+  const [logged] = await connection.query('SELECT * FROM home_item_consumptions WHERE id = ?', [result.insertId]);
+  return { item: await getItem(connection, itemId), consumption: logged[0] };
+};
+
+const isLowStock = (item) => item.amount !== null && item.min_amount !== null && item.amount < item.min_amount;
+
+/**
+ * Puts an item that dropped below its minimum on the home's active shopping list,
+ * creating the list if there is none. Nothing is added when the item is already
+ * on the list, whether linked to it or under the same name. Runs inside the
+ * caller's transaction; the home row is locked so concurrent calls agree on one list.
+ * @param {Connection} connection - MySQL connection in a transaction
+ * @param {number} homeId - Home ID
+ * @param {number} itemId - Inventory item ID
+ * @param {number} userId - User whose change caused it
+ * @returns {Promise<{item: object, list: object, listCreated: boolean}|null>} - The new list item, or null if nothing was added
+ */
+const addToShoppingListIfLow = async (connection, homeId, itemId, userId) => {
+  await connection.query('SELECT id FROM homes WHERE id = ? FOR UPDATE', [homeId]);
+
+  const [items] = await connection.query('SELECT * FROM home_items WHERE id = ? AND home_id = ?', [itemId, homeId]);
+  if (items.length === 0 || !isLowStock(items[0])) {
+    return null;
+  }
+  const item = items[0];
+
+  // Same choice of list as GET /api/homes/:id/shopping-lists/active
+  const [lists] = await connection.query(
+    `SELECT * FROM shopping_lists WHERE home_id = ? AND status = 'active' ORDER BY created_at DESC LIMIT 1`,
+    [homeId]
+  );
+
+  let list = lists[0];
+  let listCreated = false;
+  if (!list) {
+    const [result] = await connection.query(
+      'INSERT INTO shopping_lists (home_id, name, created_by) VALUES (?, ?, ?)',
+      [homeId, AUTO_LIST_NAME, userId]
+    );
+    const [created] = await connection.query('SELECT * FROM shopping_lists WHERE id = ?', [result.insertId]);
+    list = created[0];
+    listCreated = true;
+  } else {
+    const [existing] = await connection.query(
+      'SELECT id FROM shopping_list_items WHERE list_id = ? AND (home_item_id = ? OR LOWER(name) = LOWER(?)) LIMIT 1',
+      [list.id, item.id, item.name]
+    );
+    if (existing.length > 0) {
+      return null;
+    }
+  }
+
+  // Enough to get back to the minimum
+  const amount = roundAmount(item.min_amount - item.amount);
+  const [result] = await connection.query(
+    `INSERT INTO shopping_list_items (list_id, home_item_id, name, quantity, amount, unit)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [list.id, item.id, item.name, formatQuantity(amount, item.unit), amount, item.unit]
+  );
+  const added = await getListItem(connection, result.insertId);
+
+  return { item: added, list, listCreated };
+};
+
+// Tells the home's open streams about what addToShoppingListIfLow added
+const publishShoppingListAddition = (homeId, addition) => {
+  if (!addition) {
+    return;
+  }
+  if (addition.listCreated) {
+    publishToHome(homeId, 'shopping-list', { action: 'created', list: { ...addition.list, items: [addition.item] } });
+  } else {
+    publishToHome(homeId, 'shopping-list-item', { action: 'created', item: addition.item });
+  }
+};
+
+/**
+ * addToShoppingListIfLow in a transaction of its own, publishing the result.
+ * For routes that changed an item without a transaction. The item change is
+ * already committed then, so a failure here is logged instead of thrown: the
+ * route still succeeds and a retry does not repeat the change.
+ * @returns {Promise<object|null>} - The new shopping list item, or null
+ */
+const restockIfLow = async (homeId, itemId, userId) => {
+  try {
+    const connection = await pool.getConnection();
+    let addition;
+    try {
+      await connection.beginTransaction();
+      addition = await addToShoppingListIfLow(connection, homeId, itemId, userId);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    publishShoppingListAddition(homeId, addition);
+    return addition ? addition.item : null;
+  } catch (error) {
+    console.error(`Error restocking item ${itemId}:`, error);
+    return null;
+  }
+};
+
+// A bought amount can be added to an item when both have amounts in units of the same kind
+const canIncrease = (listItem, item) => listItem.amount !== null && Boolean(listItem.unit)
+  && item.amount !== null && Boolean(item.unit) && canConvert(listItem.unit, item.unit);
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// The inventory item a list item refers to: the one it was added for, else one with the same name,
+// preferring a name match whose amount the purchase can be added to
+const findInventoryMatch = (listItem, items) => {
+  if (listItem.home_item_id !== null) {
+    const linked = items.find(item => item.id === listItem.home_item_id);
+    if (linked) {
+      return linked;
+    }
+  }
+  const named = items.filter(item => sameName(item.name, listItem.name));
+  return named.find(item => canIncrease(listItem, item)) || named[0] || null;
+};
+
+/**
+ * Suggests what completing a list should do with each checked item: increase the
+ * inventory item it matches, create a new one when nothing matches, or skip it when
+ * the match has no amount the purchase can be added to.
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} homeId - Home ID
+ * @param {number} listId - Shopping list ID
+ * @returns {Promise<object[]>} - One suggestion per checked item
+ */
+const previewRestock = async (db, homeId, listId) => {
+  const [listItems] = await db.query(
+    'SELECT * FROM shopping_list_items WHERE list_id = ? AND completed = TRUE ORDER BY created_at',
+    [listId]
+  );
+  const [items] = await db.query(`${ITEM_SELECT} WHERE hi.home_id = ? ORDER BY hi.name`, [homeId]);
+  const [categories] = await db.query('SELECT id, name FROM home_categories WHERE home_id = ? ORDER BY id', [homeId]);
+  const fallback = categories.find(category => category.name === DEFAULT_RESTOCK_CATEGORY) || categories[0];
+
+  return listItems.map(listItem => {
+    const match = findInventoryMatch(listItem, items);
+    const increasable = Boolean(match) && canIncrease(listItem, match);
+    let action = 'create';
+    if (match) {
+      action = increasable ? 'increase' : 'skip';
+    }
+    return {
+      list_item: listItem,
+      match,
+      can_increase: increasable,
+      action,
+      category_id: match ? match.category_id : (fallback ? fallback.id : null),
+      location_id: match ? match.location_id : null,
+    };
+  });
+};
+
+/**
+ * Applies the choices made on a restock preview: creates inventory items for bought
+ * items, or adds the bought amount to existing ones. Each list item is linked to the
+ * inventory item it went into. Runs inside the caller's transaction.
+ * @param {Connection} connection - MySQL connection in a transaction
+ * @param {number} homeId - Home ID
+ * @param {number} listId - Shopping list ID
+ * @param {number} userId - User completing the list
+ * @param {object[]} choices - { list_item_id, action: 'create'|'increase'|'skip', home_item_id?, category_id?, location_id? }
+ * @returns {Promise<{created: object[], updated: object[]}>} - Inventory items created and increased
+ */
+const restockFromList = async (connection, homeId, listId, userId, choices) => {
+  const [listItems] = await connection.query(
+    'SELECT * FROM shopping_list_items WHERE list_id = ? AND completed = TRUE',
+    [listId]
+  );
+  const [items] = await connection.query('SELECT * FROM home_items WHERE home_id = ? FOR UPDATE', [homeId]);
+
+  const created = [];
+  const updated = new Map();
+  const seen = new Set();
+  for (const choice of choices) {
+    const listItem = listItems.find(li => li.id === Number(choice && choice.list_item_id));
+    if (!listItem) {
+      throw badRequest('restock may only contain checked items of this list');
+    }
+    if (seen.has(listItem.id)) {
+      throw badRequest(`"${listItem.name}" is in restock more than once`);
+    }
+    seen.add(listItem.id);
+    if (!RESTOCK_ACTIONS.includes(choice.action)) {
+      throw badRequest('action must be create, increase or skip');
+    }
+
+    if (choice.action === 'skip') {
+      continue;
+    }
+
+    let homeItemId;
+    if (choice.action === 'increase') {
+      const item = choice.home_item_id !== undefined && choice.home_item_id !== null
+        ? items.find(i => i.id === Number(choice.home_item_id))
+        : findInventoryMatch(listItem, items);
+      if (!item) {
+        throw badRequest(`No inventory item to add "${listItem.name}" to`);
+      }
+      if (!canIncrease(listItem, item)) {
+        throw badRequest(`"${listItem.name}" cannot be added to ${item.name}; the amounts are missing or in different units`);
+      }
+      // Several list items can go into the same inventory item
+      item.amount = roundAmount(item.amount + convertAmount(listItem.amount, listItem.unit, item.unit));
+      await connection.query(
+        'UPDATE home_items SET amount = ?, quantity = ? WHERE id = ?',
+        [item.amount, formatQuantity(item.amount, item.unit), item.id]
+      );
+      homeItemId = item.id;
+      updated.set(item.id, item);
+    } else {
+      const categoryId = await resolveCategory(connection, homeId, choice);
+      if (categoryId === undefined) {
+        throw badRequest(`Choose a category for "${listItem.name}"`);
+      }
+      const locationId = await resolveLocation(connection, homeId, choice);
+      const [result] = await connection.query(
+        `INSERT INTO home_items (home_id, name, category_id, quantity, amount, unit, location_id, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [homeId, listItem.name, categoryId, listItem.quantity, listItem.amount, listItem.unit, locationId ?? null, userId]
+      );
+      homeItemId = result.insertId;
+      created.push(homeItemId);
+    }
+
+    await connection.query('UPDATE shopping_list_items SET home_item_id = ? WHERE id = ?', [homeItemId, listItem.id]);
+  }
+
+  const rows = await getItems(connection, [...created, ...updated.keys()]);
+  return {
+    created: rows.filter(row => created.includes(row.id)),
+    updated: rows.filter(row => updated.has(row.id)),
+  };
+};
+
+module.exports = {
+  consumeItem,
+  addToShoppingListIfLow,
+  publishShoppingListAddition,
+  restockIfLow,
+  previewRestock,
+  restockFromList,
+};
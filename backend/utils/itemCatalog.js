@@ -0,0 +1,141 @@
+// Per-home inventory categories and storage locations, and reading items with their names
+
+// Categories every new home starts with
+const DEFAULT_CATEGORIES = [
+  { name: 'Fridge', icon: '🧊' },
+  { name: 'Freezer', icon: '❄️' },
+  { name: 'Pantry', icon: '🥫' },
+  { name: 'Storage', icon: '📦' },
+];
+const MAX_CATEGORY_NAME_LENGTH = 50;
+const MAX_LOCATION_NAME_LENGTH = 100;
+const MAX_ICON_LENGTH = 16;
+
+// An inventory item as the API returns it: the row plus the names of its category and location
+const ITEM_COLUMNS = `hi.*, hc.name AS category, hc.icon AS category_icon, hl.name AS location,
+  u.username AS created_by_username`;
+const ITEM_TABLES = `home_items hi
+  LEFT JOIN home_categories hc ON hc.id = hi.category_id
+  LEFT JOIN home_locations hl ON hl.id = hi.location_id
+  LEFT JOIN users u ON u.id = hi.created_by`;
+const ITEM_SELECT = `SELECT ${ITEM_COLUMNS} FROM ${ITEM_TABLES}`;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Inventory items with their category and location names
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number[]} ids - Item IDs
+ * @returns {Promise<object[]>}
+ */
+const getItems = async (db, ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+  const [items] = await db.query(`${ITEM_SELECT} WHERE hi.id IN (?) ORDER BY hi.id`, [ids]);
+  return items;
+};
+
+const getItem = async (db, id) => (await getItems(db, [id]))[0] || null;
+
+const seedDefaultCategories = async (db, homeId) => {
+  await db.query(
+    'INSERT IGNORE INTO home_categories (home_id, name, icon) VALUES ?',
+    [DEFAULT_CATEGORIES.map(category => [homeId, category.name, category.icon])]
+  );
+};
+
+/**
+ * Validates a category or location name from a request body
+ * @throws {Error} - status 400 if it is empty or too long
+ */
+const readName = (value, field, maxLength) => {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) {
+    throw badRequest(`${field} is required`);
+  }
+  if (name.length > maxLength) {
+    throw badRequest(`${field} must be at most ${maxLength} characters`);
+  }
+  return name;
+};
+
+const readIcon = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || [...value].length > MAX_ICON_LENGTH) {
+    throw badRequest(`icon must be text of at most ${MAX_ICON_LENGTH} characters`);
+  }
+  return value;
+};
+
+/**
+ * The category an item request refers to, by category_id or, for older clients, by category name.
+ * @returns {Promise<number|undefined>} - Category ID, undefined when the body names none
+ * @throws {Error} - status 400 if the home has no such category
+ */
+const resolveCategory = async (db, homeId, { category_id, category }) => {
+  let rows;
+  if (category_id !== undefined && category_id !== null && category_id !== '') {
+    [rows] = await db.query('SELECT id FROM home_categories WHERE id = ? AND home_id = ?', [category_id, homeId]);
+  } else if (category !== undefined && category !== null && category !== '') {
+    [rows] = await db.query('SELECT id FROM home_categories WHERE name = ? AND home_id = ?', [String(category).trim(), homeId]);
+  } else {
+    return undefined;
+  }
+  if (rows.length === 0) {
+    throw badRequest('Unknown category');
+  }
+  return rows[0].id;
+};
+
+/**
+ * The location an item request refers to, by location_id or by name. Unknown names
+ * become new locations, so clients can keep sending free text.
+ * @returns {Promise<number|null|undefined>} - Location ID; null clears it, undefined when the body names none
+ * @throws {Error} - status 400 if location_id is not a location of the home
+ */
+const resolveLocation = async (db, homeId, { location_id, location }) => {
+  if (location_id !== undefined) {
+    if (location_id === null || location_id === '') {
+      return null;
+    }
+    const [rows] = await db.query('SELECT id FROM home_locations WHERE id = ? AND home_id = ?', [location_id, homeId]);
+    if (rows.length === 0) {
+      throw badRequest('Unknown location');
+    }
+    return rows[0].id;
+  }
+  if (location === undefined) {
+    return undefined;
+  }
+  if (location === null || String(location).trim() === '') {
+    return null;
+  }
+
+  const name = readName(String(location), 'location', MAX_LOCATION_NAME_LENGTH);
+  await db.query('INSERT IGNORE INTO home_locations (home_id, name) VALUES (?, ?)', [homeId, name]);
+  const [rows] = await db.query('SELECT id FROM home_locations WHERE home_id = ? AND name = ?', [homeId, name]);
+  return rows[0].id;
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  MAX_CATEGORY_NAME_LENGTH,
+  MAX_LOCATION_NAME_LENGTH,
+  ITEM_COLUMNS,
+  ITEM_TABLES,
+  ITEM_SELECT,
+  getItems,
+  getItem,
+  seedDefaultCategories,
+  readName,
+  readIcon,
+  resolveCategory,
+  resolveLocation,
+};
@@ -0,0 +1,26 @@
+const { getRateLimitStore } = require('../middleware/rateLimit');
+
+// Temporary account lockout after repeated failed logins.
+// Failures are counted per email in a window; once the limit is reached the
+// account stays locked until that window ends.
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+
+// Keyed by the email as typed, whether or not an account exists, so lockouts do not reveal accounts
+const lockoutKey = (email) => `login-failures:${email.trim().toLowerCase()}`;
+
+// Returns the time the lockout ends, or null if the account is not locked
+const getLoginLockout = async (email) => {
+  const entry = await getRateLimitStore().get(lockoutKey(email));
+  return entry && entry.count >= MAX_FAILED_LOGINS ? entry.resetAt : null;
+};
+
+const recordFailedLogin = async (email) => {
+  await getRateLimitStore().increment(lockoutKey(email), LOCKOUT_MS);
+};
+
+const clearFailedLogins = async (email) => {
+  await getRateLimitStore().reset(lockoutKey(email));
+};
+
+module.exports = { getLoginLockout, recordFailedLogin, clearFailedLogins };
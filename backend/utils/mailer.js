@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+// Mail transports share one interface: send({ from, to, subject, text }) returning a promise.
+// MAIL_TRANSPORT selects one: 'smtp' for real delivery, 'file' or 'console' for local testing.
+const MAIL_FROM = process.env.MAIL_FROM || 'HomeHub <no-reply@homehub.local>';
+
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+// Writes every message to its own file in MAIL_FILE_DIR
+const createFileTransport = () => {
+  const directory = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.txt`;
+      const content = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text,
+      ].join('\n');
+      await fs.promises.writeFile(path.join(directory, fileName), content);
+    },
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  },
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" - expected ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text }) => {
+  await getTransport().send({ from: MAIL_FROM, to, subject, text });
+};
+
+module.exports = { sendMail };
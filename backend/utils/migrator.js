@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_[\w-]+\.js$/;
+const LOCK_NAME = 'homehub_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+/**
+ * Loads the numbered migration files, ordered by version
+ * @returns {Array<{version: number, name: string, up: Function, down: Function}>}
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .map((file) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return {
+        version: parseInt(file.match(MIGRATION_FILE_PATTERN)[1], 10),
+        name: path.basename(file, '.js'),
+        up: migration.up,
+        down: migration.down,
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedVersions(db) {
+  const [rows] = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+// Runs fn on a dedicated connection holding a named lock, so two processes
+// (e.g. a server start and the CLI) never migrate at the same time
+async function withMigrationLock(pool, fn) {
+  const connection = await pool.getConnection();
+  try {
+    const [[{ acquired }]] = await connection.query(
+      'SELECT GET_LOCK(?, ?) AS acquired',
+      [LOCK_NAME, LOCK_TIMEOUT_SECONDS]
+    );
+    if (acquired !== 1) {
+      throw new Error('Timed out waiting for the schema migration lock');
+    }
+
+    try {
+      await ensureMigrationsTable(connection);
+      return await fn(connection);
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Applies all pending migrations in order. Stops at the first failure and
+ * rethrows it - the failed migration is not recorded as applied.
+ * @param {Pool} pool - MySQL pool
+ * @returns {Promise<string[]>} - Names of the applied migrations
+ */
+async function migrate(pool) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (connection) => {
+    const applied = new Set(await getAppliedVersions(connection));
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    const appliedNow = [];
+
+    for (const migration of pending) {
+      console.log(`Applying migration ${migration.name}...`);
+      try {
+        await migration.up(connection);
+      } catch (error) {
+        error.message = `Migration ${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+      await connection.query(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      appliedNow.push(migration.name);
+    }
+
+    return appliedNow;
+  });
+}
+
+/**
+ * Reverts the most recently applied migrations
+ * @param {Pool} pool - MySQL pool
+ * @param {number} steps - How many migrations to roll back
+ * @returns {Promise<string[]>} - Names of the reverted migrations
+ */
+async function rollback(pool, steps = 1) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (connection) => {
+    const applied = (await getAppliedVersions(connection)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const version of applied) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} is missing`);
+      }
+
+      console.log(`Rolling back migration ${migration.name}...`);
+      try {
+        await migration.down(connection);
+      } catch (error) {
+        error.message = `Rollback of ${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+      await connection.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      reverted.push(migration.name);
+    }
+
+    return reverted;
+  });
+}
+
+/**
+ * Lists every known migration with its applied state
+ * @param {Pool} pool - MySQL pool
+ * @returns {Promise<Array<{version: number, name: string, applied_at: Date|null}>>}
+ */
+async function status(pool) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (connection) => {
+    const [rows] = await connection.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied_at: appliedAt.get(migration.version) || null,
+    }));
+  });
+}
+
+// Schema helpers for migrations
+
+async function columnExists(db, table, column) {
+  const [rows] = await db.query(
+    `SELECT COLUMN_NAME
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+async function getColumnType(db, table, column) {
+  const [rows] = await db.query(
+    `SELECT DATA_TYPE
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0 ? rows[0].DATA_TYPE : null;
+}
+
+// Foreign key names differ between databases created by older code, so they are looked up
+async function dropForeignKeys(db, table, column) {
+  const [rows] = await db.query(
+    `SELECT CONSTRAINT_NAME
+     FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+     AND REFERENCED_TABLE_NAME IS NOT NULL`,
+    [table, column]
+  );
+  for (const row of rows) {
+    await db.query(`ALTER TABLE ${table} DROP FOREIGN KEY ${row.CONSTRAINT_NAME}`);
+  }
+}
+
+module.exports = {
+  migrate,
+  rollback,
+  status,
+  columnExists,
+  getColumnType,
+  dropForeignKeys,
+};
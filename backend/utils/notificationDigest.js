@@ -0,0 +1,104 @@
+const { pool } = require('../db');
+const { sendMail } = require('./mailer');
+
+// Notifications a user wants by email are collected (notifications.email_pending)
+// and sent as one digest per user every NOTIFICATION_DIGEST_INTERVAL_HOURS; 0 turns emails off
+const DIGEST_INTERVAL_HOURS = process.env.NOTIFICATION_DIGEST_INTERVAL_HOURS !== undefined
+  ? parseInt(process.env.NOTIFICATION_DIGEST_INTERVAL_HOURS, 10) || 0
+  : 24;
+const APP_URL = process.env.APP_URL || 'http://localhost:8080';
+const MAX_DIGEST_ITEMS = 50;
+
+const formatDigest = (user, notifications, remaining) => {
+  const lines = notifications.map(n => `- ${n.title}: ${n.message}`);
+  if (remaining > 0) {
+    lines.push(`- ...and ${remaining} more`);
+  }
+  return `Hi ${user.first_name},\n\n`
+    + `Here is what happened on HomeHub since your last update:\n\n${lines.join('\n')}\n\n`
+    + `See all notifications at ${APP_URL}/notifications\n`
+    + `To change which emails you get, open ${APP_URL}/profile`;
+};
+
+/**
+ * Emails every user with pending notifications one digest of those still unread.
+ * Rows are claimed before sending so several instances never email them twice,
+ * and released again if the email fails. Users whose address is not verified
+ * get no emails; their pending flags are simply cleared.
+ * @param {Pool} db - MySQL pool
+ * @returns {Promise<number>} - Number of digests sent
+ */
+const sendNotificationDigests = async (db = pool) => {
+  const [recipients] = await db.query(
+    `SELECT DISTINCT u.id, u.email, u.first_name, u.email_verified_at
+     FROM notifications n
+     JOIN users u ON u.id = n.user_id
+     WHERE n.email_pending = TRUE`
+  );
+
+  let sent = 0;
+  for (const user of recipients) {
+    const [pending] = await db.query(
+      'SELECT id, title, message, is_read FROM notifications WHERE user_id = ? AND email_pending = TRUE ORDER BY id',
+      [user.id]
+    );
+    if (pending.length === 0) {
+      continue;
+    }
+
+    const ids = pending.map(n => n.id);
+    const [claimed] = await db.query(
+      'UPDATE notifications SET email_pending = FALSE WHERE id IN (?) AND email_pending = TRUE',
+      [ids]
+    );
+    // Another instance got there first
+    if (claimed.affectedRows < ids.length) {
+      continue;
+    }
+
+    // Anything read in the app in the meantime needs no email
+    const unread = pending.filter(n => !n.is_read);
+    if (!user.email_verified_at || unread.length === 0) {
+      continue;
+    }
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: unread.length === 1 ? unread[0].title : `You have ${unread.length} new notifications on HomeHub`,
+        text: formatDigest(user, unread.slice(0, MAX_DIGEST_ITEMS), unread.length - MAX_DIGEST_ITEMS),
+      });
+      sent++;
+    } catch (error) {
+      console.error('Error sending notification digest:', error);
+      await db.query('UPDATE notifications SET email_pending = TRUE WHERE id IN (?)', [ids]);
+    }
+  }
+
+  return sent;
+};
+
+// Sends digests every NOTIFICATION_DIGEST_INTERVAL_HOURS in this process
+const scheduleNotificationDigest = () => {
+  if (DIGEST_INTERVAL_HOURS <= 0) {
+    return;
+  }
+
+  const run = async () => {
+    try {
+      const sent = await sendNotificationDigests();
+      if (sent > 0) {
+        console.log(`Sent ${sent} notification digest email(s)`);
+      }
+    } catch (error) {
+      console.error('Error sending notification digests:', error);
+    }
+  };
+
+  setInterval(run, DIGEST_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  sendNotificationDigests,
+  scheduleNotificationDigest,
+};
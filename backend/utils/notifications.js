@@ -0,0 +1,228 @@
+const { pool } = require('../db');
+const { publishToUser } = require('./realtime');
+const { sendPushToUser } = require('./webPush');
+
+// Every notification type with its default delivery channels. In-app delivery is
+// always on; users can switch email (daily digest) and push per type.
+const NOTIFICATION_TYPES = {
+  family_request: { label: 'Family requests', email: true, push: true },
+  family_accepted: { label: 'Accepted family requests', email: false, push: true },
+  home_member_request: { label: 'Home invitations', email: true, push: true },
+  home_member_accepted: { label: 'Accepted home invitations', email: false, push: true },
+  home_role_changed: { label: 'Role changes', email: false, push: true },
+  home_member_removed: { label: 'Removals from a home', email: true, push: true },
+  home_member_left: { label: 'Members leaving a home', email: false, push: false },
+  home_ownership_transferred: { label: 'Ownership transfers', email: true, push: true },
+  items_expiring: { label: 'Expiring inventory items', email: true, push: true },
+  budget_alert: { label: 'Budget alerts', email: true, push: true },
+};
+
+// Read notifications older than this many days are deleted; 0 keeps them forever
+const RETENTION_DAYS = process.env.NOTIFICATION_RETENTION_DAYS !== undefined
+  ? parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 0
+  : 90;
+const RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_BATCH_SIZE = 1000;
+
+// Notifications created for a recipient who wants them pushed; publishNotifications sends those
+const pushPending = new WeakSet();
+
+/**
+ * Delivery channels a user chose for a notification type, or the type's defaults
+ * @param {Connection|Pool} db - MySQL connection or pool
+ * @param {number} userId - User ID
+ * @param {string} type - Notification type
+ * @returns {Promise<{email: boolean, push: boolean}>}
+ */
+const getChannels = async (db, userId, type) => {
+  const [rows] = await db.query(
+    'SELECT email, push FROM notification_preferences WHERE user_id = ? AND type = ?',
+    [userId, type]
+  );
+  if (rows.length === 0) {
+    return { email: NOTIFICATION_TYPES[type].email, push: NOTIFICATION_TYPES[type].push };
+  }
+  return { email: Boolean(rows[0].email), push: Boolean(rows[0].push) };
+};
+
+// All notification types with the user's choices filled in
+const getPreferences = async (userId) => {
+  const [rows] = await pool.query(
+    'SELECT type, email, push FROM notification_preferences WHERE user_id = ?',
+    [userId]
+  );
+  const saved = new Map(rows.map(row => [row.type, row]));
+
+  return Object.entries(NOTIFICATION_TYPES).map(([type, defaults]) => {
+    const row = saved.get(type);
+    return {
+      type,
+      label: defaults.label,
+      email: row ? Boolean(row.email) : defaults.email,
+      push: row ? Boolean(row.push) : defaults.push,
+    };
+  });
+};
+
+/**
+ * Saves a user's delivery channels for one or more notification types
+ * @param {number} userId - User ID
+ * @param {Array<{type: string, email: boolean, push: boolean}>} preferences
+ */
+const updatePreferences = async (userId, preferences) => {
+  if (!Array.isArray(preferences) || preferences.length === 0) {
+    const error = new Error('preferences must be a non-empty array');
+    error.status = 400;
+    throw error;
+  }
+
+  const values = preferences.map(({ type, email, push } = {}) => {
+    if (!Object.prototype.hasOwnProperty.call(NOTIFICATION_TYPES, type)) {
+      const error = new Error(`Unknown notification type "${type}"`);
+      error.status = 400;
+      throw error;
+    }
+    if (typeof email !== 'boolean' || typeof push !== 'boolean') {
+      const error = new Error('email and push must be true or false');
+      error.status = 400;
+      throw error;
+    }
+    return [userId, type, email, push];
+  });
+
+  await pool.query(
+    `INSERT INTO notification_preferences (user_id, type, email, push) VALUES ? AS new
+     ON DUPLICATE KEY UPDATE email = new.email, push = new.push`,
+    [values]
+  );
+};
+
+/**
+ * Stores a notification. Callers inside a transaction pass their connection
+ * and publish the result once they committed; everyone else uses notify().
+ * The recipient's preferences decide whether it also goes out by email (with
+ * the next digest) and by push (when it is published).
+ * @param {Connection|Pool} db - MySQL connection or pool
+ * @param {object} notification
+ * @param {number} notification.userId - Recipient
+ * @param {string} notification.type - One of NOTIFICATION_TYPES, e.g. 'home_member_request'
+ * @param {string} notification.title
+ * @param {string} notification.message
+ * @param {number} [notification.relatedId] - Row the notification is about
+ * @param {number} [notification.homeId] - Home the notification belongs to
+ * @returns {Promise<object>} - The notification as GET /api/notifications returns it
+ */
+const createNotification = async (db, { userId, type, title, message, relatedId = null, homeId = null }) => {
+  if (!Object.prototype.hasOwnProperty.call(NOTIFICATION_TYPES, type)) {
+    throw new Error(`Unknown notification type "${type}"`);
+  }
+
+  const channels = await getChannels(db, userId, type);
+  const [result] = await db.query(
+    `INSERT INTO notifications (user_id, type, title, message, related_id, home_id, email_pending)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [userId, type, title, message, relatedId, homeId, channels.email]
+  );
+  const notification = {
+    id: result.insertId,
+    user_id: userId,
+    type,
+    title,
+    message,
+    related_id: relatedId,
+    home_id: homeId,
+    is_read: false,
+    email_pending: channels.email,
+    created_at: new Date(),
+  };
+  if (channels.push) {
+    pushPending.add(notification);
+  }
+  return notification;
+};
+
+// Push stored notifications to their recipients' open event streams and,
+// where the recipient asked for it, to their devices
+const publishNotifications = (notifications) => {
+  for (const notification of notifications) {
+    publishToUser(notification.user_id, 'notification', notification);
+
+    if (pushPending.delete(notification)) {
+      sendPushToUser(notification.user_id, {
+        id: notification.id,
+        type: notification.type,
+        title: notification.title,
+        body: notification.message,
+        url: '/notifications',
+      }).catch(error => console.error('Error sending push notification:', error));
+    }
+  }
+};
+
+/**
+ * Stores a notification and pushes it to the recipient right away
+ * @param {object} notification - See createNotification
+ * @returns {Promise<object>}
+ */
+const notify = async (notification) => {
+  const created = await createNotification(pool, notification);
+  publishNotifications([created]);
+  return created;
+};
+
+/**
+ * Deletes read notifications older than the retention period, in batches so
+ * the table is never locked for long. Unread notifications are always kept.
+ * @param {Pool} db - MySQL pool
+ * @param {number} [days] - Retention period, defaults to NOTIFICATION_RETENTION_DAYS
+ * @returns {Promise<number>} - Number of deleted notifications
+ */
+const pruneReadNotifications = async (db = pool, days = RETENTION_DAYS) => {
+  if (!days || days <= 0) {
+    return 0;
+  }
+
+  let deleted = 0;
+  while (true) {
+    const [result] = await db.query(
+      'DELETE FROM notifications WHERE is_read = TRUE AND created_at < NOW() - INTERVAL ? DAY LIMIT ?',
+      [days, PRUNE_BATCH_SIZE]
+    );
+    deleted += result.affectedRows;
+    if (result.affectedRows < PRUNE_BATCH_SIZE) {
+      return deleted;
+    }
+  }
+};
+
+// Runs the retention job now and then once a day in this process
+const scheduleNotificationRetention = () => {
+  if (RETENTION_DAYS <= 0) {
+    return;
+  }
+
+  const run = async () => {
+    try {
+      const deleted = await pruneReadNotifications();
+      if (deleted > 0) {
+        console.log(`Deleted ${deleted} read notification(s) older than ${RETENTION_DAYS} days`);
+      }
+    } catch (error) {
+      console.error('Error pruning notifications:', error);
+    }
+  };
+
+  run();
+  setInterval(run, RETENTION_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  getPreferences,
+  updatePreferences,
+  createNotification,
+  publishNotifications,
+  notify,
+  pruneReadNotifications,
+  scheduleNotificationRetention,
+};
@@ -0,0 +1,142 @@
+// Structured quantities: a numeric amount plus one of a few units. Units of the
+// same dimension convert into each other; the free-text quantity column is kept
+// for display and for values that cannot be parsed.
+
+const UNITS = {
+  g: { dimension: 'mass', factor: 1 },
+  kg: { dimension: 'mass', factor: 1000 },
+  ml: { dimension: 'volume', factor: 1 },
+  l: { dimension: 'volume', factor: 1000 },
+  pcs: { dimension: 'count', factor: 1 },
+};
+
+// Spellings found in free-text quantities, lower-cased
+const UNIT_ALIASES = {
+  g: 'g', gr: 'g', gram: 'g', grams: 'g', gramme: 'g', grammes: 'g',
+  kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+  ml: 'ml', milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  l: 'l', lt: 'l', ltr: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  pcs: 'pcs', pc: 'pcs', piece: 'pcs', pieces: 'pcs', x: 'pcs', pack: 'pcs', packs: 'pcs',
+  bottle: 'pcs', bottles: 'pcs', can: 'pcs', cans: 'pcs',
+};
+
+// Amounts are stored as DECIMAL(12, 3)
+const AMOUNT_DECIMALS = 3;
+const MAX_AMOUNT = 999999999;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 10 ** AMOUNT_DECIMALS) / 10 ** AMOUNT_DECIMALS;
+
+const normalizeUnit = (unit) => {
+  if (typeof unit !== 'string') {
+    return null;
+  }
+  return UNIT_ALIASES[unit.trim().toLowerCase()] || null;
+};
+
+/**
+ * Reads a free-text quantity such as "2L", "1,5 kg", "5 pieces" or "3"
+ * (a bare number counts pieces)
+ * @param {string} text
+ * @returns {{amount: number, unit: string}|null} - null if the text is not understood
+ */
+const parseQuantity = (text) => {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const match = text.trim().match(/^(\d+(?:[.,]\d+)?)\s*([a-z]*)\.?$/i);
+  if (!match) {
+    return null;
+  }
+
+  const amount = parseFloat(match[1].replace(',', '.'));
+  const unit = match[2] ? normalizeUnit(match[2]) : 'pcs';
+  if (!unit || amount > MAX_AMOUNT) {
+    return null;
+  }
+  return { amount: roundAmount(amount), unit };
+};
+
+const formatQuantity = (amount, unit) => `${roundAmount(amount)} ${unit}`;
+
+const canConvert = (fromUnit, toUnit) => UNITS[fromUnit].dimension === UNITS[toUnit].dimension;
+
+/**
+ * Converts an amount between units of the same dimension, e.g. 1.5 kg to 1500 g
+ * @throws {Error} - status 400 if the units measure different things
+ */
+const convertAmount = (amount, fromUnit, toUnit) => {
+  if (!canConvert(fromUnit, toUnit)) {
+    throw invalid(`Cannot convert ${fromUnit} to ${toUnit}`);
+  }
+  return roundAmount((amount * UNITS[fromUnit].factor) / UNITS[toUnit].factor);
+};
+
+/**
+ * Validates an amount from a request body
+ * @param {*} value - Number or numeric string; null or '' clear the amount
+ * @param {string} field - Field name for the error message
+ * @returns {number|null}
+ * @throws {Error} - status 400 unless it is a non-negative number
+ */
+const readAmount = (value, field) => {
+  if (value === null || value === '') {
+    return null;
+  }
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0 || amount > MAX_AMOUNT) {
+    throw invalid(`${field} must be a non-negative number`);
+  }
+  return roundAmount(amount);
+};
+
+/**
+ * Quantity columns to store for a request body with quantity, amount and unit.
+ * amount/unit win and also set the display text; a free-text quantity alone is
+ * parsed when possible, so clients that only send text keep working.
+ * @param {object} body - Request body
+ * @returns {{quantity: string|null, amount: number|null, unit: string|null}|undefined} - undefined if the body has none of the fields
+ * @throws {Error} - status 400 for an invalid amount or unit
+ */
+const readQuantity = ({ quantity, amount, unit }) => {
+  if (amount !== undefined || unit !== undefined) {
+    const value = readAmount(amount, 'amount');
+    if (value === null) {
+      return { quantity: null, amount: null, unit: null };
+    }
+    const normalizedUnit = unit === undefined || unit === null ? 'pcs' : normalizeUnit(unit);
+    if (!normalizedUnit) {
+      throw invalid(`unit must be one of ${Object.keys(UNITS).join(', ')}`);
+    }
+    return { quantity: formatQuantity(value, normalizedUnit), amount: value, unit: normalizedUnit };
+  }
+
+  if (quantity !== undefined) {
+    const parsed = parseQuantity(quantity);
+    return {
+      quantity: quantity || null,
+      amount: parsed ? parsed.amount : null,
+      unit: parsed ? parsed.unit : null,
+    };
+  }
+
+  return undefined;
+};
+
+module.exports = {
+  UNITS,
+  roundAmount,
+  normalizeUnit,
+  parseQuantity,
+  formatQuantity,
+  canConvert,
+  convertAmount,
+  readAmount,
+  readQuantity,
+};
@@ -0,0 +1,161 @@
+const { pool } = require('../db');
+
+// Real-time updates over Server-Sent Events. Every open stream joins one room per
+// home its user belongs to; writes publish to the home's room, notifications go
+// to the user directly. Rooms live in this process, so with several backend
+// instances a client only hears about writes handled by the instance it is connected to.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// One entry per open stream: { userId, sessionId, homeIds: Set, res, heartbeat, expiry }
+const clients = new Set();
+
+const send = (client, event, data) => {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const closeClient = (client) => {
+  if (!clients.delete(client)) {
+    return;
+  }
+  clearInterval(client.heartbeat);
+  clearTimeout(client.expiry);
+  client.res.end();
+};
+
+const getUserHomeIds = async (userId) => {
+  const [rows] = await pool.query(
+    `SELECT id AS home_id FROM homes WHERE user_id = ?
+     UNION
+     SELECT home_id FROM home_members WHERE user_id = ? AND status = 'accepted'`,
+    [userId, userId]
+  );
+  return rows.map(row => row.home_id);
+};
+
+const isSessionActive = async (sessionId, userId) => {
+  const [sessions] = await pool.query(
+    'SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId, userId]
+  );
+  return sessions.length > 0;
+};
+
+/**
+ * Turns the response into an event stream for an authenticated request.
+ * The stream ends when the access token expires (clients reconnect with a fresh
+ * one, sent as a "reauthenticate" event first) or when its session is revoked.
+ * @param {Request} req - Request that passed authenticateToken
+ * @param {Response} res - Response to stream to
+ */
+const openStream = async (req, res) => {
+  const homeIds = await getUserHomeIds(req.user.userId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const client = {
+    userId: req.user.userId,
+    sessionId: req.user.sessionId,
+    homeIds: new Set(homeIds),
+    res,
+    heartbeat: null,
+    expiry: null,
+  };
+  clients.add(client);
+
+  // Comments keep proxies from closing an idle connection; the session check
+  // makes logout and session revocation cut the stream too
+  client.heartbeat = setInterval(async () => {
+    try {
+      if (!(await isSessionActive(client.sessionId, client.userId))) {
+        closeClient(client);
+        return;
+      }
+    } catch (error) {
+      console.error('Error checking event stream session:', error);
+    }
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_MS);
+
+  if (req.user.exp) {
+    client.expiry = setTimeout(() => {
+      send(client, 'reauthenticate', {});
+      closeClient(client);
+    }, Math.max(0, req.user.exp * 1000 - Date.now()));
+  }
+
+  req.on('close', () => closeClient(client));
+
+  send(client, 'ready', { homeIds });
+};
+
+/**
+ * Sends an event to everyone connected to a home
+ * @param {number} homeId - Home ID
+ * @param {string} event - Event name, e.g. 'shopping-list-item'
+ * @param {object} data - Payload; homeId is added to it
+ */
+const publishToHome = (homeId, event, data) => {
+  const id = Number(homeId);
+  for (const client of clients) {
+    if (client.homeIds.has(id)) {
+      send(client, event, { homeId: id, ...data });
+    }
+  }
+};
+
+/**
+ * Sends an event to every open stream of a user
+ * @param {number} userId - User ID
+ * @param {string} event - Event name
+ * @param {object} data - Payload
+ */
+const publishToUser = (userId, event, data) => {
+  for (const client of clients) {
+    if (client.userId === userId) {
+      send(client, event, data);
+    }
+  }
+};
+
+// Membership changes move a user's open streams in or out of a home's room
+const joinHome = (userId, homeId) => {
+  for (const client of clients) {
+    if (client.userId === userId) {
+      client.homeIds.add(Number(homeId));
+    }
+  }
+};
+
+const leaveHome = (userId, homeId) => {
+  for (const client of clients) {
+    if (client.userId === userId) {
+      client.homeIds.delete(Number(homeId));
+    }
+  }
+};
+
+const closeHome = (homeId) => {
+  const id = Number(homeId);
+  for (const client of clients) {
+    if (client.homeIds.has(id)) {
+      send(client, 'home', { homeId: id, action: 'deleted' });
+      client.homeIds.delete(id);
+    }
+  }
+};
+
+module.exports = {
+  openStream,
+  publishToHome,
+  publishToUser,
+  joinHome,
+  leaveHome,
+  closeHome,
+};
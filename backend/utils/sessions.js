@@ -0,0 +1,140 @@
+const jwt = require('jsonwebtoken');
+const { pool } = require('../db');
+const { JWT_SECRET } = require('../middleware/auth');
+const { generateSecureToken, hashToken } = require('./auth');
+
+// Access tokens are short-lived; refresh tokens rotate on every use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REFRESH_TOKEN_BYTES = 48;
+
+// Refresh tokens are stored hashed, a leaked sessions table does not hand out logins
+const generateRefreshToken = () => generateSecureToken(REFRESH_TOKEN_BYTES);
+
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email, username: user.username, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const getClientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').substring(0, 255) || null,
+  ipAddress: req.ip || null,
+});
+
+// Create a session for a freshly authenticated user
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  // Drop this user's sessions that can no longer be used
+  await pool.query(
+    `DELETE FROM sessions
+     WHERE user_id = ? AND (expires_at < NOW() OR revoked_at < NOW() - INTERVAL 30 DAY)`,
+    [user.id]
+  );
+
+  const [result] = await pool.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES (?, ?, ?, ?, NOW() + INTERVAL ? DAY)`,
+    [user.id, hashToken(refreshToken), userAgent, ipAddress, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return {
+    token: generateAccessToken(user, result.insertId),
+    refreshToken,
+  };
+};
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Returns null if the token is unknown, expired or revoked.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const [sessions] = await pool.query(
+    `SELECT s.id, s.user_id, s.refresh_token_hash, u.email, u.username
+     FROM sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [tokenHash]
+  );
+
+  if (sessions.length === 0) {
+    // A rotated-out token being used again means it was copied: revoke the whole session
+    await pool.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE previous_token_hash = ? AND revoked_at IS NULL',
+      [tokenHash]
+    );
+    return null;
+  }
+
+  const session = sessions[0];
+  const newRefreshToken = generateRefreshToken();
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  // Guard on the old hash so two concurrent refreshes cannot both succeed
+  const [result] = await pool.query(
+    `UPDATE sessions
+     SET refresh_token_hash = ?, previous_token_hash = ?, user_agent = ?, ip_address = ?, last_used_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND refresh_token_hash = ?`,
+    [hashToken(newRefreshToken), tokenHash, userAgent, ipAddress, session.id, tokenHash]
+  );
+
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  const user = { id: session.user_id, email: session.email, username: session.username };
+  return {
+    token: generateAccessToken(user, session.id),
+    refreshToken: newRefreshToken,
+  };
+};
+
+// Revoke the session a refresh token belongs to
+const revokeSessionByRefreshToken = async (refreshToken) => {
+  const [result] = await pool.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+    [hashToken(refreshToken)]
+  );
+  return result.affectedRows > 0;
+};
+
+const revokeSession = async (sessionId, userId) => {
+  const [result] = await pool.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+  return result.affectedRows > 0;
+};
+
+// Revoke every session of a user, optionally keeping the one making the request
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const [result] = await pool.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL AND id <> ?',
+    [userId, exceptSessionId || 0]
+  );
+  return result.affectedRows;
+};
+
+const listSessions = async (userId) => {
+  const [sessions] = await pool.query(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return sessions;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+};
@@ -0,0 +1,495 @@
+// Shopping lists and their items: reading items with their aisle and members,
+// the expense recorded for a completed list, lists created from saved templates
+// or copied from earlier lists, and the scheduler that creates lists from
+// templates on their weekday.
+
+const { pool } = require('../db');
+const realtime = require('./realtime');
+const { readQuantity } = require('./quantities');
+const { checkVisibleUsers, createFinance } = require('./finances');
+
+// How often due templates are looked for in this process; 0 turns scheduled lists off
+const CHECK_INTERVAL_HOURS = process.env.LIST_TEMPLATE_INTERVAL_HOURS !== undefined
+  ? parseInt(process.env.LIST_TEMPLATE_INTERVAL_HOURS, 10) || 0
+  : 1;
+const MAX_STORE_LENGTH = 100;
+const MAX_NAME_LENGTH = 255;
+const MAX_TEMPLATE_ITEMS = 200;
+const MAX_AISLE_NAME_LENGTH = 50;
+// Prices are stored as DECIMAL(10, 2)
+const MAX_PRICE = 99999999.99;
+// Finance category of a completed list's expense unless the request names one
+const DEFAULT_EXPENSE_CATEGORY = 'groceries';
+const MAX_EXPENSE_CATEGORY_LENGTH = 100;
+
+// A list item as the API returns it: the row plus its aisle and the names of its members
+const LIST_ITEM_SELECT = `SELECT sli.*, sa.name AS aisle, sa.position AS aisle_position,
+    au.username AS assigned_to_username, bu.username AS bought_by_username
+  FROM shopping_list_items sli
+  LEFT JOIN shopping_aisles sa ON sa.id = sli.aisle_id
+  LEFT JOIN users au ON au.id = sli.assigned_to
+  LEFT JOIN users bu ON bu.id = sli.bought_by`;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+};
+
+// A home's shopping list with its creator's name, or null
+const findShoppingList = async (db, homeId, listId) => {
+  const [lists] = await db.query(
+    `SELECT sl.*, u.username AS created_by_username
+     FROM shopping_lists sl
+     LEFT JOIN users u ON sl.created_by = u.id
+     WHERE sl.id = ? AND sl.home_id = ?`,
+    [listId, homeId]
+  );
+  return lists[0] || null;
+};
+
+/**
+ * Items of a list, in the order they were added or in store-walk order
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} listId - List ID
+ * @param {boolean} [byAisle] - Sort by aisle position; items without an aisle come last
+ * @returns {Promise<object[]>}
+ */
+const getListItems = async (db, listId, byAisle = false) => {
+  const order = byAisle
+    ? 'sa.position IS NULL, sa.position, sa.name, sli.created_at, sli.id'
+    : 'sli.created_at, sli.id';
+  const [items] = await db.query(`${LIST_ITEM_SELECT} WHERE sli.list_id = ? ORDER BY ${order}`, [listId]);
+  return items;
+};
+
+const getListItem = async (db, itemId) => {
+  const [items] = await db.query(`${LIST_ITEM_SELECT} WHERE sli.id = ?`, [itemId]);
+  return items[0] || null;
+};
+
+// Store tag from a request body; empty clears it
+const readStore = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const store = String(value).trim();
+  if (store.length > MAX_STORE_LENGTH) {
+    throw badRequest(`store must be at most ${MAX_STORE_LENGTH} characters`);
+  }
+  return store;
+};
+
+/**
+ * Validates a list or template name from a request body
+ * @throws {Error} - status 400 if it is empty or too long
+ */
+const readListName = (value, field = 'name') => {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) {
+    throw badRequest(`${field} is required`);
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw badRequest(`${field} must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return name;
+};
+
+/**
+ * Validates a price from a request body
+ * @param {*} value - Number or numeric string; null or '' clear the price
+ * @param {string} field - Field name for the error message
+ * @returns {number|null} - Rounded to cents
+ * @throws {Error} - status 400 unless it is a non-negative number
+ */
+const readPrice = (value, field) => {
+  if (value === null || value === '') {
+    return null;
+  }
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0 || price > MAX_PRICE) {
+    throw badRequest(`${field} must be a non-negative number`);
+  }
+  return Math.round(price * 100) / 100;
+};
+
+/**
+ * The member a list item is assigned to: the home's owner or an accepted member
+ * @returns {Promise<number|null>} - User ID; null or '' unassign
+ * @throws {Error} - status 400 for anyone else
+ */
+const readAssignee = async (db, homeId, value) => {
+  if (value === null || value === '') {
+    return null;
+  }
+  const [rows] = await db.query(
+    `SELECT user_id FROM homes WHERE id = ? AND user_id = ?
+     UNION
+     SELECT user_id FROM home_members WHERE home_id = ? AND user_id = ? AND status = 'accepted'`,
+    [homeId, value, homeId, value]
+  );
+  if (rows.length === 0) {
+    throw badRequest('assigned_to must be a member of the home');
+  }
+  return rows[0].user_id;
+};
+
+/**
+ * The aisle a list item request refers to
+ * @returns {Promise<number|null>} - Aisle ID; null or '' clear it
+ * @throws {Error} - status 400 if the home has no such aisle
+ */
+const resolveAisle = async (db, homeId, value) => {
+  if (value === null || value === '') {
+    return null;
+  }
+  const [rows] = await db.query('SELECT id FROM shopping_aisles WHERE id = ? AND home_id = ?', [value, homeId]);
+  if (rows.length === 0) {
+    throw badRequest('Unknown aisle');
+  }
+  return rows[0].id;
+};
+
+/**
+ * Records what the checked items of a list cost as one expense that links back to
+ * the list. The amount is the sum of their actual prices, dated the day of the last
+ * purchase. Runs in the transaction that completes the list.
+ * @param {Connection} connection - MySQL connection inside a transaction
+ * @param {number} homeId - Home ID
+ * @param {number} userId - User completing the list
+ * @param {{id: number, name: string}} list - The list
+ * @param {object} options - category, description and visible_to_user_ids, as for POST /finances
+ * @returns {Promise<number>} - Finance ID
+ * @throws {Error} - status 400 if no checked item has a price or the list already has an expense
+ */
+const recordShoppingExpense = async (connection, homeId, userId, list, options) => {
+  const category = options.category === undefined || options.category === null
+    ? DEFAULT_EXPENSE_CATEGORY
+    : readListName(options.category, 'category');
+  if (category.length > MAX_EXPENSE_CATEGORY_LENGTH) {
+    throw badRequest(`category must be at most ${MAX_EXPENSE_CATEGORY_LENGTH} characters`);
+  }
+  const visibleTo = options.visible_to_user_ids ?? [];
+  if (!Array.isArray(visibleTo)) {
+    throw badRequest('visible_to_user_ids must be an array');
+  }
+  await checkVisibleUsers(connection, homeId, visibleTo);
+
+  const [[{ total, bought_on: boughtOn }]] = await connection.query(
+    `SELECT SUM(actual_price) AS total, DATE_FORMAT(COALESCE(MAX(bought_at), NOW()), '%Y-%m-%d') AS bought_on
+     FROM shopping_list_items WHERE list_id = ? AND completed = TRUE`,
+    [list.id]
+  );
+  if (!total) {
+    throw badRequest('Enter the prices paid for the checked items to record an expense');
+  }
+
+  const [existing] = await connection.query('SELECT id FROM home_finances WHERE shopping_list_id = ?', [list.id]);
+  if (existing.length > 0) {
+    throw badRequest('This shopping list already has an expense');
+  }
+
+  return createFinance(connection, homeId, userId, {
+    type: 'expense',
+    category,
+    amount: total,
+    description: options.description || `Shopping list: ${list.name}`,
+    transaction_date: boughtOn,
+    visible_to_user_ids: visibleTo,
+    shopping_list_id: list.id,
+  });
+};
+
+/**
+ * Weekday a template creates its list on, 0 (Sunday) to 6 (Saturday)
+ * @returns {number|null} - null for a template without a schedule
+ * @throws {Error} - status 400 for anything else
+ */
+const readWeekday = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const weekday = Number(value);
+  if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+    throw badRequest('schedule_weekday must be a whole number from 0 (Sunday) to 6 (Saturday)');
+  }
+  return weekday;
+};
+
+/**
+ * Template items from a request body, in the columns they are stored with
+ * @param {Array} items - [{name, quantity?, amount?, unit?}]
+ * @returns {Array<{name: string, quantity: string|null, amount: number|null, unit: string|null}>}
+ * @throws {Error} - status 400 for a missing name or an invalid quantity
+ */
+const readTemplateItems = (items) => {
+  if (!Array.isArray(items)) {
+    throw badRequest('items must be an array');
+  }
+  if (items.length > MAX_TEMPLATE_ITEMS) {
+    throw badRequest(`A template can have at most ${MAX_TEMPLATE_ITEMS} items`);
+  }
+  return items.map(item => {
+    if (!item || typeof item !== 'object') {
+      throw badRequest('Every item needs a name');
+    }
+    const { quantity = null, amount = null, unit = null } = readQuantity(item) || {};
+    return { name: readListName(item.name, 'Item name'), quantity, amount, unit };
+  });
+};
+
+/**
+ * Templates of a home with their items, by name
+ * @param {Pool|Connection} db - MySQL pool or connection
+ * @param {number} homeId - Home ID
+ * @param {number} [templateId] - Only this template
+ * @returns {Promise<object[]>}
+ */
+const getTemplates = async (db, homeId, templateId) => {
+  const conditions = ['t.home_id = ?'];
+  const params = [homeId];
+  if (templateId !== undefined) {
+    conditions.push('t.id = ?');
+    params.push(templateId);
+  }
+
+  const [templates] = await db.query(
+    `SELECT t.*, u.username AS created_by_username
+     FROM shopping_list_templates t
+     LEFT JOIN users u ON t.created_by = u.id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY t.name`,
+    params
+  );
+  if (templates.length === 0) {
+    return [];
+  }
+
+  const [items] = await db.query(
+    'SELECT * FROM shopping_list_template_items WHERE template_id IN (?) ORDER BY id',
+    [templates.map(template => template.id)]
+  );
+  return templates.map(template => ({
+    ...template,
+    items: items.filter(item => item.template_id === template.id),
+  }));
+};
+
+const getTemplate = async (db, homeId, templateId) => (await getTemplates(db, homeId, templateId))[0] || null;
+
+// Replaces the items of a template
+const setTemplateItems = async (connection, templateId, items) => {
+  await connection.query('DELETE FROM shopping_list_template_items WHERE template_id = ?', [templateId]);
+  if (items.length > 0) {
+    await connection.query(
+      'INSERT INTO shopping_list_template_items (template_id, name, quantity, amount, unit) VALUES ?',
+      [items.map(item => [templateId, item.name, item.quantity, item.amount, item.unit])]
+    );
+  }
+};
+
+// The items of a list as template items; checked or not, they were all needed
+const getListItemsForTemplate = async (db, homeId, listId) => {
+  const list = await findShoppingList(db, homeId, listId);
+  if (!list) {
+    throw notFound('Shopping list not found');
+  }
+  const [items] = await db.query(
+    'SELECT name, quantity, amount, unit FROM shopping_list_items WHERE list_id = ? ORDER BY created_at ASC, id ASC',
+    [listId]
+  );
+  return items;
+};
+
+/**
+ * Creates an active list with unchecked copies of the given items
+ * @param {Connection} connection - MySQL connection inside a transaction
+ * @param {number} homeId - Home ID
+ * @param {object} list - {name, store, createdBy, items}; items may carry home_item_id,
+ *   aisle_id, assigned_to and estimated_price
+ * @returns {Promise<object>} - The new list with its items
+ */
+const createListWithItems = async (connection, homeId, { name, store, createdBy, items }) => {
+  const [result] = await connection.query(
+    'INSERT INTO shopping_lists (home_id, name, store, created_by) VALUES (?, ?, ?, ?)',
+    [homeId, name, store, createdBy]
+  );
+  const listId = result.insertId;
+
+  if (items.length > 0) {
+    await connection.query(
+      `INSERT INTO shopping_list_items
+         (list_id, home_item_id, aisle_id, assigned_to, name, quantity, amount, unit, estimated_price)
+       VALUES ?`,
+      [items.map(item => [
+        listId,
+        item.home_item_id ?? null,
+        item.aisle_id ?? null,
+        item.assigned_to ?? null,
+        item.name,
+        item.quantity,
+        item.amount,
+        item.unit,
+        item.estimated_price ?? null,
+      ])]
+    );
+  }
+
+  const list = await findShoppingList(connection, homeId, listId);
+  return { ...list, items: await getListItems(connection, listId) };
+};
+
+/**
+ * Creates an active list from a template
+ * @param {Connection} connection - MySQL connection inside a transaction
+ * @param {string} [name] - List name; defaults to the template's
+ * @returns {Promise<object>} - The new list with its items
+ * @throws {Error} - status 404 if the home has no such template
+ */
+const createListFromTemplate = async (connection, homeId, templateId, userId, name) => {
+  const template = await getTemplate(connection, homeId, templateId);
+  if (!template) {
+    throw notFound('Template not found');
+  }
+  return createListWithItems(connection, homeId, {
+    name: name === undefined ? template.name : readListName(name),
+    store: template.store,
+    createdBy: userId,
+    items: template.items,
+  });
+};
+
+/**
+ * Copies any list of a home, usually a completed one, into a new active list.
+ * Copied items keep their inventory item, aisle, assignee and estimated price.
+ * @param {Connection} connection - MySQL connection inside a transaction
+ * @param {string} [name] - List name; defaults to the copied list's
+ * @returns {Promise<object>} - The new list with its items
+ * @throws {Error} - status 404 if the home has no such list
+ */
+const duplicateList = async (connection, homeId, listId, userId, name) => {
+  const list = await findShoppingList(connection, homeId, listId);
+  if (!list) {
+    throw notFound('Shopping list not found');
+  }
+  const [items] = await connection.query(
+    `SELECT home_item_id, aisle_id, assigned_to, name, quantity, amount, unit, estimated_price
+     FROM shopping_list_items WHERE list_id = ? ORDER BY created_at ASC, id ASC`,
+    [listId]
+  );
+  return createListWithItems(connection, homeId, {
+    name: name === undefined ? list.name : readListName(name),
+    store: list.store,
+    createdBy: userId,
+    items,
+  });
+};
+
+/**
+ * Creates today's lists for templates scheduled on this weekday. Each template is
+ * claimed by setting last_generated_on inside the transaction that creates its
+ * list, so a second backend instance running the same check creates nothing.
+ * Lists are created in the name of the template's author, or of the home's owner
+ * once the author is gone. A template that fails is logged and skipped, without
+ * holding up the others.
+ * @param {Pool} db - MySQL pool
+ * @returns {Promise<number>} - Number of lists created
+ */
+const generateScheduledLists = async (db = pool) => {
+  const [due] = await db.query(
+    `SELECT t.id, t.home_id, COALESCE(t.created_by, h.user_id) AS user_id
+     FROM shopping_list_templates t
+     JOIN homes h ON t.home_id = h.id
+     WHERE t.schedule_weekday = DAYOFWEEK(CURDATE()) - 1
+       AND (t.last_generated_on IS NULL OR t.last_generated_on < CURDATE())`
+  );
+
+  let created = 0;
+  for (const template of due) {
+    let connection;
+    let list;
+    try {
+      connection = await db.getConnection();
+      await connection.beginTransaction();
+
+      const [claimed] = await connection.query(
+        `UPDATE shopping_list_templates SET last_generated_on = CURDATE()
+         WHERE id = ? AND (last_generated_on IS NULL OR last_generated_on < CURDATE())`,
+        [template.id]
+      );
+      if (claimed.affectedRows === 0) {
+        await connection.rollback();
+        continue;
+      }
+
+      list = await createListFromTemplate(connection, template.home_id, template.id, template.user_id);
+      await connection.commit();
+    } catch (error) {
+      // Rolling back keeps the template due, so the next check tries it again
+      if (connection) {
+        await connection.rollback();
+      }
+      console.error(`Error creating a scheduled list from template ${template.id}:`, error);
+      continue;
+    } finally {
+      if (connection) {
+        connection.release();
+      }
+    }
+
+    realtime.publishToHome(template.home_id, 'shopping-list', { action: 'created', list });
+    created += 1;
+  }
+
+  return created;
+};
+
+// Looks for due templates now and then every LIST_TEMPLATE_INTERVAL_HOURS in this process
+const scheduleListTemplates = () => {
+  if (CHECK_INTERVAL_HOURS <= 0) {
+    return;
+  }
+
+  const run = async () => {
+    try {
+      const created = await generateScheduledLists();
+      if (created > 0) {
+        console.log(`Created ${created} scheduled shopping list(s)`);
+      }
+    } catch (error) {
+      console.error('Error creating scheduled shopping lists:', error);
+    }
+  };
+
+  run();
+  setInterval(run, CHECK_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  MAX_AISLE_NAME_LENGTH,
+  getListItems,
+  getListItem,
+  findShoppingList,
+  readStore,
+  readPrice,
+  readAssignee,
+  resolveAisle,
+  recordShoppingExpense,
+  readListName,
+  readWeekday,
+  readTemplateItems,
+  getTemplates,
+  getTemplate,
+  setTemplateItems,
+  getListItemsForTemplate,
+  createListFromTemplate,
+  duplicateList,
+  generateScheduledLists,
+  scheduleListTemplates,
+};
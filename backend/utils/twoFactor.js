@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../db');
+const { JWT_SECRET } = require('../middleware/auth');
+const { hashToken } = require('./auth');
+const { encryptText, decryptText } = require('./encryption');
+const { generateTotpSecret, buildOtpauthUri, verifyTotp, base32Encode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+// A password-checked login has this long to complete the second step
+const LOGIN_CHALLENGE_TTL = '5m';
+const LOGIN_CHALLENGE_PURPOSE = 'two_factor_login';
+
+// Recovery codes look like ABCD-EFGH-JKLM; dashes, spaces and case are ignored when checking
+const normalizeRecoveryCode = (code) => String(code).toUpperCase().replace(/[\s-]/g, '');
+
+const generateRecoveryCode = () => {
+  const raw = base32Encode(crypto.randomBytes(8)).substring(0, 12);
+  return raw.match(/.{4}/g).join('-');
+};
+
+// Replace all recovery codes of a user; the plain codes are only returned here, once
+const replaceRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await pool.query('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+  await pool.query(
+    'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ?',
+    [codes.map(code => [userId, hashToken(normalizeRecoveryCode(code))])]
+  );
+
+  return codes;
+};
+
+const getTwoFactorState = async (userId) => {
+  const [users] = await pool.query(
+    'SELECT email, two_factor_secret, two_factor_enabled_at, two_factor_last_step FROM users WHERE id = ?',
+    [userId]
+  );
+  return users[0] || null;
+};
+
+// Start enrollment: store a new pending secret. Returns null if 2FA is already enabled.
+const startTwoFactorSetup = async (userId) => {
+  const state = await getTwoFactorState(userId);
+  if (!state || state.two_factor_enabled_at) {
+    return null;
+  }
+
+  const secret = generateTotpSecret();
+  await pool.query(
+    'UPDATE users SET two_factor_secret = ?, two_factor_last_step = NULL WHERE id = ? AND two_factor_enabled_at IS NULL',
+    [encryptText(secret), userId]
+  );
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, state.email),
+  };
+};
+
+// Check a TOTP code and remember its step so it cannot be used again
+const checkTotpCode = async (userId, state, code) => {
+  const lastStep = state.two_factor_last_step === null ? null : Number(state.two_factor_last_step);
+  const step = verifyTotp(decryptText(state.two_factor_secret), code, lastStep);
+  if (step === null) {
+    return false;
+  }
+
+  // Guard on the previous step so concurrent requests cannot both use the code
+  const [result] = await pool.query(
+    `UPDATE users SET two_factor_last_step = ?
+     WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+    [step, userId, step]
+  );
+  return result.affectedRows > 0;
+};
+
+// Finish enrollment with a code from the authenticator app.
+// Returns the recovery codes, or null if there is no pending setup or the code is wrong.
+const enableTwoFactor = async (userId, code) => {
+  const state = await getTwoFactorState(userId);
+  if (!state || state.two_factor_enabled_at || !state.two_factor_secret) {
+    return null;
+  }
+
+  if (!(await checkTotpCode(userId, state, code))) {
+    return null;
+  }
+
+  await pool.query('UPDATE users SET two_factor_enabled_at = NOW() WHERE id = ?', [userId]);
+  return replaceRecoveryCodes(userId);
+};
+
+/**
+ * Checks the second factor of a user with 2FA enabled
+ * @param {number} userId - User ID
+ * @param {string} code - A code from the authenticator app or an unused recovery code
+ * @returns {Promise<'totp'|'recovery_code'|null>} - How the user was verified, or null
+ */
+const verifySecondFactor = async (userId, code) => {
+  if (!code) {
+    return null;
+  }
+
+  const state = await getTwoFactorState(userId);
+  if (!state || !state.two_factor_enabled_at) {
+    return null;
+  }
+
+  if (await checkTotpCode(userId, state, code)) {
+    return 'totp';
+  }
+
+  // Guard on used_at so a recovery code can only be redeemed once
+  const [result] = await pool.query(
+    'UPDATE user_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.affectedRows > 0 ? 'recovery_code' : null;
+};
+
+const disableTwoFactor = async (userId) => {
+  await pool.query(
+    'UPDATE users SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL WHERE id = ?',
+    [userId]
+  );
+  await pool.query('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+};
+
+const countUnusedRecoveryCodes = async (userId) => {
+  const [[{ count }]] = await pool.query(
+    'SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  return count;
+};
+
+// Login challenges are short-lived JWTs without a session, so they cannot be used as access tokens
+const createLoginChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: LOGIN_CHALLENGE_PURPOSE }, JWT_SECRET, { expiresIn: LOGIN_CHALLENGE_TTL });
+};
+
+// Returns the user ID of a valid challenge, or null
+const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const payload = jwt.verify(challengeToken, JWT_SECRET);
+    return payload.purpose === LOGIN_CHALLENGE_PURPOSE ? payload.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  startTwoFactorSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  replaceRecoveryCodes,
+  countUnusedRecoveryCodes,
+  createLoginChallenge,
+  verifyLoginChallenge,
+};
@@ -0,0 +1,96 @@
+const { pool } = require('../db');
+const { hashToken } = require('./auth');
+
+// Web Push with VAPID. Push is off unless VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are set;
+// generate a key pair with: npx web-push generate-vapid-keys
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || null;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || null;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:no-reply@homehub.local';
+// Push services drop messages that could not be delivered within this time
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+let webPush = null;
+
+const isPushConfigured = () => Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+
+const getWebPush = () => {
+  if (!webPush) {
+    webPush = require('web-push');
+    webPush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+  }
+  return webPush;
+};
+
+const getVapidPublicKey = () => VAPID_PUBLIC_KEY;
+
+/**
+ * Stores a browser's push subscription (as returned by PushManager.subscribe) for a user.
+ * A subscription that belonged to another user moves to this one.
+ * @param {number} userId - User ID
+ * @param {{endpoint: string, keys: {p256dh: string, auth: string}}} subscription
+ * @param {string} [userAgent]
+ */
+const saveSubscription = async (userId, subscription, userAgent = null) => {
+  const { endpoint, keys } = subscription || {};
+  if (typeof endpoint !== 'string' || !endpoint.startsWith('https://') || !keys || !keys.p256dh || !keys.auth) {
+    const error = new Error('Invalid push subscription');
+    error.status = 400;
+    throw error;
+  }
+
+  await pool.query(
+    `INSERT INTO push_subscriptions (user_id, endpoint, endpoint_hash, p256dh, auth, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?) AS new
+     ON DUPLICATE KEY UPDATE user_id = new.user_id, p256dh = new.p256dh, auth = new.auth, user_agent = new.user_agent`,
+    [userId, endpoint, hashToken(endpoint), keys.p256dh, keys.auth, userAgent ? userAgent.substring(0, 255) : null]
+  );
+};
+
+const removeSubscription = async (userId, endpoint) => {
+  const [result] = await pool.query(
+    'DELETE FROM push_subscriptions WHERE user_id = ? AND endpoint_hash = ?',
+    [userId, hashToken(String(endpoint))]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Sends a push message to every device a user subscribed. Subscriptions the push
+ * service reports as gone (404/410) are deleted; other failures are only logged.
+ * @param {number} userId - User ID
+ * @param {object} payload - JSON payload for the service worker ({ title, body, url, ... })
+ */
+const sendPushToUser = async (userId, payload) => {
+  if (!isPushConfigured()) {
+    return;
+  }
+
+  const [subscriptions] = await pool.query(
+    'SELECT id, endpoint, p256dh, auth FROM push_subscriptions WHERE user_id = ?',
+    [userId]
+  );
+
+  for (const subscription of subscriptions) {
+    try {
+      await getWebPush().sendNotification(
+        { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+        JSON.stringify(payload),
+        { TTL: PUSH_TTL_SECONDS }
+      );
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await pool.query('DELETE FROM push_subscriptions WHERE id = ?', [subscription.id]);
+      } else {
+        console.error('Error sending push message:', error.statusCode || error.message);
+      }
+    }
+  }
+};
+
+module.exports = {
+  isPushConfigured,
+  getVapidPublicKey,
+  saveSubscription,
+  removeSubscription,
+  sendPushToUser,
+};
@@ -0,0 +1,30 @@
+// Service worker for Web Push: shows notifications sent by the backend and
+// opens the app when one is clicked.
+
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'HomeHub', {
+      body: data.body || '',
+      icon: '/favicon.ico',
+      tag: data.id ? `notification-${data.id}` : undefined,
+      data: { url: data.url || '/notifications' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url.startsWith(self.location.origin));
+      if (open) {
+        return open.focus().then((client) => client.navigate(url));
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -1,8 +1,10 @@
 import { Routes } from '@angular/router';
 import { LoginComponent } from './components/login/login.component';
 import { SignupComponent } from './components/signup/signup.component';
+import { ForgotPasswordComponent } from './components/forgot-password/forgot-password.component';
+import { ResetPasswordComponent } from './components/reset-password/reset-password.component';
+import { VerifyEmailComponent } from './components/verify-email/verify-email.component';
 import { HomesComponent } from './components/homes/homes.component';
-import { HomeDetailComponent } from './components/home-detail/home-detail.component';
 import { FamiliesComponent } from './components/families/families.component';
 import { NotificationsComponent } from './components/notifications/notifications.component';
 import { ProfileComponent } from './components/profile/profile.component';
@@ -24,6 +26,19 @@ export const routes: Routes = [
     component: SignupComponent,
     canActivate: [loginGuard]
   },
+  {
+    path: 'forgot-password',
+    component: ForgotPasswordComponent,
+    canActivate: [loginGuard]
+  },
+  {
+    path: 'reset-password',
+    component: ResetPasswordComponent
+  },
+  {
+    path: 'verify-email',
+    component: VerifyEmailComponent
+  },
   {
     path: 'homes',
     component: HomesComponent,
@@ -31,7 +46,8 @@ export const routes: Routes = [
   },
   {
     path: 'homes/:id',
-    component: HomeDetailComponent,
+    // Lists, inventory and finances only load once a home is opened
+    loadComponent: () => import('./components/home-detail/home-detail.component').then(m => m.HomeDetailComponent),
     canActivate: [authGuard]
   },
   {
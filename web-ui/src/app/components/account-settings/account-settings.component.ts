@@ -0,0 +1,177 @@
+import { Component, inject, signal, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angular/forms';
+import { AuthService, OwnedHome, HomeDeletionAction } from '../../services/auth.service';
+
+@Component({
+  selector: 'app-account-settings',
+  standalone: true,
+  imports: [CommonModule, ReactiveFormsModule],
+  templateUrl: './account-settings.component.html',
+  styleUrl: './account-settings.component.css'
+})
+export class AccountSettingsComponent implements OnInit {
+  private authService = inject(AuthService);
+  private fb = inject(FormBuilder);
+
+  user = this.authService.user;
+
+  profileForm: FormGroup;
+  profileMessage = signal<string | null>(null);
+  profileError = signal<string | null>(null);
+
+  passwordForm: FormGroup;
+  passwordMessage = signal<string | null>(null);
+  passwordError = signal<string | null>(null);
+
+  deleteForm: FormGroup;
+  showDeleteForm = signal(false);
+  ownedHomes = signal<OwnedHome[]>([]);
+  // Per owned home: 'delete' or the user ID of the new owner
+  homeChoices = signal<Record<number, string>>({});
+  deleteError = signal<string | null>(null);
+
+  isSaving = signal(false);
+
+  constructor() {
+    this.profileForm = this.fb.group({
+      firstName: ['', [Validators.required, Validators.maxLength(100)]],
+      lastName: ['', [Validators.required, Validators.maxLength(100)]],
+      phoneNumber: ['', [Validators.maxLength(20)]]
+    });
+
+    this.passwordForm = this.fb.group({
+      currentPassword: ['', Validators.required],
+      newPassword: ['', [Validators.required, Validators.minLength(6)]],
+      confirmPassword: ['', Validators.required]
+    });
+
+    this.deleteForm = this.fb.group({
+      password: ['', Validators.required],
+      code: ['']
+    });
+  }
+
+  ngOnInit(): void {
+    this.resetProfileForm();
+  }
+
+  resetProfileForm(): void {
+    const user = this.user();
+    this.profileForm.reset({
+      firstName: user?.first_name || '',
+      lastName: user?.last_name || '',
+      phoneNumber: user?.phone_number || ''
+    });
+  }
+
+  saveProfile(): void {
+    if (this.profileForm.invalid) {
+      return;
+    }
+
+    const { firstName, lastName, phoneNumber } = this.profileForm.value;
+    this.isSaving.set(true);
+    this.profileMessage.set(null);
+    this.profileError.set(null);
+
+    this.authService.updateProfile({ firstName, lastName, phoneNumber: phoneNumber || null }).subscribe({
+      next: () => {
+        this.profileMessage.set('Profile updated');
+        this.resetProfileForm();
+        this.isSaving.set(false);
+      },
+      error: (error) => {
+        this.profileError.set(error.error?.error || 'Failed to update profile');
+        this.isSaving.set(false);
+      }
+    });
+  }
+
+  changePassword(): void {
+    if (this.passwordForm.invalid) {
+      return;
+    }
+
+    const { currentPassword, newPassword, confirmPassword } = this.passwordForm.value;
+    this.passwordMessage.set(null);
+    if (newPassword !== confirmPassword) {
+      this.passwordError.set('New passwords do not match');
+      return;
+    }
+
+    this.isSaving.set(true);
+    this.passwordError.set(null);
+    this.authService.changePassword(currentPassword, newPassword).subscribe({
+      next: () => {
+        this.passwordMessage.set('Password changed. Your other devices have been signed out.');
+        this.passwordForm.reset();
+        this.isSaving.set(false);
+      },
+      error: (error) => {
+        this.passwordError.set(error.error?.error || 'Failed to change password');
+        this.isSaving.set(false);
+      }
+    });
+  }
+
+  toggleDeleteForm(): void {
+    this.showDeleteForm.set(!this.showDeleteForm());
+    this.deleteForm.reset();
+    this.deleteError.set(null);
+
+    if (this.showDeleteForm()) {
+      this.authService.getOwnedHomes().subscribe({
+        next: (homes) => {
+          this.ownedHomes.set(homes);
+          this.homeChoices.set({});
+        },
+        error: (error) => {
+          this.deleteError.set('Failed to load your homes');
+          console.error('Error loading owned homes:', error);
+        }
+      });
+    }
+  }
+
+  setHomeChoice(homeId: number, choice: string): void {
+    this.homeChoices.set({ ...this.homeChoices(), [homeId]: choice });
+  }
+
+  deleteAccount(): void {
+    if (this.deleteForm.invalid) {
+      return;
+    }
+
+    const choices = this.homeChoices();
+    const homes: HomeDeletionAction[] = [];
+    for (const home of this.ownedHomes()) {
+      const choice = choices[home.id];
+      if (!choice) {
+        this.deleteError.set(`Choose what happens to "${home.name}"`);
+        return;
+      }
+      homes.push(choice === 'delete'
+        ? { homeId: home.id, action: 'delete' }
+        : { homeId: home.id, action: 'transfer', newOwnerId: Number(choice) });
+    }
+
+    if (!confirm('Delete your account? This cannot be undone.')) {
+      return;
+    }
+
+    const { password, code } = this.deleteForm.value;
+    this.isSaving.set(true);
+    this.deleteError.set(null);
+    this.authService.deleteAccount(password, homes, code || undefined).subscribe({
+      error: (error) => {
+        // Homes may have changed meanwhile - the response lists the ones that need a decision
+        if (error.error?.ownedHomes) {
+          this.ownedHomes.set(error.error.ownedHomes);
+        }
+        this.deleteError.set(error.error?.error || 'Failed to delete account');
+        this.isSaving.set(false);
+      }
+    });
+  }
+}
@@ -0,0 +1,72 @@
+import { Component, EventEmitter, Input, Output, inject, signal } from '@angular/core';
+import { ShoppingListsService, ShoppingAisle } from '../../services/shopping-lists.service';
+
+// Naming a home's store aisles and putting them in the order the household walks through the store
+@Component({
+  selector: 'app-aisle-manager',
+  standalone: true,
+  imports: [],
+  templateUrl: './aisle-manager.component.html',
+  styleUrl: './aisle-manager.component.css'
+})
+export class AisleManagerComponent {
+  @Input() homeId!: number;
+  @Input() aisles: ShoppingAisle[] = [];
+  // The home's aisles after any change, in store-walk order
+  @Output() changed = new EventEmitter<ShoppingAisle[]>();
+
+  private shoppingListsService = inject(ShoppingListsService);
+
+  errorMessage = signal<string | null>(null);
+
+  private fail(message: string) {
+    return (error: any) => this.errorMessage.set(error.error?.error || message);
+  }
+
+  addAisle(input: HTMLInputElement): void {
+    const name = input.value.trim();
+    if (!name) {
+      return;
+    }
+    this.errorMessage.set(null);
+    this.shoppingListsService.createAisle(this.homeId, name).subscribe({
+      next: (aisle) => {
+        input.value = '';
+        this.changed.emit([...this.aisles, aisle]);
+      },
+      error: this.fail('Failed to add aisle')
+    });
+  }
+
+  renameAisle(aisle: ShoppingAisle, name: string): void {
+    if (!name.trim() || name.trim() === aisle.name) {
+      return;
+    }
+    this.errorMessage.set(null);
+    this.shoppingListsService.renameAisle(this.homeId, aisle.id, name.trim()).subscribe({
+      next: (renamed) => this.changed.emit(this.aisles.map(a => a.id === renamed.id ? renamed : a)),
+      error: this.fail('Failed to rename aisle')
+    });
+  }
+
+  // Swaps an aisle with its neighbour; direction -1 moves it earlier in the walk
+  move(index: number, direction: -1 | 1): void {
+    const ids = this.aisles.map(aisle => aisle.id);
+    [ids[index], ids[index + direction]] = [ids[index + direction], ids[index]];
+    this.errorMessage.set(null);
+    this.shoppingListsService.reorderAisles(this.homeId, ids).subscribe({
+      next: (aisles) => this.changed.emit(aisles),
+      error: this.fail('Failed to reorder aisles')
+    });
+  }
+
+  deleteAisle(aisle: ShoppingAisle): void {
+    if (!confirm(`Delete the aisle "${aisle.name}"? Its items keep no aisle.`)) {
+      return;
+    }
+    this.shoppingListsService.deleteAisle(this.homeId, aisle.id).subscribe({
+      next: () => this.changed.emit(this.aisles.filter(a => a.id !== aisle.id)),
+      error: this.fail('Failed to delete aisle')
+    });
+  }
+}
@@ -0,0 +1,67 @@
+import { Component, Input, inject, signal, OnInit } from '@angular/core';
+import { HomeItemsService, ExpiringItem } from '../../services/home-items.service';
+import { HomesService } from '../../services/homes.service';
+
+// "Use soon" panel: items expiring within the home's alert window, and expired ones
+@Component({
+  selector: 'app-expiring-items',
+  standalone: true,
+  imports: [],
+  templateUrl: './expiring-items.component.html',
+  styleUrl: './expiring-items.component.css'
+})
+export class ExpiringItemsComponent implements OnInit {
+  @Input() homeId!: number;
+  // Owners and admins can change the home's expiry alert window
+  @Input() canConfigure: boolean = false;
+
+  private homeItemsService = inject(HomeItemsService);
+  private homesService = inject(HomesService);
+
+  expiringItems = signal<ExpiringItem[]>([]);
+  alertDays = signal<number | null>(null);
+  errorMessage = signal<string | null>(null);
+  alertDayOptions = [0, 1, 2, 3, 5, 7, 14, 30];
+
+  ngOnInit(): void {
+    this.load();
+  }
+
+  load(): void {
+    this.homeItemsService.getExpiringItems(this.homeId).subscribe({
+      next: ({ days, items }) => {
+        this.alertDays.set(days);
+        this.expiringItems.set(items);
+      },
+      error: (error) => console.error('Error loading expiring items:', error)
+    });
+  }
+
+  setAlertDays(event: Event): void {
+    const days = Number((event.target as HTMLSelectElement).value);
+    this.errorMessage.set(null);
+    this.homesService.updateHome(this.homeId, { expiry_alert_days: days }).subscribe({
+      next: () => this.load(),
+      error: (error) => {
+        this.errorMessage.set(error.error?.error || 'Failed to change the alert window');
+      }
+    });
+  }
+
+  describeExpiry(item: ExpiringItem): string {
+    const days = item.days_left;
+    if (days < -1) {
+      return `Expired ${-days} days ago`;
+    }
+    if (days === -1) {
+      return 'Expired yesterday';
+    }
+    if (days === 0) {
+      return 'Expires today';
+    }
+    if (days === 1) {
+      return 'Expires tomorrow';
+    }
+    return `Expires in ${days} days`;
+  }
+}
@@ -78,10 +78,10 @@ export class FamiliesComponent implements OnInit {
 
       const { email } = this.familyForm.value;
       this.familiesService.sendFamilyRequest(email).subscribe({
-        next: () => {
-          this.successMessage.set('Family request sent successfully!');
+        next: (response) => {
           this.familyForm.reset();
           this.toggleForm();
+          this.successMessage.set(response.message);
           this.loadPendingRequests();
           this.isLoading.set(false);
         },
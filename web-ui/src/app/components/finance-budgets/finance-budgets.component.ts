@@ -0,0 +1,111 @@
+import { Component, Input, OnInit, inject, signal } from '@angular/core';
+import { FormBuilder, FormGroup, ReactiveFormsModule, Validators } from '@angular/forms';
+import {
+  FinancesService,
+  BudgetStatus,
+  BudgetInput,
+  EXPENSE_CATEGORIES
+} from '../../services/finances.service';
+import { FormatCurrencyPipe } from '../finances/format-currency.pipe';
+
+// Budgets per expense category with what was spent of them in the shown month or year
+@Component({
+  selector: 'app-finance-budgets',
+  standalone: true,
+  imports: [ReactiveFormsModule, FormatCurrencyPipe],
+  templateUrl: './finance-budgets.component.html',
+  styleUrl: './finance-budgets.component.css'
+})
+export class FinanceBudgetsComponent implements OnInit {
+  @Input() homeId!: number;
+  @Input() canManage: boolean = false;
+  @Input() month: number = new Date().getMonth() + 1;
+  @Input() year: number = new Date().getFullYear();
+
+  private financesService = inject(FinancesService);
+  private fb = inject(FormBuilder);
+
+  readonly categories = EXPENSE_CATEGORIES;
+  budgets = signal<BudgetStatus[]>([]);
+  showForm = signal(false);
+  editingBudget = signal<BudgetStatus | null>(null);
+  errorMessage = signal<string | null>(null);
+  budgetForm: FormGroup = this.fb.group({
+    category: [EXPENSE_CATEGORIES[0].value, [Validators.required]],
+    period: ['monthly', [Validators.required]],
+    amount: [null, [Validators.required, Validators.min(0.01)]],
+    alert_percent: [80, [Validators.required, Validators.min(1), Validators.max(200)]]
+  });
+
+  ngOnInit(): void {
+    this.load(this.month, this.year);
+  }
+
+  // Called by the finances view whenever its month or its entries change
+  load(month: number, year: number): void {
+    this.month = month;
+    this.year = year;
+    this.financesService.getBudgetReport(this.homeId, month, year).subscribe({
+      next: (report) => this.budgets.set(report.budgets),
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to load budgets')
+    });
+  }
+
+  getCategoryLabel(category: string): string {
+    return this.categories.find(c => c.value === category)?.label ?? category;
+  }
+
+  toggleForm(): void {
+    this.editingBudget.set(null);
+    this.budgetForm.reset({ category: this.categories[0].value, period: 'monthly', amount: null, alert_percent: 80 });
+    this.showForm.set(!this.showForm());
+  }
+
+  editBudget(budget: BudgetStatus): void {
+    this.editingBudget.set(budget);
+    this.budgetForm.reset({
+      category: budget.category,
+      period: budget.period,
+      amount: budget.amount,
+      alert_percent: budget.alert_percent
+    });
+    this.showForm.set(true);
+  }
+
+  onSubmit(): void {
+    if (this.budgetForm.invalid) {
+      return;
+    }
+    const value = this.budgetForm.value;
+    const budget: BudgetInput = {
+      category: value.category,
+      period: value.period,
+      amount: Number(value.amount),
+      alert_percent: Number(value.alert_percent)
+    };
+    const editing = this.editingBudget();
+    const request = editing
+      ? this.financesService.updateBudget(this.homeId, editing.id, budget)
+      : this.financesService.createBudget(this.homeId, budget);
+
+    this.errorMessage.set(null);
+    request.subscribe({
+      next: () => {
+        this.showForm.set(false);
+        this.editingBudget.set(null);
+        this.load(this.month, this.year);
+      },
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to save budget')
+    });
+  }
+
+  deleteBudget(budget: BudgetStatus): void {
+    if (!confirm(`Delete the ${budget.period} budget for ${this.getCategoryLabel(budget.category)}?`)) {
+      return;
+    }
+    this.financesService.deleteBudget(this.homeId, budget.id).subscribe({
+      next: () => this.budgets.set(this.budgets().filter(b => b.id !== budget.id)),
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to delete budget')
+    });
+  }
+}
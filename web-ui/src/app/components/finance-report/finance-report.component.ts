@@ -0,0 +1,80 @@
+import { Component, Input, OnInit, computed, inject, signal } from '@angular/core';
+import {
+  FinancesService,
+  FinanceReport,
+  FinanceReportCategory,
+  FinanceReportGroup,
+  FinanceReportMonth,
+  INCOME_CATEGORIES,
+  EXPENSE_CATEGORIES
+} from '../../services/finances.service';
+import { FormatCurrencyPipe } from '../finances/format-currency.pipe';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// A year of income and expenses at a glance, by month or by category, from one report request
+@Component({
+  selector: 'app-finance-report',
+  standalone: true,
+  imports: [FormatCurrencyPipe],
+  templateUrl: './finance-report.component.html',
+  styleUrl: './finance-report.component.css'
+})
+export class FinanceReportComponent implements OnInit {
+  @Input() homeId!: number;
+  @Input() year: number = new Date().getFullYear();
+
+  private financesService = inject(FinancesService);
+
+  groupBy = signal<FinanceReportGroup>('month');
+  report = signal<FinanceReport | null>(null);
+  errorMessage = signal<string | null>(null);
+
+  months = computed(() => {
+    const report = this.report();
+    return report?.group_by === 'month' ? report.groups as FinanceReportMonth[] : [];
+  });
+  categories = computed(() => {
+    const report = this.report();
+    return report?.group_by === 'category' ? report.groups as FinanceReportCategory[] : [];
+  });
+  // Bars are drawn relative to the largest amount shown
+  largest = computed(() => Math.max(
+    1,
+    ...this.months().flatMap(month => [month.income, month.expenses]),
+    ...this.categories().map(category => category.total)
+  ));
+
+  ngOnInit(): void {
+    this.load(this.year);
+  }
+
+  // Called by the finances view whenever its year or its entries change
+  load(year: number): void {
+    this.year = year;
+    this.financesService.getReport(this.homeId, `${year}-01`, `${year}-12`, this.groupBy()).subscribe({
+      next: (report) => {
+        this.errorMessage.set(null);
+        this.report.set(report);
+      },
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to load the report')
+    });
+  }
+
+  setGroupBy(groupBy: FinanceReportGroup): void {
+    this.groupBy.set(groupBy);
+    this.load(this.year);
+  }
+
+  barWidth(amount: number): number {
+    return Math.max(0, (amount / this.largest()) * 100);
+  }
+
+  getMonthLabel(month: string): string {
+    return MONTH_NAMES[parseInt(month.slice(5), 10) - 1];
+  }
+
+  getCategoryLabel(category: string): string {
+    return [...INCOME_CATEGORIES, ...EXPENSE_CATEGORIES].find(c => c.value === category)?.label ?? category;
+  }
+}
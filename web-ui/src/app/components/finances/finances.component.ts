@@ -1,21 +1,31 @@
-import { Component, Input, inject, signal, OnInit, effect } from '@angular/core';
+import { Component, Input, ViewChild, inject, signal, OnInit, effect } from '@angular/core';
 import { CommonModule, DatePipe } from '@angular/common';
 import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angular/forms';
-import { FinancesService, Finance, BalanceSummary } from '../../services/finances.service';
+import {
+  FinancesService,
+  Finance,
+  BalanceSummary,
+  INCOME_CATEGORIES,
+  EXPENSE_CATEGORIES
+} from '../../services/finances.service';
 import { HomesService } from '../../services/homes.service';
 import { AuthService } from '../../services/auth.service';
 import { FormatCurrencyPipe } from './format-currency.pipe';
+import { FinanceBudgetsComponent } from '../finance-budgets/finance-budgets.component';
+import { FinanceReportComponent } from '../finance-report/finance-report.component';
 
 @Component({
   selector: 'app-finances',
   standalone: true,
-  imports: [CommonModule, ReactiveFormsModule, DatePipe, FormatCurrencyPipe],
+  imports: [CommonModule, ReactiveFormsModule, DatePipe, FormatCurrencyPipe, FinanceBudgetsComponent, FinanceReportComponent],
   templateUrl: './finances.component.html',
   styleUrl: './finances.component.css'
 })
 export class FinancesComponent implements OnInit {
   @Input() homeId!: number;
-  @Input() isOwner: boolean = false;
+  @Input() canManage: boolean = false;
+  @ViewChild(FinanceBudgetsComponent) budgetsPanel?: FinanceBudgetsComponent;
+  @ViewChild(FinanceReportComponent) reportPanel?: FinanceReportComponent;
 
   private financesService = inject(FinancesService);
   private homesService = inject(HomesService);
@@ -35,21 +45,8 @@ export class FinancesComponent implements OnInit {
   errorMessage = signal<string | null>(null);
   financeForm: FormGroup;
 
-  incomeCategories = [
-    { value: 'salary', label: 'Salary' },
-    { value: 'investment', label: 'Investment' },
-    { value: 'rental', label: 'Rental Income' },
-    { value: 'other_income', label: 'Other Income' }
-  ];
-
-  expenseCategories = [
-    { value: 'rent', label: 'Rent' },
-    { value: 'investment_savings', label: 'Investment/Savings' },
-    { value: 'credit_payment', label: 'Credit Payment' },
-    { value: 'installment', label: 'Installment' },
-    { value: 'utilities', label: 'Utilities' },
-    { value: 'other_expense', label: 'Other Expense' }
-  ];
+  incomeCategories = INCOME_CATEGORIES;
+  expenseCategories = EXPENSE_CATEGORIES;
 
   constructor() {
     this.financeForm = this.fb.group({
@@ -91,10 +88,10 @@ export class FinancesComponent implements OnInit {
     this.homesService.getHomeDetail(this.homeId).subscribe({
       next: (home) => {
         if (home.members && Array.isArray(home.members)) {
-          // Filter out owner from the list (owner doesn't need to be in visible to list)
+          // The creator always sees their own entries, so they are not in the list
           const currentUserId = this.authService.getUser()?.id;
           const membersOnly = home.members.filter((member: any) => 
-            member.role !== 'owner' && member.user_id !== currentUserId
+            member.user_id !== currentUserId
           );
           this.homeMembers.set(membersOnly);
         }
@@ -124,75 +121,34 @@ export class FinancesComponent implements OnInit {
     });
   }
 
+  // One row per entry occurring in the month, with the share and date it has there
   processFinancesForDisplay(): void {
-    const allFinances = this.finances();
     const displayed: Finance[] = [];
-    const targetMonthIndex = this.getMonthIndex(this.currentYear(), this.currentMonth());
-
-    for (const finance of allFinances) {
-      const transactionParts = this.getDateParts(finance.transaction_date);
-      const transactionIndex = this.getMonthIndex(transactionParts.year, transactionParts.month);
-      const dueParts = finance.due_date ? this.getDateParts(finance.due_date) : null;
-      const displayDay = (dueParts?.day || transactionParts.day || 1);
-
-      // Determine duration (months) based on either payment_months or due date range
-      const dueMonths = dueParts ? this.getMonthDiff(transactionParts, dueParts) + 1 : 1;
-      const planMonths = finance.payment_months && finance.payment_months > 1
-        ? finance.payment_months
-        : (dueMonths > 1 ? dueMonths : 1);
-
-      const monthsDiff = targetMonthIndex - transactionIndex;
-
-      // 1) Payment plan or due-date range
-      if (planMonths > 1 && monthsDiff >= 0 && monthsDiff < planMonths) {
-        const originalId = finance.original_finance_id || finance.id;
-        const amountPerMonth = finance.payment_months && finance.payment_months > 1
-          ? this.getMonthlyAmount(finance.amount, finance.payment_months)
-          : finance.amount;
-
-        const spreadFinance: Finance = {
-          ...finance,
-          original_finance_id: originalId,
-          id: originalId * 1000 + (monthsDiff + 1),
-          amount: amountPerMonth,
-          transaction_date: this.formatDate(this.currentYear(), this.currentMonth(), displayDay),
-          payment_months: planMonths,
-          payment_month_index: monthsDiff + 1
-        };
-        displayed.push(spreadFinance);
+    for (const finance of this.finances()) {
+      const occurrence = finance.occurrence;
+      if (!occurrence) {
         continue;
       }
-
-      // 2) Recurring entries (display every month when no multi-month plan)
-      if (finance.is_recurring) {
-        const recurringDisplay: Finance = {
-          ...finance,
-          transaction_date: this.formatDate(this.currentYear(), this.currentMonth(), displayDay)
-        };
-        displayed.push(recurringDisplay);
-        continue;
-      }
-
-      // 3) Regular single-month entries (no plan, no recurring)
-      if (monthsDiff === 0) {
-        const regularDisplay: Finance = {
-          ...finance,
-          transaction_date: this.formatDate(transactionParts.year, transactionParts.month, displayDay)
-        };
-        displayed.push(regularDisplay);
-      }
+      const isPlan = occurrence.count !== null && occurrence.count > 1;
+      displayed.push({
+        ...finance,
+        original_finance_id: finance.id,
+        amount: occurrence.amount,
+        transaction_date: occurrence.date,
+        payment_months: isPlan ? occurrence.count! : finance.payment_months,
+        payment_month_index: isPlan ? occurrence.index! : undefined
+      });
     }
 
-    displayed.sort((a, b) => {
-      const dateA = new Date(a.transaction_date);
-      const dateB = new Date(b.transaction_date);
-      return dateB.getTime() - dateA.getTime();
-    });
+    displayed.sort((a, b) => b.transaction_date.localeCompare(a.transaction_date));
 
     this.displayedFinances.set(displayed);
   }
 
   loadBalance(): void {
+    // Budgets and the year overview count the same entries as the balance
+    this.budgetsPanel?.load(this.currentMonth(), this.currentYear());
+    this.reportPanel?.load(this.currentYear());
     this.financesService.getBalance(this.homeId, this.currentMonth(), this.currentYear()).subscribe({
       next: (balance) => {
         this.balance.set(balance);
@@ -496,48 +452,5 @@ export class FinancesComponent implements OnInit {
     }
     return null;
   }
-
-  private getDateParts(dateString?: string): { year: number; month: number; day: number } {
-    if (!dateString) {
-      return { year: this.currentYear(), month: this.currentMonth(), day: 1 };
-    }
-    const [datePart] = dateString.split('T');
-    const [yearStr, monthStr, dayStr] = datePart.split('-');
-    const year = parseInt(yearStr, 10);
-    const month = parseInt(monthStr, 10);
-    const day = parseInt(dayStr, 10);
-    return {
-      year: !isNaN(year) ? year : this.currentYear(),
-      month: !isNaN(month) ? month : this.currentMonth(),
-      day: !isNaN(day) ? day : 1
-    };
-  }
-
-  private formatDate(year: number, month: number, day: number = 1): string {
-    const safeMonth = Math.min(Math.max(month, 1), 12);
-    const safeDay = Math.min(Math.max(day, 1), 28);
-    const paddedMonth = safeMonth.toString().padStart(2, '0');
-    const paddedDay = safeDay.toString().padStart(2, '0');
-    return `${year}-${paddedMonth}-${paddedDay}`;
-  }
-
-  private getMonthIndex(year: number, month: number): number {
-    return year * 12 + (month - 1);
-  }
-
-  private getMonthDiff(
-    start: { year: number; month: number },
-    end: { year: number; month: number }
-  ): number {
-    return this.getMonthIndex(end.year, end.month) - this.getMonthIndex(start.year, start.month);
-  }
-
-  private getMonthlyAmount(total: number, months: number): number {
-    if (!months || months <= 0) {
-      return total;
-    }
-    const monthly = total / months;
-    return Math.round((monthly + Number.EPSILON) * 100) / 100;
-  }
 }
 
@@ -0,0 +1,48 @@
+import { Component, signal, inject } from '@angular/core';
+import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angular/forms';
+import { RouterLink } from '@angular/router';
+import { CommonModule } from '@angular/common';
+import { AuthService } from '../../services/auth.service';
+
+@Component({
+  selector: 'app-forgot-password',
+  standalone: true,
+  imports: [CommonModule, ReactiveFormsModule, RouterLink],
+  templateUrl: './forgot-password.component.html',
+  styleUrl: './forgot-password.component.css'
+})
+export class ForgotPasswordComponent {
+  private fb = inject(FormBuilder);
+  private authService = inject(AuthService);
+
+  forgotForm: FormGroup;
+  errorMessage = signal<string | null>(null);
+  successMessage = signal<string | null>(null);
+  isLoading = signal(false);
+
+  constructor() {
+    this.forgotForm = this.fb.group({
+      email: ['', [Validators.required, Validators.email]]
+    });
+  }
+
+  onSubmit(): void {
+    if (this.forgotForm.valid) {
+      this.isLoading.set(true);
+      this.errorMessage.set(null);
+
+      this.authService.requestPasswordReset(this.forgotForm.value.email).subscribe({
+        next: (response) => {
+          this.isLoading.set(false);
+          this.successMessage.set(response.message);
+        },
+        error: (error) => {
+          this.isLoading.set(false);
+          this.errorMessage.set(
+            error.error?.error || 'Failed to request a password reset. Please try again.'
+          );
+        }
+      });
+    }
+  }
+}
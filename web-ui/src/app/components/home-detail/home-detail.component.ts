@@ -1,7 +1,7 @@
 import { Component, inject, signal, OnInit } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { ActivatedRoute, Router, RouterLink } from '@angular/router';
-import { HomesService } from '../../services/homes.service';
+import { HomesService, HomePermissions, canInHome } from '../../services/homes.service';
 import { AuthService } from '../../services/auth.service';
 import { ShoppingListComponent } from '../shopping-list/shopping-list.component';
 import { HomeItemsComponent } from '../home-items/home-items.component';
@@ -57,8 +57,8 @@ export class HomeDetailComponent implements OnInit {
     this.activeTab.set(tab);
   }
 
-  isOwner(): boolean {
-    return this.home()?.user_role === 'owner';
+  can(resource: keyof HomePermissions, action: string): boolean {
+    return canInHome(this.home(), resource, action);
   }
 }
 
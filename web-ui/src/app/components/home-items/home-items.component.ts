@@ -1,17 +1,34 @@
-import { Component, Input, inject, signal, OnInit, effect } from '@angular/core';
+import { Component, Input, ViewChild, inject, signal, OnInit, effect } from '@angular/core';
 import { CommonModule, DatePipe } from '@angular/common';
 import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angular/forms';
-import { HomeItemsService, HomeItem } from '../../services/home-items.service';
+import {
+  HomeItemsService,
+  HomeItem,
+  HomeCategory,
+  HomeLocation,
+  Consumption,
+  QuantityUnit,
+  QUANTITY_UNITS,
+  compatibleUnits
+} from '../../services/home-items.service';
+import { ExpiringItemsComponent } from '../expiring-items/expiring-items.component';
+import { ItemCatalogComponent } from '../item-catalog/item-catalog.component';
 
 @Component({
   selector: 'app-home-items',
   standalone: true,
-  imports: [CommonModule, ReactiveFormsModule, DatePipe],
+  imports: [CommonModule, ReactiveFormsModule, DatePipe, ExpiringItemsComponent, ItemCatalogComponent],
   templateUrl: './home-items.component.html',
   styleUrl: './home-items.component.css'
 })
 export class HomeItemsComponent implements OnInit {
   @Input() homeId!: number;
+  // Viewers can only read the inventory
+  @Input() canEdit: boolean = true;
+  // Owners and admins can change the home's expiry alert window
+  @Input() canConfigure: boolean = false;
+
+  @ViewChild(ExpiringItemsComponent) expiringItems?: ExpiringItemsComponent;
 
   private homeItemsService = inject(HomeItemsService);
   private fb = inject(FormBuilder);
@@ -21,26 +38,39 @@ export class HomeItemsComponent implements OnInit {
   isLoading = signal(false);
   showForm = signal(false);
   editingItem = signal<HomeItem | null>(null);
-  selectedCategory = signal<'all' | 'fridge' | 'pantry' | 'storage'>('all');
+  selectedCategory = signal<number | 'all'>('all');
   errorMessage = signal<string | null>(null);
+  noticeMessage = signal<string | null>(null);
   itemForm: FormGroup;
+  units = QUANTITY_UNITS;
+
+  // Item whose consume form is open, with its recent consumption history
+  consumingItem = signal<HomeItem | null>(null);
+  consumptions = signal<Consumption[]>([]);
+  consumeForm: FormGroup;
 
-  categories = [
-    { value: 'fridge', label: '🧊 Fridge', icon: '🧊' },
-    { value: 'pantry', label: '🥫 Pantry', icon: '🥫' },
-    { value: 'storage', label: '📦 Storage', icon: '📦' }
-  ];
+  // The home's own categories and locations
+  categories = signal<HomeCategory[]>([]);
+  locations = signal<HomeLocation[]>([]);
+  showCatalog = signal(false);
 
   constructor() {
     this.itemForm = this.fb.group({
       name: ['', [Validators.required]],
-      category: ['fridge', [Validators.required]],
-      quantity: [''],
+      category_id: [null, [Validators.required]],
+      amount: [null, [Validators.min(0)]],
+      unit: ['pcs'],
+      min_amount: [null, [Validators.min(0)]],
       location: [''],
       expiry_date: [''],
       notes: ['']
     });
 
+    this.consumeForm = this.fb.group({
+      amount: [null, [Validators.required, Validators.min(0.001)]],
+      unit: ['pcs']
+    });
+
     // Filter items when category or items change
     effect(() => {
       this.filterItems();
@@ -49,10 +79,33 @@ export class HomeItemsComponent implements OnInit {
 
   ngOnInit(): void {
     if (this.homeId) {
+      this.loadCatalog();
       this.loadItems();
     }
   }
 
+  loadCatalog(): void {
+    this.homeItemsService.getCategories(this.homeId).subscribe({
+      next: (categories) => {
+        this.categories.set(categories);
+        if (!this.itemForm.value.category_id && categories.length > 0) {
+          this.itemForm.patchValue({ category_id: categories[0].id });
+        }
+      },
+      error: (error) => console.error('Error loading categories:', error)
+    });
+    this.homeItemsService.getLocations(this.homeId).subscribe({
+      next: (locations) => this.locations.set(locations),
+      error: (error) => console.error('Error loading locations:', error)
+    });
+  }
+
+  // After categories or locations changed: items show their names
+  onCatalogChanged(): void {
+    this.loadCatalog();
+    this.loadItems();
+  }
+
   loadItems(): void {
     this.isLoading.set(true);
     this.errorMessage.set(null);
@@ -68,6 +121,8 @@ export class HomeItemsComponent implements OnInit {
         console.error('Error loading items:', error);
       }
     });
+
+    this.expiringItems?.load();
   }
 
   filterItems(): void {
@@ -75,21 +130,19 @@ export class HomeItemsComponent implements OnInit {
     if (category === 'all') {
       this.filteredItems.set(this.items());
     } else {
-      this.filteredItems.set(this.items().filter(item => item.category === category));
+      this.filteredItems.set(this.items().filter(item => item.category_id === category));
     }
   }
 
-  setCategory(category: string): void {
-    if (category === 'all' || category === 'fridge' || category === 'pantry' || category === 'storage') {
-      this.selectedCategory.set(category);
-    }
+  setCategory(category: number | 'all'): void {
+    this.selectedCategory.set(category);
   }
 
   toggleForm(): void {
     this.showForm.set(!this.showForm());
     this.editingItem.set(null);
     if (!this.showForm()) {
-      this.itemForm.reset({ category: 'fridge' });
+      this.itemForm.reset({ category_id: this.categories()[0]?.id ?? null, unit: 'pcs' });
       this.errorMessage.set(null);
     }
   }
@@ -99,8 +152,10 @@ export class HomeItemsComponent implements OnInit {
     this.showForm.set(true);
     this.itemForm.patchValue({
       name: item.name,
-      category: item.category,
-      quantity: item.quantity || '',
+      category_id: item.category_id,
+      amount: item.amount ?? null,
+      unit: item.unit || 'pcs',
+      min_amount: item.min_amount ?? null,
       location: item.location || '',
       expiry_date: item.expiry_date ? item.expiry_date.split('T')[0] : '',
       notes: item.notes || ''
@@ -118,16 +173,28 @@ export class HomeItemsComponent implements OnInit {
       this.errorMessage.set(null);
 
       const formValue = this.itemForm.value;
-      const itemData = {
+      const editingItem = this.editingItem();
+      const itemData: Partial<HomeItem> = {
         name: formValue.name,
-        category: formValue.category,
-        quantity: formValue.quantity || undefined,
-        location: formValue.location || undefined,
+        category_id: Number(formValue.category_id),
+        // Sent by name: the server finds the location or creates it
+        location: formValue.location || (editingItem?.location ? null : undefined),
         expiry_date: formValue.expiry_date || undefined,
         notes: formValue.notes || undefined
       };
+      if (formValue.amount !== null && formValue.amount !== '') {
+        itemData.amount = formValue.amount;
+        itemData.unit = formValue.unit;
+      } else if (editingItem?.amount != null) {
+        // Cleared the amount; items with a text-only quantity keep their text
+        itemData.amount = null;
+      }
+      if (formValue.min_amount !== null && formValue.min_amount !== '') {
+        itemData.min_amount = formValue.min_amount;
+      } else if (editingItem?.min_amount != null) {
+        itemData.min_amount = null;
+      }
 
-      const editingItem = this.editingItem();
       if (editingItem) {
         // Update existing item
         this.homeItemsService.updateHomeItem(this.homeId, editingItem.id, itemData).subscribe({
@@ -170,14 +237,60 @@ export class HomeItemsComponent implements OnInit {
     }
   }
 
-  getCategoryIcon(category: string): string {
-    const cat = this.categories.find(c => c.value === category);
-    return cat ? cat.icon : '📦';
+  toggleConsume(item: HomeItem): void {
+    if (this.consumingItem()?.id === item.id) {
+      this.consumingItem.set(null);
+      return;
+    }
+
+    this.consumingItem.set(item);
+    this.consumptions.set([]);
+    this.consumeForm.reset({ amount: null, unit: item.unit || 'pcs' });
+    this.homeItemsService.getConsumptions(this.homeId, item.id).subscribe({
+      next: (consumptions) => this.consumptions.set(consumptions.slice(0, 5)),
+      error: (error) => console.error('Error loading consumption history:', error)
+    });
+  }
+
+  isLowStock(item: HomeItem): boolean {
+    return item.amount != null && item.min_amount != null && item.amount < item.min_amount;
+  }
+
+  consumeUnits(item: HomeItem): QuantityUnit[] {
+    return item.unit ? compatibleUnits(item.unit) : [];
+  }
+
+  consume(item: HomeItem): void {
+    if (this.consumeForm.invalid) {
+      return;
+    }
+
+    const { amount, unit } = this.consumeForm.value;
+    this.errorMessage.set(null);
+    this.noticeMessage.set(null);
+    this.homeItemsService.consumeItem(this.homeId, item.id, amount, unit).subscribe({
+      next: ({ item: updated, consumption, shopping_list_item }) => {
+        if (shopping_list_item) {
+          this.noticeMessage.set(`${updated.name} is running low and was added to the shopping list`);
+        }
+        this.items.set(this.items().map(i => i.id === updated.id ? { ...i, ...updated } : i));
+        this.consumingItem.set({ ...item, ...updated });
+        this.consumptions.set([consumption, ...this.consumptions()].slice(0, 5));
+        this.consumeForm.reset({ amount: null, unit });
+      },
+      error: (error) => {
+        this.errorMessage.set(error.error?.error || 'Failed to consume item');
+      }
+    });
+  }
+
+  getCategoryIcon(item: HomeItem): string {
+    return item.category_icon || '📦';
   }
 
-  getCategoryLabel(category: string): string {
-    const cat = this.categories.find(c => c.value === category);
-    return cat ? cat.label : category;
+  getCategoryLabel(categoryId: number | 'all'): string {
+    const category = this.categories().find(c => c.id === categoryId);
+    return category ? category.name : 'Uncategorized';
   }
 }
 
@@ -2,7 +2,7 @@ import { Component, inject, signal, OnInit } from '@angular/core';
 import { CommonModule, DatePipe } from '@angular/common';
 import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angular/forms';
 import { Router } from '@angular/router';
-import { HomesService, Home } from '../../services/homes.service';
+import { HomesService, Home, MemberRole, canInHome } from '../../services/homes.service';
 import { FamiliesService, Family } from '../../services/families.service';
 import { AuthService } from '../../services/auth.service';
 
@@ -39,7 +39,8 @@ export class HomesComponent implements OnInit {
     });
 
     this.memberForm = this.fb.group({
-      userId: ['', [Validators.required]]
+      userId: ['', [Validators.required]],
+      role: ['member', [Validators.required]]
     });
   }
 
@@ -148,11 +149,25 @@ export class HomesComponent implements OnInit {
     }
   }
 
+  leaveHome(home: Home): void {
+    if (confirm(`Leave "${home.name}"? You will need a new invitation to join again.`)) {
+      this.homesService.leaveHome(home.id).subscribe({
+        next: () => {
+          this.loadHomes();
+        },
+        error: (error) => {
+          this.errorMessage.set(error.error?.error || 'Failed to leave home');
+          console.error('Error leaving home:', error);
+        }
+      });
+    }
+  }
+
   openMemberModal(homeId: number): void {
     this.selectedHomeId.set(homeId);
     this.loadHomeMembers(homeId);
     this.showMemberModal.set(true);
-    this.memberForm.reset();
+    this.memberForm.reset({ userId: '', role: 'member' });
     this.errorMessage.set(null);
     this.successMessage.set(null);
   }
@@ -160,7 +175,7 @@ export class HomesComponent implements OnInit {
   closeMemberModal(): void {
     this.showMemberModal.set(false);
     this.selectedHomeId.set(null);
-    this.memberForm.reset();
+    this.memberForm.reset({ userId: '', role: 'member' });
     this.errorMessage.set(null);
     this.successMessage.set(null);
   }
@@ -171,8 +186,8 @@ export class HomesComponent implements OnInit {
       this.errorMessage.set(null);
       this.successMessage.set(null);
 
-      const userId = this.memberForm.value.userId;
-      this.homesService.addHomeMember(this.selectedHomeId()!, userId).subscribe({
+      const { userId, role } = this.memberForm.value;
+      this.homesService.addHomeMember(this.selectedHomeId()!, Number(userId), role).subscribe({
         next: () => {
           this.successMessage.set('Member request sent successfully!');
           this.loadHomeMembers(this.selectedHomeId()!);
@@ -204,7 +219,80 @@ export class HomesComponent implements OnInit {
   }
 
   isOwner(home: Home): boolean {
-    return home.user_id === this.authService.getUser()?.id;
+    return home.user_role === 'owner';
+  }
+
+  canManageMembers(home: Home): boolean {
+    return canInHome(home, 'members', 'manage');
+  }
+
+  // Only the owner hands out or takes away the admin role
+  getAssignableRoles(homeId: number): MemberRole[] {
+    const home = this.homes().find(h => h.id === homeId);
+    if (home?.user_role === 'owner') {
+      return ['admin', 'member', 'viewer'];
+    }
+    return home?.user_role === 'admin' ? ['member', 'viewer'] : [];
+  }
+
+  canChangeRole(homeId: number, member: any): boolean {
+    const roles = this.getAssignableRoles(homeId);
+    return member.role !== 'owner' && roles.includes(member.role);
+  }
+
+  onRemoveMember(homeId: number, member: any): void {
+    const name = `${member.first_name || ''} ${member.last_name || ''}`.trim() || member.username;
+    if (!confirm(`Remove ${name} from this home?`)) {
+      return;
+    }
+    this.errorMessage.set(null);
+    this.successMessage.set(null);
+
+    this.homesService.removeHomeMember(homeId, member.user_id).subscribe({
+      next: () => {
+        this.successMessage.set(`${name} was removed`);
+        this.loadHomeMembers(homeId);
+      },
+      error: (error) => {
+        this.errorMessage.set(error.error?.error || 'Failed to remove member');
+      }
+    });
+  }
+
+  onTransferOwnership(homeId: number, member: any): void {
+    const name = `${member.first_name || ''} ${member.last_name || ''}`.trim() || member.username;
+    if (!confirm(`Make ${name} the owner of this home? You will stay as an admin.`)) {
+      return;
+    }
+    this.errorMessage.set(null);
+    this.successMessage.set(null);
+
+    this.homesService.transferOwnership(homeId, member.user_id).subscribe({
+      next: () => {
+        this.closeMemberModal();
+        this.loadHomes();
+      },
+      error: (error) => {
+        this.errorMessage.set(error.error?.error || 'Failed to transfer ownership');
+      }
+    });
+  }
+
+  onChangeMemberRole(homeId: number, member: any, event: Event): void {
+    const role = (event.target as HTMLSelectElement).value as MemberRole;
+    this.errorMessage.set(null);
+    this.successMessage.set(null);
+
+    this.homesService.updateMemberRole(homeId, member.user_id, role).subscribe({
+      next: () => {
+        this.successMessage.set(`${member.first_name || member.username} is now ${role}`);
+        this.loadHomeMembers(homeId);
+      },
+      error: (error) => {
+        this.errorMessage.set(error.error?.error || 'Failed to update member role');
+        this.loadHomeMembers(homeId);
+      }
+    });
   }
 
   navigateToHomeDetail(homeId: number, event?: Event): void {
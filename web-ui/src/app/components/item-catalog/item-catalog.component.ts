@@ -0,0 +1,130 @@
+import { Component, EventEmitter, Input, OnInit, Output, inject, signal } from '@angular/core';
+import { HomeItemsService, HomeCategory, HomeLocation } from '../../services/home-items.service';
+
+// Managing a home's inventory categories and storage locations
+@Component({
+  selector: 'app-item-catalog',
+  standalone: true,
+  imports: [],
+  templateUrl: './item-catalog.component.html',
+  styleUrl: './item-catalog.component.css'
+})
+export class ItemCatalogComponent implements OnInit {
+  @Input() homeId!: number;
+  // Emitted after any change, so the inventory can reload its categories and items
+  @Output() changed = new EventEmitter<void>();
+
+  private homeItemsService = inject(HomeItemsService);
+
+  categories = signal<HomeCategory[]>([]);
+  locations = signal<HomeLocation[]>([]);
+  errorMessage = signal<string | null>(null);
+  // Category being deleted whose items have to move elsewhere first
+  deletingCategory = signal<HomeCategory | null>(null);
+
+  ngOnInit(): void {
+    this.load();
+  }
+
+  load(): void {
+    this.homeItemsService.getCategories(this.homeId).subscribe({
+      next: (categories) => this.categories.set(categories),
+      error: (error) => console.error('Error loading categories:', error)
+    });
+    this.homeItemsService.getLocations(this.homeId).subscribe({
+      next: (locations) => this.locations.set(locations),
+      error: (error) => console.error('Error loading locations:', error)
+    });
+  }
+
+  private done(): void {
+    this.errorMessage.set(null);
+    this.deletingCategory.set(null);
+    this.load();
+    this.changed.emit();
+  }
+
+  private failed(fallback: string) {
+    return (error: any) => this.errorMessage.set(error.error?.error || fallback);
+  }
+
+  addCategory(nameInput: HTMLInputElement, iconInput: HTMLInputElement): void {
+    const name = nameInput.value.trim();
+    if (!name) {
+      return;
+    }
+    this.homeItemsService.createCategory(this.homeId, name, iconInput.value.trim() || undefined).subscribe({
+      next: () => {
+        nameInput.value = '';
+        iconInput.value = '';
+        this.done();
+      },
+      error: this.failed('Failed to add category')
+    });
+  }
+
+  saveCategory(category: HomeCategory, name: string, icon: string): void {
+    if (name.trim() === category.name && (icon.trim() || null) === category.icon) {
+      return;
+    }
+    this.homeItemsService.updateCategory(this.homeId, category.id, { name: name.trim(), icon: icon.trim() || null }).subscribe({
+      next: () => this.done(),
+      error: this.failed('Failed to update category')
+    });
+  }
+
+  deleteCategory(category: HomeCategory, moveTo?: string): void {
+    if (category.item_count > 0 && !moveTo) {
+      this.deletingCategory.set(category);
+      return;
+    }
+    if (category.item_count === 0 && !confirm(`Delete the category "${category.name}"?`)) {
+      return;
+    }
+    this.homeItemsService.deleteCategory(this.homeId, category.id, moveTo ? Number(moveTo) : undefined).subscribe({
+      next: () => this.done(),
+      error: this.failed('Failed to delete category')
+    });
+  }
+
+  otherCategories(category: HomeCategory): HomeCategory[] {
+    return this.categories().filter(c => c.id !== category.id);
+  }
+
+  addLocation(nameInput: HTMLInputElement): void {
+    const name = nameInput.value.trim();
+    if (!name) {
+      return;
+    }
+    this.homeItemsService.createLocation(this.homeId, name).subscribe({
+      next: () => {
+        nameInput.value = '';
+        this.done();
+      },
+      error: this.failed('Failed to add location')
+    });
+  }
+
+  saveLocation(location: HomeLocation, name: string): void {
+    if (name.trim() === location.name) {
+      return;
+    }
+    this.homeItemsService.updateLocation(this.homeId, location.id, name.trim()).subscribe({
+      next: () => this.done(),
+      error: this.failed('Failed to rename location')
+    });
+  }
+
+  deleteLocation(location: HomeLocation): void {
+    const message = location.item_count > 0
+      ? `Delete "${location.name}"? Its ${location.item_count} item(s) will have no location.`
+      : `Delete the location "${location.name}"?`;
+    if (!confirm(message)) {
+      return;
+    }
+    this.homeItemsService.deleteLocation(this.homeId, location.id).subscribe({
+      next: () => this.done(),
+      error: this.failed('Failed to delete location')
+    });
+  }
+}
@@ -0,0 +1,47 @@
+import { Component, EventEmitter, Input, Output, inject, signal } from '@angular/core';
+import { ListExpenseRequest, ListMember } from '../../services/shopping-lists.service';
+import { EXPENSE_CATEGORIES } from '../../services/finances.service';
+import { AuthService } from '../../services/auth.service';
+import { FormatCurrencyPipe } from '../finances/format-currency.pipe';
+
+// Before completing a list: whether to record what was paid as a finance expense, and who sees it
+@Component({
+  selector: 'app-list-expense',
+  standalone: true,
+  imports: [FormatCurrencyPipe],
+  templateUrl: './list-expense.component.html',
+  styleUrl: './list-expense.component.css'
+})
+export class ListExpenseComponent {
+  // Sum of the actual prices of the checked items
+  @Input() total: number = 0;
+  @Input() members: ListMember[] = [];
+  // null when no expense should be recorded
+  @Output() confirmed = new EventEmitter<ListExpenseRequest | null>();
+  @Output() cancelled = new EventEmitter<void>();
+
+  private authService = inject(AuthService);
+
+  readonly categories = EXPENSE_CATEGORIES;
+  record = signal(true);
+  category = signal('groceries');
+  visibleTo = signal<number[]>([]);
+
+  // The creator always sees the entry
+  otherMembers(): ListMember[] {
+    const currentUserId = this.authService.getUser()?.id;
+    return this.members.filter(member => member.user_id !== currentUserId);
+  }
+
+  toggleMember(userId: number, checked: boolean): void {
+    this.visibleTo.set(checked
+      ? [...this.visibleTo(), userId]
+      : this.visibleTo().filter(id => id !== userId));
+  }
+
+  continue(): void {
+    this.confirmed.emit(this.record()
+      ? { category: this.category(), visible_to_user_ids: this.visibleTo() }
+      : null);
+  }
+}
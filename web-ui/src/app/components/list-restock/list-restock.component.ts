@@ -0,0 +1,101 @@
+import { Component, EventEmitter, Input, OnInit, Output, inject, signal } from '@angular/core';
+import {
+  ShoppingListsService,
+  RestockSuggestion,
+  RestockAction,
+  RestockChoice,
+  CompleteListResult,
+  ListExpenseRequest
+} from '../../services/shopping-lists.service';
+import { HomeItemsService, HomeCategory, HomeLocation } from '../../services/home-items.service';
+
+// Completing a list: choose what each checked item does to the inventory
+@Component({
+  selector: 'app-list-restock',
+  standalone: true,
+  imports: [],
+  templateUrl: './list-restock.component.html',
+  styleUrl: './list-restock.component.css'
+})
+export class ListRestockComponent implements OnInit {
+  @Input() homeId!: number;
+  @Input() listId!: number;
+  // Chosen in the step before, recorded along with the restock
+  @Input() expense: ListExpenseRequest | null = null;
+  @Output() completed = new EventEmitter<CompleteListResult>();
+  @Output() cancelled = new EventEmitter<void>();
+
+  private shoppingListsService = inject(ShoppingListsService);
+  private homeItemsService = inject(HomeItemsService);
+
+  suggestions = signal<RestockSuggestion[]>([]);
+  isLoading = signal(true);
+  isSaving = signal(false);
+  errorMessage = signal<string | null>(null);
+
+  categories = signal<HomeCategory[]>([]);
+  locations = signal<HomeLocation[]>([]);
+
+  ngOnInit(): void {
+    this.homeItemsService.getCategories(this.homeId).subscribe({
+      next: (categories) => this.categories.set(categories),
+      error: (error) => console.error('Error loading categories:', error)
+    });
+    this.homeItemsService.getLocations(this.homeId).subscribe({
+      next: (locations) => this.locations.set(locations),
+      error: (error) => console.error('Error loading locations:', error)
+    });
+    this.shoppingListsService.getRestockPreview(this.homeId, this.listId).subscribe({
+      next: ({ items }) => {
+        this.suggestions.set(items);
+        this.isLoading.set(false);
+      },
+      error: (error) => {
+        this.errorMessage.set(error.error?.error || 'Failed to match the list with the inventory');
+        this.isLoading.set(false);
+      }
+    });
+  }
+
+  update(index: number, changes: Partial<RestockSuggestion>): void {
+    this.suggestions.update(rows => rows.map((row, i) => i === index ? { ...row, ...changes } : row));
+  }
+
+  setAction(index: number, event: Event): void {
+    this.update(index, { action: (event.target as HTMLSelectElement).value as RestockAction });
+  }
+
+  setCategory(index: number, event: Event): void {
+    this.update(index, { category_id: Number((event.target as HTMLSelectElement).value) });
+  }
+
+  setLocation(index: number, event: Event): void {
+    const value = (event.target as HTMLSelectElement).value;
+    this.update(index, { location_id: value ? Number(value) : null });
+  }
+
+  complete(restock: boolean): void {
+    const choices: RestockChoice[] | undefined = restock
+      ? this.suggestions().map(row => ({
+          list_item_id: row.list_item.id,
+          action: row.action,
+          home_item_id: row.action === 'increase' ? row.match?.id : undefined,
+          category_id: row.category_id,
+          location_id: row.location_id
+        }))
+      : undefined;
+
+    this.isSaving.set(true);
+    this.errorMessage.set(null);
+    this.shoppingListsService.completeShoppingList(this.homeId, this.listId, choices, this.expense).subscribe({
+      next: (result) => {
+        this.isSaving.set(false);
+        this.completed.emit(result);
+      },
+      error: (error) => {
+        this.errorMessage.set(error.error?.error || 'Failed to complete shopping list');
+        this.isSaving.set(false);
+      }
+    });
+  }
+}
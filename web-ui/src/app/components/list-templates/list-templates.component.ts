@@ -0,0 +1,85 @@
+import { Component, EventEmitter, Input, OnInit, Output, inject, signal } from '@angular/core';
+import { ShoppingListsService, ShoppingList, ListTemplate } from '../../services/shopping-lists.service';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// A home's saved list templates: start a list from one, schedule one weekly, or save the open list as one
+@Component({
+  selector: 'app-list-templates',
+  standalone: true,
+  imports: [],
+  templateUrl: './list-templates.component.html',
+  styleUrl: './list-templates.component.css'
+})
+export class ListTemplatesComponent implements OnInit {
+  @Input() homeId!: number;
+  @Input() canEdit: boolean = true;
+  // The open list, which can be saved as a template
+  @Input() selectedId: number | null = null;
+  // A list created from a template, with its items
+  @Output() created = new EventEmitter<ShoppingList>();
+
+  private shoppingListsService = inject(ShoppingListsService);
+
+  readonly weekdays = WEEKDAYS;
+  templates = signal<ListTemplate[]>([]);
+  errorMessage = signal<string | null>(null);
+
+  ngOnInit(): void {
+    this.shoppingListsService.getListTemplates(this.homeId).subscribe({
+      next: (templates) => this.templates.set(templates),
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to load templates')
+    });
+  }
+
+  describeItems(template: ListTemplate): string {
+    return template.items.map(item => item.quantity ? `${item.name} (${item.quantity})` : item.name).join(', ');
+  }
+
+  saveOpenList(nameInput: HTMLInputElement, weekday: string): void {
+    const name = nameInput.value.trim();
+    if (!name || this.selectedId === null) {
+      return;
+    }
+    this.errorMessage.set(null);
+    this.shoppingListsService.createListTemplate(this.homeId, {
+      name,
+      list_id: this.selectedId,
+      schedule_weekday: weekday === '' ? null : Number(weekday)
+    }).subscribe({
+      next: (template) => {
+        nameInput.value = '';
+        this.templates.set([...this.templates(), template].sort((a, b) => a.name.localeCompare(b.name)));
+      },
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to save template')
+    });
+  }
+
+  setSchedule(template: ListTemplate, weekday: string): void {
+    this.errorMessage.set(null);
+    this.shoppingListsService.updateListTemplate(this.homeId, template.id, {
+      schedule_weekday: weekday === '' ? null : Number(weekday)
+    }).subscribe({
+      next: (updated) => this.templates.set(this.templates().map(t => t.id === updated.id ? updated : t)),
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to update template')
+    });
+  }
+
+  createList(template: ListTemplate): void {
+    this.errorMessage.set(null);
+    this.shoppingListsService.createListFromTemplate(this.homeId, template.id).subscribe({
+      next: (list) => this.created.emit(list),
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to create list')
+    });
+  }
+
+  deleteTemplate(template: ListTemplate): void {
+    if (!confirm(`Delete the template "${template.name}"? Lists created from it stay.`)) {
+      return;
+    }
+    this.shoppingListsService.deleteListTemplate(this.homeId, template.id).subscribe({
+      next: () => this.templates.set(this.templates().filter(t => t.id !== template.id)),
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to delete template')
+    });
+  }
+}
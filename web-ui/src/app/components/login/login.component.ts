@@ -17,14 +17,20 @@ export class LoginComponent {
   private router = inject(Router);
 
   loginForm: FormGroup;
+  twoFactorForm: FormGroup;
   errorMessage = signal<string | null>(null);
   isLoading = signal(false);
+  // Set once the password was accepted for an account with 2FA
+  challengeToken = signal<string | null>(null);
 
   constructor() {
     this.loginForm = this.fb.group({
       email: ['', [Validators.required, Validators.email]],
       password: ['', [Validators.required, Validators.minLength(6)]]
     });
+    this.twoFactorForm = this.fb.group({
+      code: ['', Validators.required]
+    });
   }
 
   onSubmit(): void {
@@ -33,7 +39,12 @@ export class LoginComponent {
       this.errorMessage.set(null);
 
       this.authService.login(this.loginForm.value).subscribe({
-        next: () => {
+        next: (response) => {
+          if ('twoFactorRequired' in response) {
+            this.isLoading.set(false);
+            this.challengeToken.set(response.challengeToken);
+            return;
+          }
           this.router.navigate(['/homes']);
         },
         error: (error) => {
@@ -45,5 +56,30 @@ export class LoginComponent {
       });
     }
   }
+
+  onSubmitCode(): void {
+    const challengeToken = this.challengeToken();
+    if (this.twoFactorForm.valid && challengeToken) {
+      this.isLoading.set(true);
+      this.errorMessage.set(null);
+
+      this.authService.completeTwoFactorLogin(challengeToken, this.twoFactorForm.value.code.trim()).subscribe({
+        next: () => {
+          this.router.navigate(['/homes']);
+        },
+        error: (error) => {
+          this.isLoading.set(false);
+          this.twoFactorForm.reset();
+          this.errorMessage.set(error.error?.error || 'Verification failed. Please try again.');
+        }
+      });
+    }
+  }
+
+  cancelTwoFactor(): void {
+    this.challengeToken.set(null);
+    this.twoFactorForm.reset();
+    this.errorMessage.set(null);
+  }
 }
 
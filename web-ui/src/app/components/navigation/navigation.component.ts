@@ -1,7 +1,8 @@
-import { Component, inject } from '@angular/core';
+import { Component, effect, inject, signal } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { Router, RouterLink, RouterLinkActive } from '@angular/router';
 import { AuthService } from '../../services/auth.service';
+import { NotificationsService } from '../../services/notifications.service';
 
 @Component({
   selector: 'app-navigation',
@@ -13,9 +14,33 @@ import { AuthService } from '../../services/auth.service';
 export class NavigationComponent {
   private authService = inject(AuthService);
   private router = inject(Router);
+  private notificationsService = inject(NotificationsService);
 
   user = this.authService.user;
   isAuthenticated = this.authService.isAuthenticated;
+  unreadCount = signal(0);
+
+  constructor() {
+    // Keep the badge current while signed in; new and read notifications arrive as events
+    effect((onCleanup) => {
+      if (!this.isAuthenticated()) {
+        this.unreadCount.set(0);
+        return;
+      }
+
+      this.loadUnreadCount();
+      const subscription = this.notificationsService.watchUnreadCountChanges()
+        .subscribe(() => this.loadUnreadCount());
+      onCleanup(() => subscription.unsubscribe());
+    });
+  }
+
+  loadUnreadCount(): void {
+    this.notificationsService.getUnreadCount().subscribe({
+      next: ({ count }) => this.unreadCount.set(count),
+      error: (error) => console.error('Error loading unread notification count:', error)
+    });
+  }
 
   logout(): void {
     this.authService.logout();
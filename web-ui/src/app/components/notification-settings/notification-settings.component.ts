@@ -0,0 +1,119 @@
+import { Component, inject, signal, OnInit } from '@angular/core';
+import { firstValueFrom } from 'rxjs';
+import { NotificationsService, NotificationPreference } from '../../services/notifications.service';
+
+const PUSH_WORKER_URL = '/push-sw.js';
+
+// VAPID keys are base64url; PushManager wants the raw bytes
+function base64UrlToBytes(value: string): Uint8Array<ArrayBuffer> {
+  const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(base64);
+  const bytes = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) {
+    bytes[i] = raw.charCodeAt(i);
+  }
+  return bytes;
+}
+
+@Component({
+  selector: 'app-notification-settings',
+  standalone: true,
+  imports: [],
+  templateUrl: './notification-settings.component.html',
+  styleUrl: './notification-settings.component.css'
+})
+export class NotificationSettingsComponent implements OnInit {
+  private notificationsService = inject(NotificationsService);
+
+  preferences = signal<NotificationPreference[]>([]);
+  error = signal<string | null>(null);
+
+  // Push needs browser support and VAPID keys on the server
+  pushPublicKey = signal<string | null>(null);
+  pushSupported = 'serviceWorker' in navigator && 'PushManager' in window;
+  pushEnabled = signal(false);
+  pushError = signal<string | null>(null);
+  isSaving = signal(false);
+
+  ngOnInit(): void {
+    this.notificationsService.getPreferences().subscribe({
+      next: ({ preferences }) => this.preferences.set(preferences),
+      error: (error) => {
+        this.error.set('Failed to load notification settings');
+        console.error('Error loading notification preferences:', error);
+      }
+    });
+
+    if (this.pushSupported) {
+      this.notificationsService.getPushPublicKey().subscribe({
+        next: ({ publicKey }) => this.pushPublicKey.set(publicKey),
+        error: (error) => console.error('Error loading push key:', error)
+      });
+      this.getPushSubscription().then(subscription => this.pushEnabled.set(!!subscription));
+    }
+  }
+
+  toggle(preference: NotificationPreference, channel: 'email' | 'push'): void {
+    const updated = { type: preference.type, email: preference.email, push: preference.push, [channel]: !preference[channel] };
+    this.error.set(null);
+
+    this.notificationsService.updatePreferences([updated]).subscribe({
+      next: ({ preferences }) => this.preferences.set(preferences),
+      error: (error) => {
+        this.error.set(error.error?.error || 'Failed to save notification settings');
+      }
+    });
+  }
+
+  async enablePush(): Promise<void> {
+    const publicKey = this.pushPublicKey();
+    if (!publicKey) {
+      return;
+    }
+
+    this.isSaving.set(true);
+    this.pushError.set(null);
+    try {
+      if (await Notification.requestPermission() !== 'granted') {
+        this.pushError.set('Notifications are blocked for this site in your browser settings');
+        return;
+      }
+
+      const registration = await navigator.serviceWorker.register(PUSH_WORKER_URL);
+      const subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: base64UrlToBytes(publicKey)
+      });
+      await firstValueFrom(this.notificationsService.savePushSubscription(subscription.toJSON()));
+      this.pushEnabled.set(true);
+    } catch (error: any) {
+      this.pushError.set(error.error?.error || 'Failed to enable push notifications');
+      console.error('Error enabling push notifications:', error);
+    } finally {
+      this.isSaving.set(false);
+    }
+  }
+
+  async disablePush(): Promise<void> {
+    this.isSaving.set(true);
+    this.pushError.set(null);
+    try {
+      const subscription = await this.getPushSubscription();
+      if (subscription) {
+        await firstValueFrom(this.notificationsService.removePushSubscription(subscription.endpoint));
+        await subscription.unsubscribe();
+      }
+      this.pushEnabled.set(false);
+    } catch (error: any) {
+      this.pushError.set(error.error?.error || 'Failed to disable push notifications');
+      console.error('Error disabling push notifications:', error);
+    } finally {
+      this.isSaving.set(false);
+    }
+  }
+
+  private async getPushSubscription(): Promise<PushSubscription | null> {
+    const registration = await navigator.serviceWorker.getRegistration(PUSH_WORKER_URL);
+    return registration ? registration.pushManager.getSubscription() : null;
+  }
+}
@@ -1,9 +1,26 @@
-import { Component, inject, signal, OnInit } from '@angular/core';
+import { Component, DestroyRef, inject, signal, OnInit } from '@angular/core';
+import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
 import { CommonModule, DatePipe } from '@angular/common';
-import { NotificationsService, Notification } from '../../services/notifications.service';
+import {
+  NotificationsService,
+  Notification,
+  NotificationFilters,
+  NotificationStateChange
+} from '../../services/notifications.service';
 import { FamiliesService } from '../../services/families.service';
 import { HomesService } from '../../services/homes.service';
 
+// Type filters offered above the list
+const TYPE_FILTERS: Record<string, string[]> = {
+  family: ['family_request', 'family_accepted'],
+  homes: [
+    'home_member_request', 'home_member_accepted', 'home_role_changed',
+    'home_member_removed', 'home_member_left', 'home_ownership_transferred'
+  ],
+  inventory: ['items_expiring'],
+  finances: ['budget_alert']
+};
+
 @Component({
   selector: 'app-notifications',
   standalone: true,
@@ -15,20 +32,74 @@ export class NotificationsComponent implements OnInit {
   private notificationsService = inject(NotificationsService);
   private familiesService = inject(FamiliesService);
   private homesService = inject(HomesService);
+  private destroyRef = inject(DestroyRef);
 
   notifications = signal<Notification[]>([]);
+  nextCursor = signal<string | null>(null);
+  typeFilter = signal<string>('all');
+  unreadOnly = signal(false);
   isLoading = signal(false);
   errorMessage = signal<string | null>(null);
 
   ngOnInit(): void {
     this.loadNotifications();
+
+    this.notificationsService.watchNotifications()
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe(notification => {
+        if (!notification) {
+          this.loadNotifications();
+        } else if (this.matchesFilters(notification) && !this.notifications().some(n => n.id === notification.id)) {
+          this.notifications.set([notification, ...this.notifications()]);
+        }
+      });
+
+    this.notificationsService.watchNotificationStateChanges()
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe(change => this.applyStateChange(change));
+  }
+
+  private get filters(): NotificationFilters {
+    return {
+      types: TYPE_FILTERS[this.typeFilter()],
+      read: this.unreadOnly() ? false : undefined
+    };
   }
 
+  private matchesFilters(notification: Notification): boolean {
+    const types = TYPE_FILTERS[this.typeFilter()];
+    return (!types || types.includes(notification.type)) && (!this.unreadOnly() || !notification.is_read);
+  }
+
+  // Loads the first page; loadMore() appends the following ones
   loadNotifications(): void {
     this.isLoading.set(true);
-    this.notificationsService.getNotifications().subscribe({
-      next: (notifications) => {
-        this.notifications.set(notifications);
+    this.notificationsService.getNotifications(this.filters).subscribe({
+      next: (page) => {
+        this.notifications.set(page.notifications);
+        this.nextCursor.set(page.next_cursor);
+        this.isLoading.set(false);
+      },
+      error: (error) => {
+        this.errorMessage.set('Failed to load notifications');
+        this.isLoading.set(false);
+        console.error('Error loading notifications:', error);
+      }
+    });
+  }
+
+  loadMore(): void {
+    const cursor = this.nextCursor();
+    if (!cursor || this.isLoading()) {
+      return;
+    }
+
+    this.isLoading.set(true);
+    this.notificationsService.getNotifications(this.filters, cursor).subscribe({
+      next: (page) => {
+        const known = new Set(this.notifications().map(n => n.id));
+        this.notifications.set([...this.notifications(), ...page.notifications.filter(n => !known.has(n.id))]);
+        this.nextCursor.set(page.next_cursor);
         this.isLoading.set(false);
       },
       error: (error) => {
@@ -39,15 +110,84 @@ export class NotificationsComponent implements OnInit {
     });
   }
 
+  setTypeFilter(event: Event): void {
+    this.typeFilter.set((event.target as HTMLSelectElement).value);
+    this.loadNotifications();
+  }
+
+  toggleUnreadOnly(): void {
+    this.unreadOnly.set(!this.unreadOnly());
+    this.loadNotifications();
+  }
+
+  hasUnread(): boolean {
+    return this.notifications().some(n => !n.is_read);
+  }
+
+  hasRead(): boolean {
+    return this.notifications().some(n => n.is_read);
+  }
+
+  markAllAsRead(): void {
+    this.notificationsService.markAllAsRead().subscribe({
+      next: () => this.applyStateChange({ action: 'read_all' }),
+      error: (error) => {
+        this.errorMessage.set('Failed to mark notifications as read');
+        console.error('Error marking all notifications as read:', error);
+      }
+    });
+  }
+
+  deleteNotification(notification: Notification): void {
+    this.notificationsService.deleteNotification(notification.id).subscribe({
+      next: () => this.applyStateChange({ action: 'deleted', ids: [notification.id] }),
+      error: (error) => {
+        this.errorMessage.set('Failed to delete notification');
+        console.error('Error deleting notification:', error);
+      }
+    });
+  }
+
+  deleteReadNotifications(): void {
+    if (confirm('Delete all read notifications?')) {
+      this.notificationsService.deleteReadNotifications().subscribe({
+        next: () => this.applyStateChange({ action: 'deleted_read' }),
+        error: (error) => {
+          this.errorMessage.set('Failed to delete notifications');
+          console.error('Error deleting read notifications:', error);
+        }
+      });
+    }
+  }
+
+  // Local changes and the same changes made in another tab end up here
+  private applyStateChange(change: NotificationStateChange): void {
+    let notifications = this.notifications();
+    switch (change.action) {
+      case 'read':
+        notifications = notifications.map(n => change.ids.includes(n.id) ? { ...n, is_read: true } : n);
+        break;
+      case 'read_all':
+        notifications = notifications.map(n => ({ ...n, is_read: true }));
+        break;
+      case 'deleted':
+        notifications = notifications.filter(n => !change.ids.includes(n.id));
+        break;
+      case 'deleted_read':
+        notifications = notifications.filter(n => !n.is_read);
+        break;
+    }
+    if (this.unreadOnly()) {
+      notifications = notifications.filter(n => !n.is_read);
+    }
+    this.notifications.set(notifications);
+  }
+
   markAsRead(notification: Notification): void {
     if (!notification.is_read) {
       this.notificationsService.markAsRead(notification.id).subscribe({
         next: () => {
-          // Update local state
-          const updated = this.notifications().map(n =>
-            n.id === notification.id ? { ...n, is_read: true } : n
-          );
-          this.notifications.set(updated);
+          this.applyStateChange({ action: 'read', ids: [notification.id] });
         },
         error: (error) => {
           console.error('Error marking notification as read:', error);
@@ -62,7 +202,6 @@ export class NotificationsComponent implements OnInit {
         this.familiesService.acceptFamilyRequest(notification.related_id).subscribe({
           next: () => {
             this.markAsRead(notification);
-            this.loadNotifications();
           },
           error: (error) => {
             this.errorMessage.set('Failed to accept family request');
@@ -73,7 +212,6 @@ export class NotificationsComponent implements OnInit {
         this.familiesService.rejectFamilyRequest(notification.related_id).subscribe({
           next: () => {
             this.markAsRead(notification);
-            this.loadNotifications();
           },
           error: (error) => {
             this.errorMessage.set('Failed to reject family request');
@@ -93,7 +231,6 @@ export class NotificationsComponent implements OnInit {
         this.homesService.acceptHomeMemberRequest(homeId, memberId).subscribe({
           next: () => {
             this.markAsRead(notification);
-            this.loadNotifications();
           },
           error: (error) => {
             this.errorMessage.set('Failed to accept home member request');
@@ -104,7 +241,6 @@ export class NotificationsComponent implements OnInit {
         this.homesService.rejectHomeMemberRequest(homeId, memberId).subscribe({
           next: () => {
             this.markAsRead(notification);
-            this.loadNotifications();
           },
           error: (error) => {
             this.errorMessage.set('Failed to reject home member request');
@@ -125,6 +261,15 @@ export class NotificationsComponent implements OnInit {
         return '🏠';
       case 'home_member_accepted':
         return '✅';
+      case 'home_member_removed':
+      case 'home_member_left':
+        return '🚪';
+      case 'home_ownership_transferred':
+        return '🔑';
+      case 'items_expiring':
+        return '⏰';
+      case 'budget_alert':
+        return '📊';
       default:
         return '🔔';
     }
@@ -1,23 +1,215 @@
-import { Component, inject } from '@angular/core';
+import { Component, inject, signal, OnInit } from '@angular/core';
 import { CommonModule, DatePipe } from '@angular/common';
-import { AuthService } from '../../services/auth.service';
+import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angular/forms';
+import { AuthService, Session, TwoFactorStatus, TwoFactorSetup } from '../../services/auth.service';
+import { AccountSettingsComponent } from '../account-settings/account-settings.component';
+import { NotificationSettingsComponent } from '../notification-settings/notification-settings.component';
 import { Router } from '@angular/router';
 
 @Component({
   selector: 'app-profile',
   standalone: true,
-  imports: [CommonModule, DatePipe],
+  imports: [CommonModule, DatePipe, ReactiveFormsModule, AccountSettingsComponent, NotificationSettingsComponent],
   templateUrl: './profile.component.html',
   styleUrl: './profile.component.css'
 })
-export class ProfileComponent {
+export class ProfileComponent implements OnInit {
   private authService = inject(AuthService);
   private router = inject(Router);
+  private fb = inject(FormBuilder);
 
   user = this.authService.user;
+  sessions = signal<Session[]>([]);
+  sessionsError = signal<string | null>(null);
+  verificationMessage = signal<string | null>(null);
+
+  twoFactorStatus = signal<TwoFactorStatus | null>(null);
+  twoFactorSetup = signal<TwoFactorSetup | null>(null);
+  // Recovery codes are only shown right after they were generated
+  recoveryCodes = signal<string[] | null>(null);
+  twoFactorError = signal<string | null>(null);
+  showDisableForm = signal(false);
+  isTwoFactorLoading = signal(false);
+
+  enableForm: FormGroup = this.fb.group({
+    code: ['', Validators.required]
+  });
+  disableForm: FormGroup = this.fb.group({
+    password: ['', Validators.required],
+    code: ['', Validators.required]
+  });
+  recoveryForm: FormGroup = this.fb.group({
+    code: ['', Validators.required]
+  });
+
+  ngOnInit(): void {
+    this.loadSessions();
+    this.loadTwoFactorStatus();
+    // The stored user may predate a verification done from another device
+    this.authService.refreshUser().subscribe({
+      error: (error) => console.error('Error refreshing user:', error)
+    });
+  }
+
+  resendVerification(): void {
+    this.authService.requestVerificationEmail().subscribe({
+      next: () => {
+        this.verificationMessage.set('Verification email sent. Please check your inbox.');
+      },
+      error: (error) => {
+        this.verificationMessage.set(error.error?.error || 'Failed to send verification email');
+        console.error('Error sending verification email:', error);
+      }
+    });
+  }
+
+  loadTwoFactorStatus(): void {
+    this.authService.getTwoFactorStatus().subscribe({
+      next: (status) => {
+        this.twoFactorStatus.set(status);
+      },
+      error: (error) => {
+        this.twoFactorError.set('Failed to load two-factor authentication status');
+        console.error('Error loading two-factor status:', error);
+      }
+    });
+  }
+
+  startTwoFactorSetup(): void {
+    this.twoFactorError.set(null);
+    this.recoveryCodes.set(null);
+    this.authService.startTwoFactorSetup().subscribe({
+      next: (setup) => {
+        this.twoFactorSetup.set(setup);
+        this.enableForm.reset();
+      },
+      error: (error) => {
+        this.twoFactorError.set(error.error?.error || 'Failed to start two-factor setup');
+        console.error('Error starting two-factor setup:', error);
+      }
+    });
+  }
+
+  cancelTwoFactorSetup(): void {
+    this.twoFactorSetup.set(null);
+    this.twoFactorError.set(null);
+  }
+
+  enableTwoFactor(): void {
+    if (this.enableForm.invalid) {
+      return;
+    }
+
+    this.isTwoFactorLoading.set(true);
+    this.twoFactorError.set(null);
+    this.authService.enableTwoFactor(this.enableForm.value.code.trim()).subscribe({
+      next: (response) => {
+        this.twoFactorSetup.set(null);
+        this.recoveryCodes.set(response.recoveryCodes);
+        this.isTwoFactorLoading.set(false);
+        this.loadTwoFactorStatus();
+        this.authService.refreshUser().subscribe();
+      },
+      error: (error) => {
+        this.twoFactorError.set(error.error?.error || 'Failed to enable two-factor authentication');
+        this.isTwoFactorLoading.set(false);
+      }
+    });
+  }
+
+  toggleDisableForm(): void {
+    this.showDisableForm.set(!this.showDisableForm());
+    this.disableForm.reset();
+    this.twoFactorError.set(null);
+  }
+
+  disableTwoFactor(): void {
+    if (this.disableForm.invalid) {
+      return;
+    }
+
+    const { password, code } = this.disableForm.value;
+    this.isTwoFactorLoading.set(true);
+    this.twoFactorError.set(null);
+    this.authService.disableTwoFactor(password, code.trim()).subscribe({
+      next: () => {
+        this.showDisableForm.set(false);
+        this.recoveryCodes.set(null);
+        this.isTwoFactorLoading.set(false);
+        this.loadTwoFactorStatus();
+        this.authService.refreshUser().subscribe();
+      },
+      error: (error) => {
+        this.twoFactorError.set(error.error?.error || 'Failed to disable two-factor authentication');
+        this.isTwoFactorLoading.set(false);
+      }
+    });
+  }
+
+  regenerateRecoveryCodes(): void {
+    if (this.recoveryForm.invalid) {
+      return;
+    }
+
+    this.isTwoFactorLoading.set(true);
+    this.twoFactorError.set(null);
+    this.authService.regenerateRecoveryCodes(this.recoveryForm.value.code.trim()).subscribe({
+      next: (response) => {
+        this.recoveryCodes.set(response.recoveryCodes);
+        this.recoveryForm.reset();
+        this.isTwoFactorLoading.set(false);
+        this.loadTwoFactorStatus();
+      },
+      error: (error) => {
+        this.twoFactorError.set(error.error?.error || 'Failed to regenerate recovery codes');
+        this.isTwoFactorLoading.set(false);
+      }
+    });
+  }
+
+  loadSessions(): void {
+    this.authService.getSessions().subscribe({
+      next: (sessions) => {
+        this.sessions.set(sessions);
+      },
+      error: (error) => {
+        this.sessionsError.set('Failed to load sessions');
+        console.error('Error loading sessions:', error);
+      }
+    });
+  }
+
+  revokeSession(session: Session): void {
+    if (session.current) {
+      this.logout();
+      return;
+    }
+
+    this.authService.revokeSession(session.id).subscribe({
+      next: () => {
+        this.sessions.set(this.sessions().filter(s => s.id !== session.id));
+      },
+      error: (error) => {
+        this.sessionsError.set('Failed to revoke session');
+        console.error('Error revoking session:', error);
+      }
+    });
+  }
+
+  signOutEverywhere(): void {
+    if (!confirm('Sign out on all devices, including this one?')) {
+      return;
+    }
+
+    this.authService.signOutEverywhere().subscribe({
+      error: (error) => {
+        this.sessionsError.set('Failed to sign out everywhere');
+        console.error('Error revoking sessions:', error);
+      }
+    });
+  }
 
   logout(): void {
     this.authService.logout();
   }
 }
-
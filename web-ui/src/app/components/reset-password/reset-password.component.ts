@@ -0,0 +1,56 @@
+import { Component, signal, inject } from '@angular/core';
+import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angular/forms';
+import { ActivatedRoute, RouterLink } from '@angular/router';
+import { CommonModule } from '@angular/common';
+import { AuthService } from '../../services/auth.service';
+
+@Component({
+  selector: 'app-reset-password',
+  standalone: true,
+  imports: [CommonModule, ReactiveFormsModule, RouterLink],
+  templateUrl: './reset-password.component.html',
+  styleUrl: './reset-password.component.css'
+})
+export class ResetPasswordComponent {
+  private fb = inject(FormBuilder);
+  private authService = inject(AuthService);
+  private route = inject(ActivatedRoute);
+
+  token = this.route.snapshot.queryParamMap.get('token');
+  resetForm: FormGroup;
+  errorMessage = signal<string | null>(null);
+  successMessage = signal<string | null>(null);
+  isLoading = signal(false);
+
+  constructor() {
+    this.resetForm = this.fb.group({
+      password: ['', [Validators.required, Validators.minLength(6)]],
+      confirmPassword: ['', [Validators.required]]
+    });
+  }
+
+  get passwordsMismatch(): boolean {
+    const { password, confirmPassword } = this.resetForm.value;
+    return !!confirmPassword && password !== confirmPassword;
+  }
+
+  onSubmit(): void {
+    if (this.resetForm.valid && !this.passwordsMismatch && this.token) {
+      this.isLoading.set(true);
+      this.errorMessage.set(null);
+
+      this.authService.resetPassword(this.token, this.resetForm.value.password).subscribe({
+        next: (response) => {
+          this.isLoading.set(false);
+          this.successMessage.set(response.message);
+        },
+        error: (error) => {
+          this.isLoading.set(false);
+          this.errorMessage.set(
+            error.error?.error || 'Failed to reset password. Please try again.'
+          );
+        }
+      });
+    }
+  }
+}
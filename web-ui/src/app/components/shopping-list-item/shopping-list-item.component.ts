@@ -0,0 +1,46 @@
+import { Component, EventEmitter, Input, Output, signal } from '@angular/core';
+import { DatePipe } from '@angular/common';
+import {
+  ShoppingListItem,
+  ShoppingListItemChanges,
+  ShoppingAisle,
+  ListMember
+} from '../../services/shopping-lists.service';
+import { FormatCurrencyPipe } from '../finances/format-currency.pipe';
+
+// One item of a shopping list, with its aisle, assignee, prices and buyer
+@Component({
+  selector: 'app-shopping-list-item',
+  standalone: true,
+  imports: [DatePipe, FormatCurrencyPipe],
+  templateUrl: './shopping-list-item.component.html',
+  styleUrl: './shopping-list-item.component.css'
+})
+export class ShoppingListItemComponent {
+  @Input({ required: true }) item!: ShoppingListItem;
+  @Input() canEdit: boolean = true;
+  @Input() aisles: ShoppingAisle[] = [];
+  @Input() members: ListMember[] = [];
+  @Output() toggle = new EventEmitter<void>();
+  @Output() remove = new EventEmitter<void>();
+  @Output() changed = new EventEmitter<ShoppingListItemChanges>();
+
+  showDetails = signal(false);
+
+  // '' from a select or number input clears the field
+  private toNumber(value: string): number | null {
+    return value === '' ? null : Number(value);
+  }
+
+  setAisle(value: string): void {
+    this.changed.emit({ aisle_id: this.toNumber(value) });
+  }
+
+  setAssignee(value: string): void {
+    this.changed.emit({ assigned_to: this.toNumber(value) });
+  }
+
+  setPrice(field: 'estimated_price' | 'actual_price', value: string): void {
+    this.changed.emit({ [field]: this.toNumber(value) });
+  }
+}
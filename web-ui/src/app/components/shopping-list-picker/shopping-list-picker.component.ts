@@ -0,0 +1,72 @@
+import { Component, EventEmitter, Input, Output, inject, signal } from '@angular/core';
+import { DatePipe } from '@angular/common';
+import { ShoppingListsService, ShoppingList } from '../../services/shopping-lists.service';
+import { ListTemplatesComponent } from '../list-templates/list-templates.component';
+
+// Tabs for a home's active lists, its completed and archived lists to reopen or copy, and its templates
+@Component({
+  selector: 'app-shopping-list-picker',
+  standalone: true,
+  imports: [DatePipe, ListTemplatesComponent],
+  templateUrl: './shopping-list-picker.component.html',
+  styleUrl: './shopping-list-picker.component.css'
+})
+export class ShoppingListPickerComponent {
+  @Input() homeId!: number;
+  @Input() lists: ShoppingList[] = [];
+  @Input() selectedId: number | null = null;
+  @Input() canEdit: boolean = true;
+  @Output() selectList = new EventEmitter<number>();
+  @Output() newList = new EventEmitter<void>();
+  // A list that is active again or was just created from a past list or template, with its items
+  @Output() opened = new EventEmitter<ShoppingList>();
+
+  private shoppingListsService = inject(ShoppingListsService);
+
+  showPast = signal(false);
+  showTemplates = signal(false);
+  pastLists = signal<ShoppingList[]>([]);
+  errorMessage = signal<string | null>(null);
+
+  toggleTemplates(): void {
+    this.showTemplates.set(!this.showTemplates());
+  }
+
+  togglePast(): void {
+    this.showPast.set(!this.showPast());
+    if (!this.showPast()) {
+      return;
+    }
+    this.errorMessage.set(null);
+    this.shoppingListsService.getShoppingLists(this.homeId).subscribe({
+      next: (lists) => this.pastLists.set(lists.filter(list => list.status !== 'active')),
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to load past lists')
+    });
+  }
+
+  reopen(list: ShoppingList): void {
+    this.shoppingListsService.reopenShoppingList(this.homeId, list.id).subscribe({
+      next: (reopened) => {
+        this.pastLists.set(this.pastLists().filter(l => l.id !== list.id));
+        this.opened.emit(reopened);
+      },
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to reopen list')
+    });
+  }
+
+  duplicate(list: ShoppingList): void {
+    this.shoppingListsService.duplicateShoppingList(this.homeId, list.id).subscribe({
+      next: (copy) => this.opened.emit(copy),
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to copy list')
+    });
+  }
+
+  archive(list: ShoppingList): void {
+    this.shoppingListsService.archiveShoppingList(this.homeId, list.id).subscribe({
+      next: (archived) => {
+        this.pastLists.set(this.pastLists().map(l => l.id === list.id ? { ...l, ...archived } : l));
+      },
+      error: (error) => this.errorMessage.set(error.error?.error || 'Failed to archive list')
+    });
+  }
+}
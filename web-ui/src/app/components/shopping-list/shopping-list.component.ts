@@ -1,25 +1,86 @@
-import { Component, Input, inject, signal, OnInit, effect } from '@angular/core';
+import { Component, DestroyRef, Input, inject, signal, computed, OnInit, effect } from '@angular/core';
+import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
 import { CommonModule, DatePipe } from '@angular/common';
 import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angular/forms';
-import { ShoppingListsService, ShoppingList, ShoppingListItem } from '../../services/shopping-lists.service';
+import {
+  ShoppingListsService,
+  ShoppingList,
+  ShoppingListItem,
+  ShoppingListItemChanges,
+  ShoppingListChange,
+  ShoppingAisle,
+  ListMember,
+  CompleteListResult,
+  ListExpenseRequest,
+  applyShoppingListChange,
+  applyActiveListsChange,
+  sortByAisle
+} from '../../services/shopping-lists.service';
+import { ListRestockComponent } from '../list-restock/list-restock.component';
+import { ShoppingListPickerComponent } from '../shopping-list-picker/shopping-list-picker.component';
+import { ShoppingListItemComponent } from '../shopping-list-item/shopping-list-item.component';
+import { AisleManagerComponent } from '../aisle-manager/aisle-manager.component';
+import { ListExpenseComponent } from '../list-expense/list-expense.component';
+import { FormatCurrencyPipe } from '../finances/format-currency.pipe';
 
 @Component({
   selector: 'app-shopping-list',
   standalone: true,
-  imports: [CommonModule, ReactiveFormsModule, DatePipe],
+  imports: [
+    CommonModule,
+    ReactiveFormsModule,
+    DatePipe,
+    FormatCurrencyPipe,
+    ListRestockComponent,
+    ListExpenseComponent,
+    ShoppingListPickerComponent,
+    ShoppingListItemComponent,
+    AisleManagerComponent
+  ],
   templateUrl: './shopping-list.component.html',
   styleUrl: './shopping-list.component.css'
 })
 export class ShoppingListComponent implements OnInit {
   @Input() homeId!: number;
+  // Viewers can only read the list
+  @Input() canEdit: boolean = true;
+  // Members who may change the inventory can restock it from the checked items
+  @Input() canRestock: boolean = false;
+  // Members who may write finances can record what was paid as an expense
+  @Input() canRecordExpense: boolean = false;
+  // The home's owner and members, who items can be assigned to
+  @Input() members: ListMember[] = [];
 
   private shoppingListsService = inject(ShoppingListsService);
   private fb = inject(FormBuilder);
+  private destroyRef = inject(DestroyRef);
 
-  activeList = signal<ShoppingList | null>(null);
+  // The home's active lists (without items), and the one that is open with its items
+  lists = signal<ShoppingList[]>([]);
+  selectedList = signal<ShoppingList | null>(null);
   isLoading = signal(false);
   showCreateForm = signal(false);
   showAddItemForm = signal(false);
+  showRestock = signal(false);
+  showExpense = signal(false);
+  // Expense chosen before the restock step, completed together with it
+  pendingExpense = signal<ListExpenseRequest | null>(null);
+  showAisles = signal(false);
+  aisles = signal<ShoppingAisle[]>([]);
+  // Show items in store-walk order instead of the order they were added
+  storeOrder = signal(false);
+  items = computed(() => {
+    const items = this.selectedList()?.items ?? [];
+    return this.storeOrder() ? sortByAisle(items) : items;
+  });
+  // Estimated price of all items, and what was paid for the checked ones
+  totals = computed(() => {
+    const items = this.selectedList()?.items ?? [];
+    return {
+      estimated: items.reduce((sum, item) => sum + (item.estimated_price ?? 0), 0),
+      spent: items.reduce((sum, item) => sum + (item.completed ? item.actual_price ?? 0 : 0), 0)
+    };
+  });
   errorMessage = signal<string | null>(null);
   successMessage = signal<string | null>(null);
   listForm: FormGroup;
@@ -27,35 +88,86 @@ export class ShoppingListComponent implements OnInit {
 
   constructor() {
     this.listForm = this.fb.group({
-      name: ['', [Validators.required]]
+      name: ['', [Validators.required]],
+      store: ['']
     });
 
     this.itemForm = this.fb.group({
       name: ['', [Validators.required]],
-      quantity: ['']
+      quantity: [''],
+      aisle_id: [null],
+      assigned_to: [null],
+      estimated_price: [null]
     });
 
     // Reload when homeId changes
     effect(() => {
       if (this.homeId) {
-        this.loadActiveList();
+        this.loadLists();
       }
     });
   }
 
   ngOnInit(): void {
     if (this.homeId) {
-      this.loadActiveList();
+      this.loadLists();
+      this.shoppingListsService.getAisles(this.homeId).subscribe({
+        next: (aisles) => this.aisles.set(aisles),
+        error: (error) => console.error('Error loading aisles:', error)
+      });
+
+      // Changes by other members show up without reloading
+      this.shoppingListsService.watchShoppingLists(this.homeId)
+        .pipe(takeUntilDestroyed(this.destroyRef))
+        .subscribe(change => change ? this.applyChange(change) : this.loadLists());
+    }
+  }
+
+  private applyChange(change: ShoppingListChange): void {
+    this.lists.set(applyActiveListsChange(this.lists(), change));
+    this.selectedList.set(applyShoppingListChange(this.selectedList(), change));
+    // The open list was completed or archived, maybe by someone else while the restock panel was open
+    if (!this.selectedList()) {
+      this.showRestock.set(false);
+      this.showExpense.set(false);
+      const next = this.lists()[0];
+      if (next) {
+        this.openList(next.id);
+      }
     }
   }
 
-  loadActiveList(): void {
+  loadLists(): void {
     this.isLoading.set(true);
     this.errorMessage.set(null);
 
-    this.shoppingListsService.getActiveShoppingList(this.homeId).subscribe({
+    this.shoppingListsService.getShoppingLists(this.homeId, 'active').subscribe({
+      next: (lists) => {
+        this.lists.set(lists);
+        // Stay on the open list if it is still active
+        const current = lists.find(list => list.id === this.selectedList()?.id) ?? lists[0];
+        if (current) {
+          this.openList(current.id);
+        } else {
+          this.selectedList.set(null);
+          this.isLoading.set(false);
+        }
+      },
+      error: (error) => {
+        this.errorMessage.set('Failed to load shopping lists');
+        this.isLoading.set(false);
+        console.error('Error loading shopping lists:', error);
+      }
+    });
+  }
+
+  openList(listId: number): void {
+    this.isLoading.set(true);
+    this.showRestock.set(false);
+    this.showExpense.set(false);
+    this.shoppingListsService.getShoppingList(this.homeId, listId).subscribe({
       next: (list) => {
-        this.activeList.set(list);
+        this.selectedList.set(list);
         this.isLoading.set(false);
       },
       error: (error) => {
@@ -66,6 +178,12 @@ export class ShoppingListComponent implements OnInit {
     });
   }
 
+  // A list reopened, copied or created from a template: show it right away
+  onOpened(list: ShoppingList): void {
+    this.applyChange({ action: 'created', list });
+    this.selectedList.set(list);
+  }
+
   toggleCreateForm(): void {
     this.showCreateForm.set(!this.showCreateForm());
     if (!this.showCreateForm()) {
@@ -79,10 +197,12 @@ export class ShoppingListComponent implements OnInit {
       this.isLoading.set(true);
       this.errorMessage.set(null);
 
-      const name = this.listForm.value.name;
-      this.shoppingListsService.createShoppingList(this.homeId, name).subscribe({
-        next: () => {
-          this.loadActiveList();
+      const { name, store } = this.listForm.value;
+      this.shoppingListsService.createShoppingList(this.homeId, name, store || null).subscribe({
+        next: (list) => {
+          this.applyChange({ action: 'created', list: { ...list, items: [] } });
+          this.selectedList.set({ ...list, items: [] });
+          this.isLoading.set(false);
           this.toggleCreateForm();
           this.successMessage.set('Shopping list created successfully!');
           setTimeout(() => this.successMessage.set(null), 3000);
@@ -104,14 +224,19 @@ export class ShoppingListComponent implements OnInit {
   }
 
   onAddItem(): void {
-    if (this.itemForm.valid && this.activeList()) {
+    if (this.itemForm.valid && this.selectedList()) {
       this.isLoading.set(true);
       this.errorMessage.set(null);
 
-      const { name, quantity } = this.itemForm.value;
-      this.shoppingListsService.addItemToList(this.activeList()!.id, name, quantity).subscribe({
-        next: () => {
-          this.loadActiveList();
+      const { name, quantity, aisle_id, assigned_to, estimated_price } = this.itemForm.value;
+      this.shoppingListsService.addItemToList(this.selectedList()!.id, name, quantity, {
+        aisle_id,
+        assigned_to,
+        estimated_price: estimated_price === '' ? null : estimated_price
+      }).subscribe({
+        next: (item) => {
+          this.applyChange({ action: 'item-created', item });
+          this.isLoading.set(false);
           this.toggleAddItemForm();
         },
         error: (error) => {
@@ -123,28 +248,35 @@ export class ShoppingListComponent implements OnInit {
   }
 
   toggleItemCompleted(item: ShoppingListItem): void {
-    this.shoppingListsService.updateItem(
-      this.activeList()!.id,
-      item.id,
-      undefined,
-      undefined,
-      !item.completed
-    ).subscribe({
-      next: () => {
-        this.loadActiveList();
+    this.updateItem(item, { completed: !item.completed });
+  }
+
+  updateItem(item: ShoppingListItem, changes: ShoppingListItemChanges): void {
+    this.shoppingListsService.updateItem(this.selectedList()!.id, item.id, changes).subscribe({
+      next: (updated) => {
+        this.applyChange({ action: 'item-updated', item: updated });
       },
       error: (error) => {
-        this.errorMessage.set('Failed to update item');
+        this.errorMessage.set(error.error?.error || 'Failed to update item');
         console.error('Error updating item:', error);
       }
     });
   }
 
+  // Renamed, reordered or deleted aisles change how the open list's items show
+  onAislesChanged(aisles: ShoppingAisle[]): void {
+    this.aisles.set(aisles);
+    const list = this.selectedList();
+    if (list) {
+      this.openList(list.id);
+    }
+  }
+
   deleteItem(item: ShoppingListItem): void {
     if (confirm('Are you sure you want to delete this item?')) {
-      this.shoppingListsService.deleteItem(this.activeList()!.id, item.id).subscribe({
+      this.shoppingListsService.deleteItem(this.selectedList()!.id, item.id).subscribe({
         next: () => {
-          this.loadActiveList();
+          this.applyChange({ action: 'item-deleted', listId: item.list_id, itemId: item.id });
         },
         error: (error) => {
           this.errorMessage.set('Failed to delete item');
@@ -155,13 +287,33 @@ export class ShoppingListComponent implements OnInit {
   }
 
   completeList(): void {
-    if (confirm('Are you sure you want to complete this shopping list? You can create a new one after.')) {
+    if (this.canRecordExpense && this.totals().spent > 0) {
+      this.showExpense.set(true);
+      return;
+    }
+    this.completeWith(null, true);
+  }
+
+  onExpenseChosen(expense: ListExpenseRequest | null): void {
+    this.showExpense.set(false);
+    this.completeWith(expense, false);
+  }
+
+  // Goes on to the restock step when there is one, else completes the list right away
+  private completeWith(expense: ListExpenseRequest | null, askFirst: boolean): void {
+    const list = this.selectedList()!;
+    if (this.canRestock && list.items?.some(item => item.completed)) {
+      this.pendingExpense.set(expense);
+      this.showRestock.set(true);
+      return;
+    }
+
+    if (!askFirst || confirm('Are you sure you want to complete this shopping list?')) {
       this.isLoading.set(true);
-      this.shoppingListsService.completeShoppingList(this.homeId, this.activeList()!.id).subscribe({
-        next: () => {
-          this.loadActiveList();
-          this.successMessage.set('Shopping list completed! You can now create a new one.');
-          setTimeout(() => this.successMessage.set(null), 3000);
+      this.shoppingListsService.completeShoppingList(this.homeId, list.id, undefined, expense).subscribe({
+        next: (result) => {
+          this.isLoading.set(false);
+          this.onCompleted(list.id, result);
         },
         error: (error) => {
           this.errorMessage.set(error.error?.error || 'Failed to complete shopping list');
@@ -170,5 +322,33 @@ export class ShoppingListComponent implements OnInit {
       });
     }
   }
-}
 
+  archiveList(): void {
+    const list = this.selectedList()!;
+    if (!confirm(`Archive "${list.name}"? You can reopen it from the past lists.`)) {
+      return;
+    }
+    this.shoppingListsService.archiveShoppingList(this.homeId, list.id).subscribe({
+      next: (archived) => this.applyChange({ action: 'updated', list: archived }),
+      error: (error) => {
+        this.errorMessage.set(error.error?.error || 'Failed to archive shopping list');
+      }
+    });
+  }
+
+  onCompleted(listId: number, result: CompleteListResult): void {
+    this.showRestock.set(false);
+    this.applyChange({ action: 'completed', listId });
+    const { created, updated } = result.restocked;
+    const restocked = created.length + updated.length;
+    const messages = ['Shopping list completed'];
+    if (restocked > 0) {
+      messages.push(`${restocked} item(s) added to the inventory`);
+    }
+    if (result.expense) {
+      messages.push(`an expense of ${new FormatCurrencyPipe().transform(result.expense.amount)} recorded`);
+    }
+    this.successMessage.set(messages.length > 1 ? `${messages.join(', ')}.` : 'Shopping list completed!');
+    setTimeout(() => this.successMessage.set(null), 3000);
+  }
+}
@@ -0,0 +1,47 @@
+import { Component, signal, inject, OnInit } from '@angular/core';
+import { ActivatedRoute, RouterLink } from '@angular/router';
+import { CommonModule } from '@angular/common';
+import { AuthService } from '../../services/auth.service';
+
+@Component({
+  selector: 'app-verify-email',
+  standalone: true,
+  imports: [CommonModule, RouterLink],
+  templateUrl: './verify-email.component.html',
+  styleUrl: './verify-email.component.css'
+})
+export class VerifyEmailComponent implements OnInit {
+  private authService = inject(AuthService);
+  private route = inject(ActivatedRoute);
+
+  isAuthenticated = this.authService.isAuthenticated;
+  errorMessage = signal<string | null>(null);
+  successMessage = signal<string | null>(null);
+  isLoading = signal(true);
+
+  ngOnInit(): void {
+    const token = this.route.snapshot.queryParamMap.get('token');
+    if (!token) {
+      this.isLoading.set(false);
+      this.errorMessage.set('This verification link is invalid.');
+      return;
+    }
+
+    this.authService.verifyEmail(token).subscribe({
+      next: (response) => {
+        this.isLoading.set(false);
+        this.successMessage.set(response.message);
+        // Update the stored user so the profile shows the verified state
+        if (this.authService.isLoggedIn()) {
+          this.authService.refreshUser().subscribe({
+            error: (error) => console.error('Error refreshing user:', error)
+          });
+        }
+      },
+      error: (error) => {
+        this.isLoading.set(false);
+        this.errorMessage.set(error.error?.error || 'Failed to verify email.');
+      }
+    });
+  }
+}
@@ -0,0 +1,25 @@
+import { inject } from '@angular/core';
+import { HttpErrorResponse, HttpInterceptorFn } from '@angular/common/http';
+import { catchError, switchMap, throwError } from 'rxjs';
+import { AuthService } from '../services/auth.service';
+
+/**
+ * Refreshes an expired access token and retries the request once.
+ * Only requests that carried an access token are retried, so failed logins pass through.
+ */
+export const authInterceptor: HttpInterceptorFn = (req, next) => {
+  const authService = inject(AuthService);
+
+  return next(req).pipe(
+    catchError((error: HttpErrorResponse) => {
+      if (error.status !== 401 || !req.headers.has('Authorization') || req.url.endsWith('/auth/refresh')) {
+        return throwError(() => error);
+      }
+
+      return authService.refreshAccessToken().pipe(
+        switchMap((token) => next(req.clone({ setHeaders: { Authorization: `Bearer ${token}` } }))),
+        catchError(() => throwError(() => error))
+      );
+    })
+  );
+};
@@ -1,12 +1,14 @@
 import { Injectable, signal, inject } from '@angular/core';
 import { HttpClient } from '@angular/common/http';
 import { Router } from '@angular/router';
-import { Observable, tap, catchError, of } from 'rxjs';
+import { Observable, tap, catchError, map, finalize, shareReplay, throwError } from 'rxjs';
 
 export interface User {
   id: number;
   username: string;
   email: string;
+  email_verified_at?: string | null;
+  two_factor_enabled_at?: string | null;
   first_name: string;
   last_name: string;
   phone_number?: string;
@@ -29,11 +31,67 @@ export interface SignupRequest {
 export interface AuthResponse {
   message: string;
   token: string;
+  refreshToken: string;
   user: User;
 }
 
+// Returned by login instead of tokens when the account has 2FA enabled
+export interface TwoFactorChallenge {
+  message: string;
+  twoFactorRequired: true;
+  challengeToken: string;
+}
+
+export type LoginResponse = AuthResponse | TwoFactorChallenge;
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+}
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUri: string;
+}
+
+export interface ProfileUpdate {
+  firstName?: string;
+  lastName?: string;
+  phoneNumber?: string | null;
+}
+
+export interface OwnedHome {
+  id: number;
+  name: string;
+  members: { user_id: number; username: string; first_name: string; last_name: string }[];
+}
+
+// What happens to an owned home when the account is deleted
+export interface HomeDeletionAction {
+  homeId: number;
+  action: 'transfer' | 'delete';
+  newOwnerId?: number;
+}
+
+export interface TokenResponse {
+  token: string;
+  refreshToken: string;
+}
+
+export interface Session {
+  id: number;
+  user_agent?: string;
+  ip_address?: string;
+  created_at: string;
+  last_used_at: string;
+  expires_at: string;
+  current: boolean;
+}
+
 const API_URL = 'http://localhost:3001/api';
 const TOKEN_KEY = 'homehub_token';
+const REFRESH_TOKEN_KEY = 'homehub_refresh_token';
 const USER_KEY = 'homehub_user';
 
 @Injectable({
@@ -52,6 +110,9 @@ export class AuthService {
   readonly token = this._token.asReadonly();
   readonly isAuthenticated = this._isAuthenticated.asReadonly();
 
+  // Shared so concurrent 401s trigger a single refresh (a rotated refresh token is single-use)
+  private refreshInFlight: Observable<string> | null = null;
+
   constructor() {
     this.loadStoredAuth();
   }
@@ -72,10 +133,13 @@ export class AuthService {
     }
   }
 
-  login(credentials: LoginRequest): Observable<AuthResponse> {
-    return this.http.post<AuthResponse>(`${API_URL}/auth/login`, credentials).pipe(
+  login(credentials: LoginRequest): Observable<LoginResponse> {
+    return this.http.post<LoginResponse>(`${API_URL}/auth/login`, credentials).pipe(
       tap((response) => {
-        this.setAuth(response.token, response.user);
+        // Accounts with 2FA get a challenge; completeTwoFactorLogin signs them in
+        if (!('twoFactorRequired' in response)) {
+          this.setAuth(response.token, response.refreshToken, response.user);
+        }
       }),
       catchError((error) => {
         console.error('Login error:', error);
@@ -84,10 +148,22 @@ export class AuthService {
     );
   }
 
+  /**
+   * Second login step: exchanges the login challenge and an authenticator
+   * (or recovery) code for a session
+   */
+  completeTwoFactorLogin(challengeToken: string, code: string): Observable<AuthResponse> {
+    return this.http.post<AuthResponse>(`${API_URL}/auth/login/2fa`, { challengeToken, code }).pipe(
+      tap((response) => {
+        this.setAuth(response.token, response.refreshToken, response.user);
+      })
+    );
+  }
+
   signup(userData: SignupRequest): Observable<AuthResponse> {
     return this.http.post<AuthResponse>(`${API_URL}/auth/signup`, userData).pipe(
       tap((response) => {
-        this.setAuth(response.token, response.user);
+        this.setAuth(response.token, response.refreshToken, response.user);
       }),
       catchError((error) => {
         console.error('Signup error:', error);
@@ -97,10 +173,173 @@ export class AuthService {
   }
 
   logout(): void {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (refreshToken) {
+      // Revoke the session server-side; the local logout happens regardless
+      this.http.post(`${API_URL}/auth/logout`, { refreshToken }).subscribe({
+        error: (error) => console.error('Logout error:', error)
+      });
+    }
     this.clearAuth();
     this.router.navigate(['/login']);
   }
 
+  /**
+   * Exchanges the stored refresh token for a new access token.
+   * Logs the user out if the session is no longer valid.
+   */
+  refreshAccessToken(): Observable<string> {
+    if (this.refreshInFlight) {
+      return this.refreshInFlight;
+    }
+
+    // Read from storage: another tab may have rotated the token already
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (!refreshToken) {
+      this.expireSession();
+      return throwError(() => new Error('No refresh token available'));
+    }
+
+    this.refreshInFlight = this.http.post<TokenResponse>(`${API_URL}/auth/refresh`, { refreshToken }).pipe(
+      tap((response) => {
+        this.setTokens(response.token, response.refreshToken);
+      }),
+      map((response) => response.token),
+      catchError((error) => {
+        if (error.status === 401) {
+          this.expireSession();
+        }
+        throw error;
+      }),
+      finalize(() => {
+        this.refreshInFlight = null;
+      }),
+      shareReplay(1)
+    );
+
+    return this.refreshInFlight;
+  }
+
+  /**
+   * Reloads the current user from the API (e.g. after verifying the email address)
+   */
+  refreshUser(): Observable<User> {
+    return this.http.get<User>(`${API_URL}/auth/me`, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    }).pipe(
+      tap((user) => {
+        this._user.set(user);
+        localStorage.setItem(USER_KEY, JSON.stringify(user));
+      })
+    );
+  }
+
+  requestVerificationEmail(): Observable<any> {
+    return this.http.post(`${API_URL}/auth/verify-email/request`, {}, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    });
+  }
+
+  verifyEmail(token: string): Observable<any> {
+    return this.http.post(`${API_URL}/auth/verify-email`, { token });
+  }
+
+  requestPasswordReset(email: string): Observable<any> {
+    return this.http.post(`${API_URL}/auth/password-reset/request`, { email });
+  }
+
+  resetPassword(token: string, password: string): Observable<any> {
+    return this.http.post(`${API_URL}/auth/password-reset`, { token, password });
+  }
+
+  updateProfile(changes: ProfileUpdate): Observable<User> {
+    return this.http.patch<User>(`${API_URL}/auth/me`, changes, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    }).pipe(
+      tap((user) => {
+        this._user.set(user);
+        localStorage.setItem(USER_KEY, JSON.stringify(user));
+      })
+    );
+  }
+
+  changePassword(currentPassword: string, newPassword: string): Observable<any> {
+    return this.http.put(`${API_URL}/auth/password`, { currentPassword, newPassword }, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    });
+  }
+
+  getOwnedHomes(): Observable<OwnedHome[]> {
+    return this.http.get<OwnedHome[]>(`${API_URL}/auth/me/owned-homes`, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    });
+  }
+
+  deleteAccount(password: string, homes: HomeDeletionAction[], code?: string): Observable<any> {
+    return this.http.delete(`${API_URL}/auth/me`, {
+      headers: { Authorization: `Bearer ${this.getToken()}` },
+      body: { password, code, homes }
+    }).pipe(
+      tap(() => {
+        this.clearAuth();
+        this.router.navigate(['/login']);
+      })
+    );
+  }
+
+  getTwoFactorStatus(): Observable<TwoFactorStatus> {
+    return this.http.get<TwoFactorStatus>(`${API_URL}/auth/2fa`, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    });
+  }
+
+  startTwoFactorSetup(): Observable<TwoFactorSetup> {
+    return this.http.post<TwoFactorSetup>(`${API_URL}/auth/2fa/setup`, {}, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    });
+  }
+
+  enableTwoFactor(code: string): Observable<{ message: string; recoveryCodes: string[] }> {
+    return this.http.post<{ message: string; recoveryCodes: string[] }>(`${API_URL}/auth/2fa/enable`, { code }, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    });
+  }
+
+  disableTwoFactor(password: string, code: string): Observable<any> {
+    return this.http.post(`${API_URL}/auth/2fa/disable`, { password, code }, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    });
+  }
+
+  regenerateRecoveryCodes(code: string): Observable<{ recoveryCodes: string[] }> {
+    return this.http.post<{ recoveryCodes: string[] }>(`${API_URL}/auth/2fa/recovery-codes`, { code }, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    });
+  }
+
+  getSessions(): Observable<Session[]> {
+    return this.http.get<Session[]>(`${API_URL}/auth/sessions`, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    });
+  }
+
+  revokeSession(sessionId: number): Observable<any> {
+    return this.http.delete(`${API_URL}/auth/sessions/${sessionId}`, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    });
+  }
+
+  signOutEverywhere(): Observable<any> {
+    return this.http.delete(`${API_URL}/auth/sessions`, {
+      headers: { Authorization: `Bearer ${this.getToken()}` }
+    }).pipe(
+      tap(() => {
+        this.clearAuth();
+        this.router.navigate(['/login']);
+      })
+    );
+  }
+
   getToken(): string | null {
     return this._token();
   }
@@ -113,19 +352,30 @@ export class AuthService {
     return this._isAuthenticated();
   }
 
-  private setAuth(token: string, user: User): void {
-    this._token.set(token);
+  private setAuth(token: string, refreshToken: string, user: User): void {
+    this.setTokens(token, refreshToken);
     this._user.set(user);
     this._isAuthenticated.set(true);
-    localStorage.setItem(TOKEN_KEY, token);
     localStorage.setItem(USER_KEY, JSON.stringify(user));
   }
 
+  private setTokens(token: string, refreshToken: string): void {
+    this._token.set(token);
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+
+  private expireSession(): void {
+    this.clearAuth();
+    this.router.navigate(['/login']);
+  }
+
   private clearAuth(): void {
     this._token.set(null);
     this._user.set(null);
     this._isAuthenticated.set(false);
     localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
     localStorage.removeItem(USER_KEY);
   }
 }
@@ -3,6 +3,33 @@ import { HttpClient } from '@angular/common/http';
 import { Observable } from 'rxjs';
 import { AuthService } from './auth.service';
 
+export const INCOME_CATEGORIES = [
+  { value: 'salary', label: 'Salary' },
+  { value: 'investment', label: 'Investment' },
+  { value: 'rental', label: 'Rental Income' },
+  { value: 'other_income', label: 'Other Income' }
+];
+
+export const EXPENSE_CATEGORIES = [
+  { value: 'rent', label: 'Rent' },
+  { value: 'groceries', label: 'Groceries' },
+  { value: 'investment_savings', label: 'Investment/Savings' },
+  { value: 'credit_payment', label: 'Credit Payment' },
+  { value: 'installment', label: 'Installment' },
+  { value: 'utilities', label: 'Utilities' },
+  { value: 'other_expense', label: 'Other Expense' }
+];
+
+// When and with which share an entry counts in the month it was listed for
+export interface FinanceOccurrence {
+  month: string; // YYYY-MM
+  date: string;
+  amount: number;
+  // Month of a payment plan or due date range, e.g. 2 of 6; null while a recurring entry continues
+  index: number | null;
+  count: number | null;
+}
+
 export interface Finance {
   id: number;
   home_id: number;
@@ -19,6 +46,10 @@ export interface Finance {
   created_by: number;
   created_by_username?: string;
   visible_to_user_ids?: number[];
+  // Set for the expense recorded when a shopping list was completed
+  shopping_list_id?: number | null;
+  // Set when the entries of one month were requested
+  occurrence?: FinanceOccurrence | null;
   created_at: string;
   updated_at: string;
 }
@@ -31,6 +62,62 @@ export interface BalanceSummary {
   balance: number;
 }
 
+export type FinanceReportGroup = 'month' | 'category';
+
+export interface FinanceReportMonth {
+  month: string; // YYYY-MM
+  income: number;
+  expenses: number;
+  balance: number;
+}
+
+export interface FinanceReportCategory {
+  type: 'income' | 'expense';
+  category: string;
+  total: number;
+}
+
+export interface FinanceReport<G = FinanceReportMonth | FinanceReportCategory> {
+  from: string;
+  to: string;
+  group_by: FinanceReportGroup;
+  totals: { income: number; expenses: number; balance: number };
+  groups: G[];
+}
+
+export type BudgetPeriod = 'monthly' | 'yearly';
+
+export interface Budget {
+  id: number;
+  home_id: number;
+  category: string;
+  period: BudgetPeriod;
+  amount: number;
+  // The owner is notified once per period when spending reaches this share of the amount
+  alert_percent: number;
+  created_by: number | null;
+  created_by_username?: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// A budget with what was spent in its month or year
+export interface BudgetStatus extends Budget {
+  period_key: string;
+  spent: number;
+  remaining: number;
+  percent_used: number;
+  reached: boolean;
+}
+
+export interface BudgetReport {
+  month: number;
+  year: number;
+  budgets: BudgetStatus[];
+}
+
+export type BudgetInput = Partial<Pick<Budget, 'category' | 'period' | 'amount' | 'alert_percent'>>;
+
 const API_URL = 'http://localhost:3001/api';
 
 @Injectable({
@@ -59,6 +146,14 @@ export class FinancesService {
     });
   }
 
+  // from and to are months as YYYY-MM
+  getReport(homeId: number, from: string, to: string, groupBy: FinanceReportGroup = 'month'): Observable<FinanceReport> {
+    return this.http.get<FinanceReport>(`${API_URL}/homes/${homeId}/finances/report`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` },
+      params: { from, to, groupBy }
+    });
+  }
+
   createFinance(homeId: number, finance: Partial<Finance>): Observable<Finance> {
     return this.http.post<Finance>(`${API_URL}/homes/${homeId}/finances`, finance, {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` }
@@ -76,5 +171,29 @@ export class FinancesService {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` }
     });
   }
-}
 
+  getBudgetReport(homeId: number, month: number, year: number): Observable<BudgetReport> {
+    return this.http.get<BudgetReport>(`${API_URL}/homes/${homeId}/finances/budgets/report`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` },
+      params: { month: month.toString(), year: year.toString() }
+    });
+  }
+
+  createBudget(homeId: number, budget: BudgetInput): Observable<Budget> {
+    return this.http.post<Budget>(`${API_URL}/homes/${homeId}/finances/budgets`, budget, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  updateBudget(homeId: number, budgetId: number, budget: BudgetInput): Observable<Budget> {
+    return this.http.put<Budget>(`${API_URL}/homes/${homeId}/finances/budgets/${budgetId}`, budget, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  deleteBudget(homeId: number, budgetId: number): Observable<any> {
+    return this.http.delete(`${API_URL}/homes/${homeId}/finances/budgets/${budgetId}`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+}
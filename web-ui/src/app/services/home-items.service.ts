@@ -2,15 +2,44 @@ import { Injectable, inject } from '@angular/core';
 import { HttpClient } from '@angular/common/http';
 import { Observable } from 'rxjs';
 import { AuthService } from './auth.service';
+import type { ShoppingListItem } from './shopping-lists.service';
+
+export type QuantityUnit = 'g' | 'kg' | 'ml' | 'l' | 'pcs';
+
+// Units that convert into each other share a dimension
+export const QUANTITY_UNITS: { value: QuantityUnit; label: string; dimension: string }[] = [
+  { value: 'pcs', label: 'pcs', dimension: 'count' },
+  { value: 'g', label: 'g', dimension: 'mass' },
+  { value: 'kg', label: 'kg', dimension: 'mass' },
+  { value: 'ml', label: 'ml', dimension: 'volume' },
+  { value: 'l', label: 'l', dimension: 'volume' }
+];
+
+export function compatibleUnits(unit: QuantityUnit): QuantityUnit[] {
+  const dimension = QUANTITY_UNITS.find(u => u.value === unit)?.dimension;
+  return QUANTITY_UNITS.filter(u => u.dimension === dimension).map(u => u.value);
+}
 
 export interface HomeItem {
   id: number;
   home_id: number;
   name: string;
-  category: 'fridge' | 'pantry' | 'storage';
+  category_id: number | null;
+  // Name and icon of the category, filled in by the server
+  category?: string | null;
+  category_icon?: string | null;
+  // Display text; amount and unit are set when it is numeric
   quantity?: string;
-  location?: string;
+  amount?: number | null;
+  unit?: QuantityUnit | null;
+  // Below this amount the item is put on the active shopping list
+  min_amount?: number | null;
+  location_id?: number | null;
+  // Name of the location, filled in by the server
+  location?: string | null;
   expiry_date?: string;
+  // Last expiry alert sent to the home's members
+  expiry_alert?: 'expiring' | 'expired' | null;
   notes?: string;
   created_by: number;
   created_by_username?: string;
@@ -18,6 +47,54 @@ export interface HomeItem {
   updated_at: string;
 }
 
+export interface Consumption {
+  id: number;
+  home_id: number;
+  item_id: number | null;
+  item_name: string;
+  user_id: number | null;
+  username?: string;
+  amount: number;
+  unit: QuantityUnit;
+  note?: string;
+  created_at: string;
+}
+
+export interface ConsumeResult {
+  item: HomeItem;
+  consumption: Consumption;
+  // Set when the item dropped below its minimum and was added to the shopping list
+  shopping_list_item: ShoppingListItem | null;
+}
+
+// days_left is negative once the item expired
+export interface ExpiringItem extends HomeItem {
+  days_left: number;
+}
+
+export interface ExpiringItems {
+  days: number;
+  items: ExpiringItem[];
+}
+
+// Per-home inventory categories and storage locations
+export interface HomeCategory {
+  id: number;
+  home_id: number;
+  name: string;
+  icon: string | null;
+  item_count: number;
+  created_at: string;
+}
+
+export interface HomeLocation {
+  id: number;
+  home_id: number;
+  name: string;
+  item_count: number;
+  created_at: string;
+}
+
 const API_URL = 'http://localhost:3001/api';
 
 @Injectable({
@@ -27,11 +104,18 @@ export class HomeItemsService {
   private http = inject(HttpClient);
   private authService = inject(AuthService);
 
-  getHomeItems(homeId: number, category?: string): Observable<HomeItem[]> {
-    const params: Record<string, string> = category ? { category } : {};
+  getHomeItems(homeId: number, categoryId?: number): Observable<HomeItem[]> {
     return this.http.get<HomeItem[]>(`${API_URL}/homes/${homeId}/items`, {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` },
-      params: Object.keys(params).length > 0 ? params : undefined
+      params: categoryId !== undefined ? { categoryId } : undefined
+    });
+  }
+
+  // Defaults to the home's alert window
+  getExpiringItems(homeId: number, days?: number): Observable<ExpiringItems> {
+    return this.http.get<ExpiringItems>(`${API_URL}/homes/${homeId}/items/expiring`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` },
+      params: days !== undefined ? { days } : undefined
     });
   }
 
@@ -47,10 +131,73 @@ export class HomeItemsService {
     });
   }
 
+  consumeItem(homeId: number, itemId: number, amount: number, unit?: QuantityUnit, note?: string): Observable<ConsumeResult> {
+    return this.http.post<ConsumeResult>(`${API_URL}/homes/${homeId}/items/${itemId}/consume`, { amount, unit, note }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  getConsumptions(homeId: number, itemId?: number): Observable<Consumption[]> {
+    return this.http.get<Consumption[]>(`${API_URL}/homes/${homeId}/consumptions`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` },
+      params: itemId !== undefined ? { itemId } : undefined
+    });
+  }
+
   deleteHomeItem(homeId: number, itemId: number): Observable<any> {
     return this.http.delete(`${API_URL}/homes/${homeId}/items/${itemId}`, {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` }
     });
   }
+
+  getCategories(homeId: number): Observable<HomeCategory[]> {
+    return this.http.get<HomeCategory[]>(`${API_URL}/homes/${homeId}/categories`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  createCategory(homeId: number, name: string, icon?: string): Observable<HomeCategory> {
+    return this.http.post<HomeCategory>(`${API_URL}/homes/${homeId}/categories`, { name, icon }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  updateCategory(homeId: number, categoryId: number, changes: { name?: string; icon?: string | null }): Observable<HomeCategory> {
+    return this.http.put<HomeCategory>(`${API_URL}/homes/${homeId}/categories/${categoryId}`, changes, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  // A category with items can only be deleted by moving them to another one
+  deleteCategory(homeId: number, categoryId: number, moveTo?: number): Observable<any> {
+    return this.http.delete(`${API_URL}/homes/${homeId}/categories/${categoryId}`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` },
+      params: moveTo !== undefined ? { moveTo } : undefined
+    });
+  }
+
+  getLocations(homeId: number): Observable<HomeLocation[]> {
+    return this.http.get<HomeLocation[]>(`${API_URL}/homes/${homeId}/locations`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  createLocation(homeId: number, name: string): Observable<HomeLocation> {
+    return this.http.post<HomeLocation>(`${API_URL}/homes/${homeId}/locations`, { name }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  updateLocation(homeId: number, locationId: number, name: string): Observable<HomeLocation> {
+    return this.http.put<HomeLocation>(`${API_URL}/homes/${homeId}/locations/${locationId}`, { name }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  deleteLocation(homeId: number, locationId: number): Observable<any> {
+    return this.http.delete(`${API_URL}/homes/${homeId}/locations/${locationId}`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
 }
 
@@ -3,13 +3,34 @@ import { HttpClient } from '@angular/common/http';
 import { Observable } from 'rxjs';
 import { AuthService } from './auth.service';
 
+// The owner is homes.user_id; members are admin (co-owner), member or viewer (read-only)
+export type HomeRole = 'owner' | 'admin' | 'member' | 'viewer';
+export type MemberRole = Exclude<HomeRole, 'owner'>;
+
+// Actions the current user may perform, per resource (e.g. finances: ['read', 'write'])
+export interface HomePermissions {
+  home: string[];
+  members: string[];
+  items: string[];
+  lists: string[];
+  finances: string[];
+}
+
 export interface Home {
   id: number;
   user_id: number;
   name: string;
   address: string;
+  // Days before expiry that members are alerted about inventory items
+  expiry_alert_days: number;
   created_at: string;
   updated_at: string;
+  user_role: HomeRole;
+  permissions: HomePermissions;
+}
+
+export function canInHome(home: Home | null | undefined, resource: keyof HomePermissions, action: string): boolean {
+  return !!home?.permissions?.[resource]?.includes(action);
 }
 
 const API_URL = 'http://localhost:3001/api';
@@ -39,8 +60,8 @@ export class HomesService {
     });
   }
 
-  updateHome(id: number, name?: string, address?: string): Observable<Home> {
-    return this.http.put<Home>(`${API_URL}/homes/${id}`, { name, address }, {
+  updateHome(id: number, changes: Partial<Pick<Home, 'name' | 'address' | 'expiry_alert_days'>>): Observable<Home> {
+    return this.http.put<Home>(`${API_URL}/homes/${id}`, changes, {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` }
     });
   }
@@ -57,8 +78,33 @@ export class HomesService {
     });
   }
 
-  addHomeMember(homeId: number, userId: number): Observable<any> {
-    return this.http.post(`${API_URL}/homes/${homeId}/members`, { userId }, {
+  addHomeMember(homeId: number, userId: number, role: MemberRole = 'member'): Observable<any> {
+    return this.http.post(`${API_URL}/homes/${homeId}/members`, { userId, role }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  updateMemberRole(homeId: number, userId: number, role: MemberRole): Observable<any> {
+    return this.http.put(`${API_URL}/homes/${homeId}/members/${userId}/role`, { role }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  removeHomeMember(homeId: number, userId: number): Observable<any> {
+    return this.http.delete(`${API_URL}/homes/${homeId}/members/${userId}`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  leaveHome(homeId: number): Observable<any> {
+    return this.http.post(`${API_URL}/homes/${homeId}/leave`, {}, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  // The current owner stays in the home as an admin
+  transferOwnership(homeId: number, newOwnerId: number): Observable<any> {
+    return this.http.post(`${API_URL}/homes/${homeId}/transfer-ownership`, { newOwnerId }, {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` }
     });
   }
@@ -1,7 +1,8 @@
 import { Injectable, inject } from '@angular/core';
-import { HttpClient } from '@angular/common/http';
-import { Observable } from 'rxjs';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable, map } from 'rxjs';
 import { AuthService } from './auth.service';
+import { RealtimeService } from './realtime.service';
 
 export interface Notification {
   id: number;
@@ -15,6 +16,28 @@ export interface Notification {
   created_at: string;
 }
 
+export interface NotificationPage {
+  notifications: Notification[];
+  next_cursor: string | null;
+}
+
+export interface NotificationFilters {
+  types?: string[];
+  read?: boolean;
+}
+
+export interface NotificationPreference {
+  type: string;
+  label: string;
+  email: boolean;
+  push: boolean;
+}
+
+// Read or deleted elsewhere (another tab or device)
+export type NotificationStateChange =
+  | { action: 'read' | 'deleted'; ids: number[] }
+  | { action: 'read_all' | 'deleted_read' };
+
 const API_URL = 'http://localhost:3001/api';
 
 @Injectable({
@@ -23,9 +46,49 @@ const API_URL = 'http://localhost:3001/api';
 export class NotificationsService {
   private http = inject(HttpClient);
   private authService = inject(AuthService);
+  private realtimeService = inject(RealtimeService);
+
+  // New notifications as they are created; null after a reconnect (reload, some may have been missed)
+  watchNotifications(): Observable<Notification | null> {
+    return this.realtimeService.on<Notification>('ready', 'notification').pipe(
+      map(event => event.type === 'notification' ? event.data : null)
+    );
+  }
 
-  getNotifications(): Observable<Notification[]> {
-    return this.http.get<Notification[]>(`${API_URL}/notifications`, {
+  watchNotificationStateChanges(): Observable<NotificationStateChange> {
+    return this.realtimeService.on<NotificationStateChange>('notifications').pipe(
+      map(event => event.data)
+    );
+  }
+
+  // Emits whenever the unread count may have changed
+  watchUnreadCountChanges(): Observable<unknown> {
+    return this.realtimeService.on('ready', 'notification', 'notifications');
+  }
+
+  // Pass the next_cursor of the previous page to get the following one
+  getNotifications(filters: NotificationFilters = {}, cursor?: string | null, limit?: number): Observable<NotificationPage> {
+    let params = new HttpParams();
+    if (filters.types?.length) {
+      params = params.set('type', filters.types.join(','));
+    }
+    if (filters.read !== undefined) {
+      params = params.set('read', String(filters.read));
+    }
+    if (cursor) {
+      params = params.set('cursor', cursor);
+    }
+    if (limit) {
+      params = params.set('limit', limit);
+    }
+    return this.http.get<NotificationPage>(`${API_URL}/notifications`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` },
+      params
+    });
+  }
+
+  getUnreadCount(): Observable<{ count: number }> {
+    return this.http.get<{ count: number }>(`${API_URL}/notifications/unread-count`, {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` }
     });
   }
@@ -35,5 +98,54 @@ export class NotificationsService {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` }
     });
   }
-}
 
+  markAllAsRead(): Observable<{ message: string; updated: number }> {
+    return this.http.put<{ message: string; updated: number }>(`${API_URL}/notifications/read-all`, {}, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  deleteNotification(id: number): Observable<any> {
+    return this.http.delete(`${API_URL}/notifications/${id}`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  deleteReadNotifications(): Observable<{ message: string; deleted: number }> {
+    return this.http.delete<{ message: string; deleted: number }>(`${API_URL}/notifications/read`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  getPreferences(): Observable<{ preferences: NotificationPreference[] }> {
+    return this.http.get<{ preferences: NotificationPreference[] }>(`${API_URL}/notifications/preferences`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  updatePreferences(preferences: Pick<NotificationPreference, 'type' | 'email' | 'push'>[]): Observable<{ preferences: NotificationPreference[] }> {
+    return this.http.put<{ preferences: NotificationPreference[] }>(`${API_URL}/notifications/preferences`, { preferences }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  // null when the server has no VAPID keys, i.e. push is unavailable
+  getPushPublicKey(): Observable<{ publicKey: string | null }> {
+    return this.http.get<{ publicKey: string | null }>(`${API_URL}/notifications/push/public-key`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  savePushSubscription(subscription: PushSubscriptionJSON): Observable<any> {
+    return this.http.post(`${API_URL}/notifications/push/subscriptions`, subscription, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  removePushSubscription(endpoint: string): Observable<any> {
+    return this.http.delete(`${API_URL}/notifications/push/subscriptions`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` },
+      body: { endpoint }
+    });
+  }
+}
@@ -0,0 +1,161 @@
+import { Injectable, inject } from '@angular/core';
+import { Observable, Subject, filter } from 'rxjs';
+import { AuthService } from './auth.service';
+
+export type RealtimeEventType =
+  | 'ready'
+  | 'home'
+  | 'home-members'
+  | 'shopping-list'
+  | 'shopping-list-item'
+  | 'home-item'
+  | 'finance'
+  | 'finance-budget'
+  | 'notification'
+  | 'notifications';
+
+export interface RealtimeEvent<T = any> {
+  type: RealtimeEventType;
+  data: T;
+}
+
+const API_URL = 'http://localhost:3001/api';
+const EVENT_TYPES: RealtimeEventType[] = [
+  'ready', 'home', 'home-members', 'shopping-list', 'shopping-list-item', 'home-item', 'finance',
+  'finance-budget', 'notification', 'notifications'
+];
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+// Refresh the access token first if it expires sooner than this
+const TOKEN_MIN_LIFETIME_MS = 30 * 1000;
+
+/**
+ * Server-Sent Events from /api/events. The stream is open while anything is
+ * subscribed and reconnects (with a fresh access token) when it drops. Events
+ * sent while disconnected are lost, so a 'ready' event after a reconnect tells
+ * subscribers to reload. Subscribe with 'ready' among the types to get it.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class RealtimeService {
+  private authService = inject(AuthService);
+
+  private events$ = new Subject<RealtimeEvent>();
+  private source: EventSource | null = null;
+  private subscribers = 0;
+  private retryDelay = 1000;
+  private retryTimer: ReturnType<typeof setTimeout> | null = null;
+  // Subscribers load their data themselves, so only a reconnect's 'ready' is passed on
+  private hasConnected = false;
+
+  on<T = any>(...types: RealtimeEventType[]): Observable<RealtimeEvent<T>> {
+    return new Observable<RealtimeEvent<T>>(subscriber => {
+      const subscription = this.events$.pipe(
+        filter(event => types.includes(event.type))
+      ).subscribe(subscriber);
+
+      if (this.subscribers++ === 0) {
+        this.connect();
+      }
+
+      return () => {
+        subscription.unsubscribe();
+        if (--this.subscribers === 0) {
+          this.disconnect();
+        }
+      };
+    });
+  }
+
+  // Events of one home only
+  onHome<T = any>(homeId: number, ...types: RealtimeEventType[]): Observable<RealtimeEvent<T>> {
+    return this.on<T>(...types).pipe(
+      filter(event => event.type === 'ready' || (event.data as any).homeId === homeId)
+    );
+  }
+
+  private connect(): void {
+    if (!this.authService.isLoggedIn()) {
+      return;
+    }
+
+    const token = this.authService.getToken();
+    if (token && !this.expiresSoon(token)) {
+      this.open(token);
+      return;
+    }
+
+    this.authService.refreshAccessToken().subscribe({
+      next: (freshToken) => this.open(freshToken),
+      error: () => this.disconnect()
+    });
+  }
+
+  private open(token: string): void {
+    if (this.subscribers === 0) {
+      return;
+    }
+    this.closeSource();
+
+    const source = new EventSource(`${API_URL}/events?access_token=${encodeURIComponent(token)}`);
+    this.source = source;
+
+    for (const type of EVENT_TYPES) {
+      source.addEventListener(type, (message: MessageEvent) => {
+        if (type === 'ready') {
+          this.retryDelay = 1000;
+          if (!this.hasConnected) {
+            this.hasConnected = true;
+            return;
+          }
+        }
+        this.events$.next({ type, data: JSON.parse(message.data) });
+      });
+    }
+
+    // The server ends the stream when the access token expires
+    source.addEventListener('reauthenticate', () => {
+      this.closeSource();
+      this.connect();
+    });
+
+    source.onerror = () => {
+      this.closeSource();
+      this.scheduleReconnect();
+    };
+  }
+
+  private scheduleReconnect(): void {
+    if (this.retryTimer || this.subscribers === 0) {
+      return;
+    }
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.connect();
+    }, this.retryDelay);
+    this.retryDelay = Math.min(this.retryDelay * 2, MAX_RETRY_DELAY_MS);
+  }
+
+  private disconnect(): void {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    this.closeSource();
+    this.hasConnected = false;
+  }
+
+  private closeSource(): void {
+    this.source?.close();
+    this.source = null;
+  }
+
+  private expiresSoon(token: string): boolean {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      return payload.exp * 1000 - Date.now() < TOKEN_MIN_LIFETIME_MS;
+    } catch {
+      return true;
+    }
+  }
+}
@@ -1,28 +1,229 @@
 import { Injectable, inject } from '@angular/core';
 import { HttpClient } from '@angular/common/http';
-import { Observable } from 'rxjs';
+import { Observable, map } from 'rxjs';
 import { AuthService } from './auth.service';
+import { RealtimeService, RealtimeEvent } from './realtime.service';
+import type { HomeItem, QuantityUnit } from './home-items.service';
+import type { Finance } from './finances.service';
+
+export type ShoppingListStatus = 'active' | 'completed' | 'archived';
 
 export interface ShoppingList {
   id: number;
   home_id: number;
   name: string;
-  status: 'active' | 'completed';
+  // Where the list is meant for, e.g. "Pharmacy"
+  store: string | null;
+  status: ShoppingListStatus;
   created_by: number;
   created_by_username?: string;
   created_at: string;
   updated_at: string;
   items?: ShoppingListItem[];
+  // Only in the list overview
+  item_count?: number;
+  completed_item_count?: number;
+  estimated_total?: number | null;
+  // Actual prices of the checked items
+  actual_total?: number | null;
 }
 
 export interface ShoppingListItem {
   id: number;
   list_id: number;
+  // Inventory item this restocks, when it was added for running low
+  home_item_id?: number | null;
+  aisle_id?: number | null;
+  aisle?: string | null;
+  aisle_position?: number | null;
+  // Member who should pick it up
+  assigned_to?: number | null;
+  assigned_to_username?: string | null;
   name: string;
+  // Free text as entered; amount and unit are parsed from it when possible
   quantity?: string;
+  amount?: number | null;
+  unit?: QuantityUnit | null;
+  estimated_price?: number | null;
+  actual_price?: number | null;
   completed: boolean;
+  // Set when the item is checked
+  bought_by?: number | null;
+  bought_by_username?: string | null;
+  bought_at?: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// Fields of a list item that can be set when adding or changing it
+export interface ShoppingListItemChanges {
+  name?: string;
+  quantity?: string;
+  completed?: boolean;
+  aisle_id?: number | null;
+  assigned_to?: number | null;
+  estimated_price?: number | null;
+  actual_price?: number | null;
+}
+
+// A section of the store; a home's aisles are ordered the way it walks through the store
+export interface ShoppingAisle {
+  id: number;
+  home_id: number;
+  name: string;
+  position: number;
+  created_at: string;
+}
+
+// Home members items can be assigned to
+export interface ListMember {
+  user_id: number;
+  username: string;
+}
+
+/**
+ * Items in store-walk order: by aisle position, items without an aisle last,
+ * otherwise in the order they were added
+ */
+export function sortByAisle(items: ShoppingListItem[]): ShoppingListItem[] {
+  const position = (item: ShoppingListItem) => item.aisle_position ?? Number.MAX_SAFE_INTEGER;
+  return [...items].sort((a, b) => position(a) - position(b) || a.created_at.localeCompare(b.created_at) || a.id - b.id);
+}
+
+export interface ListTemplateItem {
+  id: number;
+  template_id: number;
+  name: string;
+  quantity: string | null;
+  amount: number | null;
+  unit: QuantityUnit | null;
+}
+
+// Staples saved per home to start new lists from
+export interface ListTemplate {
+  id: number;
+  home_id: number;
+  name: string;
+  store: string | null;
+  // 0 (Sunday) to 6 (Saturday): the template creates a list on that day every week
+  schedule_weekday: number | null;
+  last_generated_on: string | null;
+  created_by: number | null;
+  created_by_username?: string;
   created_at: string;
   updated_at: string;
+  items: ListTemplateItem[];
+}
+
+// list_id saves the items of an existing list instead of items
+export interface ListTemplateInput {
+  name?: string;
+  store?: string | null;
+  schedule_weekday?: number | null;
+  items?: { name: string; quantity?: string | null; amount?: number | null; unit?: QuantityUnit | null }[];
+  list_id?: number;
+}
+
+export type RestockAction = 'create' | 'increase' | 'skip';
+
+// What completing the list would do with one checked item, as suggested by the server
+export interface RestockSuggestion {
+  list_item: ShoppingListItem;
+  // Inventory item with the same name, or the one the list item was added for
+  match: HomeItem | null;
+  // Whether the bought amount can be added to match (both amounts set, compatible units)
+  can_increase: boolean;
+  action: RestockAction;
+  // For new items: the match's category and location, else the home's pantry
+  category_id: number | null;
+  location_id: number | null;
+}
+
+export interface RestockChoice {
+  list_item_id: number;
+  action: RestockAction;
+  home_item_id?: number;
+  category_id?: number | null;
+  location_id?: number | null;
+}
+
+// Records the actual prices of the checked items as one expense, shared like any finance entry
+export interface ListExpenseRequest {
+  category?: string;
+  description?: string;
+  visible_to_user_ids?: number[];
+}
+
+export interface CompleteListResult {
+  message: string;
+  restocked: { created: HomeItem[]; updated: HomeItem[] };
+  expense: Finance | null;
+}
+
+// Changes pushed by the server (or made locally) to a home's shopping lists
+export type ShoppingListChange =
+  | { action: 'created' | 'updated'; list: ShoppingList }
+  | { action: 'completed'; listId: number }
+  | { action: 'item-created' | 'item-updated'; item: ShoppingListItem }
+  | { action: 'item-deleted'; listId: number; itemId: number };
+
+/**
+ * Applies a change to the open list. Applying the same change twice is harmless,
+ * so local changes and their echo from the server can both be applied.
+ * A list that stops being active (completed or archived) is closed.
+ */
+export function applyShoppingListChange(list: ShoppingList | null, change: ShoppingListChange): ShoppingList | null {
+  switch (change.action) {
+    case 'created':
+      return list ?? change.list;
+    case 'updated':
+      if (list?.id !== change.list.id) {
+        return list;
+      }
+      return change.list.status === 'active' ? { ...change.list, items: list.items } : null;
+    case 'completed':
+      return list?.id === change.listId ? null : list;
+    case 'item-created':
+    case 'item-updated': {
+      if (!list || list.id !== change.item.list_id) {
+        return list;
+      }
+      const items = list.items ?? [];
+      const exists = items.some(item => item.id === change.item.id);
+      return {
+        ...list,
+        items: exists
+          ? items.map(item => item.id === change.item.id ? change.item : item)
+          : [...items, change.item]
+      };
+    }
+    case 'item-deleted':
+      if (!list || list.id !== change.listId) {
+        return list;
+      }
+      return { ...list, items: (list.items ?? []).filter(item => item.id !== change.itemId) };
+  }
+}
+
+/**
+ * Applies a change to the overview of a home's active lists (without items), newest first
+ */
+export function applyActiveListsChange(lists: ShoppingList[], change: ShoppingListChange): ShoppingList[] {
+  switch (change.action) {
+    case 'created':
+    case 'updated': {
+      const others = lists.filter(list => list.id !== change.list.id);
+      if (change.list.status !== 'active') {
+        return others;
+      }
+      const { items, ...summary } = change.list;
+      return [...others, summary].sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+    case 'completed':
+      return lists.filter(list => list.id !== change.listId);
+    default:
+      return lists;
+  }
 }
 
 const API_URL = 'http://localhost:3001/api';
@@ -33,9 +234,38 @@ const API_URL = 'http://localhost:3001/api';
 export class ShoppingListsService {
   private http = inject(HttpClient);
   private authService = inject(AuthService);
+  private realtimeService = inject(RealtimeService);
+
+  /**
+   * Live changes to a home's shopping lists. Emits null after the connection
+   * was lost and restored - changes may have been missed, reload the list.
+   */
+  watchShoppingLists(homeId: number): Observable<ShoppingListChange | null> {
+    return this.realtimeService.onHome(homeId, 'ready', 'shopping-list', 'shopping-list-item').pipe(
+      map((event: RealtimeEvent): ShoppingListChange | null => {
+        if (event.type === 'ready') {
+          return null;
+        }
+        if (event.type === 'shopping-list') {
+          return event.data;
+        }
+        return event.data.action === 'deleted'
+          ? { action: 'item-deleted', listId: event.data.listId, itemId: event.data.itemId }
+          : { action: event.data.action === 'created' ? 'item-created' : 'item-updated', item: event.data.item };
+      })
+    );
+  }
 
-  getShoppingLists(homeId: number): Observable<ShoppingList[]> {
+  getShoppingLists(homeId: number, status?: ShoppingListStatus): Observable<ShoppingList[]> {
     return this.http.get<ShoppingList[]>(`${API_URL}/homes/${homeId}/shopping-lists`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` },
+      params: status ? { status } : undefined
+    });
+  }
+
+  // Any list of the home, with its items
+  getShoppingList(homeId: number, listId: number): Observable<ShoppingList> {
+    return this.http.get<ShoppingList>(`${API_URL}/homes/${homeId}/shopping-lists/${listId}`, {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` }
     });
   }
@@ -46,26 +276,127 @@ export class ShoppingListsService {
     });
   }
 
-  createShoppingList(homeId: number, name: string): Observable<ShoppingList> {
-    return this.http.post<ShoppingList>(`${API_URL}/homes/${homeId}/shopping-lists`, { name }, {
+  createShoppingList(homeId: number, name: string, store?: string | null): Observable<ShoppingList> {
+    return this.http.post<ShoppingList>(`${API_URL}/homes/${homeId}/shopping-lists`, { name, store }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  updateShoppingList(homeId: number, listId: number, changes: { name?: string; store?: string | null }): Observable<ShoppingList> {
+    return this.http.put<ShoppingList>(`${API_URL}/homes/${homeId}/shopping-lists/${listId}`, changes, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  archiveShoppingList(homeId: number, listId: number): Observable<ShoppingList> {
+    return this.http.put<ShoppingList>(`${API_URL}/homes/${homeId}/shopping-lists/${listId}/archive`, {}, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  // Returns the list with its items
+  reopenShoppingList(homeId: number, listId: number): Observable<ShoppingList> {
+    return this.http.put<ShoppingList>(`${API_URL}/homes/${homeId}/shopping-lists/${listId}/reopen`, {}, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  // Copies any list into a new active list; returns it with its items
+  duplicateShoppingList(homeId: number, listId: number, name?: string): Observable<ShoppingList> {
+    return this.http.post<ShoppingList>(`${API_URL}/homes/${homeId}/shopping-lists/${listId}/duplicate`, { name }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  getListTemplates(homeId: number): Observable<ListTemplate[]> {
+    return this.http.get<ListTemplate[]>(`${API_URL}/homes/${homeId}/list-templates`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  createListTemplate(homeId: number, template: ListTemplateInput): Observable<ListTemplate> {
+    return this.http.post<ListTemplate>(`${API_URL}/homes/${homeId}/list-templates`, template, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  updateListTemplate(homeId: number, templateId: number, changes: ListTemplateInput): Observable<ListTemplate> {
+    return this.http.put<ListTemplate>(`${API_URL}/homes/${homeId}/list-templates/${templateId}`, changes, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  deleteListTemplate(homeId: number, templateId: number): Observable<any> {
+    return this.http.delete(`${API_URL}/homes/${homeId}/list-templates/${templateId}`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  // Returns the new list with its items
+  createListFromTemplate(homeId: number, templateId: number, name?: string): Observable<ShoppingList> {
+    return this.http.post<ShoppingList>(`${API_URL}/homes/${homeId}/list-templates/${templateId}/lists`, { name }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  getAisles(homeId: number): Observable<ShoppingAisle[]> {
+    return this.http.get<ShoppingAisle[]>(`${API_URL}/homes/${homeId}/aisles`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  createAisle(homeId: number, name: string): Observable<ShoppingAisle> {
+    return this.http.post<ShoppingAisle>(`${API_URL}/homes/${homeId}/aisles`, { name }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  renameAisle(homeId: number, aisleId: number, name: string): Observable<ShoppingAisle> {
+    return this.http.put<ShoppingAisle>(`${API_URL}/homes/${homeId}/aisles/${aisleId}`, { name }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  // Returns all aisles of the home in their new order
+  reorderAisles(homeId: number, ids: number[]): Observable<ShoppingAisle[]> {
+    return this.http.put<ShoppingAisle[]>(`${API_URL}/homes/${homeId}/aisles/order`, { ids }, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  deleteAisle(homeId: number, aisleId: number): Observable<any> {
+    return this.http.delete(`${API_URL}/homes/${homeId}/aisles/${aisleId}`, {
+      headers: { Authorization: `Bearer ${this.authService.getToken()}` }
+    });
+  }
+
+  getRestockPreview(homeId: number, listId: number): Observable<{ items: RestockSuggestion[] }> {
+    return this.http.get<{ items: RestockSuggestion[] }>(`${API_URL}/homes/${homeId}/shopping-lists/${listId}/restock-preview`, {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` }
     });
   }
 
-  completeShoppingList(homeId: number, listId: number): Observable<any> {
-    return this.http.put(`${API_URL}/homes/${homeId}/shopping-lists/${listId}/complete`, {}, {
+  // With restock, the checked items are added to the inventory as chosen; with expense, their prices are recorded
+  completeShoppingList(
+    homeId: number,
+    listId: number,
+    restock?: RestockChoice[],
+    expense?: ListExpenseRequest | null
+  ): Observable<CompleteListResult> {
+    return this.http.put<CompleteListResult>(`${API_URL}/homes/${homeId}/shopping-lists/${listId}/complete`, { restock, expense: expense ?? undefined }, {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` }
     });
   }
 
-  addItemToList(listId: number, name: string, quantity?: string): Observable<ShoppingListItem> {
-    return this.http.post<ShoppingListItem>(`${API_URL}/shopping-lists/${listId}/items`, { name, quantity }, {
+  addItemToList(listId: number, name: string, quantity?: string, details: ShoppingListItemChanges = {}): Observable<ShoppingListItem> {
+    return this.http.post<ShoppingListItem>(`${API_URL}/shopping-lists/${listId}/items`, { ...details, name, quantity }, {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` }
     });
   }
 
-  updateItem(listId: number, itemId: number, name?: string, quantity?: string, completed?: boolean): Observable<ShoppingListItem> {
-    return this.http.put<ShoppingListItem>(`${API_URL}/shopping-lists/${listId}/items/${itemId}`, { name, quantity, completed }, {
+  // Checking an item records the current user as its buyer
+  updateItem(listId: number, itemId: number, changes: ShoppingListItemChanges): Observable<ShoppingListItem> {
+    return this.http.put<ShoppingListItem>(`${API_URL}/shopping-lists/${listId}/items/${itemId}`, changes, {
       headers: { Authorization: `Bearer ${this.authService.getToken()}` }
     });
   }